@@ -3,8 +3,13 @@
  * Demonstrates different ways to use the Stock Analysis Agent
  */
 
-import { StockAnalyzer, StockAnalysisWorkflow } from '../src/index.js';
+import { fileURLToPath } from 'url';
+import { StockAnalyzer, StockAnalysisWorkflow, ComparativeAnalyzer } from '../src/index.js';
 import { readJsonFile, writeJsonFile } from '../src/utils/file-handler.js';
+import { extractKeyMetrics } from '../src/utils/validators.js';
+
+// Resolved relative to this file so the examples run from any directory
+const INPUT_FILE = fileURLToPath(new URL('../input-example.json', import.meta.url));
 
 // =============================================================================
 // Example 1: Basic Single Stock Analysis
@@ -15,12 +20,12 @@ async function example1_basicAnalysis() {
   console.log('Example 1: Basic Single Stock Analysis');
   console.log('='.repeat(60) + '\n');
 
-  const stockData = await readJsonFile('../input-example.json');
+  const stockData = await readJsonFile(INPUT_FILE);
   
   const analyzer = new StockAnalyzer();
   const report = await analyzer.analyze(stockData);
   
-  console.log(`Stock: ${report.metadata.stockName}`);
+  console.log(`Stock: ${stockData.stock.name}`);
   console.log(`Score: ${report.overallScore}/100`);
   console.log(`Recommendation: ${report.recommendation}`);
   console.log(`\nFinal Verdict: ${report.finalVerdict.substring(0, 100)}...`);
@@ -40,7 +45,7 @@ async function example2_batchAnalysis() {
   const analyzer = new StockAnalyzer();
   
   // Load multiple stock data files
-  const stockData1 = await readJsonFile('../input-example.json');
+  const stockData1 = await readJsonFile(INPUT_FILE);
   const stockData2 = JSON.parse(JSON.stringify(stockData1)); // Clone for demo
   const stockData3 = JSON.parse(JSON.stringify(stockData1)); // Clone for demo
   
@@ -60,8 +65,8 @@ async function example2_batchAnalysis() {
   
   results.forEach((result, index) => {
     if (result.success) {
-      const { overallScore, recommendation, metadata } = result.data;
-      console.log(`${index + 1}. ${metadata.stockSymbol}: ${recommendation} (${overallScore}/100)`);
+      const { overallScore, recommendation } = result.data;
+      console.log(`${index + 1}. ${stocks[index].stock.symbol}: ${recommendation} (${overallScore}/100)`);
     } else {
       console.log(`${index + 1}. Failed: ${result.error}`);
     }
@@ -84,12 +89,12 @@ async function example3_workflowMode() {
   console.log('Example 3: LangGraph Workflow Mode');
   console.log('='.repeat(60) + '\n');
 
-  const stockData = await readJsonFile('../input-example.json');
+  const stockData = await readJsonFile(INPUT_FILE);
   
   const workflow = new StockAnalysisWorkflow();
   const report = await workflow.execute(stockData);
   
-  console.log(`Stock: ${report.metadata.stockName}`);
+  console.log(`Stock: ${stockData.stock.name}`);
   console.log(`Score: ${report.overallScore}/100`);
   console.log(`Recommendation: ${report.recommendation}`);
   
@@ -108,7 +113,7 @@ async function example4_customFiltering() {
   const analyzer = new StockAnalyzer();
   
   // Analyze multiple stocks
-  const stockData = await readJsonFile('../input-example.json');
+  const stockData = await readJsonFile(INPUT_FILE);
   
   const stocks = [];
   for (let i = 0; i < 5; i++) {
@@ -120,27 +125,27 @@ async function example4_customFiltering() {
   const results = await analyzer.batchAnalyze(stocks);
   
   // Filter for "Buy" recommendations only
-  const buyRecommendations = results.filter(r => 
-    r.success && r.data.recommendation === 'Buy'
-  );
+  const buyRecommendations = results
+    .map((result, i) => ({ ...result, symbol: stocks[i].stock.symbol }))
+    .filter(r => r.success && r.data.recommendation === 'Buy');
   
   console.log(`Found ${buyRecommendations.length} BUY recommendations:\n`);
   
   buyRecommendations.forEach((result, index) => {
-    const { overallScore, metadata } = result.data;
-    console.log(`${index + 1}. ${metadata.stockSymbol} - Score: ${overallScore}/100`);
+    const { overallScore } = result.data;
+    console.log(`${index + 1}. ${result.symbol} - Score: ${overallScore}/100`);
   });
   
   // Filter for high scores (>75)
-  const highScores = results.filter(r => 
-    r.success && r.data.overallScore > 75
-  );
+  const highScores = results
+    .map((result, i) => ({ ...result, symbol: stocks[i].stock.symbol }))
+    .filter(r => r.success && r.data.overallScore > 75);
   
   console.log(`\nFound ${highScores.length} high-scoring stocks (>75):\n`);
   
   highScores.forEach((result, index) => {
-    const { overallScore, recommendation, metadata } = result.data;
-    console.log(`${index + 1}. ${metadata.stockSymbol} - ${overallScore}/100 (${recommendation})`);
+    const { overallScore, recommendation } = result.data;
+    console.log(`${index + 1}. ${result.symbol} - ${overallScore}/100 (${recommendation})`);
   });
 }
 
@@ -153,7 +158,7 @@ async function example5_extractInsights() {
   console.log('Example 5: Extract Specific Insights');
   console.log('='.repeat(60) + '\n');
 
-  const stockData = await readJsonFile('../input-example.json');
+  const stockData = await readJsonFile(INPUT_FILE);
   const analyzer = new StockAnalyzer();
   const report = await analyzer.analyze(stockData);
   
@@ -172,8 +177,8 @@ async function example5_extractInsights() {
   console.log('4. Investment Horizon:');
   console.log('  ', report.timeHorizon.substring(0, 150) + '...\n');
   
-  // Key metrics from metadata
-  const { keyMetrics } = report.metadata;
+  // Key metrics straight from the input
+  const keyMetrics = extractKeyMetrics(stockData);
   console.log('5. Key Metrics Summary:');
   console.log(`   - Pass Rate: ${keyMetrics.passRate}%`);
   console.log(`   - SIS Score: ${keyMetrics.sisScore}`);
@@ -190,8 +195,7 @@ async function example6_comparativeAnalysis() {
   console.log('Example 6: Comparative Analysis');
   console.log('='.repeat(60) + '\n');
 
-  const analyzer = new StockAnalyzer();
-  const stockData = await readJsonFile('../input-example.json');
+  const stockData = await readJsonFile(INPUT_FILE);
   
   // Create variations for comparison
   const stock1 = JSON.parse(JSON.stringify(stockData));
@@ -201,27 +205,27 @@ async function example6_comparativeAnalysis() {
   const stock2 = JSON.parse(JSON.stringify(stockData));
   stock2.stock.symbol = 'TECH2';
   stock2.stock.name = 'Tech Company 2';
+  stock2.qualitative.overallRating = 3;
   
-  const results = await analyzer.batchAnalyze([stock1, stock2]);
+  // Analyzes both stocks, ranks them and asks the model to explain the ranking
+  const comparison = await new ComparativeAnalyzer().compare([stock1, stock2]);
   
   console.log('Comparative Analysis:\n');
-  console.log('-'.repeat(60));
-  console.log('| Metric                | TECH1          | TECH2          |');
-  console.log('-'.repeat(60));
+  for (const row of comparison.rankings.deterministic) {
+    const stock = comparison.stocks.find(item => item.symbol === row.symbol);
+    console.log(`${row.rank}. ${row.symbol}: ${row.score}/100 (model score ${stock.llmScore ?? '–'}, ${stock.recommendation ?? 'not analyzed'})`);
+  }
   
-  if (results[0].success && results[1].success) {
-    const r1 = results[0].data;
-    const r2 = results[1].data;
-    
-    console.log(`| Overall Score        | ${r1.overallScore}/100        | ${r2.overallScore}/100        |`);
-    console.log(`| Recommendation       | ${r1.recommendation.padEnd(14)} | ${r2.recommendation.padEnd(14)} |`);
-    console.log(`| SIS Score            | ${r1.metadata.keyMetrics.sisScore.toFixed(1).padEnd(14)} | ${r2.metadata.keyMetrics.sisScore.toFixed(1).padEnd(14)} |`);
-    console.log(`| Pass Rate            | ${r1.metadata.keyMetrics.passRate}%          | ${r2.metadata.keyMetrics.passRate}%          |`);
-    console.log('-'.repeat(60));
-    
-    // Determine winner
-    const winner = r1.overallScore > r2.overallScore ? 'TECH1' : 'TECH2';
-    console.log(`\n🏆 Best Choice: ${winner}`);
+  console.log('\nPillar scores:');
+  for (const pillar of comparison.pillars) {
+    console.log(`   - ${pillar.label}: ${Object.entries(pillar.values).map(([symbol, value]) => `${symbol} ${value}`).join(', ')}`);
+  }
+  
+  const [pair] = comparison.headToHead;
+  console.log(`\n🏆 Best Choice: ${pair.winner} (decided by ${pair.decisivePillar})`);
+  
+  if (comparison.narrative) {
+    console.log(`\n${comparison.narrative.summary}`);
   }
 }
 
@@ -248,15 +252,16 @@ async function example7_errorHandling() {
   // Example 2: Batch with mixed results
   console.log('Test 2: Batch analysis with errors\n');
   
-  const validData = await readJsonFile('../input-example.json');
+  const validData = await readJsonFile(INPUT_FILE);
   const invalidData = { stock: { symbol: 'BAD' } };
   
-  const results = await analyzer.batchAnalyze([validData, invalidData, validData]);
+  const batch = [validData, invalidData, validData];
+  const results = await analyzer.batchAnalyze(batch);
   
   console.log('Results:');
   results.forEach((result, index) => {
     if (result.success) {
-      console.log(`  ${index + 1}. ✅ Success - ${result.data.metadata.stockSymbol}`);
+      console.log(`  ${index + 1}. ✅ Success - ${batch[index].stock.symbol}`);
     } else {
       console.log(`  ${index + 1}. ❌ Failed - ${result.error.substring(0, 50)}...`);
     }
@@ -291,11 +296,12 @@ async function runAllExamples() {
     console.error('1. You have created a .env file with GOOGLE_API_KEY');
     console.error('2. You have run: npm install');
     console.error('3. The input-example.json file exists\n');
+    process.exitCode = 1;
   }
 }
 
 // Run examples if executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (fileURLToPath(import.meta.url) === process.argv[1]) {
   runAllExamples();
 }
 
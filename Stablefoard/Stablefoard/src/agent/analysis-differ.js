@@ -0,0 +1,120 @@
+/**
+ * Analysis diffing: what changed between two analyses of a stock, and why it matters
+ */
+
+import { generateJson, formatPrompt } from './gemini-client.js';
+import { createProvider } from './providers/index.js';
+import { analyzeEntries } from './comparative-analyzer.js';
+import { SYSTEM_PROMPT, DIFF_PROMPT } from '../config/prompts.js';
+import { validateInput, validateDiffSummary, DIFF_RESPONSE_SCHEMA } from '../utils/validators.js';
+import { toComparisonEntry } from '../utils/comparison.js';
+import { diffAnalyses, orderByAsOf } from '../utils/diff.js';
+
+/**
+ * Diff two analyses of the same stock: analyze the inputs that have no
+ * report yet, diff them (see diffAnalyses) and add a model-written summary
+ */
+export class AnalysisDiffer {
+  /**
+   * @param {Object} options - Differ options
+   * @param {Object} options.provider - LLM provider (default: createProvider())
+   * @param {Object} options.history - History store for the analyses it runs (default: none)
+   * @param {string} options.mode - 'simple' (default) or 'workflow' for the analyses
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createProvider();
+    this.history = options.history || null;
+    this.mode = options.mode || 'simple';
+  }
+
+  /**
+   * Diff two analyses
+   * @param {Object} before - Stock input, report with a `symbol`, or { input, report } such as a history record
+   * @param {Object} after - The other analysis, in the same forms
+   * @param {Object} options - Diff options
+   * @param {boolean} options.analyze - Analyze inputs that have no report (default: true)
+   * @param {boolean} options.summary - Ask the model what changed and why it matters (default: true)
+   * @param {Object} options.weights - Pillar weights (default: CONFIG.weights)
+   * @returns {Promise<Object>} - diffAnalyses result plus `summary` (or null) and `summaryError`
+   */
+  async diff(before, after, options = {}) {
+    const { analyze = true, summary = true, weights } = options;
+    const entries = [toComparisonEntry(before, 0), toComparisonEntry(after, 1)];
+
+    for (const entry of entries.filter(item => item.input)) {
+      const validation = validateInput(entry.input);
+      if (!validation.success) {
+        throw new Error(`Input validation failed for ${entry.symbol} (as of ${entry.input.stock.asOf}):\n${validation.errors.join('\n')}`);
+      }
+    }
+
+    // Rejects mismatched symbols before any model call
+    diffAnalyses(entries[0], entries[1], { weights });
+
+    if (analyze) {
+      await analyzeEntries(entries, { provider: this.provider, history: this.history, mode: this.mode, concurrency: 2 });
+      const failed = entries.find(entry => entry.error);
+      if (failed) {
+        throw new Error(`Analysis of ${failed.symbol} (as of ${failed.input.stock.asOf}) failed: ${failed.error}`);
+      }
+    }
+
+    const diff = diffAnalyses(entries[0], entries[1], { weights });
+    diff.summary = null;
+    diff.summaryError = null;
+
+    if (summary) {
+      console.log('🤖 Summarizing what changed...');
+      try {
+        diff.summary = await this.summarize(diff, entries);
+        console.log('✅ Summary written\n');
+      } catch (error) {
+        console.warn(`⚠️  Change summary failed: ${error.message}`);
+        diff.summaryError = error.message;
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Build the summary prompt: the diff plus both analyses' input data and
+   * report verdicts, and nothing else
+   * @param {Object} diff - diffAnalyses result
+   * @param {Array<Object>} entries - The two comparison entries
+   * @returns {string} - Full prompt
+   */
+  buildSummaryPrompt(diff, entries) {
+    const [from, to] = orderByAsOf(entries[0], entries[1]);
+    const { summary, summaryError, ...changes } = diff;
+    const side = entry => JSON.stringify({
+      overallScore: entry.report?.overallScore ?? null,
+      recommendation: entry.report?.recommendation ?? null,
+      data: entry.input
+    }, null, 2);
+
+    const prompt = formatPrompt(DIFF_PROMPT, {
+      diff: JSON.stringify(changes, null, 2),
+      fromAsOf: diff.from.asOf || 'unknown date',
+      toAsOf: diff.to.asOf || 'unknown date',
+      fromData: side(from),
+      toData: side(to)
+    });
+    return `${SYSTEM_PROMPT}\n\n${prompt}`;
+  }
+
+  /**
+   * Ask the model what changed and why it matters
+   * @param {Object} diff - diffAnalyses result
+   * @param {Array<Object>} entries - The two comparison entries
+   * @returns {Promise<Object>} - { whatChanged, whyItMatters }
+   */
+  async summarize(diff, entries) {
+    const response = await generateJson(this.provider, this.buildSummaryPrompt(diff, entries), DIFF_RESPONSE_SCHEMA);
+    const validation = validateDiffSummary(response);
+    if (!validation.success) {
+      throw new Error(`Invalid change summary: ${validation.errors.join('; ')}`);
+    }
+    return { whatChanged: response.whatChanged, whyItMatters: response.whyItMatters };
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Comparative analysis: rank several stocks and have the model explain the ranking
+ */
+
+import { generateJson, formatPrompt } from './gemini-client.js';
+import { createProvider } from './providers/index.js';
+import { StockAnalyzer } from './stock-analyzer.js';
+import { StockAnalysisWorkflow } from './langgraph-workflow.js';
+import { SYSTEM_PROMPT, COMPARISON_PROMPT } from '../config/prompts.js';
+import { validateInput, validateComparisonNarrative, COMPARISON_RESPONSE_SCHEMA } from '../utils/validators.js';
+import { buildComparison, toComparisonEntry } from '../utils/comparison.js';
+
+/**
+ * Analyze the entries that have an input but no report yet, in place.
+ * Failures are recorded as the entry's `error`.
+ * @param {Array<Object>} entries - Comparison entries (see toComparisonEntry)
+ * @param {Object} options - { provider, history, mode: 'simple' | 'workflow', concurrency }
+ * @returns {Promise<Array<Object>>} - The entries
+ */
+export async function analyzeEntries(entries, options) {
+  const { provider, history, mode, concurrency } = options;
+  const pending = entries.filter(entry => entry.input && !entry.report);
+  if (pending.length === 0) return entries;
+
+  const runner = mode === 'workflow'
+    ? new StockAnalysisWorkflow({ provider, history })
+    : new StockAnalyzer({ provider, history });
+  const inputs = pending.map(entry => entry.input);
+  const results = mode === 'workflow'
+    ? await runner.batchExecute(inputs, { concurrency })
+    : await runner.batchAnalyze(inputs, { concurrency });
+
+  results.forEach((result, i) => {
+    if (result.success) pending[i].report = result.data;
+    else pending[i].error = result.error;
+  });
+  return entries;
+}
+
+/**
+ * Compare several stocks: analyze the inputs that have no report yet, rank
+ * them (see buildComparison) and add a model-written narrative
+ */
+export class ComparativeAnalyzer {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {Object} options.provider - LLM provider (default: createProvider())
+   * @param {Object} options.history - History store for the analyses it runs (default: none)
+   * @param {string} options.mode - 'simple' (default) or 'workflow' for the per-stock analyses
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createProvider();
+    this.history = options.history || null;
+    this.mode = options.mode || 'simple';
+  }
+
+  /**
+   * Compare stocks
+   * @param {Array<Object>} items - Stock inputs, reports with a `symbol`, or { input, report } pairs such as history records
+   * @param {Object} options - Comparison options
+   * @param {boolean} options.analyze - Analyze inputs that have no report (default: true)
+   * @param {boolean} options.narrative - Ask the model for a comparative narrative (default: true)
+   * @param {number} options.concurrency - Stocks analysed at once (default: CONFIG.batchConcurrency)
+   * @param {Object} options.weights - Pillar weights (default: CONFIG.weights)
+   * @returns {Promise<Object>} - buildComparison result plus `narrative` (or null) and `narrativeError`
+   */
+  async compare(items, options = {}) {
+    const { analyze = true, narrative = true, concurrency, weights } = options;
+    const entries = items.map((item, i) => toComparisonEntry(item, i));
+    if (entries.length < 2) {
+      throw new Error('A comparison needs at least two stocks');
+    }
+
+    for (const entry of entries.filter(item => item.input)) {
+      const validation = validateInput(entry.input);
+      if (!validation.success) {
+        throw new Error(`Input validation failed for ${entry.symbol}:\n${validation.errors.join('\n')}`);
+      }
+    }
+
+    if (analyze) {
+      await analyzeEntries(entries, { provider: this.provider, history: this.history, mode: this.mode, concurrency });
+    }
+
+    const comparison = buildComparison(entries, { weights });
+    comparison.narrative = null;
+    comparison.narrativeError = null;
+
+    if (narrative) {
+      console.log('🤖 Writing comparative narrative...');
+      try {
+        comparison.narrative = await this.narrate(comparison, entries);
+        console.log('✅ Narrative written\n');
+      } catch (error) {
+        console.warn(`⚠️  Comparative narrative failed: ${error.message}`);
+        comparison.narrativeError = error.message;
+      }
+    }
+
+    return comparison;
+  }
+
+  /**
+   * Build the narrative prompt: the comparison tables plus each stock's
+   * input data and report verdict, and nothing else
+   * @param {Object} comparison - buildComparison result
+   * @param {Array<Object>} entries - Comparison entries
+   * @returns {string} - Full prompt
+   */
+  buildNarrativePrompt(comparison, entries) {
+    const { stocks, rankings, pillars, headToHead } = comparison;
+    const stockData = entries.map(entry => ({
+      symbol: entry.symbol,
+      recommendation: entry.report?.recommendation ?? null,
+      data: entry.input
+    }));
+
+    const prompt = formatPrompt(COMPARISON_PROMPT, {
+      comparison: JSON.stringify({ stocks, rankings, pillars, headToHead }, null, 2),
+      stocks: JSON.stringify(stockData, null, 2)
+    });
+    return `${SYSTEM_PROMPT}\n\n${prompt}`;
+  }
+
+  /**
+   * Ask the model to explain a comparison. Matchups that name stocks outside
+   * the comparison, or contradict the deterministic ranking, are dropped and
+   * listed in `issues`.
+   * @param {Object} comparison - buildComparison result
+   * @param {Array<Object>} entries - Comparison entries
+   * @returns {Promise<Object>} - { summary, matchups: [{ winner, loser, explanation }], issues }
+   */
+  async narrate(comparison, entries) {
+    const response = await generateJson(this.provider, this.buildNarrativePrompt(comparison, entries), COMPARISON_RESPONSE_SCHEMA);
+    const validation = validateComparisonNarrative(response);
+    if (!validation.success) {
+      throw new Error(`Invalid comparative narrative: ${validation.errors.join('; ')}`);
+    }
+
+    const rank = Object.fromEntries(comparison.rankings.deterministic.map(row => [row.symbol, row.rank]));
+    const issues = [];
+    const matchups = response.matchups.filter(matchup => {
+      if (!(matchup.winner in rank) || !(matchup.loser in rank)) {
+        issues.push(`Matchup ${matchup.winner} vs ${matchup.loser} names a stock outside the comparison`);
+        return false;
+      }
+      if (rank[matchup.winner] > rank[matchup.loser]) {
+        issues.push(`Matchup says ${matchup.winner} beats ${matchup.loser}, but it ranks lower`);
+        return false;
+      }
+      return true;
+    });
+
+    return { summary: response.summary, matchups, issues };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Typed errors and error classification for model calls
+ */
+
+/**
+ * Raised when a model response cannot be turned into the expected JSON.
+ *
+ * Codes:
+ * - EMPTY: the model returned no text
+ * - TRUNCATED: output stopped early (token limit or unbalanced JSON)
+ * - INVALID_JSON: text was returned but is not valid JSON
+ */
+export class ModelResponseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - One of EMPTY, TRUNCATED, INVALID_JSON
+   * @param {string} details.raw - Raw response text, if any
+   * @param {string} details.finishReason - Provider finish reason, if known
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { code, raw = null, finishReason = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ModelResponseError';
+    this.code = code;
+    this.raw = raw;
+    this.finishReason = finishReason;
+    // The same prompt will fail the same way at the same token budget
+    this.retryable = code !== 'TRUNCATED';
+  }
+}
+
+/**
+ * Check whether an error is a provider quota / rate-limit rejection
+ * (HTTP 429, Gemini RESOURCE_EXHAUSTED)
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} - Whether the error is a quota error
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  if (error.status === 429) return true;
+  return /\b429\b|RESOURCE_EXHAUSTED|quota exceeded|rate limit/i.test(error.message || '');
+}
+
+/**
+ * Read how long a quota error asks callers to wait: `retryAfterMs`
+ * (Retry-After header), Gemini's RetryInfo `retryDelay` ("37s"), or a
+ * "retry in 37.5s" hint in the message
+ * @param {Error} error - Quota error
+ * @returns {number} - Delay in ms, or 0 if the error does not say
+ */
+export function quotaRetryDelay(error) {
+  if (Number.isFinite(error?.retryAfterMs)) return error.retryAfterMs;
+
+  const retryInfo = (error?.errorDetails || []).find(detail => detail?.retryDelay);
+  const hint = retryInfo?.retryDelay || (error?.message || '').match(/retry in ([\d.]+)\s*s/i)?.[1];
+  const seconds = parseFloat(hint);
+
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : 0;
+}
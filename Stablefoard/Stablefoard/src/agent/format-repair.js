@@ -0,0 +1,76 @@
+/**
+ * Format repair: ask the model to compress the sections that break the
+ * bullet-format contract, leaving the rest of the report untouched
+ */
+
+import { generateJson, formatPrompt } from './gemini-client.js';
+import { SYSTEM_PROMPT, FORMAT_PROMPT } from '../config/prompts.js';
+import { CONFIG } from '../config/settings.js';
+import { checkFormat } from '../utils/format.js';
+import { sectionsResponseSchema, validateSections } from '../utils/validators.js';
+
+/**
+ * Build the prompt that compresses the failing sections
+ * @param {Object} report - Report
+ * @param {Object} check - checkFormat result
+ * @returns {string} - Full prompt
+ */
+export function buildFormatPrompt(report, check) {
+  const sections = check.failingSections;
+  const violations = sections.map(section => {
+    const messages = check.violations.filter(violation => violation.section === section).map(violation => violation.message);
+    return `- ${section}: ${messages.join('; ')}`;
+  });
+  const current = Object.fromEntries(sections.map(section => [section, report[section]]));
+  current.citations = Object.fromEntries(sections.map(section => [section, report.citations?.[section] ?? []]));
+
+  const prompt = formatPrompt(FORMAT_PROMPT, {
+    violations: violations.join('\n'),
+    sections: JSON.stringify(current, null, 2)
+  });
+  return `${SYSTEM_PROMPT}\n\n${prompt}`;
+}
+
+/**
+ * Compress the sections that break the bullet format. A section is only
+ * replaced when the rewrite follows the format and still passes output
+ * validation; a failed call keeps the report as it was.
+ * @param {Object} provider - LLM provider
+ * @param {Object} report - Parsed report
+ * @param {Object} options - { repair (default: CONFIG.format.repair), signal }
+ * @returns {Promise<Object>} - { report, repaired: [section], error }
+ */
+export async function repairFormat(provider, report, options = {}) {
+  const { repair = CONFIG.format.repair, signal } = options;
+  const check = checkFormat(report);
+  if (check.valid || !repair) {
+    return { report, repaired: [], error: null };
+  }
+
+  const sections = check.failingSections;
+  console.log(`✂️  Compressing sections that break the bullet format: ${sections.join(', ')}...`);
+  let response;
+  try {
+    response = await generateJson(provider, buildFormatPrompt(report, check), sectionsResponseSchema(sections), signal);
+  } catch (error) {
+    // A cancelled analysis must stop, not carry on with the unrepaired report
+    if (signal?.aborted) throw error;
+    console.warn('⚠️  Format repair failed:', error.message);
+    return { report, repaired: [], error: error.message };
+  }
+
+  const patched = { ...report, citations: { ...report.citations } };
+  const repaired = [];
+  for (const section of sections) {
+    const rewrite = response[section];
+    const usable = typeof rewrite === 'string'
+      && checkFormat({ [section]: rewrite }).valid
+      && validateSections({ [section]: rewrite }, [section]).success;
+    if (!usable) continue;
+    patched[section] = rewrite;
+    // Old citations point at the old bullets
+    patched.citations[section] = response.citations?.[section];
+    repaired.push(section);
+  }
+  return { report: patched, repaired, error: null };
+}
@@ -1,22 +1,27 @@
 /**
- * Google Gemini API client integration
+ * Google Gemini API client integration and shared model-call helpers
  */
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { CONFIG } from '../config/settings.js';
+import { SYSTEM_PROMPT, ANALYSIS_PROMPT } from '../config/prompts.js';
+import { REPORT_RESPONSE_SCHEMA } from '../utils/validators.js';
+import { computePeerAnalytics, formatPeerSummary } from '../utils/peer-analytics.js';
+import { ModelResponseError, isQuotaError, quotaRetryDelay } from './errors.js';
 
 /**
  * Create and configure Gemini LLM instance
+ * @param {string} modelName - Gemini model name (default: CONFIG.geminiModel)
  * @returns {Object} - Configured Gemini model
  */
-export function createGeminiModel() {
+export function createGeminiModel(modelName = CONFIG.geminiModel) {
   if (!CONFIG.googleApiKey) {
     throw new Error('Google API key is not configured. Please set GOOGLE_API_KEY in your .env file.');
   }
 
   const genAI = new GoogleGenerativeAI(CONFIG.googleApiKey);
   return genAI.getGenerativeModel({ 
-    model: CONFIG.geminiModel,
+    model: modelName,
     generationConfig: {
       temperature: CONFIG.temperature,
       maxOutputTokens: CONFIG.maxOutputTokens,
@@ -27,55 +32,42 @@ export function createGeminiModel() {
 }
 
 /**
- * Invoke Gemini model with retry logic
- * @param {Object} model - Gemini model instance
+ * Invoke an LLM provider with retry logic
+ * @param {Object} provider - LLM provider (see src/agent/providers)
  * @param {string} prompt - Prompt to send
  * @param {number} retries - Number of retries on failure
+ * @param {Object} options - Generation options passed to the provider (e.g. responseSchema); `signal` is kept back and stops further attempts once aborted
  * @returns {Promise<string>} - Model response
  */
-export async function invokeWithRetry(model, prompt, retries = CONFIG.maxRetries) {
-  // In mock mode we bypass the API entirely and return a fixed JSON
-  // string that matches the expected output schema. This lets you run
-  // and test the software (including the frontend) without consuming
-  // Gemini quota or even having network access.
-  if (CONFIG.mockMode) {
-    return JSON.stringify({
-      overallScore: 70,
-      recommendation: "Watchlist",
-      financialHealth: "The company exhibits a mixed financial health profile. Strengths include a Free Cash Flow Yield of 3%, which surpasses the >2% threshold, and a Return on Invested Capital (ROIC) of 11%, exceeding the >10% benchmark, both indicating efficient capital utilization and cash generation. However, a significant weakness is the Net Debt/EBITDA ratio of 4x, which is considerably above the <2.5x threshold, suggesting elevated leverage and potential financial risk. Additionally, the 5-year Revenue Growth CAGR of 3.5% falls short of the >5% target, indicating slower top-line expansion. The Risk Sensitivity Alignment signals confirm these mixed results, with FCF Yield and ROIC passing, while Net Debt/EBITDA and Revenue Growth fail.",
-      valuation: "The stock appears to be overvalued relative to its sector, as indicated by its Forward P/E being 'Above' the sector median, failing the 'Below Sector Median' threshold. While specific P/E and EV/EBITDA figures for TBD are not provided, a comparison with peers reveals a range: Broadcom (AVGO) has a P/E of 20.4 and EV/EBITDA of 15.8, Intel (INTC) stands at P/E 24.4 and EV/EBITDA 24.4, and Advanced Micro Device (AMD) at P/E 31.1 and EV/EBITDA 27.1. Given TBD's 'Above Sector' P/E, it suggests the stock is trading at a premium compared to many of its peers, implying it is likely overvalued at current levels.",
-      futureGrowth: "Future growth prospects appear challenged. The 5-year Revenue Growth CAGR of 3.5% is below the 5% threshold, indicating a sluggish historical growth trajectory. Furthermore, the Operating Leverage Trend is 'Negative', failing the 'Expanding' threshold, which suggests that the company is not effectively translating revenue growth into disproportionately higher operating income, potentially due to rising costs or inefficiencies. When compared to peers, TBD's 3.5% revenue growth significantly lags the EPS 3Y CAGR of AMD (26.7%), INTC (15.4%), and AVGO (7.3%). While the SIS/SSIS data provides Compounding Scores for peers (JD at 80, ETSY at 50), TBD's specific compounding score is not available, but its own growth metrics point to limited organic expansion.",
-      competitiveAdvantage: "The company exhibits mixed signals regarding its competitive advantage. A key strength is 'Significant' Insider Ownership/Buying, which passes its threshold, indicating strong alignment of management interests with shareholders and confidence in the company's future. However, the 'Negative' Relative Strength vs Sector, which fails the 'Positive' threshold, suggests the stock is underperforming its industry peers, potentially indicating a weakening competitive position or market perception. While direct performance metrics for TBD against peers are not provided, its significantly lower revenue growth (3.5% CAGR) compared to peers' EPS growth (e.g., AMD 26.7%, INTC 15.4%) further underscores a potential lag in market leadership or product innovation, challenging the presence of a strong, sustained competitive moat.",
-      managementQuality: "Management quality appears strong, as evidenced by an overall qualitative rating of 4.5. The 'Investment Process' and 'Valuation Approach' criteria both received a score of 4, indicating robust strategic planning and financial assessment capabilities. The 'Catalyst Recognition' score of 3, while slightly lower, still suggests a reasonable ability to identify and capitalize on market opportunities. Furthermore, the 'Significant' Insider Ownership/Buying metric, which passed its threshold, reinforces confidence in management, as their personal financial interests are closely tied to the company's success, aligning them with shareholder value creation.",
-      riskFactors: "Several risk factors warrant attention. Financial leverage is a concern, with Net Debt/EBITDA at 4x, significantly above the <2.5x threshold. Growth risks are highlighted by a 5-year Revenue Growth CAGR of 3.5% (below 5%) and a 'Negative' Operating Leverage Trend. Valuation risk is present as the Forward P/E is 'Above' the sector median. Technical risks include 'Negative' Relative Strength vs Sector. While TBD's specific Max Drawdown is not provided, peer data shows high drawdowns for JD (37%) and INTC (37.5%), indicating potential for significant price volatility. Beta values for peers range from 0.9 (AVGO) to 1.7 (AMD), suggesting that the sector can exhibit considerable market sensitivity, which could imply similar volatility for TBD.",
-      technicalTrend: "The technical trend presents a mixed picture. Positively, the stock is 'Above' its 200-day Moving Average, which is a bullish indicator. The Accumulation/Distribution Indicator is also 'Positive', suggesting buying interest. However, a significant concern is the 'Negative' Relative Strength vs Sector, indicating underperformance compared to its industry. While specific RSI and 50-DMA trends for TBD are not available, peer data shows RSI levels in a neutral range (AMD 54.6, INTC 57.3, AVGO 52.2) and mixed 50-DMA trends (AMD +2.3%, INTC +4.5%, AVGO -0.9%). Momentum scores for peers JD (46) and ETSY (10) are positive, but TBD's specific momentum is not provided, leaving its overall short-term price action outlook somewhat ambiguous despite the positive MA and accumulation signals.",
-      portfolioFit: "This stock is best suited for a balanced or quality-focused investor with a moderate to high-risk tolerance and a medium-to-long-term investment horizon. It is not ideal for pure growth investors due to its subdued revenue growth and negative operating leverage, nor for deep value investors given its 'Above Sector' P/E. Its strong Free Cash Flow Yield, Return on Invested Capital, and robust management quality suggest a company with underlying fundamental strength, which could appeal to investors seeking stable, albeit slower, compounding. However, the elevated debt levels and underperforming relative strength necessitate a careful assessment of its risk-adjusted return profile and a willingness to tolerate potential volatility.",
-      timeHorizon: "A medium to long-term time horizon is recommended for this investment. The current challenges in revenue growth and elevated debt levels suggest that short-term catalysts for significant price appreciation may be limited, as indicated by a 'Catalyst Recognition' score of 3. However, the company's strong fundamental resilience, demonstrated by its Free Cash Flow Yield and Return on Invested Capital, coupled with high-quality management and significant insider ownership, provides a foundation for potential long-term value creation. Investors should be prepared to hold the stock for several years to allow management to address growth and leverage concerns and for the market to potentially re-rate the stock based on improved operational performance.",
-      aiSummary: "TBD presents a complex investment profile with a blend of notable strengths and significant weaknesses. Key strengths include robust Free Cash Flow Yield (3%) and Return on Invested Capital (11%), strong qualitative management ratings (4.5 overall), and significant insider ownership, indicating sound operational efficiency and aligned leadership. Technically, it trades above its 200-day Moving Average with positive accumulation. However, the company faces critical challenges: high Net Debt/EBITDA (4x), sluggish 5-year Revenue Growth (3.5%), a negative Operating Leverage Trend, and a valuation that appears 'Above Sector' median. Its 'Negative' Relative Strength vs Sector also points to underperformance. The overall investment thesis suggests a fundamentally sound company with strong cash generation and management, but currently hampered by growth deceleration, elevated leverage, and a potentially stretched valuation. Critical decision factors for investors will revolve around management's ability to accelerate top-line growth and deleverage the balance sheet, while maintaining profitability. The mixed signals warrant a cautious approach, placing it on a 'Watchlist' rather than an immediate 'Buy'.",
-      finalVerdict: "TBD is a fundamentally solid but currently imbalanced opportunity that merits Watchlist status rather than an outright Buy. Its strengths in free cash flow generation, return on invested capital, and management quality provide a robust foundation, yet these positives are tempered by elevated leverage, subpar revenue growth, negative operating leverage, and valuation above sector norms. Until the company demonstrates tangible progress in accelerating top-line growth, improving operating efficiency, and reducing debt, the risk-reward profile remains skewed toward caution rather than aggressive accumulation."
-    });
-  }
-
+export async function invokeWithRetry(provider, prompt, retries = CONFIG.maxRetries, options = {}) {
+  const { signal, ...generateOptions } = options;
   let lastError;
   
   for (let attempt = 0; attempt < retries; attempt++) {
+    // A cancelled analysis makes no further model calls
+    signal?.throwIfAborted();
     try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response.text();
+      return await provider.generate(prompt, generateOptions);
     } catch (error) {
+      if (error.retryable === false) {
+        throw error;
+      }
       lastError = error;
       console.error(`Attempt ${attempt + 1} failed:`, error.message);
       
       if (attempt < retries - 1) {
-        const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
+        // Exponential backoff, stretched to whatever a quota error asks for
+        const quotaDelay = isQuotaError(error) ? quotaRetryDelay(error) : 0;
+        const waitTime = Math.max(Math.pow(2, attempt) * 1000, quotaDelay);
         console.log(`Retrying in ${waitTime}ms...`);
         await new Promise(resolve => setTimeout(resolve, waitTime));
       }
     }
   }
   
-  throw new Error(`Failed after ${retries} attempts: ${lastError.message}`);
+  // Keep the typed error (code, raw, status, retryAfterMs) for callers
+  lastError.message = `Failed after ${retries} attempts: ${lastError.message}`;
+  throw lastError;
 }
 
 /**
@@ -133,10 +125,92 @@ export function parseJsonResponse(response) {
     }
     
     console.error('Failed to parse JSON response. First 500 chars:', cleanedResponse.substring(0, 500));
-    throw new Error(`Invalid JSON response from model: ${error.message}`);
+    throw new ModelResponseError(`Invalid JSON response from model: ${error.message}`, {
+      code: cleanedResponse === '' ? 'EMPTY' : isTruncatedJson(cleanedResponse) ? 'TRUNCATED' : 'INVALID_JSON',
+      raw: response,
+      cause: error
+    });
   }
 }
 
+/**
+ * Check whether text opens a JSON object that is never closed
+ * @param {string} text - Candidate JSON text
+ * @returns {boolean} - True if an object or string is left open
+ */
+function isTruncatedJson(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return false;
+
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    }
+  }
+
+  return inString || depth > 0;
+}
+
+/**
+ * Whether structured output should be requested from a provider
+ * @param {Object} provider - LLM provider
+ * @returns {boolean} - True if enabled in CONFIG and supported by the provider
+ */
+export function usesStructuredOutput(provider) {
+  return CONFIG.structuredOutput && Boolean(provider.supportsStructuredOutput);
+}
+
+/**
+ * Parse a structured-output response, which must be exactly one JSON value
+ * @param {string} raw - Raw response text
+ * @returns {Object} - Parsed JSON object
+ */
+export function parseStructuredResponse(raw) {
+  if (!raw || raw.trim() === '') {
+    throw new ModelResponseError('Model returned an empty structured response', { code: 'EMPTY', raw });
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new ModelResponseError(`Invalid JSON response from model: ${error.message}`, {
+      code: isTruncatedJson(raw) ? 'TRUNCATED' : 'INVALID_JSON',
+      raw,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Generate a JSON object from the model. Providers that support structured
+ * output receive the JSON schema and must return JSON matching it; other
+ * providers fall back to free-text parsing with parseJsonResponse.
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - Prompt to send
+ * @param {Object} schema - JSON schema of the expected object
+ * @param {AbortSignal} signal - Cancels the call before it is sent (optional)
+ * @returns {Promise<Object>} - Parsed object
+ */
+export async function generateJson(provider, prompt, schema, signal) {
+  if (!schema || !usesStructuredOutput(provider)) {
+    return parseJsonResponse(await invokeWithRetry(provider, prompt, CONFIG.maxRetries, { signal }));
+  }
+
+  const raw = await invokeWithRetry(provider, prompt, CONFIG.maxRetries, { responseSchema: schema, signal });
+  return parseStructuredResponse(raw);
+}
+
 /**
  * Format prompt with data
  * @param {string} template - Prompt template
@@ -155,3 +229,21 @@ export function formatPrompt(template, data) {
   return formatted;
 }
 
+/**
+ * Build the analysis request sent to a provider: the full prompt and the
+ * generation options (the report schema when structured output is used)
+ * @param {Object} provider - LLM provider
+ * @param {Object} inputData - Stock data
+ * @returns {Object} - { prompt, options }
+ */
+export function buildAnalysisRequest(provider, inputData) {
+  const analysisPrompt = formatPrompt(ANALYSIS_PROMPT, {
+    input_data: JSON.stringify(inputData, null, 2),
+    peer_summary: formatPeerSummary(computePeerAnalytics(inputData.peerComparison))
+  });
+
+  return {
+    prompt: `${SYSTEM_PROMPT}\n\n${analysisPrompt}`,
+    options: usesStructuredOutput(provider) ? { responseSchema: REPORT_RESPONSE_SCHEMA } : {}
+  };
+}
@@ -3,10 +3,47 @@
  * Creates a stateful graph-based workflow
  */
 
+import { EventEmitter, setMaxListeners } from 'events';
 import { StateGraph, END } from '@langchain/langgraph';
-import { createGeminiModel, invokeWithRetry, parseJsonResponse, formatPrompt } from './gemini-client.js';
-import { SYSTEM_PROMPT, ANALYSIS_PROMPT, VALIDATION_PROMPT } from '../config/prompts.js';
-import { validateInput, validateOutput, extractKeyMetrics } from '../utils/validators.js';
+import { invokeWithRetry, parseJsonResponse, parseStructuredResponse, usesStructuredOutput, generateJson, formatPrompt } from './gemini-client.js';
+import { createProvider } from './providers/index.js';
+import { SECTION_GROUPS, groupForSection, buildSectionRequest } from './section-groups.js';
+import { SYSTEM_PROMPT, VALIDATION_PROMPT, REPAIR_PROMPT } from '../config/prompts.js';
+import { CONFIG } from '../config/settings.js';
+import {
+  validateInput,
+  validateSections,
+  validateReviewResult,
+  extractKeyMetrics,
+  REPORT_FIELDS,
+  REPORT_SECTIONS,
+  REVIEW_RESPONSE_SCHEMA,
+  sectionsResponseSchema
+} from '../utils/validators.js';
+import { computeDeterministicScore, reconcileScore } from '../utils/scoring.js';
+import { checkEvidence } from '../utils/evidence.js';
+import { checkGrounding, enforceGrounding } from '../utils/grounding.js';
+import { checkFormat, toBulletArrays } from '../utils/format.js';
+import { repairFormat } from './format-repair.js';
+import { applyRecommendationRules } from '../utils/recommendation.js';
+import { saveToHistory } from '../history/index.js';
+import { mapWithConcurrency, withTimeout } from '../utils/concurrency.js';
+
+// Most supersteps a run may take before LangGraph stops it
+const RECURSION_LIMIT = 25;
+
+/**
+ * Make room for the abort listeners of one run. LangGraph adds a listener
+ * per superstep to an AbortSignal it creates for the run (and removes them
+ * only on abort), on top of one per running node, so a run with retry or
+ * review rounds passes Node's default of 10 and prints a
+ * MaxListenersExceededWarning. That signal is never handed to us, so the
+ * default for new signals is raised instead; it is never lowered.
+ */
+function allowRunAbortListeners() {
+  const needed = RECURSION_LIMIT + SECTION_GROUPS.length;
+  if (EventEmitter.defaultMaxListeners < needed) setMaxListeners(needed);
+}
 
 /**
  * Define the state structure for the workflow
@@ -16,9 +53,16 @@ class AnalysisState {
     this.inputData = null;
     this.validatedInput = false;
     this.keyMetrics = null;
-    this.rawAnalysis = null;
+    this.scoring = null;
+    this.sectionDrafts = {};
+    this.sectionFailures = {};
+    this.sectionCitations = {};
+    this.sectionRetryRounds = 0;
     this.parsedReport = null;
+    this.formatRepair = null;
     this.validatedReport = false;
+    this.review = null;
+    this.reviewRounds = 0;
     this.finalReport = null;
     this.errors = [];
     this.step = 'init';
@@ -29,8 +73,14 @@ class AnalysisState {
  * Create LangGraph workflow for stock analysis
  */
 export class StockAnalysisWorkflow {
-  constructor() {
-    this.model = createGeminiModel();
+  /**
+   * @param {Object} options - Workflow options
+   * @param {Object} options.provider - LLM provider (default: createProvider())
+   * @param {Object} options.history - History store that persists every analysis (default: none)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createProvider();
+    this.history = options.history || null;
     this.graph = this.buildGraph();
   }
 
@@ -44,9 +94,17 @@ export class StockAnalysisWorkflow {
         inputData: (x, y) => y ?? x,
         validatedInput: (x, y) => y ?? x,
         keyMetrics: (x, y) => y ?? x,
-        rawAnalysis: (x, y) => y ?? x,
+        scoring: (x, y) => y ?? x,
+        // Section nodes run in parallel, so their results are merged
+        sectionDrafts: { value: (x, y) => ({ ...x, ...y }), default: () => ({}) },
+        sectionFailures: { value: (x, y) => ({ ...x, ...y }), default: () => ({}) },
+        sectionCitations: { value: (x, y) => ({ ...x, ...y }), default: () => ({}) },
+        sectionRetryRounds: (x, y) => y ?? x,
         parsedReport: (x, y) => y ?? x,
+        formatRepair: (x, y) => y ?? x,
         validatedReport: (x, y) => y ?? x,
+        review: (x, y) => y ?? x,
+        reviewRounds: (x, y) => y ?? x,
         finalReport: (x, y) => y ?? x,
         errors: (x, y) => [...(x || []), ...(y || [])],
         step: (x, y) => y ?? x
@@ -60,62 +118,214 @@ export class StockAnalysisWorkflow {
       if (!validation.success) {
         return { ...state, validatedInput: false, errors: [...state.errors, ...validation.errors], step: 'error' };
       }
+      if (validation.warnings.length > 0) {
+        console.warn('⚠️  Data-integrity warnings:', validation.warnings);
+      }
       return { ...state, validatedInput: true, step: 'parallel_processing' };
     });
 
-    // Node 2: Parallel Processing (Metrics + AI Analysis) - FASTEST METHOD
+    // Node 2: Parallel Processing (Metrics, then fan out to the section nodes)
     workflow.addNode('parallel_processing', async (state) => {
-      console.log('⚡ Node 2: Running Parallel Processing (Metrics + Analysis)...');
+      console.log('⚡ Node 2: Extracting metrics and fanning out to section nodes...');
+      return {
+        keyMetrics: extractKeyMetrics(state.inputData),
+        scoring: computeDeterministicScore(state.inputData),
+        step: 'generate_sections'
+      };
+    });
+
+    // Node 3: One node per section group, each with its own input slice
+    for (const group of SECTION_GROUPS) {
+      workflow.addNode(`section_${group.name}`, async (state, config) => {
+        console.log(`  🤖 Writing ${group.sections.join(', ')}...`);
+        return this.generateSections(state.inputData, group, group.sections, config?.signal);
+      });
+    }
+
+    // Node 4: Merge Sections (Join the section nodes; retry what failed)
+    workflow.addNode('merge_sections', async (state) => {
+      const failures = Object.entries(state.sectionFailures).filter(([, error]) => error);
+      if (failures.length === 0) {
+        console.log('🧩 Node 4: Merging sections...');
+        const parsedReport = Object.fromEntries(REPORT_FIELDS.map(field => [field, state.sectionDrafts[field]]));
+        parsedReport.citations = { ...state.sectionCitations };
+        return { parsedReport, step: 'format_report' };
+      }
+
+      if (state.sectionRetryRounds < CONFIG.sectionRetries) {
+        console.warn(`⚠️  Sections failed: ${failures.map(([section]) => section).join(', ')}`);
+        return { step: 'retry_sections' };
+      }
+      return {
+        errors: [...new Set(failures.map(([, error]) => error))],
+        step: 'error'
+      };
+    });
+
+    // Node 5: Retry Sections (Regenerate only the sections that failed)
+    workflow.addNode('retry_sections', async (state, config) => {
+      const failed = Object.keys(state.sectionFailures).filter(section => state.sectionFailures[section]);
+      console.log(`🔁 Node 5: Retrying sections: ${failed.join(', ')}...`);
 
+      const results = await Promise.all(SECTION_GROUPS
+        .map(group => [group, failed.filter(section => groupForSection(section) === group)])
+        .filter(([, sections]) => sections.length > 0)
+        .map(([group, sections]) => this.generateSections(state.inputData, group, sections, config?.signal)));
+
+      return {
+        sectionDrafts: Object.assign({}, ...results.map(result => result.sectionDrafts)),
+        sectionFailures: Object.assign({}, ...results.map(result => result.sectionFailures)),
+        sectionCitations: Object.assign({}, ...results.map(result => result.sectionCitations)),
+        sectionRetryRounds: state.sectionRetryRounds + 1,
+        step: 'merge_sections'
+      };
+    });
+
+    // Node 6: Format Report (Compress sections that break the bullet format)
+    workflow.addNode('format_report', async (state, config) => {
+      console.log('✂️  Node 6: Checking bullet format...');
+      const { report, repaired, error } = await repairFormat(this.provider, state.parsedReport, { signal: config?.signal });
+      return {
+        parsedReport: report,
+        formatRepair: { repaired, error },
+        step: 'review_report'
+      };
+    });
+
+    // Node 7: Review Report (Self-critique against the input)
+    workflow.addNode('review_report', async (state, config) => {
+      console.log(`🧐 Node 7: Reviewing report (round ${state.reviewRounds + 1})...`);
       try {
-        // Run both operations simultaneously for maximum speed
-        const [metrics, rawAnalysis] = await Promise.all([
-          // Task A: Extract Metrics (Cpu bound, fast)
-          (async () => {
-            console.log('  📊 Extracting metrics...');
-            return extractKeyMetrics(state.inputData);
-          })(),
-          // Task B: Generate Analysis (Network bound, slow)
-          (async () => {
-            console.log('  🤖 Generating AI analysis...');
-            const analysisPrompt = formatPrompt(ANALYSIS_PROMPT, {
-              input_data: JSON.stringify(state.inputData, null, 2)
-            });
-            const fullPrompt = `${SYSTEM_PROMPT}\n\n${analysisPrompt}`;
-            return await invokeWithRetry(this.model, fullPrompt);
-          })()
-        ]);
+        const reviewPrompt = formatPrompt(VALIDATION_PROMPT, {
+          input_data: JSON.stringify(state.inputData, null, 2),
+          report: JSON.stringify(state.parsedReport, null, 2)
+        });
+        const review = await generateJson(this.provider, `${SYSTEM_PROMPT}\n\n${reviewPrompt}`, REVIEW_RESPONSE_SCHEMA, config?.signal);
+
+        // A malformed review must not pass the report as valid
+        const validation = validateReviewResult(review);
+        if (!validation.success) {
+          throw new Error(`Invalid review response: ${validation.errors.join('; ')}`);
+        }
+
+        const { isValid, issues, confidence } = review;
+        const failingSections = review.failingSections.filter(section => REPORT_FIELDS.includes(section));
 
         return {
           ...state,
-          keyMetrics: metrics,
-          rawAnalysis: rawAnalysis,
-          step: 'parse_response'
+          validatedReport: isValid,
+          review: { isValid, issues, failingSections, confidence },
+          step: isValid ? 'enrich_report' : 'repair_report'
         };
       } catch (error) {
-        return { ...state, errors: [...state.errors, error.message], step: 'error' };
+        if (config?.signal?.aborted) throw error;
+        // A failed review should not discard an otherwise usable report
+        console.warn('⚠️  Review failed:', error.message);
+        return {
+          ...state,
+          validatedReport: false,
+          review: { isValid: false, issues: [`Review failed: ${error.message}`], failingSections: [], confidence: null },
+          step: 'enrich_report'
+        };
       }
     });
 
-    // Node 3: Parse Response
-    workflow.addNode('parse_response', async (state) => {
-      console.log('📝 Node 3: Parsing response...');
+    // Node 8: Repair Report (Regenerate only the failing sections)
+    workflow.addNode('repair_report', async (state, config) => {
+      const sections = state.review.failingSections;
+      console.log(`🔧 Node 8: Regenerating sections: ${sections.join(', ')}...`);
       try {
-        const parsed = parseJsonResponse(state.rawAnalysis);
-        return { ...state, parsedReport: parsed, step: 'enrich_report' };
+        const repairPrompt = formatPrompt(REPAIR_PROMPT, {
+          input_data: JSON.stringify(state.inputData, null, 2),
+          report: JSON.stringify(state.parsedReport, null, 2),
+          issues: state.review.issues.map(issue => `- ${issue}`).join('\n'),
+          sections: sections.join(', ')
+        });
+        const repaired = await generateJson(this.provider, `${SYSTEM_PROMPT}\n\n${repairPrompt}`, sectionsResponseSchema(sections), config?.signal);
+
+        const patch = {};
+        const citations = { ...state.parsedReport.citations };
+        for (const section of sections) {
+          if (repaired[section] !== undefined) {
+            patch[section] = repaired[section];
+            // Old citations point at the old bullets
+            citations[section] = repaired.citations?.[section];
+          }
+        }
+
+        return {
+          ...state,
+          parsedReport: { ...state.parsedReport, ...patch, citations },
+          reviewRounds: state.reviewRounds + 1,
+          step: 'review_report'
+        };
       } catch (error) {
-        return { ...state, errors: [...state.errors, `Parse error: ${error.message}`], step: 'error' };
+        if (config?.signal?.aborted) throw error;
+        console.warn('⚠️  Repair failed:', error.message);
+        return {
+          ...state,
+          review: { ...state.review, issues: [...state.review.issues, `Repair failed: ${error.message}`] },
+          reviewRounds: state.reviewRounds + 1,
+          step: 'enrich_report'
+        };
       }
     });
 
-    // Node 4: Enrich Report (Finalizing)
+    // Node 9: Enrich Report (Finalizing)
     workflow.addNode('enrich_report', async (state) => {
-      console.log('✨ Node 4: Finalizing report...');
-      // Return ONLY the parsed report from the AI, no extra metadata
-      return { ...state, finalReport: state.parsedReport, step: 'complete' };
+      console.log('✨ Node 9: Finalizing report...');
+      // Return the parsed report from the AI with its score reconciled
+      // against the deterministic score, its recommendation checked against
+      // that score, its evidence, grounding and format checks, plus the
+      // reviewer's verdict
+      let finalReport = reconcileScore(state.parsedReport, state.scoring);
+      finalReport = applyRecommendationRules(finalReport, state.inputData);
+      for (const override of finalReport.consistency?.overrides ?? []) {
+        console.warn(`⚖️  Recommendation ${override.from} -> ${override.to}${override.applied ? '' : ' (not applied)'}: ${override.reason}`);
+      }
+      for (const issue of finalReport.consistency?.wording ?? []) {
+        console.warn(`⚠️  ${issue.message}`);
+      }
+      finalReport.evidence = checkEvidence(finalReport, state.inputData);
+      if (finalReport.evidence.hallucinations.length > 0) {
+        console.warn(`⚠️  ${finalReport.evidence.hallucinations.length} figures are not supported by their citations`);
+      }
+      finalReport.grounding = checkGrounding(finalReport, state.inputData);
+      if (finalReport.grounding.unmatched.length > 0) {
+        console.warn(`⚠️  ${finalReport.grounding.unmatched.length} figures not found in the input (grounding ${finalReport.grounding.score}%)`);
+      }
+      // Strict grounding turns unmatched figures into a failed analysis
+      try {
+        enforceGrounding(finalReport.grounding);
+      } catch (error) {
+        return { errors: [error.message], step: 'error' };
+      }
+      // Review repairs run after the format check, so the final sections are checked again
+      const formatCheck = checkFormat(finalReport);
+      if (!formatCheck.valid) {
+        console.warn('⚠️  Sections still break the bullet format:', formatCheck.failingSections);
+      }
+      finalReport.formatting = {
+        valid: formatCheck.valid,
+        violations: formatCheck.violations,
+        repaired: state.formatRepair?.repaired ?? [],
+        error: state.formatRepair?.error ?? null
+      };
+      if (state.review) {
+        finalReport.review = {
+          isValid: state.review.isValid,
+          confidence: state.review.confidence,
+          unresolvedIssues: state.review.isValid ? [] : state.review.issues,
+          rounds: state.reviewRounds
+        };
+      }
+      if (CONFIG.format.sections === 'array') {
+        finalReport = toBulletArrays(finalReport);
+      }
+      return { ...state, finalReport, step: 'complete' };
     });
 
-    // Node 5: Error Handler
+    // Node 10: Error Handler
     workflow.addNode('error', async (state) => {
       console.error('❌ Workflow error:', state.errors);
       return {
@@ -133,38 +343,174 @@ export class StockAnalysisWorkflow {
       (state) => state.validatedInput ? 'parallel_processing' : 'error'
     );
 
-    workflow.addEdge('parallel_processing', 'parse_response');
-    workflow.addEdge('parse_response', 'enrich_report');
-    workflow.addEdge('enrich_report', END);
+    // Fan out to every section node; merge_sections runs once all have finished
+    const sectionNodes = SECTION_GROUPS.map(group => `section_${group.name}`);
+    for (const node of sectionNodes) {
+      workflow.addEdge('parallel_processing', node);
+    }
+    workflow.addEdge(sectionNodes, 'merge_sections');
+
+    workflow.addConditionalEdges(
+      'merge_sections',
+      (state) => state.step
+    );
+
+    workflow.addEdge('retry_sections', 'merge_sections');
+    workflow.addEdge('format_report', 'review_report');
+
+    workflow.addConditionalEdges(
+      'review_report',
+      (state) => {
+        const canRepair = state.step === 'repair_report'
+          && state.review.failingSections.length > 0
+          && state.reviewRounds < CONFIG.maxReviewRounds;
+        return canRepair ? 'repair_report' : 'enrich_report';
+      }
+    );
+
+    workflow.addConditionalEdges(
+      'repair_report',
+      (state) => state.step === 'review_report' ? 'review_report' : 'enrich_report'
+    );
+
+    workflow.addConditionalEdges(
+      'enrich_report',
+      (state) => state.step === 'error' ? 'error' : END
+    );
     workflow.addEdge('error', END);
 
     return workflow.compile();
   }
 
+  /**
+   * Generate some of a group's sections. Sections that fail (provider error,
+   * unparseable response, or content that fails validation) are reported in
+   * `sectionFailures`; the rest get `null` there, clearing earlier failures,
+   * and their citations go to `sectionCitations`.
+   * @param {Object} inputData - Stock data
+   * @param {Object} group - Section group
+   * @param {Array<string>} sections - Fields to write
+   * @param {AbortSignal} signal - Cancels the model call (optional)
+   * @returns {Promise<Object>} - { sectionDrafts, sectionFailures, sectionCitations } state update
+   */
+  async generateSections(inputData, group, sections, signal) {
+    const { prompt, options } = buildSectionRequest(this.provider, inputData, group, sections);
+    const failAll = message => ({
+      sectionDrafts: {},
+      sectionFailures: Object.fromEntries(sections.map(section => [section, message])),
+      sectionCitations: {}
+    });
+
+    let raw;
+    try {
+      raw = await invokeWithRetry(this.provider, prompt, CONFIG.maxRetries, { ...options, signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return failAll(error.message);
+    }
+
+    let parsed;
+    try {
+      parsed = usesStructuredOutput(this.provider) ? parseStructuredResponse(raw) : parseJsonResponse(raw);
+    } catch (error) {
+      const code = error.code ? ` (${error.code})` : '';
+      return failAll(`Parse error${code}: ${error.message}`);
+    }
+
+    const validation = validateSections(parsed, sections);
+    const update = { sectionDrafts: {}, sectionFailures: {}, sectionCitations: {} };
+    for (const section of sections) {
+      if (validation.failingSections.includes(section)) {
+        const errors = validation.errors.filter(error => error.startsWith(`${section}:`) || error.startsWith('response:'));
+        update.sectionFailures[section] = errors.join('; ');
+      } else {
+        update.sectionDrafts[section] = parsed[section];
+        update.sectionFailures[section] = null;
+        if (REPORT_SECTIONS.includes(section)) {
+          update.sectionCitations[section] = parsed.citations?.[section];
+        }
+      }
+    }
+    return update;
+  }
+
+  /**
+   * Build the initial graph state for an input
+   * @param {Object} inputData - Stock data
+   * @returns {Object} - Initial state
+   */
+  createInitialState(inputData) {
+    return { ...new AnalysisState(), inputData };
+  }
+
+  /**
+   * Dry run: validate the input and build the requests the section nodes
+   * would send, without calling the model. Review and repair prompts depend
+   * on the model's answer, and so does the format repair, so they are not included.
+   * @param {Object} inputData - Stock data
+   * @returns {Object} - { prompt (every section prompt, with headers), options, requests: [{ node, sections, prompt, options }], provider, model, keyMetrics, scoring }
+   */
+  preview(inputData) {
+    const validation = validateInput(inputData);
+    if (!validation.success) {
+      throw new Error(`Input validation failed:\n${validation.errors.join('\n')}`);
+    }
+
+    const requests = SECTION_GROUPS.map(group => {
+      const { prompt, options } = buildSectionRequest(this.provider, inputData, group);
+      return { node: `section_${group.name}`, sections: group.sections, prompt, options };
+    });
+
+    return {
+      prompt: requests.map(request => `===== ${request.node}: ${request.sections.join(', ')} =====\n\n${request.prompt}`).join('\n\n'),
+      options: requests[0].options,
+      requests,
+      provider: this.provider.name,
+      model: this.provider.model,
+      keyMetrics: extractKeyMetrics(inputData),
+      scoring: computeDeterministicScore(inputData)
+    };
+  }
+
+  /**
+   * Persist a completed report to the history store (error reports are skipped)
+   * @param {Object} inputData - Stock data
+   * @param {Object} report - Final report
+   * @param {number} startedAt - Start time in ms
+   */
+  async recordHistory(inputData, report, startedAt) {
+    if (!report || report.error) return;
+    await saveToHistory(this.history, {
+      input: inputData,
+      report,
+      mode: 'workflow',
+      provider: this.provider,
+      durationMs: Date.now() - startedAt
+    });
+  }
+
   /**
    * Execute workflow with input data
    * @param {Object} inputData - Stock data
+   * @param {Object} options - Execution options
+   * @param {AbortSignal} options.signal - Cancels the run: no further nodes or model calls, and no history record
    * @returns {Promise<Object>} - Final report
    */
-  async execute(inputData) {
+  async execute(inputData, options = {}) {
+    const { signal } = options;
     console.log('🚀 Starting LangGraph workflow execution...\n');
 
-    const initialState = {
-      inputData,
-      validatedInput: false,
-      keyMetrics: null,
-      rawAnalysis: null,
-      parsedReport: null,
-      validatedReport: false,
-      finalReport: null,
-      errors: [],
-      step: 'init'
-    };
+    const initialState = this.createInitialState(inputData);
+    const startedAt = Date.now();
 
     try {
-      const result = await this.graph.invoke(initialState);
+      allowRunAbortListeners();
+      const result = await this.graph.invoke(initialState, { signal, recursionLimit: RECURSION_LIMIT });
+      // A cancelled (e.g. timed-out) run has already been reported as failed
+      signal?.throwIfAborted();
 
       console.log('\n✅ Workflow completed successfully!\n');
+      await this.recordHistory(inputData, result.finalReport, startedAt);
 
       return result.finalReport;
     } catch (error) {
@@ -172,5 +518,92 @@ export class StockAnalysisWorkflow {
       throw error;
     }
   }
+
+  /**
+   * Execute the workflow for several stocks with bounded concurrency.
+   * Same options and result shape as StockAnalyzer.batchAnalyze.
+   * @param {Array<Object>} inputs - Array of stock data
+   * @param {Object} options - { concurrency, timeoutMs }
+   * @returns {Promise<Array<Object>>} - Array of { success, data | error, symbol }, in input order
+   */
+  async batchExecute(inputs, options = {}) {
+    const concurrency = options.concurrency || CONFIG.batchConcurrency;
+    const timeoutMs = options.timeoutMs ?? CONFIG.timeoutMs;
+
+    console.log(`\n🔄 Starting batch workflow for ${inputs.length} stocks (concurrency ${concurrency})...\n`);
+
+    const results = await mapWithConcurrency(inputs, concurrency, async (inputData) => {
+      const symbol = inputData?.stock?.symbol || 'Unknown';
+      try {
+        const report = await withTimeout(
+          signal => this.execute(inputData, { signal }),
+          timeoutMs,
+          `Analysis of ${symbol} timed out after ${timeoutMs}ms`
+        );
+        if (!report || report.error) {
+          return { success: false, error: (report?.errors || ['Analysis failed']).join('; '), symbol };
+        }
+        return { success: true, data: report, symbol };
+      } catch (error) {
+        console.error(`❌ Failed to analyze ${symbol}:`, error.message);
+        return { success: false, error: error.message, symbol };
+      }
+    });
+
+    console.log(`\n✅ Batch workflow complete: ${results.filter(r => r.success).length}/${inputs.length} successful\n`);
+
+    return results;
+  }
+
+  /**
+   * Execute workflow and yield progress events as each node finishes:
+   * - { type: 'node', node, next } when a node completes (next is the step it routed to)
+   * - { type: 'metrics', keyMetrics, scoring } once the metrics are computed
+   * - { type: 'section', section, content } when a report section is produced, compressed or repaired
+   * - { type: 'result', report } once, with the final report (or error report)
+   * @param {Object} inputData - Stock data
+   * @returns {AsyncGenerator<Object>} - Progress events
+   */
+  async *stream(inputData) {
+    console.log('🚀 Starting LangGraph workflow stream...\n');
+    const startedAt = Date.now();
+
+    allowRunAbortListeners();
+    const updates = await this.graph.stream(this.createInitialState(inputData), { streamMode: 'updates', recursionLimit: RECURSION_LIMIT });
+    let sections = {};
+    let finalReport = null;
+
+    for await (const chunk of updates) {
+      for (const [node, update] of Object.entries(chunk)) {
+        yield { type: 'node', node, next: update.step };
+
+        if (node === 'parallel_processing' && update.keyMetrics) {
+          yield { type: 'metrics', keyMetrics: update.keyMetrics, scoring: update.scoring };
+        }
+
+        // Later nodes carry the drafts along in their state; only the nodes that write sections report them
+        const writesSections = node.startsWith('section_') || node === 'retry_sections';
+        const rewritesSections = node === 'format_report' || node === 'repair_report';
+        const drafted = writesSections ? update.sectionDrafts : rewritesSections ? update.parsedReport : null;
+        if (drafted) {
+          for (const section of REPORT_SECTIONS) {
+            const content = drafted[section];
+            if (content !== undefined && content !== sections[section]) {
+              yield { type: 'section', section, content };
+            }
+          }
+          sections = { ...sections, ...drafted };
+        }
+
+        if (update.finalReport) {
+          finalReport = update.finalReport;
+        }
+      }
+    }
+
+    console.log('\n✅ Workflow stream completed!\n');
+    await this.recordHistory(inputData, finalReport, startedAt);
+    yield { type: 'result', report: finalReport };
+  }
 }
 
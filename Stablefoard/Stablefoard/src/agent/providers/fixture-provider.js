@@ -0,0 +1,113 @@
+/**
+ * Record/replay fixture providers
+ *
+ * RecordingProvider wraps a real provider and writes every response to
+ * `<dir>/<sha256(prompt)>.json`. ReplayProvider serves those files back
+ * and fails loudly when a prompt has not been recorded, so runs are
+ * deterministic and need no network.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG } from '../../config/settings.js';
+import { ensureDirectory } from '../../utils/file-handler.js';
+
+/**
+ * Hash a prompt into a fixture key
+ * @param {string} prompt - Prompt text
+ * @returns {string} - Hex SHA-256 digest
+ */
+export function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * Resolve the fixture file for a prompt
+ * @param {string} dir - Fixtures directory
+ * @param {string} prompt - Prompt text
+ * @returns {string} - Absolute fixture path
+ */
+function fixturePath(dir, prompt) {
+  return path.resolve(dir, `${hashPrompt(prompt)}.json`);
+}
+
+export class RecordingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} options.provider - Provider whose responses are recorded
+   * @param {string} options.dir - Fixtures directory (default: CONFIG.fixtures.dir)
+   */
+  constructor(options = {}) {
+    if (!options.provider) {
+      throw new Error('RecordingProvider requires a provider to record');
+    }
+    this.inner = options.provider;
+    this.name = `record:${this.inner.name}`;
+    this.model = this.inner.model;
+    this.supportsStructuredOutput = Boolean(this.inner.supportsStructuredOutput);
+    this.dir = options.dir || CONFIG.fixtures.dir;
+  }
+
+  /**
+   * Generate a completion with the wrapped provider and record it
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Generation options forwarded to the wrapped provider
+   * @returns {Promise<string>} - Model response text
+   */
+  async generate(prompt, options = {}) {
+    const response = await this.inner.generate(prompt, options);
+
+    await ensureDirectory(this.dir);
+    const fixture = {
+      hash: hashPrompt(prompt),
+      provider: this.inner.name,
+      model: this.inner.model,
+      recordedAt: new Date().toISOString(),
+      prompt,
+      response
+    };
+    await fs.writeFile(fixturePath(this.dir, prompt), JSON.stringify(fixture, null, 2), 'utf-8');
+
+    return response;
+  }
+}
+
+export class ReplayProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.dir - Fixtures directory (default: CONFIG.fixtures.dir)
+   */
+  constructor(options = {}) {
+    this.name = 'replay';
+    this.model = 'replay';
+    // Recorded responses may come from text-only providers, so always parse as text
+    this.supportsStructuredOutput = false;
+    this.dir = options.dir || CONFIG.fixtures.dir;
+  }
+
+  /**
+   * Serve the recorded response for a prompt
+   * @param {string} prompt - Prompt to look up
+   * @returns {Promise<string>} - Recorded response text
+   */
+  async generate(prompt) {
+    const file = fixturePath(this.dir, prompt);
+
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      const missing = new Error(
+        `No recorded fixture for prompt ${hashPrompt(prompt)} in ${this.dir}. ` +
+        'Re-record with FIXTURE_MODE=record.'
+      );
+      // Retrying cannot produce a fixture that does not exist
+      missing.retryable = false;
+      throw missing;
+    }
+
+    return JSON.parse(content).response;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Google Gemini provider
+ */
+
+import { createGeminiModel } from '../gemini-client.js';
+import { ModelResponseError } from '../errors.js';
+import { CONFIG } from '../../config/settings.js';
+
+/**
+ * Convert a plain JSON schema into Gemini's response schema dialect
+ * (enums need format: 'enum'; additionalProperties and bounds are not accepted)
+ * @param {Object} schema - JSON schema
+ * @returns {Object} - Gemini response schema
+ */
+export function toGeminiSchema(schema) {
+  const { additionalProperties, minimum, maximum, ...rest } = schema;
+
+  if (rest.enum) {
+    return { ...rest, format: 'enum' };
+  }
+  if (rest.properties) {
+    rest.properties = Object.fromEntries(
+      Object.entries(rest.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (rest.items) {
+    rest.items = toGeminiSchema(rest.items);
+  }
+  return rest;
+}
+
+export class GeminiProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Gemini model name (default: CONFIG.geminiModel)
+   */
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.model = options.model || CONFIG.geminiModel;
+    this.supportsStructuredOutput = true;
+    this.geminiModel = null;
+  }
+
+  /**
+   * Gemini model, created on first use so the provider (and the agents
+   * holding it) can be built without an API key
+   * @returns {Object} - Configured Gemini model
+   */
+  get client() {
+    if (!this.geminiModel) {
+      this.geminiModel = createGeminiModel(this.model);
+    }
+    return this.geminiModel;
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Generation options
+   * @param {Object} options.responseSchema - JSON schema the response must match
+   * @returns {Promise<string>} - Model response text
+   */
+  async generate(prompt, options = {}) {
+    let request = prompt;
+
+    if (options.responseSchema) {
+      // A per-request generationConfig replaces the model's, so merge them
+      request = {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          ...this.client.generationConfig,
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(options.responseSchema)
+        }
+      };
+    }
+
+    const result = await this.client.generateContent(request);
+    const response = await result.response;
+    const text = response.text();
+
+    if (response.candidates?.[0]?.finishReason === 'MAX_TOKENS') {
+      throw new ModelResponseError(`Gemini response truncated at ${CONFIG.maxOutputTokens} output tokens`, {
+        code: 'TRUNCATED',
+        raw: text,
+        finishReason: 'MAX_TOKENS'
+      });
+    }
+
+    return text;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * LLM provider registry
+ *
+ * A provider is any object with `name`, `model` and
+ * `async generate(prompt, options) => string`. Providers that set
+ * `supportsStructuredOutput` honour `options.responseSchema`.
+ */
+
+import { CONFIG } from '../../config/settings.js';
+import { GeminiProvider } from './gemini-provider.js';
+import { OpenAICompatibleProvider } from './openai-provider.js';
+import { MockProvider } from './mock-provider.js';
+import { RecordingProvider, ReplayProvider } from './fixture-provider.js';
+import { RateLimitedProvider } from './rate-limited-provider.js';
+import { RateLimiter } from '../../utils/rate-limiter.js';
+
+export const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+let sharedLimiter = null;
+
+/**
+ * Rate limiter shared by every provider created in this process, so
+ * concurrent analyses draw from one CONFIG.rateLimit budget
+ * @returns {RateLimiter} - Shared limiter
+ */
+export function getSharedRateLimiter() {
+  if (!sharedLimiter) {
+    sharedLimiter = new RateLimiter(CONFIG.rateLimit);
+  }
+  return sharedLimiter;
+}
+
+/**
+ * Create an LLM provider, honouring CONFIG.fixtures.mode: 'record' wraps the
+ * provider in a RecordingProvider, 'replay' serves recorded fixtures instead.
+ * When CONFIG.rateLimit sets a budget, calls go through the shared limiter.
+ * @param {string} name - Provider name (default: CONFIG.provider)
+ * @param {Object} options - Provider-specific options (options.limiter overrides the shared limiter)
+ * @returns {Object} - Provider instance
+ */
+export function createProvider(name = CONFIG.provider, options = {}) {
+  if (CONFIG.fixtures.mode === 'replay') {
+    return new ReplayProvider({ dir: CONFIG.fixtures.dir });
+  }
+
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  let provider = new Provider(options);
+
+  if (CONFIG.fixtures.mode === 'record') {
+    provider = new RecordingProvider({ provider, dir: CONFIG.fixtures.dir });
+  }
+
+  const limiter = options.limiter || getSharedRateLimiter();
+  if (limiter.enabled) {
+    provider = new RateLimitedProvider({ provider, limiter });
+  }
+  return provider;
+}
+
+export { GeminiProvider, OpenAICompatibleProvider, MockProvider, RecordingProvider, ReplayProvider, RateLimitedProvider };
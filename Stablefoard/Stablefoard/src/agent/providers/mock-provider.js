@@ -0,0 +1,66 @@
+/**
+ * Mock provider
+ *
+ * Returns fixed JSON strings that match the expected output schemas: an
+ * accepting review for the workflow's self-critique prompt, a narrative for
+ * the comparison prompt, a change summary for the diff prompt and the
+ * report for every other prompt. This lets you run and test the software
+ * (including the frontend) without consuming API quota or even having
+ * network access.
+ */
+
+const MOCK_REPORT = {
+  overallScore: 70,
+  recommendation: "Watchlist",
+  financialHealth: "• FCF yield of 3% and ROIC of 11% clear thresholds\n• Net Debt/EBITDA of 4x breaches the 2.5x limit\n• 5Y revenue CAGR of 3.5% misses the 5% target",
+  valuation: "• Forward P/E sits above the sector median\n• Peer P/E spans 20.4 (AVGO) to 31.1 (AMD)\n• Premium to peers suggests the stock is overvalued",
+  futureGrowth: "• 3.5% revenue CAGR trails the 5% growth threshold\n• Negative operating leverage erodes margin expansion\n• Lags peer EPS growth: AMD 26.7%, INTC 15.4%",
+  competitiveAdvantage: "• Significant insider ownership aligns management with shareholders\n• Negative relative strength signals a weakening market position\n• Slow growth versus peers questions the durability of the moat",
+  managementQuality: "• Qualitative rating of 4.5 signals strong management\n• Investment process and valuation approach both score 4\n• Catalyst recognition lags at 3",
+  riskFactors: "• Leverage at 4x Net Debt/EBITDA is the main risk\n• Peer drawdowns reach 37.5% (INTC)\n• Peer beta of 0.9 to 1.7 implies market sensitivity",
+  technicalTrend: "• Trades above its 200-day moving average\n• Positive accumulation but negative relative strength\n• Peer RSI between 52.2 and 57.3 is neutral",
+  portfolioFit: "• Suits balanced, quality-focused investors with moderate risk tolerance\n• Too slow for growth investors, too pricey for value\n• Cash generation supports steady but slower compounding",
+  timeHorizon: "• Medium to long term; near-term catalysts look limited\n• Deleveraging and growth recovery need several years\n• Cash flow and management quality support patient holding",
+  aiSummary: "• Strong cash generation: 3% FCF yield, 11% ROIC\n• Net Debt/EBITDA of 4x and 3.5% growth weigh heavily\n• Above-sector valuation and weak relative strength keep it on Watchlist",
+  finalVerdict: "• Solid fundamentals but imbalanced risk-reward: Watchlist, not Buy\n• Upgrade needs faster growth and lower debt"
+};
+
+// Self-critique for VALIDATION_PROMPT, which accepts the report
+const MOCK_REVIEW = {
+  isValid: true,
+  issues: [],
+  failingSections: [],
+  confidence: 90
+};
+
+// Narrative for COMPARISON_PROMPT; no matchups, since it cannot know the symbols
+const MOCK_COMPARISON = {
+  summary: "• Ranking follows the deterministic scores as given\n• Mock narrative: no model was called",
+  matchups: []
+};
+
+// Change summary for DIFF_PROMPT
+const MOCK_DIFF = {
+  whatChanged: "• See the metric and section changes listed above\n• Mock summary: no model was called",
+  whyItMatters: "• Review flipped metrics before acting on the new recommendation"
+};
+
+export class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.supportsStructuredOutput = false;
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Prompt to send
+   * @returns {Promise<string>} - Model response text
+   */
+  async generate(prompt) {
+    if (prompt.includes('GENERATED REPORT:')) return JSON.stringify(MOCK_REVIEW);
+    if (prompt.includes('Compare the following stocks')) return JSON.stringify(MOCK_COMPARISON);
+    if (prompt.includes('Explain what changed between two analyses')) return JSON.stringify(MOCK_DIFF);
+    return JSON.stringify(MOCK_REPORT);
+  }
+}
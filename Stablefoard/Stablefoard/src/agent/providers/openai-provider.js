@@ -0,0 +1,102 @@
+/**
+ * OpenAI-compatible chat completions provider
+ *
+ * Works with the OpenAI API and with local servers exposing the same
+ * /chat/completions endpoint (llama.cpp, vLLM, Ollama, LM Studio, ...).
+ */
+
+import { CONFIG } from '../../config/settings.js';
+import { ModelResponseError } from '../errors.js';
+
+/**
+ * Whether a base URL points at the OpenAI API itself. Many compatible
+ * servers reject or ignore json_schema response formats.
+ * @param {string} baseUrl - API base URL
+ * @returns {boolean} - True for api.openai.com
+ */
+function isOpenAIHost(baseUrl) {
+  try {
+    return new URL(baseUrl).hostname === 'api.openai.com';
+  } catch {
+    return false;
+  }
+}
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - API base URL (default: CONFIG.openai.baseUrl)
+   * @param {string} options.apiKey - Bearer token, optional for local servers (default: CONFIG.openai.apiKey)
+   * @param {string} options.model - Model name (default: CONFIG.openai.model)
+   * @param {boolean} options.structuredOutput - Whether the server accepts json_schema response formats
+   *   (default: CONFIG.openai.structuredOutput, or true only for api.openai.com)
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || CONFIG.openai.baseUrl).replace(/\/+$/, '');
+    this.apiKey = options.apiKey ?? CONFIG.openai.apiKey;
+    this.model = options.model || CONFIG.openai.model;
+    this.supportsStructuredOutput = options.structuredOutput ?? CONFIG.openai.structuredOutput ?? isOpenAIHost(this.baseUrl);
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Generation options
+   * @param {Object} options.responseSchema - JSON schema the response must match
+   * @returns {Promise<string>} - Model response text
+   */
+  async generate(prompt, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: CONFIG.temperature,
+      max_tokens: CONFIG.maxOutputTokens,
+      top_p: CONFIG.topP
+    };
+
+    if (options.responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: options.responseSchema, strict: true }
+      };
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible request failed with status ${response.status}: ${body.substring(0, 200)}`);
+      error.status = response.status;
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      if (Number.isFinite(retryAfter)) {
+        error.retryAfterMs = retryAfter * 1000;
+      }
+      throw error;
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    const content = choice?.message?.content;
+    if (typeof content !== 'string') {
+      throw new ModelResponseError('OpenAI-compatible response did not contain a message', { code: 'EMPTY' });
+    }
+    if (choice.finish_reason === 'length') {
+      throw new ModelResponseError(`Response truncated at ${CONFIG.maxOutputTokens} output tokens`, {
+        code: 'TRUNCATED',
+        raw: content,
+        finishReason: 'length'
+      });
+    }
+    return content;
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Rate-limited provider
+ *
+ * Wraps a provider so every call first waits for room in a shared
+ * RateLimiter. Quota errors pause the limiter, holding back every other
+ * caller until the provider's retry delay has passed.
+ */
+
+import { isQuotaError, quotaRetryDelay } from '../errors.js';
+import { estimateTokens } from '../../utils/rate-limiter.js';
+
+// Pause used when a quota error does not say how long to wait
+const DEFAULT_QUOTA_PAUSE_MS = 15000;
+
+export class RateLimitedProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} options.provider - Provider whose calls are limited
+   * @param {RateLimiter} options.limiter - Limiter shared by all callers
+   */
+  constructor(options = {}) {
+    if (!options.provider || !options.limiter) {
+      throw new Error('RateLimitedProvider requires a provider and a limiter');
+    }
+    this.inner = options.provider;
+    this.limiter = options.limiter;
+    this.name = this.inner.name;
+    this.model = this.inner.model;
+    this.supportsStructuredOutput = Boolean(this.inner.supportsStructuredOutput);
+  }
+
+  /**
+   * Wait for the rate limit, then generate with the wrapped provider
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Generation options forwarded to the wrapped provider
+   * @returns {Promise<string>} - Model response text
+   */
+  async generate(prompt, options = {}) {
+    await this.limiter.acquire(estimateTokens(prompt));
+
+    try {
+      const response = await this.inner.generate(prompt, options);
+      this.limiter.consume(estimateTokens(response));
+      return response;
+    } catch (error) {
+      if (isQuotaError(error)) {
+        const delay = quotaRetryDelay(error) || DEFAULT_QUOTA_PAUSE_MS;
+        console.warn(`⏳ ${this.name} quota exhausted, pausing model calls for ${delay}ms`);
+        this.limiter.pause(delay);
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Report section groups for the workflow's per-section generation
+ *
+ * Each group writes a few report fields from the slice of the input that
+ * bears on them: the quantitative pillars it needs, the SIS/SSIS metrics
+ * and peer metrics whose names match its patterns, and optionally the
+ * qualitative block. The synthesis group sees the whole input. Slices keep
+ * the input's layout and array indices, so the citation paths the model
+ * gives are paths into the full input.
+ */
+
+import { formatPrompt, usesStructuredOutput } from './gemini-client.js';
+import { SYSTEM_PROMPT, SECTION_PROMPT, SECTION_GUIDES } from '../config/prompts.js';
+import { sectionsResponseSchema } from '../utils/validators.js';
+import { computePeerAnalytics, formatPeerSummary } from '../utils/peer-analytics.js';
+
+export const SECTION_GROUPS = [
+  {
+    name: 'financial',
+    label: 'Financial health',
+    sections: ['financialHealth'],
+    quantitative: ['fundamentalResilience', 'riskSensitivityAlignment'],
+    scoredMetrics: /earnings quality|liquidity/i,
+    peerMetrics: /margin|roe|roic|debt|cash flow/i
+  },
+  {
+    name: 'valuation',
+    label: 'Valuation',
+    sections: ['valuation'],
+    quantitative: ['asymmetricRiskReward'],
+    scoredMetrics: /valuation/i,
+    peerMetrics: /p\/e|ev\/|p\/b|p\/s|peg|yield|valuation/i
+  },
+  {
+    name: 'growth',
+    label: 'Growth and moat',
+    sections: ['futureGrowth', 'competitiveAdvantage'],
+    quantitative: ['fundamentalResilience', 'asymmetricRiskReward', 'technicalConfirmation'],
+    scoredMetrics: /compounding|earnings quality/i,
+    peerMetrics: /cagr|growth|roe|roic|margin/i
+  },
+  {
+    name: 'management',
+    label: 'Management',
+    sections: ['managementQuality'],
+    quantitative: ['asymmetricRiskReward'],
+    qualitative: true
+  },
+  {
+    name: 'risk',
+    label: 'Risk factors',
+    sections: ['riskFactors'],
+    quantitative: ['fundamentalResilience', 'asymmetricRiskReward', 'technicalConfirmation'],
+    scoredMetrics: /drawdown|liquidity/i,
+    peerMetrics: /beta|drawdown|volatility/i
+  },
+  {
+    name: 'technical',
+    label: 'Technical trend',
+    sections: ['technicalTrend'],
+    quantitative: ['technicalConfirmation'],
+    scoredMetrics: /momentum/i,
+    peerMetrics: /rsi|dma|moving average|momentum/i
+  },
+  {
+    name: 'synthesis',
+    label: 'Score and verdict',
+    sections: ['overallScore', 'recommendation', 'portfolioFit', 'timeHorizon', 'aiSummary', 'finalVerdict'],
+    fullInput: true
+  }
+];
+
+/**
+ * Find the group that writes a report field
+ * @param {string} section - Report field name
+ * @returns {Object|undefined} - Section group
+ */
+export function groupForSection(section) {
+  return SECTION_GROUPS.find(group => group.sections.includes(section));
+}
+
+/**
+ * Keep the SIS/SSIS metrics whose names match a pattern. The others become
+ * null rather than being dropped, so the metric indices stay those of the input.
+ * @param {Array<Object>} stocks - sis.stocks or ssis.peers
+ * @param {RegExp} pattern - Metric name pattern
+ * @returns {Array<Object>} - Stocks with only the matching metrics
+ */
+function pickScoredMetrics(stocks, pattern) {
+  return stocks.map(({ metrics, ...stock }) => ({ ...stock, metrics: metrics.map(metric => (pattern.test(metric.name) ? metric : null)) }));
+}
+
+/**
+ * Keep the peer-table metrics whose names match a pattern
+ * @param {Object} peerComparison - { baseSymbol, peers }
+ * @param {RegExp} pattern - Metric name pattern
+ * @returns {Object} - Peer table with only the matching metrics
+ */
+function pickPeerMetrics(peerComparison, pattern) {
+  return {
+    baseSymbol: peerComparison.baseSymbol,
+    peers: peerComparison.peers.map(peer => ({
+      ...peer,
+      metrics: Object.fromEntries(Object.entries(peer.metrics).filter(([name]) => pattern.test(name)))
+    }))
+  };
+}
+
+/**
+ * The part of the input a group needs
+ * @param {Object} inputData - Stock data
+ * @param {Object} group - Section group
+ * @returns {Object} - Input slice
+ */
+export function sliceInput(inputData, group) {
+  if (group.fullInput) return inputData;
+
+  const slice = {
+    stock: inputData.stock,
+    quantitative: Object.fromEntries(group.quantitative.map(pillar => [pillar, inputData.quantitative[pillar]]))
+  };
+  if (group.scoredMetrics) {
+    slice.sis = { overall: inputData.sis.overall, stocks: pickScoredMetrics(inputData.sis.stocks, group.scoredMetrics) };
+    slice.ssis = { overall: inputData.ssis.overall, peers: pickScoredMetrics(inputData.ssis.peers, group.scoredMetrics) };
+  }
+  if (group.peerMetrics) {
+    slice.peerComparison = pickPeerMetrics(inputData.peerComparison, group.peerMetrics);
+  }
+  if (group.qualitative) {
+    slice.qualitative = inputData.qualitative;
+  }
+  return slice;
+}
+
+/**
+ * Peer analytics text for a group: every metric for the synthesis group,
+ * only the matching ones for the others
+ * @param {Object} inputData - Stock data
+ * @param {Object} group - Section group
+ * @returns {string} - Peer summary
+ */
+function peerSummaryFor(inputData, group) {
+  const analytics = computePeerAnalytics(inputData.peerComparison);
+  if (!group.fullInput) {
+    analytics.metrics = group.peerMetrics ? analytics.metrics.filter(metric => group.peerMetrics.test(metric.name)) : [];
+  }
+  return formatPeerSummary(analytics);
+}
+
+/**
+ * Build the request that generates some of a group's sections
+ * @param {Object} provider - LLM provider
+ * @param {Object} inputData - Stock data
+ * @param {Object} group - Section group
+ * @param {Array<string>} sections - Fields to write (default: all of the group's)
+ * @returns {Object} - { prompt, options, schema }
+ */
+export function buildSectionRequest(provider, inputData, group, sections = group.sections) {
+  const sectionPrompt = formatPrompt(SECTION_PROMPT, {
+    symbol: inputData.stock.symbol,
+    name: inputData.stock.name,
+    asOf: inputData.stock.asOf,
+    section_guide: sections.map(section => `- ${section}: ${SECTION_GUIDES[section]}`).join('\n'),
+    input_data: JSON.stringify(sliceInput(inputData, group), null, 2),
+    peer_summary: peerSummaryFor(inputData, group),
+    sections: sections.join(', ')
+  });
+
+  const schema = sectionsResponseSchema(sections);
+  return {
+    prompt: `${SYSTEM_PROMPT}\n\n${sectionPrompt}`,
+    options: usesStructuredOutput(provider) ? { responseSchema: schema } : {},
+    schema
+  };
+}
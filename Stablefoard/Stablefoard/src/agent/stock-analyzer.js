@@ -2,26 +2,46 @@
  * Stock Analysis Agent - Core logic
  */
 
-import { createGeminiModel, invokeWithRetry, parseJsonResponse, formatPrompt } from './gemini-client.js';
-import { SYSTEM_PROMPT, ANALYSIS_PROMPT, VALIDATION_PROMPT } from '../config/prompts.js';
+import { invokeWithRetry, parseJsonResponse, parseStructuredResponse, usesStructuredOutput, buildAnalysisRequest } from './gemini-client.js';
+import { CONFIG } from '../config/settings.js';
+import { createProvider } from './providers/index.js';
+import { VALIDATION_PROMPT } from '../config/prompts.js';
 import { validateInput, validateOutput, extractKeyMetrics } from '../utils/validators.js';
+import { computeDeterministicScore, reconcileScore } from '../utils/scoring.js';
+import { checkEvidence } from '../utils/evidence.js';
+import { checkGrounding, enforceGrounding } from '../utils/grounding.js';
+import { checkFormat, toBulletArrays } from '../utils/format.js';
+import { repairFormat } from './format-repair.js';
+import { applyRecommendationRules } from '../utils/recommendation.js';
+import { saveToHistory, summarizeHistory } from '../history/index.js';
+import { mapWithConcurrency, withTimeout } from '../utils/concurrency.js';
 
 /**
  * Stock Analysis Agent Class
  */
 export class StockAnalyzer {
-  constructor() {
-    this.model = createGeminiModel();
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {Object} options.provider - LLM provider (default: createProvider())
+   * @param {Object} options.history - History store that persists every analysis (default: none)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createProvider();
+    this.history = options.history || null;
     this.analysisHistory = [];
   }
 
   /**
    * Analyze stock data and generate report
    * @param {Object} inputData - Stock data in JSON format
+   * @param {Object} options - Analysis options
+   * @param {AbortSignal} options.signal - Cancels the analysis: no further model calls and no history record
    * @returns {Promise<Object>} - Analysis report
    */
-  async analyze(inputData) {
+  async analyze(inputData, options = {}) {
+    const { signal } = options;
     console.log('🔍 Starting stock analysis...\n');
+    const startedAt = Date.now();
 
     // Step 1: Validate input
     console.log('📊 Step 1: Validating input data...');
@@ -30,6 +50,9 @@ export class StockAnalyzer {
     if (!inputValidation.success) {
       throw new Error(`Input validation failed:\n${inputValidation.errors.join('\n')}`);
     }
+    if (inputValidation.warnings.length > 0) {
+      console.warn('⚠️  Data-integrity warnings:', inputValidation.warnings);
+    }
     console.log('✅ Input validation passed\n');
 
     // Step 2: Extract key metrics
@@ -39,26 +62,26 @@ export class StockAnalyzer {
     console.log(`   - Pass rate: ${keyMetrics.passRate}%`);
     console.log(`   - SIS Score: ${keyMetrics.sisScore}`);
     console.log(`   - SSIS Score: ${keyMetrics.ssisScore}`);
-    console.log(`   - Qualitative Rating: ${keyMetrics.qualitativeRating}/5\n`);
+    console.log(`   - Qualitative Rating: ${keyMetrics.qualitativeRating}/5`);
+    const scoring = computeDeterministicScore(inputData);
+    console.log(`   - Deterministic Score: ${scoring.score}/100\n`);
 
     // Step 3: Generate analysis
     console.log('🤖 Step 3: Generating AI analysis...');
-    const analysisPrompt = formatPrompt(ANALYSIS_PROMPT, {
-      input_data: JSON.stringify(inputData, null, 2)
-    });
-
-    const fullPrompt = `${SYSTEM_PROMPT}\n\n${analysisPrompt}`;
-    const rawResponse = await invokeWithRetry(this.model, fullPrompt);
+    const request = buildAnalysisRequest(this.provider, inputData);
+    const structured = usesStructuredOutput(this.provider);
+    const rawResponse = await invokeWithRetry(this.provider, request.prompt, CONFIG.maxRetries, { ...request.options, signal });
     console.log('✅ Analysis generated\n');
 
     // Step 4: Parse response
     console.log('📝 Step 4: Parsing response...');
     let report;
     try {
-      report = parseJsonResponse(rawResponse);
+      report = structured ? parseStructuredResponse(rawResponse) : parseJsonResponse(rawResponse);
     } catch (error) {
-      console.error('Failed to parse response, attempting recovery...');
-      throw new Error(`Failed to generate valid JSON report: ${error.message}`);
+      // Keep the typed ModelResponseError (code, raw) for callers
+      error.message = `Failed to generate valid JSON report: ${error.message}`;
+      throw error;
     }
     console.log('✅ Response parsed successfully\n');
 
@@ -73,12 +96,57 @@ export class StockAnalyzer {
       console.log('✅ Output validation passed\n');
     }
 
+    // Step 6: Enforce the bullet format
+    console.log('✂️  Step 6: Checking bullet format...');
+    const formatRepair = await repairFormat(this.provider, report, { signal });
+    report = formatRepair.report;
+    const formatCheck = checkFormat(report);
+    if (formatCheck.valid) {
+      console.log('✅ Bullet format followed\n');
+    } else {
+      console.warn('⚠️  Sections still break the bullet format:', formatCheck.failingSections);
+    }
+
+    report = reconcileScore(report, scoring);
+    if (report.scoring.divergent) {
+      console.warn(`⚠️  Model score ${report.scoring.llmScore} diverges from deterministic score ${report.scoring.deterministicScore}`);
+    }
+
+    report = applyRecommendationRules(report, inputData);
+    for (const override of report.consistency?.overrides ?? []) {
+      console.warn(`⚖️  Recommendation ${override.from} -> ${override.to}${override.applied ? '' : ' (not applied)'}: ${override.reason}`);
+    }
+    for (const issue of report.consistency?.wording ?? []) {
+      console.warn(`⚠️  ${issue.message}`);
+    }
+
+    report.evidence = checkEvidence(report, inputData);
+    console.log(`🔗 Citations: ${report.evidence.citedBullets}/${report.evidence.bullets} bullets cited`);
+    if (report.evidence.hallucinations.length > 0) {
+      console.warn(`⚠️  ${report.evidence.hallucinations.length} figures are not supported by their citations:`,
+        report.evidence.hallucinations.map(item => `${item.section}: ${item.figure}`));
+    }
+
+    report.grounding = checkGrounding(report, inputData);
+    console.log(`🎯 Grounding: ${report.grounding.matched}/${report.grounding.figures} figures found in the input (${report.grounding.score}%)`);
+    if (report.grounding.unmatched.length > 0) {
+      console.warn('⚠️  Figures not found in the input:', report.grounding.unmatched.map(item => `${item.section}: ${item.figure}`));
+    }
+    enforceGrounding(report.grounding);
+
+    report.formatting = { valid: formatCheck.valid, violations: formatCheck.violations, repaired: formatRepair.repaired, error: formatRepair.error };
+    if (CONFIG.format.sections === 'array') {
+      report = toBulletArrays(report);
+    }
 
-    // Step 6: Return final report
+    // Step 7: Return final report
     console.log('✅ Analysis complete!\n');
     console.log(`📊 Overall Score: ${report.overallScore}/100`);
     console.log(`💡 Recommendation: ${report.recommendation}\n`);
 
+    // A cancelled (e.g. timed-out) analysis has already been reported as failed
+    signal?.throwIfAborted();
+
     // Store in history
     this.analysisHistory.push({
       timestamp: new Date().toISOString(),
@@ -86,49 +154,80 @@ export class StockAnalyzer {
       recommendation: report.recommendation,
       score: report.overallScore
     });
+    await saveToHistory(this.history, {
+      input: inputData,
+      report,
+      mode: 'simple',
+      provider: this.provider,
+      durationMs: Date.now() - startedAt
+    });
 
     return report;
 
   }
 
   /**
-   * Batch analyze multiple stocks
+   * Dry run: validate the input and build the exact analysis request
+   * without calling the model (no API key needed)
+   * @param {Object} inputData - Stock data in JSON format
+   * @returns {Object} - { prompt, options, provider, model, keyMetrics, scoring }
+   */
+  preview(inputData) {
+    const inputValidation = validateInput(inputData);
+    if (!inputValidation.success) {
+      throw new Error(`Input validation failed:\n${inputValidation.errors.join('\n')}`);
+    }
+
+    return {
+      ...buildAnalysisRequest(this.provider, inputData),
+      provider: this.provider.name,
+      model: this.provider.model,
+      keyMetrics: extractKeyMetrics(inputData),
+      scoring: computeDeterministicScore(inputData)
+    };
+  }
+
+  /**
+   * Batch analyze multiple stocks with bounded concurrency. Model calls
+   * share the provider's rate limit; results keep the input order.
    * @param {Array<Object>} stockDataArray - Array of stock data
-   * @returns {Promise<Array<Object>>} - Array of analysis reports
+   * @param {Object} options - Batch options
+   * @param {number} options.concurrency - Stocks analysed at once (default: CONFIG.batchConcurrency)
+   * @param {number} options.timeoutMs - Per-stock timeout, 0 to disable (default: CONFIG.timeoutMs)
+   * @returns {Promise<Array<Object>>} - Array of { success, data | error, symbol }
    */
-  async batchAnalyze(stockDataArray) {
-    console.log(`\n🔄 Starting batch analysis for ${stockDataArray.length} stocks...\n`);
+  async batchAnalyze(stockDataArray, options = {}) {
+    const concurrency = options.concurrency || CONFIG.batchConcurrency;
+    const timeoutMs = options.timeoutMs ?? CONFIG.timeoutMs;
+    const total = stockDataArray.length;
 
-    const results = [];
+    console.log(`\n🔄 Starting batch analysis for ${total} stocks (concurrency ${concurrency})...\n`);
 
-    for (let i = 0; i < stockDataArray.length; i++) {
-      console.log(`\n${'='.repeat(60)}`);
-      console.log(`Processing stock ${i + 1}/${stockDataArray.length}`);
-      console.log(`${'='.repeat(60)}\n`);
+    const results = await mapWithConcurrency(stockDataArray, concurrency, async (stockData, i) => {
+      const symbol = stockData?.stock?.symbol || 'Unknown';
+      console.log(`▶️  Processing stock ${i + 1}/${total}: ${symbol}`);
 
       try {
-        const result = await this.analyze(stockDataArray[i]);
-        results.push({
-          success: true,
-          data: result
-        });
+        const result = await withTimeout(
+          signal => this.analyze(stockData, { signal }),
+          timeoutMs,
+          `Analysis of ${symbol} timed out after ${timeoutMs}ms`
+        );
+        return { success: true, data: result, symbol };
       } catch (error) {
-        console.error(`❌ Failed to analyze stock ${i + 1}:`, error.message);
-        results.push({
-          success: false,
-          error: error.message,
-          symbol: stockDataArray[i]?.stock?.symbol || 'Unknown'
-        });
+        console.error(`❌ Failed to analyze stock ${i + 1} (${symbol}):`, error.message);
+        return { success: false, error: error.message, symbol };
       }
-    }
+    });
 
-    console.log(`\n✅ Batch analysis complete: ${results.filter(r => r.success).length}/${stockDataArray.length} successful\n`);
+    console.log(`\n✅ Batch analysis complete: ${results.filter(r => r.success).length}/${total} successful\n`);
 
     return results;
   }
 
   /**
-   * Get analysis history
+   * Get analysis history for this instance. Use the history store's
+   * query() for analyses from earlier runs.
    * @returns {Array} - History of analyses
    */
   getHistory() {
@@ -140,24 +239,7 @@ export class StockAnalyzer {
    * @returns {Object} - Summary statistics
    */
   getSummaryStats() {
-    if (this.analysisHistory.length === 0) {
-      return { message: 'No analyses performed yet' };
-    }
-
-    const recommendations = this.analysisHistory.reduce((acc, item) => {
-      acc[item.recommendation] = (acc[item.recommendation] || 0) + 1;
-      return acc;
-    }, {});
-
-    const scores = this.analysisHistory.map(item => item.score);
-    const avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
-
-    return {
-      totalAnalyses: this.analysisHistory.length,
-      averageScore: avgScore.toFixed(2),
-      recommendations,
-      latestAnalysis: this.analysisHistory[this.analysisHistory.length - 1]
-    };
+    return summarizeHistory(this.analysisHistory);
   }
 }
 
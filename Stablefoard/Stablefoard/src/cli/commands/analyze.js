@@ -0,0 +1,330 @@
+/**
+ * `analyze` command: analyze one stock, or a batch of inputs
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { StockAnalyzer } from '../../agent/stock-analyzer.js';
+import { StockAnalysisWorkflow } from '../../agent/langgraph-workflow.js';
+import { createProvider } from '../../agent/providers/index.js';
+import { createHistoryStore } from '../../history/index.js';
+import { CONFIG } from '../../config/settings.js';
+import { validateInput } from '../../utils/validators.js';
+import { resolveInputFiles, writeJsonFile, ensureDirectory } from '../../utils/file-handler.js';
+import { readInputFiles } from '../../importers/index.js';
+import { EXPORTERS, getExporter } from '../../exporters/index.js';
+import { CliError, EXIT_CODES } from '../errors.js';
+import { requireConfig, parseNumberFlag, sendLogsToStderr, oneLineError } from '../utils.js';
+import { estimateTokens } from '../../utils/rate-limiter.js';
+
+/**
+ * Build a file name for a symbol's report, unique within one batch
+ * @param {string} symbol - Stock symbol
+ * @param {string} extension - File extension
+ * @param {Set<string>} used - Names already taken
+ * @returns {string} - File name such as "AMD.json" or "AMD-2.json"
+ */
+function reportFileName(symbol, extension, used) {
+  const base = String(symbol || 'Unknown').replace(/[^A-Za-z0-9._-]/g, '_');
+  let name = `${base}.${extension}`;
+  for (let n = 2; used.has(name); n++) {
+    name = `${base}-${n}.${extension}`;
+  }
+  used.add(name);
+  return name;
+}
+
+/**
+ * Write a rendered report to a file, or to stdout for "-"
+ * @param {string} target - Output path or "-"
+ * @param {Object} report - Final report
+ * @param {Object} format - Entry from EXPORTERS
+ * @param {Object} input - Stock input the report was generated from
+ */
+async function writeReport(target, report, format, input) {
+  await writeOutput(target, format.render(report, input));
+}
+
+/**
+ * Write content to a file, creating its directory, or to stdout for "-"
+ * @param {string} target - Output path or "-"
+ * @param {string|Buffer} content - Content to write
+ */
+async function writeOutput(target, content) {
+  if (target === '-') {
+    process.stdout.write(content);
+    return;
+  }
+  await ensureDirectory(path.dirname(path.resolve(target)));
+  await fs.writeFile(target, content, 'utf-8');
+}
+
+/**
+ * Print or save the exact analysis prompt without calling the model
+ * @param {Object} inputData - Validated stock data
+ * @param {Object} options - { mode, model, output }
+ * @returns {Promise<number>} - Exit code
+ */
+async function dryRun(inputData, { mode, model, output }) {
+  let provider;
+  try {
+    provider = createProvider(CONFIG.provider, model ? { model } : {});
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.CONFIG);
+  }
+
+  const runner = mode === 'workflow' ? new StockAnalysisWorkflow({ provider }) : new StockAnalyzer({ provider });
+  const preview = runner.preview(inputData);
+
+  console.log(`🧪 Dry run (${mode}): ${preview.provider} / ${preview.model}, structured output ${preview.options.responseSchema ? 'on' : 'off'}`);
+  console.log(`   ~${estimateTokens(preview.prompt)} prompt tokens, deterministic score ${preview.scoring.score}/100`);
+  if (mode === 'workflow') {
+    console.log(`   ${preview.requests.length} section prompts; retry, format, review and repair prompts depend on the model response and are not shown`);
+  }
+
+  const target = output || '-';
+  await writeOutput(target, preview.prompt.endsWith('\n') ? preview.prompt : `${preview.prompt}\n`);
+  if (target !== '-') {
+    console.log(`\n📄 Prompt saved to: ${target}`);
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Analyze many input files and write one report per symbol plus index.json
+ * @param {Array<string>} files - Stock input files
+ * @param {string} outputDir - Directory for reports and the summary index
+ * @param {Object} options - { runner, mode, format, concurrency }
+ * @returns {Promise<Object>} - Summary index
+ */
+async function runBatch(files, outputDir, { runner, mode, format, concurrency }) {
+  console.log(`📂 Reading ${files.length} input files\n`);
+  const inputs = await readInputFiles(files);
+  const data = inputs.filter(item => item.success).map(item => item.data);
+
+  const results = mode === 'workflow'
+    ? await runner.batchExecute(data, { concurrency })
+    : await runner.batchAnalyze(data, { concurrency });
+
+  await ensureDirectory(outputDir);
+  const used = new Set(['index.json']);
+  const stocks = [];
+  let next = 0;
+
+  for (const item of inputs) {
+    if (!item.success) {
+      stocks.push({ file: item.filePath, symbol: null, status: 'unreadable', score: null, recommendation: null, report: null, error: oneLineError(item.error) });
+      continue;
+    }
+
+    const result = results[next++];
+    const entry = { file: item.filePath, symbol: result.symbol, status: result.success ? 'success' : 'failed', score: null, recommendation: null, report: null };
+
+    if (result.success) {
+      entry.report = reportFileName(result.symbol, format.extension, used);
+      entry.score = result.data.overallScore;
+      entry.recommendation = result.data.recommendation;
+      await writeReport(path.join(outputDir, entry.report), result.data, format, item.data);
+    } else {
+      entry.error = oneLineError(result.error);
+    }
+    stocks.push(entry);
+  }
+
+  const index = {
+    generatedAt: new Date().toISOString(),
+    mode,
+    total: stocks.length,
+    succeeded: stocks.filter(stock => stock.status === 'success').length,
+    failed: stocks.filter(stock => stock.status !== 'success').length,
+    stocks
+  };
+  await writeJsonFile(path.join(outputDir, 'index.json'), index);
+
+  return index;
+}
+
+/**
+ * Print the batch summary table
+ * @param {Object} index - Summary index from runBatch
+ * @param {string} outputDir - Output directory
+ */
+function printBatchSummary(index, outputDir) {
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 BATCH SUMMARY');
+  console.log('='.repeat(60));
+  for (const stock of index.stocks) {
+    const outcome = stock.status === 'success'
+      ? `${stock.score}/100 ${stock.recommendation}`
+      : `${stock.status.toUpperCase()}: ${stock.error}`;
+    console.log(`${(stock.symbol || path.basename(stock.file)).padEnd(12)} ${outcome}`);
+  }
+  console.log(`\n✅ ${index.succeeded}/${index.total} succeeded. Reports and index.json saved to: ${outputDir}`);
+  console.log('='.repeat(60) + '\n');
+}
+
+export const analyzeCommand = {
+  name: 'analyze',
+  summary: 'Analyze a stock, or a batch from a directory, glob or manifest',
+  usage: `Usage: node src/index.js analyze <input> [output] [options]
+
+<input> is a stock JSON, CSV or XLSX file, or for batch mode a directory, a quoted glob
+or a manifest (.txt with one path per line, or a JSON list of paths).
+[output] is a file (default: output.<ext>, "-" for stdout), or in batch mode
+a directory (default: output/) that receives one report per symbol plus index.json.
+
+Options:
+  -m, --mode <mode>          simple | workflow (default: simple)
+      --workflow             Shorthand for --mode workflow
+      --provider <name>      gemini | openai | mock (default: LLM_PROVIDER)
+      --model <name>         Model name for the provider
+      --temperature <n>      Sampling temperature, 0-1 (default: TEMPERATURE)
+  -f, --format <format>      ${Object.keys(EXPORTERS).join(' | ')} (default: json)
+  -o, --output <path>        Same as [output]
+      --concurrency <n>      Batch mode: stocks analysed at once (default: BATCH_CONCURRENCY)
+      --strict-grounding     Fail when a figure in the report is not found in the input
+                             (GROUNDING_STRICT=true; GROUNDING_MIN_SCORE sets the bar, default 100)
+      --dry-run              Print the exact prompt instead of calling the model (no API key needed);
+                             [output] receives the prompt instead of stdout
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 analysis failed, 2 usage error, 3 invalid input, 4 configuration error
+
+Examples:
+  node src/index.js analyze input.json report.json
+  node src/index.js analyze input.json - --format text --mode workflow
+  node src/index.js analyze "stocks/*.json" reports/ --concurrency 2
+  node src/index.js analyze input.json AMD.pdf --format pdf
+  node src/index.js analyze input.json --dry-run --provider openai`,
+  options: {
+    mode: { type: 'string', short: 'm' },
+    workflow: { type: 'boolean' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    temperature: { type: 'string' },
+    format: { type: 'string', short: 'f', default: 'json' },
+    output: { type: 'string', short: 'o' },
+    concurrency: { type: 'string' },
+    'strict-grounding': { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+
+  /**
+   * @param {Object} args - Parsed arguments { values, positionals }
+   * @returns {Promise<number>} - Exit code
+   */
+  async run({ values, positionals }) {
+    const [inputSpec, outputArg] = positionals;
+    if (!inputSpec) {
+      throw new CliError('analyze requires an <input> argument', EXIT_CODES.USAGE);
+    }
+
+    const mode = values.workflow ? 'workflow' : (values.mode || 'simple');
+    if (!['simple', 'workflow'].includes(mode)) {
+      throw new CliError(`--mode must be "simple" or "workflow" (got "${mode}")`, EXIT_CODES.USAGE);
+    }
+
+    let format;
+    try {
+      format = getExporter(values.format);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+
+    const temperature = parseNumberFlag(values.temperature, 'temperature', { min: 0, max: 1 });
+    const concurrency = parseNumberFlag(values.concurrency, 'concurrency', { min: 1, integer: true });
+    const output = values.output || outputArg;
+    const dryRunRequested = values['dry-run'];
+    if (output === '-' || (dryRunRequested && !output)) {
+      sendLogsToStderr();
+    }
+
+    let resolved;
+    try {
+      resolved = await resolveInputFiles(inputSpec);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.INVALID_INPUT);
+    }
+    if (resolved.files.length === 0) {
+      throw new CliError(`No input files matched: ${inputSpec}`, EXIT_CODES.INVALID_INPUT);
+    }
+    if (resolved.batch && output === '-') {
+      throw new CliError('Batch mode writes to a directory; "-" is not supported', EXIT_CODES.USAGE);
+    }
+    if (resolved.batch && dryRunRequested) {
+      throw new CliError('--dry-run takes a single input file', EXIT_CODES.USAGE);
+    }
+
+    // Check the input before the model is configured, so bad files fail fast
+    let inputData;
+    if (!resolved.batch) {
+      const [item] = await readInputFiles(resolved.files);
+      if (!item.success) {
+        throw new CliError(item.error, EXIT_CODES.INVALID_INPUT);
+      }
+      const validation = validateInput(item.data);
+      if (!validation.success) {
+        throw new CliError(`Input validation failed:\n${validation.errors.join('\n')}`, EXIT_CODES.INVALID_INPUT);
+      }
+      inputData = item.data;
+    }
+
+    if (values.provider) CONFIG.provider = values.provider;
+    if (temperature !== undefined) CONFIG.temperature = temperature;
+    if (values['strict-grounding']) CONFIG.grounding.strict = true;
+    if (dryRunRequested) {
+      return dryRun(inputData, { mode, model: values.model, output });
+    }
+    requireConfig();
+
+    const provider = createProvider(CONFIG.provider, values.model ? { model: values.model } : {});
+    const history = createHistoryStore();
+    const runner = mode === 'workflow'
+      ? new StockAnalysisWorkflow({ provider, history })
+      : new StockAnalyzer({ provider, history });
+    console.log(mode === 'workflow' ? '🔄 Using LangGraph workflow mode\n' : '⚡ Using simple analyzer mode\n');
+
+    try {
+      if (resolved.batch) {
+        const outputDir = output || 'output';
+        const index = await runBatch(resolved.files, outputDir, { runner, mode, format, concurrency });
+        printBatchSummary(index, outputDir);
+        return index.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+      }
+
+      const report = mode === 'workflow'
+        ? await runner.execute(inputData)
+        : await runner.analyze(inputData);
+
+      if (!report || report.error) {
+        throw new CliError(`Analysis failed: ${(report?.errors || []).join('; ')}`, EXIT_CODES.FAILED);
+      }
+
+      const outputFile = output || `output.${format.extension}`;
+      await writeReport(outputFile, report, format, inputData);
+
+      if (outputFile !== '-') {
+        console.log('\n' + '='.repeat(60));
+        console.log('📊 ANALYSIS SUMMARY');
+        console.log('='.repeat(60));
+        console.log(`Overall Score: ${report.overallScore}/100`);
+        console.log(`Recommendation: ${report.recommendation}`);
+        for (const override of report.consistency?.overrides ?? []) {
+          console.log(`  ${override.applied ? 'Changed' : 'Would change'} from ${override.from}: ${override.reason}`);
+        }
+        console.log(`Grounding: ${report.grounding.score}% (${report.grounding.unmatched.length} unmatched figures)`);
+        console.log(`Bullet format: ${report.formatting.valid ? 'followed' : `${report.formatting.violations.length} violations`}`);
+        console.log(`\n📄 Full report saved to: ${outputFile}`);
+        if (history) {
+          // The memory store has no path
+          console.log(`🗂️  Analysis recorded in ${history.name} history${history.path ? `: ${history.path}` : ''}`);
+        }
+        console.log('='.repeat(60) + '\n');
+      }
+      return EXIT_CODES.OK;
+    } finally {
+      await history?.close();
+    }
+  }
+};
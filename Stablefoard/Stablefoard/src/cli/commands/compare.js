@@ -0,0 +1,198 @@
+/**
+ * `compare` command: rank several stocks side by side, with pillar deltas
+ * and a model-written comparative narrative
+ */
+
+import { ComparativeAnalyzer } from '../../agent/comparative-analyzer.js';
+import { createProvider } from '../../agent/providers/index.js';
+import { createHistoryStore } from '../../history/index.js';
+import { CONFIG } from '../../config/settings.js';
+import { buildComparison, rankBy } from '../../utils/comparison.js';
+import { CliError, EXIT_CODES } from '../errors.js';
+import { loadInputs, itemsFromFiles, itemsFromHistory, requireConfig, parseNumberFlag, sendLogsToStderr, formatTable, oneLineError } from '../utils.js';
+
+const COLUMNS = [
+  ['rank', 'Rank'],
+  ['symbol', 'Symbol'],
+  ['score', 'Score'],
+  ['recommendation', 'Recommendation'],
+  ['deterministicScore', 'Deterministic'],
+  ['llmScore', 'Model score'],
+  ['llmRank', 'Model rank'],
+  ['passRate', 'Pass rate %']
+];
+
+/**
+ * Flatten a comparison into ranking rows, best first; equal scores share a
+ * rank and failed analyses sink to the bottom unranked
+ * @param {Object} comparison - Comparison result
+ * @param {boolean} deterministic - Rank by the deterministic score
+ * @returns {Array<Object>} - Ranking rows
+ */
+function rankingRows(comparison, deterministic) {
+  const llmRank = Object.fromEntries(comparison.rankings.llm.map(row => [row.symbol, row.rank]));
+  const rows = comparison.stocks.map(stock => ({
+    symbol: stock.symbol,
+    name: stock.name,
+    success: !stock.error,
+    score: deterministic ? stock.deterministicScore : stock.overallScore,
+    recommendation: stock.recommendation,
+    deterministicScore: stock.deterministicScore,
+    llmScore: stock.llmScore,
+    llmRank: llmRank[stock.symbol] ?? null,
+    passRate: stock.passRate,
+    error: stock.error ? oneLineError(stock.error) : undefined
+  }));
+
+  rows.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  const rank = Object.fromEntries(rankBy(rows.filter(row => row.success), 'score').map(row => [row.symbol, row.rank]));
+  rows.forEach(row => { row.rank = rank[row.symbol] ?? null; });
+  return rows;
+}
+
+/**
+ * Print the comparison as text
+ * @param {Object} comparison - Comparison result
+ * @param {Array<Object>} rows - Ranking rows
+ */
+function printComparison(comparison, rows) {
+  console.log('\n' + formatTable(rows, COLUMNS));
+  rows.filter(row => !row.success).forEach(row => console.log(`\n❌ ${row.symbol}: ${row.error}`));
+
+  if (comparison.pillars.length > 0) {
+    const symbols = Object.keys(comparison.pillars[0].values);
+    const pillarRows = comparison.pillars.map(pillar => ({ label: pillar.label, weight: pillar.weight, leader: pillar.leader, ...pillar.values }));
+    console.log('\nPillar scores (0-100)\n');
+    console.log(formatTable(pillarRows, [['label', 'Pillar'], ['weight', 'Weight'], ...symbols.map(symbol => [symbol, symbol]), ['leader', 'Leader']]));
+  }
+
+  if (comparison.headToHead.length > 0) {
+    console.log('\nHead to head (deterministic score)\n');
+    for (const pair of comparison.headToHead) {
+      const signed = value => (value > 0 ? `+${value}` : String(value));
+      const drivers = pair.contributions
+        ? Object.entries(pair.contributions)
+          .filter(([, value]) => value !== 0)
+          .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+          .map(([pillar, value]) => `${comparison.pillars.find(item => item.pillar === pillar).label} ${signed(value)}`)
+          .join(', ')
+        : 'no pillar data';
+      if (pair.scoreGap !== 0) {
+        console.log(`  ${pair.winner} > ${pair.loser} by ${pair.scoreGap}: ${drivers || 'level on every pillar'}`);
+      } else {
+        console.log(`  ${pair.winner} = ${pair.loser}: ${drivers ? `level overall (${drivers})` : 'level on every pillar'}`);
+      }
+    }
+  }
+
+  const { narrative } = comparison;
+  if (narrative) {
+    console.log(`\n📝 Comparative narrative\n\n${narrative.summary}`);
+    for (const matchup of narrative.matchups) {
+      console.log(`\n${matchup.winner} vs ${matchup.loser}\n${matchup.explanation}`);
+    }
+    narrative.issues.forEach(issue => console.log(`\n⚠️  ${issue}`));
+  } else if (comparison.narrativeError) {
+    console.log(`\n⚠️  No narrative: ${comparison.narrativeError}`);
+  }
+  console.log('');
+}
+
+export const compareCommand = {
+  name: 'compare',
+  summary: 'Rank several stocks with pillar deltas and a comparative narrative',
+  usage: `Usage: node src/index.js compare <input> <input...> [options]
+
+Inputs may be files (JSON, CSV or XLSX), directories, quoted globs or
+manifests; at least two stocks are needed. Report files written by analyze
+can be mixed in (the symbol is taken from the file name), and --history
+compares past analyses by id.
+
+Stocks are ranked by overall score, with the deterministic and model-score
+rankings, each pillar's scores, and what separates each stock from the next.
+The model then writes a narrative explaining the ranking from this data only.
+
+Options:
+      --deterministic        Rank by the deterministic score only (no model, no API key)
+      --history              Treat the arguments as history record ids
+      --skip-narrative       Analyze and rank, but do not ask for a narrative
+  -m, --mode <mode>          simple | workflow (default: simple)
+      --provider <name>      gemini | openai | mock (default: LLM_PROVIDER)
+      --model <name>         Model name for the provider
+      --concurrency <n>      Stocks analysed at once (default: BATCH_CONCURRENCY)
+      --json                 Print the comparison as JSON
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 an analysis failed, 2 usage error, 3 invalid input, 4 configuration error`,
+  options: {
+    deterministic: { type: 'boolean' },
+    history: { type: 'boolean' },
+    'skip-narrative': { type: 'boolean' },
+    mode: { type: 'string', short: 'm', default: 'simple' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    concurrency: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+
+  /**
+   * @param {Object} args - Parsed arguments { values, positionals }
+   * @returns {Promise<number>} - Exit code
+   */
+  async run({ values, positionals }) {
+    if (!['simple', 'workflow'].includes(values.mode)) {
+      throw new CliError(`--mode must be "simple" or "workflow" (got "${values.mode}")`, EXIT_CODES.USAGE);
+    }
+    const concurrency = parseNumberFlag(values.concurrency, 'concurrency', { min: 1, integer: true });
+    if (values.json) {
+      sendLogsToStderr();
+    }
+
+    let items;
+    if (values.history) {
+      items = await itemsFromHistory(positionals);
+    } else {
+      const inputs = positionals.length > 0 ? await loadInputs(positionals) : [];
+      if (inputs.length < 2) {
+        throw new CliError('compare needs at least two stock inputs', EXIT_CODES.USAGE);
+      }
+      items = itemsFromFiles(inputs);
+    }
+    if (items.length < 2) {
+      throw new CliError('compare needs at least two stocks', EXIT_CODES.USAGE);
+    }
+
+    // Ranks without a model; reports passed in still contribute their recommendation and model score
+    let comparison;
+    try {
+      comparison = buildComparison(items);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.INVALID_INPUT);
+    }
+
+    if (!values.deterministic) {
+      if (values.provider) CONFIG.provider = values.provider;
+      requireConfig();
+
+      const provider = createProvider(CONFIG.provider, values.model ? { model: values.model } : {});
+      const history = values.history ? null : createHistoryStore();
+      try {
+        comparison = await new ComparativeAnalyzer({ provider, history, mode: values.mode })
+          .compare(items, { concurrency, narrative: !values['skip-narrative'] });
+      } finally {
+        await history?.close();
+      }
+    }
+
+    const rows = rankingRows(comparison, values.deterministic);
+    if (values.json) {
+      const { stocks, ...rest } = comparison;
+      process.stdout.write(JSON.stringify({ source: values.deterministic ? 'deterministic' : values.mode, ranking: rows, ...rest }, null, 2) + '\n');
+    } else {
+      printComparison(comparison, rows);
+    }
+
+    return rows.every(row => row.success) ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+  }
+};
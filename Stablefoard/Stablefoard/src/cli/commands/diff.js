@@ -0,0 +1,196 @@
+/**
+ * `diff` command: what changed between two analyses of the same stock
+ */
+
+import { AnalysisDiffer } from '../../agent/analysis-differ.js';
+import { createProvider } from '../../agent/providers/index.js';
+import { createHistoryStore } from '../../history/index.js';
+import { CONFIG } from '../../config/settings.js';
+import { diffAnalyses, METRIC_PILLARS } from '../../utils/diff.js';
+import { PILLAR_LABELS } from '../../utils/scoring.js';
+import { CliError, EXIT_CODES } from '../errors.js';
+import { loadInputs, itemsFromFiles, itemsFromHistory, requireConfig, sendLogsToStderr, formatTable } from '../utils.js';
+
+const SCORE_LABELS = {
+  sis: 'SIS',
+  ssis: 'SSIS',
+  qualitative: 'Qualitative rating',
+  passRate: 'Pass rate %'
+};
+
+/**
+ * Load the two most recent history records of a symbol, oldest first
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array<Object>>} - Two { input, report } items
+ */
+async function latestFromHistory(symbol) {
+  const store = createHistoryStore();
+  if (!store) {
+    throw new CliError('Analysis history is disabled (HISTORY_STORE=none)', EXIT_CODES.CONFIG);
+  }
+
+  let records;
+  try {
+    records = await store.query({ symbol, limit: 2 });
+  } finally {
+    await store.close();
+  }
+  if (records.length < 2) {
+    throw new CliError(`The history has ${records.length === 0 ? 'no analyses' : 'only one analysis'} of ${symbol}`, EXIT_CODES.INVALID_INPUT);
+  }
+  return records.reverse().map(record => ({ symbol: record.symbol, input: record.input, report: record.report }));
+}
+
+/**
+ * Format a movement as "from → to (+delta)"
+ * @param {Object} moved - { from, to, delta }
+ * @returns {string} - Movement text
+ */
+function formatChange(moved) {
+  const value = item => (item === null ? '–' : String(item));
+  const delta = moved.delta ? ` (${moved.delta > 0 ? '+' : ''}${moved.delta})` : '';
+  return `${value(moved.from)} → ${value(moved.to)}${delta}`;
+}
+
+/**
+ * Print a diff as text
+ * @param {Object} diff - Diff result
+ */
+function printDiff(diff) {
+  const dates = `${diff.from.asOf || '?'} → ${diff.to.asOf || '?'}`;
+  console.log(`\n${diff.symbol}${diff.name ? ` (${diff.name})` : ''}: ${dates}${diff.changed ? '' : ' (no changes)'}\n`);
+
+  // Rows with nothing on either side (e.g. no reports with --deterministic) are left out
+  const rows = [
+    ['Score', diff.score],
+    ['Recommendation', diff.recommendation],
+    ['Deterministic score', diff.deterministicScore],
+    ...Object.entries(diff.scores || {}).map(([key, moved]) => [SCORE_LABELS[key], moved]),
+    ...Object.entries(diff.pillars || {}).map(([key, moved]) => [`${PILLAR_LABELS[key]} pillar`, moved])
+  ]
+    .filter(([, moved]) => moved.from !== null || moved.to !== null)
+    .map(([label, moved]) => ({ label, change: formatChange(moved) }));
+  console.log(formatTable(rows, [['label', ''], ['change', 'Change']]));
+
+  if (diff.metrics) {
+    const { flipped, added, removed } = diff.metrics;
+    if (flipped.length > 0) {
+      console.log('\nMetrics that flipped\n');
+      for (const metric of flipped) {
+        const icon = metric.direction === 'improved' ? '✅' : '❌';
+        console.log(`  ${icon} ${METRIC_PILLARS[metric.pillar]} / ${metric.name}: ${metric.from.value} → ${metric.to.value} (${metric.threshold}), now ${metric.to.pass ? 'passing' : 'failing'}`);
+      }
+    }
+    added.forEach(metric => console.log(`  ➕ ${METRIC_PILLARS[metric.pillar]} / ${metric.name}: new metric`));
+    removed.forEach(metric => console.log(`  ➖ ${METRIC_PILLARS[metric.pillar]} / ${metric.name}: no longer reported`));
+  }
+  if (diff.criteria?.length > 0) {
+    console.log('\nQualitative criteria\n');
+    diff.criteria.forEach(criterion => console.log(`  ${criterion.name}: ${formatChange(criterion)}`));
+  }
+
+  if (diff.summary) {
+    console.log(`\n📝 What changed\n\n${diff.summary.whatChanged}\n\n💡 Why it matters\n\n${diff.summary.whyItMatters}`);
+  } else if (diff.summaryError) {
+    console.log(`\n⚠️  No summary: ${diff.summaryError}`);
+  }
+  console.log('');
+}
+
+export const diffCommand = {
+  name: 'diff',
+  summary: 'Show what changed between two analyses of the same stock',
+  usage: `Usage: node src/index.js diff <earlier> <later> [options]
+       node src/index.js diff --history <id> <id> [options]
+       node src/index.js diff --symbol <symbol> [options]
+
+Compares two analyses of one stock: metrics that flipped pass/fail, SIS, SSIS
+and qualitative movement, and score and recommendation changes. Each side may
+be an input file (JSON, CSV or XLSX), a report written by analyze (the symbol
+is taken from the file name) or a history record. Inputs without a report are
+analyzed first; when both sides have an asOf date the earlier one is shown
+first. The model then summarizes what changed and why it matters.
+
+Options:
+      --history              Treat the arguments as history record ids
+  -s, --symbol <symbol>      Diff the two most recent analyses of this symbol in the history
+      --deterministic        No model: diff the inputs and any reports as they are
+      --skip-summary         Analyze and diff, but do not ask for a summary
+  -m, --mode <mode>          simple | workflow (default: simple)
+      --provider <name>      gemini | openai | mock (default: LLM_PROVIDER)
+      --model <name>         Model name for the provider
+      --json                 Print the diff as JSON
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 an analysis failed, 2 usage error, 3 invalid input, 4 configuration error`,
+  options: {
+    history: { type: 'boolean' },
+    symbol: { type: 'string', short: 's' },
+    deterministic: { type: 'boolean' },
+    'skip-summary': { type: 'boolean' },
+    mode: { type: 'string', short: 'm', default: 'simple' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+
+  /**
+   * @param {Object} args - Parsed arguments { values, positionals }
+   * @returns {Promise<number>} - Exit code
+   */
+  async run({ values, positionals }) {
+    if (!['simple', 'workflow'].includes(values.mode)) {
+      throw new CliError(`--mode must be "simple" or "workflow" (got "${values.mode}")`, EXIT_CODES.USAGE);
+    }
+    if (values.symbol ? positionals.length > 0 : positionals.length !== 2) {
+      throw new CliError('diff needs two analyses, or --symbol alone', EXIT_CODES.USAGE);
+    }
+    if (values.json) {
+      sendLogsToStderr();
+    }
+
+    let items;
+    if (values.symbol) {
+      items = await latestFromHistory(values.symbol);
+    } else if (values.history) {
+      items = await itemsFromHistory(positionals);
+    } else {
+      const inputs = await loadInputs(positionals);
+      if (inputs.length !== 2) {
+        throw new CliError(`diff needs exactly two files (got ${inputs.length})`, EXIT_CODES.USAGE);
+      }
+      items = itemsFromFiles(inputs);
+    }
+
+    let diff;
+    try {
+      diff = diffAnalyses(items[0], items[1]);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.INVALID_INPUT);
+    }
+
+    if (!values.deterministic) {
+      if (values.provider) CONFIG.provider = values.provider;
+      requireConfig();
+
+      const provider = createProvider(CONFIG.provider, values.model ? { model: values.model } : {});
+      const history = values.history || values.symbol ? null : createHistoryStore();
+      try {
+        diff = await new AnalysisDiffer({ provider, history, mode: values.mode })
+          .diff(items[0], items[1], { summary: !values['skip-summary'] });
+      } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.FAILED);
+      } finally {
+        await history?.close();
+      }
+    }
+
+    if (values.json) {
+      process.stdout.write(JSON.stringify(diff, null, 2) + '\n');
+    } else {
+      printDiff(diff);
+    }
+    return EXIT_CODES.OK;
+  }
+};
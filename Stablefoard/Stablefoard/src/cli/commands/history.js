@@ -0,0 +1,124 @@
+/**
+ * `history` command: query past analyses from the history store
+ */
+
+import { createHistoryStore, summarizeHistory } from '../../history/index.js';
+import { CONFIG } from '../../config/settings.js';
+import { CliError, EXIT_CODES } from '../errors.js';
+import { parseNumberFlag, sendLogsToStderr, formatTable } from '../utils.js';
+
+const COLUMNS = [
+  ['timestamp', 'Timestamp'],
+  ['symbol', 'Symbol'],
+  ['score', 'Score'],
+  ['recommendation', 'Recommendation'],
+  ['mode', 'Mode'],
+  ['model', 'Model'],
+  ['durationMs', 'ms']
+];
+
+// Summary fields shown for each record; --full adds input and report
+const SUMMARY_FIELDS = ['id', 'timestamp', 'symbol', 'name', 'recommendation', 'score', 'mode', 'provider', 'model', 'promptVersion', 'durationMs'];
+
+/**
+ * Drop the input and report from a record
+ * @param {Object} record - History record
+ * @returns {Object} - Summary fields only
+ */
+function summarizeRecord(record) {
+  return Object.fromEntries(SUMMARY_FIELDS.map(field => [field, record[field]]));
+}
+
+export const historyCommand = {
+  name: 'history',
+  summary: 'Query past analyses by symbol, date range and recommendation',
+  usage: `Usage: node src/index.js history [options]
+
+Reads the history store configured by HISTORY_STORE / HISTORY_PATH.
+Results are listed newest first.
+
+Options:
+  -s, --symbol <symbol>             Only this symbol
+      --from <date>                 On or after this date/time (ISO 8601)
+      --to <date>                   On or before this date/time (a bare date covers the whole day)
+  -r, --recommendation <value>      Buy | Watchlist | Avoid
+  -n, --limit <n>                   Maximum records (default: 20)
+      --stats                       Print summary statistics instead of records
+      --full                        Include the full input and report (with --json)
+      --json                        Print JSON
+  -h, --help                        Show this help
+
+Exit codes: 0 success, 2 usage error, 4 history disabled (HISTORY_STORE=none)`,
+  options: {
+    symbol: { type: 'string', short: 's' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    recommendation: { type: 'string', short: 'r' },
+    limit: { type: 'string', short: 'n', default: '20' },
+    stats: { type: 'boolean' },
+    full: { type: 'boolean' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+
+  /**
+   * @param {Object} args - Parsed arguments { values }
+   * @returns {Promise<number>} - Exit code
+   */
+  async run({ values }) {
+    if (values.json) {
+      sendLogsToStderr();
+    }
+
+    const store = createHistoryStore();
+    if (!store) {
+      throw new CliError('Analysis history is disabled (HISTORY_STORE=none)', EXIT_CODES.CONFIG);
+    }
+
+    const limit = parseNumberFlag(values.limit, 'limit', { min: 1, integer: true });
+    let records;
+    try {
+      records = await store.query({
+        symbol: values.symbol,
+        from: values.from,
+        to: values.to,
+        recommendation: values.recommendation,
+        // Statistics cover every matching record
+        limit: values.stats ? undefined : limit
+      });
+    } catch (error) {
+      throw new CliError(error.message, /Invalid/.test(error.message) ? EXIT_CODES.USAGE : EXIT_CODES.FAILED);
+    } finally {
+      await store.close();
+    }
+
+    if (values.stats) {
+      const stats = summarizeHistory(records);
+      if (stats.latestAnalysis) {
+        stats.latestAnalysis = summarizeRecord(stats.latestAnalysis);
+      }
+      if (values.json) {
+        process.stdout.write(JSON.stringify(stats, null, 2) + '\n');
+      } else if (stats.message) {
+        console.log(stats.message);
+      } else {
+        console.log(`Analyses: ${stats.totalAnalyses}`);
+        console.log(`Average score: ${stats.averageScore}`);
+        console.log(`Recommendations: ${Object.entries(stats.recommendations).map(([key, count]) => `${key} ${count}`).join(', ')}`);
+        console.log(`Latest: ${stats.latestAnalysis.symbol} at ${stats.latestAnalysis.timestamp}`);
+      }
+      return EXIT_CODES.OK;
+    }
+
+    if (values.json) {
+      const output = values.full ? records : records.map(summarizeRecord);
+      process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    } else if (records.length === 0) {
+      console.log(`No analyses found in ${CONFIG.history.store} history${store.path ? ` (${store.path})` : ''}.`);
+    } else {
+      console.log(formatTable(records, COLUMNS));
+    }
+
+    return EXIT_CODES.OK;
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * `import` command: convert a CSV or XLSX spreadsheet into stock input JSON
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readInputFile, isSpreadsheet } from '../../importers/index.js';
+import { validateInput } from '../../utils/validators.js';
+import { ensureDirectory } from '../../utils/file-handler.js';
+import { CliError, EXIT_CODES } from '../errors.js';
+import { sendLogsToStderr } from '../utils.js';
+
+export const importCommand = {
+  name: 'import',
+  summary: 'Convert a CSV or XLSX spreadsheet into input JSON (offline)',
+  usage: `Usage: node src/index.js import <spreadsheet> [output.json] [options]
+
+Reads a .csv file or .xlsx workbook in the flat layout described in the
+README ("Importing spreadsheets"), builds the input JSON and validates it.
+Problems are reported with their sheet, row and column. Without
+[output.json] the JSON is printed to stdout.
+
+Spreadsheets can also be passed straight to analyze, validate and compare.
+
+Options:
+  -h, --help       Show this help
+
+Exit codes: 0 success, 2 usage error, 3 the spreadsheet could not be imported or is invalid`,
+  options: {
+    help: { type: 'boolean', short: 'h' }
+  },
+
+  /**
+   * @param {Object} args - Parsed arguments { values, positionals }
+   * @returns {Promise<number>} - Exit code
+   */
+  async run({ positionals }) {
+    const [source, output = '-'] = positionals;
+    if (!source || positionals.length > 2) {
+      throw new CliError('import takes one <spreadsheet> and an optional [output.json]', EXIT_CODES.USAGE);
+    }
+    if (!isSpreadsheet(source)) {
+      throw new CliError(`import reads .csv or .xlsx files (got ${source})`, EXIT_CODES.USAGE);
+    }
+    if (output === '-') {
+      sendLogsToStderr();
+    }
+
+    let input;
+    try {
+      input = await readInputFile(source);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.INVALID_INPUT);
+    }
+
+    const validation = validateInput(input);
+    if (!validation.success) {
+      throw new CliError(`Imported input failed validation:\n${validation.errors.join('\n')}`, EXIT_CODES.INVALID_INPUT);
+    }
+    validation.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    const json = JSON.stringify(input, null, 2) + '\n';
+    if (output === '-') {
+      process.stdout.write(json);
+    } else {
+      await ensureDirectory(path.dirname(path.resolve(output)));
+      await fs.writeFile(output, json, 'utf-8');
+      console.log(`✅ ${input.stock.symbol}: imported ${source} to ${output}`);
+    }
+    return EXIT_CODES.OK;
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * `serve` command: start the web UI server
+ */
+
+import { CliError, EXIT_CODES } from '../errors.js';
+import { parseNumberFlag } from '../utils.js';
+
+export const serveCommand = {
+  name: 'serve',
+  summary: 'Start the web UI server',
+  usage: `Usage: node src/index.js serve [options]
+
+Options:
+  -p, --port <port>   Port to listen on (default: PORT or 3000)
+  -h, --help          Show this help
+
+Exit codes: 0 server closed, 1 server failed (e.g. port in use), 2 usage error`,
+  options: {
+    port: { type: 'string', short: 'p' },
+    help: { type: 'boolean', short: 'h' }
+  },
+
+  /**
+   * @param {Object} args - Parsed arguments { values }
+   * @returns {Promise<number>} - Exit code once the server closes
+   */
+  async run({ values }) {
+    const port = parseNumberFlag(values.port, 'port', { min: 0, max: 65535, integer: true });
+
+    // Loaded lazily: the server module imports the package entry point
+    const { startServer } = await import('../../ui-server.js');
+
+    let server;
+    try {
+      server = await startServer(port);
+    } catch (error) {
+      throw new CliError(`Failed to start UI server: ${error.message}`, EXIT_CODES.FAILED);
+    }
+
+    await new Promise(resolve => server.on('close', resolve));
+    return EXIT_CODES.OK;
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * `validate` command: schema and metric checks, no model or API key needed
+ */
+
+import { validateInput, extractKeyMetrics } from '../../utils/validators.js';
+import { computeDeterministicScore } from '../../utils/scoring.js';
+import { CliError, EXIT_CODES } from '../errors.js';
+import { loadInputs, sendLogsToStderr } from '../utils.js';
+
+/**
+ * Validate one loaded input
+ * @param {Object} item - readInputFiles result
+ * @returns {Object} - { file, symbol, valid, errors, warnings, keyMetrics, scoring }
+ */
+function checkInput(item) {
+  if (!item.success) {
+    return { file: item.filePath, symbol: null, valid: false, errors: [item.error], warnings: [] };
+  }
+
+  const validation = validateInput(item.data);
+  const result = {
+    file: item.filePath,
+    symbol: item.data?.stock?.symbol || null,
+    valid: validation.success,
+    errors: validation.errors || [],
+    warnings: validation.warnings || []
+  };
+
+  if (validation.success) {
+    result.keyMetrics = extractKeyMetrics(item.data);
+    result.scoring = computeDeterministicScore(item.data);
+  }
+  return result;
+}
+
+export const validateCommand = {
+  name: 'validate',
+  summary: 'Check inputs against the schema and metric thresholds (offline)',
+  usage: `Usage: node src/index.js validate <input...> [options]
+
+Runs schema validation, threshold consistency checks, metric extraction and
+deterministic scoring. No model is called and no API key is needed.
+Inputs may be files (JSON, CSV or XLSX), directories, quoted globs or manifests.
+
+Options:
+      --strict     Treat data-integrity warnings as failures
+      --json       Print results as JSON
+  -h, --help       Show this help
+
+Exit codes: 0 all inputs valid, 2 usage error, 3 at least one input invalid`,
+  options: {
+    strict: { type: 'boolean' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+
+  /**
+   * @param {Object} args - Parsed arguments { values, positionals }
+   * @returns {Promise<number>} - Exit code
+   */
+  async run({ values, positionals }) {
+    if (positionals.length === 0) {
+      throw new CliError('validate requires at least one <input>', EXIT_CODES.USAGE);
+    }
+    if (values.json) {
+      sendLogsToStderr();
+    }
+
+    const results = (await loadInputs(positionals)).map(checkInput);
+    const failed = results.filter(result => !result.valid || (values.strict && result.warnings.length > 0));
+
+    if (values.json) {
+      process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+    } else {
+      for (const result of results) {
+        const label = result.symbol ? `${result.symbol} (${result.file})` : result.file;
+        if (!result.valid) {
+          console.log(`❌ ${label}`);
+          result.errors.forEach(error => console.log(`   - ${error}`));
+          continue;
+        }
+        console.log(`✅ ${label}: ${result.keyMetrics.passedCount}/${result.keyMetrics.totalMetrics} metrics pass, deterministic score ${result.scoring.score}/100`);
+        result.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+      }
+      console.log(`\n${results.length - failed.length}/${results.length} inputs valid${values.strict ? ' (strict)' : ''}`);
+    }
+
+    return failed.length > 0 ? EXIT_CODES.INVALID_INPUT : EXIT_CODES.OK;
+  }
+};
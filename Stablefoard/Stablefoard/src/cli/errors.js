@@ -0,0 +1,34 @@
+/**
+ * CLI exit codes and errors
+ */
+
+/**
+ * Process exit codes, stable for scripts and CI:
+ * - OK (0): command succeeded
+ * - FAILED (1): an analysis or server failed at runtime
+ * - USAGE (2): unknown command, bad flag or missing argument
+ * - INVALID_INPUT (3): input missing, unreadable or failing validation
+ * - CONFIG (4): configuration error (e.g. missing API key)
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  INVALID_INPUT: 3,
+  CONFIG: 4
+};
+
+/**
+ * Error that ends a CLI command with a specific exit code
+ */
+export class CliError extends Error {
+  /**
+   * @param {string} message - Message printed to stderr
+   * @param {number} exitCode - One of EXIT_CODES
+   */
+  constructor(message, exitCode = EXIT_CODES.FAILED) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
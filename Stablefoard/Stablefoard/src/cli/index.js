@@ -0,0 +1,97 @@
+/**
+ * Command-line interface
+ *
+ * `node src/index.js <command> [options]`. Each command is an object with
+ * `name`, `summary`, `usage`, `options` (util.parseArgs format) and
+ * `async run({ values, positionals }) => exitCode`.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { analyzeCommand } from './commands/analyze.js';
+import { validateCommand } from './commands/validate.js';
+import { compareCommand } from './commands/compare.js';
+import { diffCommand } from './commands/diff.js';
+import { historyCommand } from './commands/history.js';
+import { serveCommand } from './commands/serve.js';
+import { importCommand } from './commands/import.js';
+import { CliError, EXIT_CODES } from './errors.js';
+
+export const COMMANDS = Object.fromEntries(
+  [analyzeCommand, validateCommand, compareCommand, diffCommand, importCommand, historyCommand, serveCommand].map(command => [command.name, command])
+);
+
+/**
+ * Top-level help text
+ * @returns {string} - Help listing every command
+ */
+function globalUsage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return `Usage: node src/index.js <command> [options]
+
+Commands:
+${Object.values(COMMANDS).map(command => `  ${command.name.padEnd(width)}  ${command.summary}`).join('\n')}
+
+Run "node src/index.js <command> --help" for command options.
+"node src/index.js <input> [output] [--workflow]" still runs analyze.
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 invalid input, 4 configuration error`;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+export async function runCli(argv) {
+  const [first, ...rest] = argv;
+
+  if (first === undefined) {
+    console.error(globalUsage());
+    return EXIT_CODES.USAGE;
+  }
+  if (first === '--help' || first === '-h' || first === 'help') {
+    console.log(globalUsage());
+    return EXIT_CODES.OK;
+  }
+
+  let command = COMMANDS[first];
+  let args = rest;
+  if (!command) {
+    if (first.startsWith('-') || !(/[./\\*]/.test(first) || fs.existsSync(first))) {
+      console.error(`Unknown command "${first}"\n\n${globalUsage()}`);
+      return EXIT_CODES.USAGE;
+    }
+    // Legacy form: node src/index.js input.json [output.json] [--workflow]
+    command = analyzeCommand;
+    args = argv;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: command.options, allowPositionals: true, strict: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${command.usage}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (parsed.values.help) {
+    console.log(command.usage);
+    return EXIT_CODES.OK;
+  }
+
+  try {
+    return await command.run(parsed);
+  } catch (error) {
+    if (error instanceof CliError) {
+      console.error(`\n❌ ${error.message}`);
+      if (error.exitCode === EXIT_CODES.USAGE) {
+        console.error(`\n${command.usage}`);
+      }
+      return error.exitCode;
+    }
+    console.error('\n❌ Error:', error.message);
+    console.error('\nStack trace:', error.stack);
+    return EXIT_CODES.FAILED;
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Shared helpers for CLI commands
+ */
+
+import path from 'path';
+import { validateConfig } from '../config/settings.js';
+import { resolveInputFiles } from '../utils/file-handler.js';
+import { validateInput } from '../utils/validators.js';
+import { isReport } from '../utils/comparison.js';
+import { readInputFiles } from '../importers/index.js';
+import { createHistoryStore } from '../history/index.js';
+import { CliError, EXIT_CODES } from './errors.js';
+
+/**
+ * Send console.log/info to stderr so stdout carries only command output
+ * (JSON, or a report written to "-")
+ */
+export function sendLogsToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+/**
+ * Run validateConfig, turning failures into a CONFIG exit code
+ */
+export function requireConfig() {
+  try {
+    validateConfig();
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.CONFIG);
+  }
+}
+
+/**
+ * Put a multi-line error message on one line for summaries and index files:
+ * "Input validation failed:\nstock.name: Required\nstock.symbol: Required"
+ * becomes "Input validation failed: stock.name: Required; stock.symbol: Required"
+ * @param {string} message - Error message
+ * @returns {string} - The first line, then the detail lines joined with "; "
+ */
+export function oneLineError(message) {
+  const [head = '', ...details] = String(message ?? '').split('\n').map(line => line.trim()).filter(Boolean);
+  if (details.length === 0) return head;
+  return `${head}${head.endsWith(':') ? '' : ':'} ${details.join('; ')}`;
+}
+
+/**
+ * Parse a numeric flag
+ * @param {string} value - Raw flag value
+ * @param {string} flag - Flag name for the error message
+ * @param {Object} range - { min, max, integer }
+ * @returns {number|undefined} - Parsed value, or undefined if not given
+ */
+export function parseNumberFlag(value, flag, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new CliError(`--${flag} must be ${integer ? 'an integer' : 'a number'} ${range} (got "${value}")`, EXIT_CODES.USAGE);
+  }
+  return number;
+}
+
+/**
+ * Resolve input specs (files, directories, globs, manifests) and read them
+ * @param {Array<string>} specs - Positional input arguments
+ * @returns {Promise<Array<Object>>} - readInputFiles results: { success, data | error, filePath }
+ */
+export async function loadInputs(specs) {
+  const files = [];
+  for (const spec of specs) {
+    let resolved;
+    try {
+      resolved = await resolveInputFiles(spec);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.INVALID_INPUT);
+    }
+    if (resolved.files.length === 0) {
+      throw new CliError(`No input files matched: ${spec}`, EXIT_CODES.INVALID_INPUT);
+    }
+    files.push(...resolved.files);
+  }
+  return readInputFiles(files);
+}
+
+/**
+ * Turn loaded files into comparison items (for compare and diff): stock inputs, reports written by
+ * analyze (the symbol comes from the file name unless the report has one),
+ * or { input, report } records
+ * @param {Array<Object>} inputs - loadInputs results
+ * @returns {Array<Object>} - Comparison items
+ */
+export function itemsFromFiles(inputs) {
+  const problems = [];
+  const items = [];
+
+  for (const item of inputs) {
+    if (!item.success) {
+      problems.push(`${item.filePath}: ${item.error}`);
+      continue;
+    }
+
+    const { data } = item;
+    if (isReport(data)) {
+      items.push({ symbol: data.symbol || path.basename(item.filePath, path.extname(item.filePath)), report: data });
+      continue;
+    }
+
+    const input = data?.input && data?.report ? data.input : data;
+    const validation = validateInput(input);
+    if (!validation.success) {
+      problems.push(`${item.filePath}: ${validation.errors.join('; ')}`);
+      continue;
+    }
+    items.push(input === data ? data : { input, report: data.report });
+  }
+
+  if (problems.length > 0) {
+    throw new CliError(`Invalid inputs:\n${problems.join('\n')}`, EXIT_CODES.INVALID_INPUT);
+  }
+  return items;
+}
+
+/**
+ * Load history records by id as comparison items
+ * @param {Array<string>} ids - History record ids
+ * @returns {Promise<Array<Object>>} - { input, report } items
+ */
+export async function itemsFromHistory(ids) {
+  const store = createHistoryStore();
+  if (!store) {
+    throw new CliError('Analysis history is disabled (HISTORY_STORE=none)', EXIT_CODES.CONFIG);
+  }
+
+  try {
+    const items = [];
+    for (const id of ids) {
+      const record = await store.get(id);
+      if (!record) {
+        throw new CliError(`No analysis with id ${id} in the history`, EXIT_CODES.INVALID_INPUT);
+      }
+      items.push({ symbol: record.symbol, input: record.input, report: record.report });
+    }
+    return items;
+  } finally {
+    await store.close();
+  }
+}
+
+/**
+ * Render rows as an aligned text table
+ * @param {Array<Object>} rows - Row objects
+ * @param {Array<Array<string>>} columns - [key, header] pairs
+ * @returns {string} - Table text
+ */
+export function formatTable(rows, columns) {
+  const cell = (row, key) => (row[key] === null || row[key] === undefined ? '–' : String(row[key]));
+  const widths = columns.map(([key, header]) => Math.max(header.length, ...rows.map(row => cell(row, key).length)));
+
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(([, header]) => header)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map(([key]) => cell(row, key))))
+  ].join('\n');
+}
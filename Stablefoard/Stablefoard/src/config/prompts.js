@@ -2,6 +2,8 @@
  * Prompt templates for the stock analysis agent
  */
 
+import crypto from 'crypto';
+
 export const SYSTEM_PROMPT = `You are a senior AI investment analyst with deep expertise in stock analysis and institutional-grade investment research.
 
 Your role is to generate comprehensive stock evaluation reports based STRICTLY on the JSON data provided to you.
@@ -16,11 +18,21 @@ CRITICAL RULES:
 
 Your analysis should be thorough, professional, and grounded entirely in the provided data.`;
 
+// How the model cites its evidence; checked by utils/evidence.js
+const CITATION_RULES = `EVIDENCE CITATIONS:
+- For every bullet, list the INPUT DATA paths it relies on, in dot/bracket notation
+- Examples: "quantitative.fundamentalResilience.metrics[1]", "sis.stocks[0].metrics[3]", "qualitative.criteria[2]", "peerComparison.peers[0].metrics.P/E"
+- Every number a bullet quotes must appear in the data at its cited paths
+- Return them in "citations": for each text section, one array of paths per bullet, in bullet order`;
+
 export const ANALYSIS_PROMPT = `Analyze the following stock data comprehensively and generate a detailed evaluation report.
 
 INPUT DATA:
 {input_data}
 
+PEER ANALYTICS (computed from peerComparison; use these figures for every peer statement):
+{peer_summary}
+
 Generate a structured JSON report with the following sections:
 
 1. **Overall Score** (0-100): Weighted score based on all metrics with clear recommendation (Buy/Watchlist/Avoid)
@@ -32,7 +44,7 @@ Generate a structured JSON report with the following sections:
 
 3. **Valuation**: Analyze:
    - Forward P/E vs Sector position
-   - Comparison with peer valuations from peerComparison data
+   - Comparison with peer valuation medians and percentiles from PEER ANALYTICS
    - Determine if fairly valued, undervalued, or overvalued
 
 4. **Future Growth**: Assess:
@@ -43,7 +55,7 @@ Generate a structured JSON report with the following sections:
 
 5. **Competitive Advantage**: Evaluate:
    - Relative Strength vs Sector
-   - Performance vs peers (AMD, INTC, AVGO)
+   - Performance vs the peers listed in PEER ANALYTICS
    - Insider Ownership/Buying signals
    - Sustained competitive moat indicators
 
@@ -89,6 +101,8 @@ IMPORTANT FORMATTING RULES:
 - Use SIMPLE, PLAIN ENGLISH (avoid complex jargon)
 - Explain technical terms simply if needed
 
+${CITATION_RULES}
+
 Return ONLY a valid JSON object with this exact structure:
 {
   "overallScore": number (0-100),
@@ -103,11 +117,56 @@ Return ONLY a valid JSON object with this exact structure:
   "portfolioFit": string,
   "timeHorizon": string,
   "aiSummary": string,
-  "finalVerdict": string
+  "finalVerdict": string,
+  "citations": { "financialHealth": [["path", ...], ...], ... one entry per text section }
 }
 
 Ensure all strings use the format:
-"• Point 1 (max 12 words)\\n• Point 2 (max 12 words)\\n• • Point 3 (max 12 words)"`;
+"• Point 1 (max 12 words)\\n• Point 2 (max 12 words)\\n• Point 3 (max 12 words)"`;
+
+/**
+ * What each report field should cover, used by the workflow's per-section
+ * prompts (the same guidance ANALYSIS_PROMPT gives for the whole report)
+ */
+export const SECTION_GUIDES = {
+  overallScore: 'number (0-100): weighted score based on all metrics',
+  recommendation: '"Buy" | "Watchlist" | "Avoid", consistent with the overall score',
+  financialHealth: 'Fundamental Resilience metrics (Free Cash Flow Yield, Net Debt/EBITDA, ROIC, Revenue Growth) and Risk Sensitivity Alignment signals; a clear assessment of financial stability',
+  valuation: 'Forward P/E vs Sector position and peer valuation medians and percentiles; whether the stock is fairly valued, undervalued or overvalued',
+  futureGrowth: 'Revenue Growth trend, Operating Leverage Trend, Compounding Scores from SIS/SSIS; growth potential relative to peers',
+  competitiveAdvantage: 'Relative Strength vs Sector, performance vs the peers in PEER ANALYTICS, Insider Ownership/Buying signals, moat indicators',
+  managementQuality: 'Qualitative criteria scores, the overall qualitative rating and insider behavior signals',
+  riskFactors: 'Failed metrics and their thresholds, Max Drawdown, debt levels (Net Debt/EBITDA), technical weaknesses, peer Beta and volatility',
+  technicalTrend: '200-day Moving Average status, peer RSI and 50-DMA, Accumulation/Distribution, Momentum Scores from SIS/SSIS',
+  portfolioFit: 'Suitable investor profile (growth/value/balanced), allocation suggestion, risk tolerance required',
+  timeHorizon: 'Optimal holding period based on the metrics; short-term vs long-term suitability',
+  aiSummary: 'Key strengths and weaknesses, critical decision factors and the overall investment thesis',
+  finalVerdict: 'The recommendation and its main justification'
+};
+
+export const SECTION_PROMPT = `Write part of a stock analysis report for {symbol} ({name}, as of {asOf}). The other sections are written separately; cover ONLY the sections below.
+
+SECTIONS TO WRITE:
+{section_guide}
+
+RELEVANT INPUT DATA:
+{input_data}
+
+PEER ANALYTICS (computed from peerComparison; use these figures for every peer statement):
+{peer_summary}
+
+IMPORTANT FORMATTING RULES:
+- Use bullet points (•) for every text section
+- MAXIMUM 3 bullet points per section
+- MAXIMUM 12 words per line
+- Be extremely concise and direct (telegraphic style)
+- Use SIMPLE, PLAIN ENGLISH (avoid complex jargon)
+
+${CITATION_RULES}
+- RELEVANT INPUT DATA keeps the full input's layout (metrics left out are shown as null), so its paths are valid as written
+
+Return ONLY a valid JSON object with exactly these keys: {sections}, plus "citations" for the text sections
+Text sections use the format "• Point 1\\n• Point 2\\n• Point 3".`;
 
 export const VALIDATION_PROMPT = `Review the generated stock analysis report for quality and accuracy.
 
@@ -129,8 +188,112 @@ Return a JSON object:
 {
   "isValid": boolean,
   "issues": [list of any problems found],
+  "failingSections": [report field names that need correction, e.g. "valuation"],
   "confidence": number (0-100)
 }
 
 If isValid is false, explain what needs correction.`;
 
+export const REPAIR_PROMPT = `A reviewer found problems in some sections of a generated stock analysis report. Rewrite ONLY the listed sections.
+
+ORIGINAL INPUT DATA:
+{input_data}
+
+CURRENT REPORT:
+{report}
+
+REVIEWER ISSUES:
+{issues}
+
+SECTIONS TO REWRITE:
+{sections}
+
+Fix every issue that applies to these sections, using ONLY the input data above.
+Keep the same formatting rules as the original report (• bullets, max 3 per section, max 12 words per line).
+
+Cite the input paths each rewritten bullet relies on, as in the original report.
+
+Return ONLY a valid JSON object containing exactly the sections listed above as keys, plus their "citations", for example:
+{
+  "valuation": "• Point 1\\n• Point 2",
+  "citations": { "valuation": [["quantitative.asymmetricRiskReward.metrics[0]"], ["peerComparison.peers[0].metrics.P/E"]] }
+}`;
+
+export const FORMAT_PROMPT = `Some sections of a stock analysis report break its formatting rules. Compress ONLY the listed sections.
+
+SECTIONS TO COMPRESS:
+{violations}
+
+CURRENT SECTIONS:
+{sections}
+
+Rules:
+- Every line starts with "• "
+- MAXIMUM 3 bullet points per section
+- MAXIMUM 12 words per line
+- Keep every fact and figure that matters; cut filler words, not data
+- Do not add anything that is not in the current text
+
+Cite the input paths each compressed bullet relies on, taken from the current citations.
+
+Return ONLY a valid JSON object containing exactly the listed sections as keys, plus their "citations", for example:
+{
+  "valuation": "• Point 1\\n• Point 2",
+  "citations": { "valuation": [["quantitative.asymmetricRiskReward.metrics[0]"], ["peerComparison.peers[0].metrics.P/E"]] }
+}`;
+
+export const COMPARISON_PROMPT = `Compare the following stocks for an investment committee and explain their ranking.
+
+COMPARISON (rankings, pillar scores 0-100 and head-to-head deltas):
+{comparison}
+
+STOCK DATA:
+{stocks}
+
+Rules:
+1. Use ONLY the data above - no external knowledge, prices, news or assumptions
+2. Explain the deterministic ranking as given; do not re-rank the stocks
+3. Write one matchup per head-to-head pair, explaining why the winner beats the loser: cite the pillars with the largest contributions and the specific metrics behind them
+4. Quote numbers exactly as they appear in the data
+5. If the model score ranking disagrees with the deterministic ranking, say so in the summary
+
+Return ONLY a valid JSON object:
+{
+  "summary": "• Point 1\\n• Point 2 (max 3 bullets, max 20 words each)",
+  "matchups": [
+    { "winner": "SYMBOL", "loser": "SYMBOL", "explanation": "• Reason 1\\n• Reason 2 (max 3 bullets)" }
+  ]
+}`;
+
+export const DIFF_PROMPT = `Explain what changed between two analyses of the same stock for a weekly watchlist review.
+
+CHANGES (from the earlier analysis to the later one):
+{diff}
+
+EARLIER DATA (as of {fromAsOf}):
+{fromData}
+
+LATER DATA (as of {toAsOf}):
+{toData}
+
+Rules:
+1. Use ONLY the data above - no external knowledge, prices, news or assumptions
+2. Describe the changes listed under CHANGES; do not invent others
+3. Quote numbers exactly as they appear in the data
+4. If nothing material changed, say so
+
+Return ONLY a valid JSON object:
+{
+  "whatChanged": "• Change 1\\n• Change 2 (max 5 bullets, max 20 words each)",
+  "whyItMatters": "• Implication 1\\n• Implication 2 (max 3 bullets, max 20 words each)"
+}`;
+
+/**
+ * Short fingerprint of the prompt templates, stored with every analysis so
+ * history entries can be traced back to the prompts that produced them
+ */
+export const PROMPT_VERSION = crypto
+  .createHash('sha256')
+  .update([SYSTEM_PROMPT, ANALYSIS_PROMPT, SECTION_PROMPT, JSON.stringify(SECTION_GUIDES), VALIDATION_PROMPT, REPAIR_PROMPT, FORMAT_PROMPT].join('\n'))
+  .digest('hex')
+  .slice(0, 12);
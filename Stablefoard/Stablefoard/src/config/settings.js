@@ -6,24 +6,81 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+const mockMode = process.env.MOCK_MODE === 'true';
+
 export const CONFIG = {
+  // LLM Provider: 'gemini', 'openai' (any OpenAI-compatible server) or 'mock'
+  provider: process.env.LLM_PROVIDER || (mockMode ? 'mock' : 'gemini'),
+
   // Google Gemini API Configuration
   googleApiKey: process.env.GOOGLE_API_KEY || '',
   geminiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
-  // When true, the agent will not call Gemini and will instead return
+
+  // OpenAI-compatible API Configuration (also llama.cpp, vLLM, Ollama...)
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY || '',
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    // Whether the server accepts json_schema response formats: 'true' or
+    // 'false', or unset to use them only with api.openai.com
+    structuredOutput: process.env.OPENAI_STRUCTURED_OUTPUT
+      ? process.env.OPENAI_STRUCTURED_OUTPUT === 'true'
+      : null
+  },
+
+  // When true, the agent will not call any model and will instead return
   // a deterministic mock JSON response. Useful for offline testing or
-  // when API quota is exhausted.
-  mockMode: process.env.MOCK_MODE === 'true',
+  // when API quota is exhausted. Shorthand for LLM_PROVIDER=mock.
+  mockMode,
+
+  // Fixtures: 'record' saves every prompt hash -> raw response to
+  // fixtures.dir, 'replay' serves them back and fails on a cache miss.
+  fixtures: {
+    mode: process.env.FIXTURE_MODE || '',
+    dir: process.env.FIXTURES_DIR || 'fixtures'
+  },
   
   // Model Parameters
   temperature: parseFloat(process.env.TEMPERATURE || '0.3'),
   maxOutputTokens: 8192,
+  // Ask providers that support it to return JSON matching the report schema
+  // instead of free text (falls back to text parsing otherwise)
+  structuredOutput: process.env.STRUCTURED_OUTPUT !== 'false',
   topP: 0.95,
   topK: 40,
   
   // Agent Configuration
   maxRetries: 3,
-  timeoutMs: 60000,
+  // Per-stock timeout for batch analysis (0 disables it)
+  timeoutMs: parseInt(process.env.TIMEOUT_MS || '60000', 10),
+  // Stocks analysed at once by batchAnalyze
+  batchConcurrency: parseInt(process.env.BATCH_CONCURRENCY || '4', 10),
+  // Budget shared by every model call in the process (0 = unlimited).
+  // Tokens are estimated at ~4 characters each.
+  rateLimit: {
+    requestsPerMinute: parseInt(process.env.RATE_LIMIT_RPM || '0', 10),
+    tokensPerMinute: parseInt(process.env.RATE_LIMIT_TPM || '0', 10)
+  },
+  // Review rounds: how many times the workflow may regenerate sections
+  // rejected by the self-critique step (0 disables repair)
+  maxReviewRounds: parseInt(process.env.MAX_REVIEW_ROUNDS || '2', 10),
+  // Rounds in which the workflow regenerates sections whose generation
+  // failed, each section on its own (0 fails the analysis straight away)
+  sectionRetries: parseInt(process.env.SECTION_RETRIES || '1', 10),
+  // Bullet format (utils/format.js): when a section breaks the bullet
+  // contract, ask the model once to compress just those sections. Sections
+  // are returned as newline-joined 'text' or as 'array' (string[] of bullets).
+  format: {
+    repair: process.env.FORMAT_REPAIR !== 'false',
+    sections: process.env.SECTION_FORMAT || 'text'
+  },
+  
+  // Analysis History: 'jsonl' (default), 'sqlite' (uses node:sqlite),
+  // 'memory' or 'none'. path defaults to history/analyses.jsonl or .db
+  history: {
+    store: process.env.HISTORY_STORE || 'jsonl',
+    path: process.env.HISTORY_PATH || ''
+  },
   
   // Scoring Weights
   weights: {
@@ -32,6 +89,44 @@ export const CONFIG = {
     ssis: 0.15,
     qualitative: 0.20,
     peerComparison: 0.10
+  },
+
+  // Score Reconciliation
+  // source: 'deterministic' reports the weighted score as overallScore,
+  // 'llm' keeps the model's score. Either way both are recorded.
+  scoring: {
+    source: process.env.SCORE_SOURCE || 'deterministic',
+    divergenceThreshold: parseFloat(process.env.SCORE_DIVERGENCE_THRESHOLD || '15')
+  },
+
+  // Recommendation rules (utils/recommendation.js): each score band allows
+  // some recommendations, and one outside the band becomes the band's first.
+  // Hard overrides force a recommendation when every metric in `failing`
+  // fails and every quantitative pillar in `overall` has that result.
+  // mode: 'enforce' applies both, 'report' only records them, 'off' skips.
+  recommendationRules: {
+    mode: process.env.RECOMMENDATION_RULES || 'enforce',
+    bands: [
+      { min: 70, allowed: ['Buy', 'Watchlist'] },
+      { min: 45, allowed: ['Watchlist'] },
+      { min: 0, allowed: ['Avoid', 'Watchlist'] }
+    ],
+    overrides: [
+      {
+        recommendation: 'Avoid',
+        failing: ['Net Debt/EBITDA'],
+        overall: { riskSensitivityAlignment: 'fail' },
+        reason: 'Net Debt/EBITDA fails and risk sensitivity alignment is fail'
+      }
+    ]
+  },
+
+  // Numeric grounding: every figure in the report is matched against the
+  // input. With strict on, a report whose grounding score (share of matched
+  // figures, 0-100) is below minScore fails the analysis.
+  grounding: {
+    strict: process.env.GROUNDING_STRICT === 'true',
+    minScore: parseFloat(process.env.GROUNDING_MIN_SCORE || '100')
   }
 };
 
@@ -41,10 +136,46 @@ export const CONFIG = {
 export function validateConfig() {
   const errors = [];
   
-  if (!CONFIG.googleApiKey) {
+  if (CONFIG.provider === 'gemini' && !CONFIG.googleApiKey && CONFIG.fixtures.mode !== 'replay') {
     errors.push('GOOGLE_API_KEY is not set in environment variables');
   }
+
+  if (CONFIG.provider === 'openai' && !CONFIG.openai.baseUrl) {
+    errors.push('OPENAI_BASE_URL is not set in environment variables');
+  }
+
+  if (!['gemini', 'openai', 'mock'].includes(CONFIG.provider)) {
+    errors.push(`LLM_PROVIDER must be one of gemini, openai, mock (got "${CONFIG.provider}")`);
+  }
   
+  if (CONFIG.fixtures.mode && !['record', 'replay'].includes(CONFIG.fixtures.mode)) {
+    errors.push(`FIXTURE_MODE must be "record" or "replay" (got "${CONFIG.fixtures.mode}")`);
+  }
+
+  if (!['jsonl', 'sqlite', 'memory', 'none'].includes(CONFIG.history.store)) {
+    errors.push(`HISTORY_STORE must be one of jsonl, sqlite, memory, none (got "${CONFIG.history.store}")`);
+  }
+
+  if (!(CONFIG.batchConcurrency >= 1)) {
+    errors.push('BATCH_CONCURRENCY must be at least 1');
+  }
+
+  if (!(CONFIG.rateLimit.requestsPerMinute >= 0) || !(CONFIG.rateLimit.tokensPerMinute >= 0)) {
+    errors.push('RATE_LIMIT_RPM and RATE_LIMIT_TPM must be non-negative numbers');
+  }
+
+  if (!['text', 'array'].includes(CONFIG.format.sections)) {
+    errors.push(`SECTION_FORMAT must be "text" or "array" (got "${CONFIG.format.sections}")`);
+  }
+
+  if (!['enforce', 'report', 'off'].includes(CONFIG.recommendationRules.mode)) {
+    errors.push(`RECOMMENDATION_RULES must be "enforce", "report" or "off" (got "${CONFIG.recommendationRules.mode}")`);
+  }
+
+  if (!(CONFIG.grounding.minScore >= 0 && CONFIG.grounding.minScore <= 100)) {
+    errors.push('GROUNDING_MIN_SCORE must be between 0 and 100');
+  }
+
   if (CONFIG.temperature < 0 || CONFIG.temperature > 1) {
     errors.push('TEMPERATURE must be between 0 and 1');
   }
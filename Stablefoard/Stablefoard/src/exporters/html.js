@@ -0,0 +1,120 @@
+/**
+ * Standalone HTML report exporter (inline styles, no scripts)
+ */
+
+import { buildReportView, formatCell, reportTitle } from './report-view.js';
+
+const STYLES = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2933; max-width: 960px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.5; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.15rem; border-bottom: 1px solid #e4e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+  h3 { font-size: 1rem; margin-bottom: 0.5rem; }
+  .summary { display: flex; gap: 1.5rem; align-items: center; margin: 1rem 0; }
+  .score { font-size: 2.5rem; font-weight: 700; }
+  .score small { font-size: 1rem; color: #7b8794; }
+  .score.good { color: #2f855a; } .score.fair { color: #b7791f; } .score.poor { color: #c53030; }
+  .badge { display: inline-block; padding: 0.25rem 0.75rem; border-radius: 999px; font-weight: 600; background: #e4e7eb; }
+  .badge.buy { background: #c6f6d5; color: #22543d; }
+  .badge.watchlist { background: #fefcbf; color: #744210; }
+  .badge.avoid { background: #fed7d7; color: #742a2a; }
+  .note, footer { color: #7b8794; font-size: 0.85rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; margin-bottom: 1rem; }
+  th, td { border: 1px solid #e4e7eb; padding: 0.35rem 0.6rem; text-align: left; }
+  th { background: #f5f7fa; }
+  tr.pass td:first-child { border-left: 3px solid #2f855a; }
+  tr.fail td:first-child { border-left: 3px solid #c53030; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } table { break-inside: avoid; } }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an HTML table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<*>>} rows - Row values
+ * @param {string} rowClass - Class for every row (optional)
+ * @returns {string} - Table markup
+ */
+function table(headers, rows, rowClass = '') {
+  const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr${rowClass ? ` class="${rowClass}"` : ''}>${row.map(value => `<td>${escapeHtml(formatCell(value))}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * CSS class for a score band
+ * @param {number} score - Overall score
+ * @returns {string} - good, fair or poor
+ */
+function scoreClass(score) {
+  if (score >= 70) return 'good';
+  if (score >= 50) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Render a report and its input as a standalone HTML page
+ * @param {Object} report - Final report
+ * @param {Object} input - Stock input data (optional; adds the header, metric and peer tables)
+ * @returns {string} - HTML document
+ */
+export function renderHtml(report, input = null) {
+  const view = buildReportView(report, input);
+  const title = reportTitle(view);
+  const body = [`<h1>${escapeHtml(title)}</h1>`];
+
+  body.push(`<div class="summary">
+  <div class="score ${scoreClass(Number(view.overallScore))}">${escapeHtml(formatCell(view.overallScore))}<small>/100</small></div>
+  <span class="badge ${escapeHtml(String(view.recommendation || '').toLowerCase())}">${escapeHtml(formatCell(view.recommendation))}</span>
+</div>`);
+  if (view.scoring) {
+    body.push(`<p class="note">Deterministic score ${escapeHtml(formatCell(view.scoring.deterministicScore))}, model score ${escapeHtml(formatCell(view.scoring.llmScore))}</p>`);
+  }
+
+  for (const section of view.sections) {
+    const items = section.bullets.map(bullet => `  <li>${escapeHtml(bullet)}</li>`).join('\n');
+    body.push(`<h2>${escapeHtml(section.label)}</h2>\n${items ? `<ul>\n${items}\n</ul>` : '<p class="note">No content</p>'}`);
+  }
+
+  const metricRows = metrics => metrics.map(metric => [metric.pillar, metric.name, metric.value, metric.threshold]);
+  if (view.metrics.passed.length > 0 || view.metrics.failed.length > 0) {
+    body.push('<h2>Metrics</h2>');
+    body.push(`<h3>Passed (${view.metrics.passed.length})</h3>\n${table(['Pillar', 'Metric', 'Value', 'Threshold'], metricRows(view.metrics.passed), 'pass')}`);
+    body.push(`<h3>Failed (${view.metrics.failed.length})</h3>\n${table(['Pillar', 'Metric', 'Value', 'Threshold'], metricRows(view.metrics.failed), 'fail')}`);
+  }
+
+  if (view.peers.rows.length > 0) {
+    body.push(`<h2>Peer Comparison${view.peers.baseSymbol ? ` vs ${escapeHtml(view.peers.baseSymbol)}` : ''}</h2>`);
+    body.push(table(['Peer', ...view.peers.columns], view.peers.rows.map(row => [`${row.symbol} (${row.name})`, ...row.values])));
+  }
+
+  body.push(`<footer>Generated ${escapeHtml(view.generatedAt)}</footer>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body.join('\n\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,37 @@
+/**
+ * Report exporter registry
+ *
+ * An exporter is `{ extension, contentType, render(report, input) }`, where
+ * `render` returns the file contents (a string, or a Buffer for binary
+ * formats such as PDF). `input` is the stock data the report
+ * was generated from; exporters that lay out metric and peer tables use it.
+ */
+
+import { renderText } from './text.js';
+import { renderMarkdown } from './markdown.js';
+import { renderHtml } from './html.js';
+import { renderPdf } from './pdf.js';
+
+export const EXPORTERS = {
+  json: { extension: 'json', contentType: 'application/json', render: report => JSON.stringify(report, null, 2) + '\n' },
+  text: { extension: 'txt', contentType: 'text/plain; charset=utf-8', render: renderText },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: renderHtml },
+  pdf: { extension: 'pdf', contentType: 'application/pdf', render: renderPdf }
+};
+
+/**
+ * Look up an exporter by name
+ * @param {string} name - Format name
+ * @returns {Object} - { extension, contentType, render }
+ */
+export function getExporter(name) {
+  const exporter = EXPORTERS[name];
+  if (!exporter) {
+    throw new Error(`Unknown output format "${name}". Available formats: ${Object.keys(EXPORTERS).join(', ')}`);
+  }
+  return exporter;
+}
+
+export { renderText, renderMarkdown, renderHtml, renderPdf };
+export { buildReportView } from './report-view.js';
@@ -0,0 +1,65 @@
+/**
+ * Markdown report exporter
+ */
+
+import { buildReportView, formatCell, reportTitle } from './report-view.js';
+
+/**
+ * Escape a table cell (pipes and line breaks would split the row)
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell text
+ */
+function cell(value) {
+  return formatCell(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Render a Markdown table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<*>>} rows - Row values
+ * @returns {string} - Table text
+ */
+function table(headers, rows) {
+  return [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Render a report and its input as Markdown
+ * @param {Object} report - Final report
+ * @param {Object} input - Stock input data (optional; adds the header, metric and peer tables)
+ * @returns {string} - Markdown document
+ */
+export function renderMarkdown(report, input = null) {
+  const view = buildReportView(report, input);
+  const out = [`# ${reportTitle(view)}`, ''];
+
+  out.push(`**Overall Score:** ${formatCell(view.overallScore)}/100  `);
+  out.push(`**Recommendation:** ${formatCell(view.recommendation)}`);
+  if (view.scoring) {
+    out.push('', `_Deterministic score ${formatCell(view.scoring.deterministicScore)}, model score ${formatCell(view.scoring.llmScore)}_`);
+  }
+
+  for (const section of view.sections) {
+    out.push('', `## ${section.label}`, '');
+    out.push(...(section.bullets.length > 0 ? section.bullets.map(bullet => `- ${bullet}`) : ['_No content_']));
+  }
+
+  const metricRows = metrics => metrics.map(metric => [metric.pillar, metric.name, metric.value, metric.threshold]);
+  if (view.metrics.passed.length > 0 || view.metrics.failed.length > 0) {
+    out.push('', '## Metrics');
+    out.push('', `### Passed (${view.metrics.passed.length})`, '', table(['Pillar', 'Metric', 'Value', 'Threshold'], metricRows(view.metrics.passed)));
+    out.push('', `### Failed (${view.metrics.failed.length})`, '', table(['Pillar', 'Metric', 'Value', 'Threshold'], metricRows(view.metrics.failed)));
+  }
+
+  if (view.peers.rows.length > 0) {
+    out.push('', `## Peer Comparison${view.peers.baseSymbol ? ` vs ${view.peers.baseSymbol}` : ''}`, '');
+    out.push(table(['Peer', ...view.peers.columns], view.peers.rows.map(row => [`${row.symbol} (${row.name})`, ...row.values])));
+  }
+
+  out.push('', `---`, `_Generated ${view.generatedAt}_`);
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,295 @@
+/**
+ * Minimal PDF writer in plain JavaScript
+ *
+ * Supports what the report layout needs: pages, text in the standard
+ * Helvetica and Helvetica-Bold fonts (WinAnsi encoding), filled and stroked
+ * rectangles, and lines. Coordinates are in points from the top-left corner
+ * of the page; text `y` is the baseline.
+ */
+
+import zlib from 'zlib';
+
+export const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792]
+};
+
+// Glyph widths (1/1000 em) for character codes 32-126, from the standard Helvetica AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+const SPECIAL_WIDTHS = { 0x85: 1000, 0x95: 350, 0x96: 556, 0x97: 1000, 0x99: 1000, 0xB7: 278 };
+const SUBSTITUTES = { '✓': '+', '✔': '+', '✗': 'x', '✘': 'x', '≥': '>=', '≤': '<=', '→': '->', '−': '-' };
+
+/**
+ * Encode text as WinAnsi bytes; characters the standard fonts lack become "?"
+ * @param {string} text - Text to encode
+ * @returns {Array<number>} - Byte values
+ */
+function encodeWinAnsi(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const substitute = SUBSTITUTES[char];
+    if (substitute) {
+      bytes.push(...encodeWinAnsi(substitute));
+      continue;
+    }
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) bytes.push(WIN_ANSI[char]);
+    else if (code === 0x09) bytes.push(0x20);
+    else if ((code >= 0x20 && code < 0x7F) || (code >= 0xA0 && code <= 0xFF)) bytes.push(code);
+    else bytes.push(0x3F);
+  }
+  return bytes;
+}
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} - Compact decimal
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format an RGB colour (components 0-1) for a content stream
+ * @param {Array<number>} color - [r, g, b]
+ * @returns {string} - "r g b"
+ */
+function rgb(color) {
+  return color.map(num).join(' ');
+}
+
+/**
+ * Format a date as a PDF date string
+ * @param {Date} date - Date
+ * @returns {string} - D:YYYYMMDDHHmmSSZ
+ */
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Encode a string as a PDF hex string in WinAnsi
+ * @param {string} text - Text
+ * @returns {string} - <...>
+ */
+function hexString(text) {
+  return `<${encodeWinAnsi(text).map(byte => byte.toString(16).padStart(2, '0')).join('')}>`;
+}
+
+export class PdfDocument {
+  /**
+   * @param {Object} options - Document options
+   * @param {string} options.pageSize - Key of PAGE_SIZES (default: a4)
+   * @param {string} options.title - Document title metadata
+   */
+  constructor(options = {}) {
+    const size = PAGE_SIZES[options.pageSize || 'a4'];
+    if (!size) {
+      throw new Error(`Unknown page size "${options.pageSize}". Available sizes: ${Object.keys(PAGE_SIZES).join(', ')}`);
+    }
+    [this.width, this.height] = size;
+    this.title = options.title || '';
+    this.pages = [];
+    this.pageIndex = -1;
+  }
+
+  /**
+   * Start a new page and draw on it
+   * @returns {number} - Page index
+   */
+  addPage() {
+    this.pages.push([]);
+    this.pageIndex = this.pages.length - 1;
+    return this.pageIndex;
+  }
+
+  /**
+   * Draw on an earlier page (e.g. to add footers once the page count is known)
+   * @param {number} index - Page index
+   */
+  setPage(index) {
+    if (!this.pages[index]) {
+      throw new Error(`Page ${index} does not exist`);
+    }
+    this.pageIndex = index;
+  }
+
+  /**
+   * Content operators of the page being drawn on
+   * @returns {Array<string>} - Operator list
+   */
+  get current() {
+    if (this.pages.length === 0) this.addPage();
+    return this.pages[this.pageIndex];
+  }
+
+  /**
+   * Width of a string in points
+   * @param {string} text - Text
+   * @param {number} size - Font size
+   * @param {boolean} bold - Bold font
+   * @returns {number} - Width in points
+   */
+  textWidth(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const byte of encodeWinAnsi(text)) {
+      total += byte >= 32 && byte <= 126 ? widths[byte - 32] : (SPECIAL_WIDTHS[byte] || 556);
+    }
+    return total * size / 1000;
+  }
+
+  /**
+   * Break text into lines no wider than maxWidth (long words are split)
+   * @param {string} text - Text
+   * @param {number} maxWidth - Line width in points
+   * @param {number} size - Font size
+   * @param {boolean} bold - Bold font
+   * @returns {Array<string>} - Lines
+   */
+  wrapText(text, maxWidth, size, bold = false) {
+    const lines = [];
+    for (const paragraph of String(text ?? '').split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.textWidth(candidate, size, bold) <= maxWidth) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        line = word;
+        while (this.textWidth(line, size, bold) > maxWidth && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && this.textWidth(line.slice(0, cut), size, bold) > maxWidth) cut--;
+          lines.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Draw text
+   * @param {string} text - Text (single line)
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} options - { size (default 10), bold, color [r, g, b] }
+   */
+  text(text, x, y, { size = 10, bold = false, color = [0, 0, 0] } = {}) {
+    this.current.push(
+      `BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${num(this.height - y)} Td ${hexString(text)} Tj ET`
+    );
+  }
+
+  /**
+   * Draw a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} options - { fill [r, g, b], stroke [r, g, b], lineWidth }
+   */
+  rect(x, y, width, height, { fill, stroke, lineWidth = 0.5 } = {}) {
+    const ops = [];
+    if (fill) ops.push(`${rgb(fill)} rg`);
+    if (stroke) ops.push(`${rgb(stroke)} RG ${num(lineWidth)} w`);
+    ops.push(`${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re`);
+    ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+    this.current.push(ops.join(' '));
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {Object} options - { color [r, g, b], lineWidth }
+   */
+  line(x1, y1, x2, y2, { color = [0, 0, 0], lineWidth = 0.5 } = {}) {
+    this.current.push(`${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} - PDF file contents
+   */
+  toBuffer() {
+    if (this.pages.length === 0) this.addPage();
+
+    // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+    const objects = [];
+    const pageIds = this.pages.map((_, i) => 6 + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title ${hexString(this.title)} /Producer ${hexString('stock-analysis-agent')} /CreationDate (${pdfDate(new Date())}) >>`;
+
+    this.pages.forEach((ops, i) => {
+      const pageId = pageIds[i];
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+      objects[pageId + 1] = Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = length;
+      const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+      const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+
+    const xref = [
+      'xref',
+      `0 ${objects.length}`,
+      '0000000000 65535 f ',
+      ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      ''
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * PDF report exporter: a cover page, then each section, the metric tables
+ * and the peer comparison, with page numbers in the footer
+ */
+
+import { PdfDocument } from './pdf-document.js';
+import { buildReportView, formatCell, reportTitle } from './report-view.js';
+
+const MARGIN = 50;
+const COLORS = {
+  text: [0.12, 0.16, 0.2],
+  muted: [0.48, 0.53, 0.58],
+  rule: [0.85, 0.87, 0.9],
+  header: [0.95, 0.96, 0.98],
+  good: [0.18, 0.52, 0.35],
+  fair: [0.72, 0.47, 0.12],
+  poor: [0.77, 0.19, 0.19]
+};
+const RECOMMENDATION_COLORS = { buy: COLORS.good, watchlist: COLORS.fair, avoid: COLORS.poor };
+
+/**
+ * Colour for a score band
+ * @param {number} score - Overall score
+ * @returns {Array<number>} - RGB colour
+ */
+function scoreColor(score) {
+  if (score >= 70) return COLORS.good;
+  if (score >= 50) return COLORS.fair;
+  return COLORS.poor;
+}
+
+/**
+ * Flowing layout on top of PdfDocument: tracks the cursor and breaks pages
+ */
+class PdfLayout {
+  /**
+   * @param {PdfDocument} doc - Target document
+   */
+  constructor(doc) {
+    this.doc = doc;
+    this.contentWidth = doc.width - MARGIN * 2;
+    this.bottom = doc.height - MARGIN - 20;
+    this.y = MARGIN;
+  }
+
+  newPage() {
+    this.doc.addPage();
+    this.y = MARGIN;
+  }
+
+  /**
+   * Start a new page unless `height` points still fit
+   * @param {number} height - Space needed
+   */
+  ensureSpace(height) {
+    if (this.y + height > this.bottom) this.newPage();
+  }
+
+  /**
+   * @param {string} text - Heading text
+   * @param {number} size - Font size
+   */
+  heading(text, size = 14) {
+    this.ensureSpace(size * 3);
+    this.y += size + 8;
+    this.doc.text(text, MARGIN, this.y, { size, bold: true, color: COLORS.text });
+    this.y += 6;
+    this.doc.line(MARGIN, this.y, MARGIN + this.contentWidth, this.y, { color: COLORS.rule });
+    this.y += 6;
+  }
+
+  /**
+   * @param {string} text - Paragraph text, wrapped to the content width
+   * @param {Object} options - { size, color }
+   */
+  paragraph(text, { size = 10, color = COLORS.text } = {}) {
+    for (const line of this.doc.wrapText(text, this.contentWidth, size)) {
+      this.ensureSpace(size * 1.4);
+      this.y += size * 1.4;
+      this.doc.text(line, MARGIN, this.y, { size, color });
+    }
+  }
+
+  /**
+   * @param {Array<string>} items - Bullet texts
+   * @param {number} size - Font size
+   */
+  bullets(items, size = 10) {
+    const indent = 14;
+    for (const item of items) {
+      const lines = this.doc.wrapText(item, this.contentWidth - indent, size);
+      lines.forEach((line, i) => {
+        this.ensureSpace(size * 1.4);
+        this.y += size * 1.4;
+        if (i === 0) this.doc.text('•', MARGIN + 3, this.y, { size, color: COLORS.muted });
+        this.doc.text(line, MARGIN + indent, this.y, { size, color: COLORS.text });
+      });
+      this.y += 3;
+    }
+  }
+
+  /**
+   * Draw a table; rows wrap within their cells and the header repeats after a page break
+   * @param {Array<string>} headers - Column headers
+   * @param {Array<Array<*>>} rows - Row values
+   * @param {Array<number>} weights - Relative column widths
+   * @param {Object} options - { size, accent: colour of the left edge of each row }
+   */
+  table(headers, rows, weights, { size = 9, accent } = {}) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const widths = weights.map(weight => this.contentWidth * weight / total);
+    const padding = 4;
+    const lineHeight = size * 1.3;
+
+    const drawRow = (cells, { bold = false, fill, edge } = {}) => {
+      const wrapped = cells.map((value, i) => this.doc.wrapText(formatCell(value), widths[i] - padding * 2, size, bold));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + padding * 2;
+      if (this.y + height > this.bottom) {
+        this.newPage();
+        if (!bold) drawRow(headers, { bold: true, fill: COLORS.header });
+      }
+
+      let x = MARGIN;
+      wrapped.forEach((lines, i) => {
+        this.doc.rect(x, this.y, widths[i], height, { fill, stroke: COLORS.rule });
+        lines.forEach((line, j) => {
+          this.doc.text(line, x + padding, this.y + padding + (j + 1) * lineHeight - size * 0.25, { size, bold, color: COLORS.text });
+        });
+        x += widths[i];
+      });
+      if (edge) this.doc.rect(MARGIN, this.y, 2, height, { fill: edge });
+      this.y += height;
+    };
+
+    this.ensureSpace(lineHeight * 2 + padding * 4);
+    drawRow(headers, { bold: true, fill: COLORS.header });
+    rows.forEach(row => drawRow(row, { edge: accent }));
+    this.y += 10;
+  }
+}
+
+/**
+ * Draw the cover page
+ * @param {PdfLayout} layout - Layout
+ * @param {Object} view - Report view
+ */
+function drawCover(layout, view) {
+  const { doc } = layout;
+  const center = text => (doc.width - doc.textWidth(text.value, text.size, text.bold)) / 2;
+  const line = (value, y, options) => doc.text(value, center({ value, ...options }), y, options);
+
+  line('Investment Committee Pack', 160, { size: 12, color: COLORS.muted });
+  line(view.symbol || 'Stock Analysis Report', 210, { size: 36, bold: true, color: COLORS.text });
+  if (view.name && view.name !== view.symbol) {
+    for (const [i, nameLine] of doc.wrapText(view.name, layout.contentWidth, 16).entries()) {
+      line(nameLine, 245 + i * 20, { size: 16, color: COLORS.text });
+    }
+  }
+  if (view.asOf) line(`As of ${view.asOf}`, 300, { size: 12, color: COLORS.muted });
+
+  const score = formatCell(view.overallScore);
+  const boxWidth = 220;
+  const boxX = (doc.width - boxWidth) / 2;
+  doc.rect(boxX, 350, boxWidth, 140, { stroke: COLORS.rule, lineWidth: 1 });
+  line(score, 420, { size: 54, bold: true, color: scoreColor(Number(view.overallScore)) });
+  line('Overall score / 100', 445, { size: 10, color: COLORS.muted });
+  line(formatCell(view.recommendation).toUpperCase(), 475, {
+    size: 16,
+    bold: true,
+    color: RECOMMENDATION_COLORS[String(view.recommendation).toLowerCase()] || COLORS.text
+  });
+
+  if (view.scoring) {
+    line(`Deterministic score ${formatCell(view.scoring.deterministicScore)} · Model score ${formatCell(view.scoring.llmScore)}`, 520, { size: 10, color: COLORS.muted });
+  }
+  line(`Generated ${view.generatedAt}`, doc.height - MARGIN - 40, { size: 9, color: COLORS.muted });
+}
+
+/**
+ * Render a report and its input as a PDF
+ * @param {Object} report - Final report
+ * @param {Object} input - Stock input data (optional; adds the cover details, metric and peer tables)
+ * @param {Object} options - { pageSize: 'a4' | 'letter' }
+ * @returns {Buffer} - PDF file contents
+ */
+export function renderPdf(report, input = null, options = {}) {
+  const view = buildReportView(report, input);
+  const title = reportTitle(view);
+  const doc = new PdfDocument({ pageSize: options.pageSize, title });
+  const layout = new PdfLayout(doc);
+
+  doc.addPage();
+  drawCover(layout, view);
+
+  layout.newPage();
+  for (const section of view.sections) {
+    layout.heading(section.label);
+    if (section.bullets.length > 0) layout.bullets(section.bullets);
+    else layout.paragraph('No content', { color: COLORS.muted });
+  }
+
+  const metricRows = metrics => metrics.map(metric => [metric.pillar, metric.name, metric.value, metric.threshold]);
+  if (view.metrics.passed.length > 0 || view.metrics.failed.length > 0) {
+    layout.heading('Metrics');
+    layout.paragraph(`Passed (${view.metrics.passed.length})`, { size: 11 });
+    layout.y += 4;
+    layout.table(['Pillar', 'Metric', 'Value', 'Threshold'], metricRows(view.metrics.passed), [3, 4, 2, 3], { accent: COLORS.good });
+    layout.paragraph(`Failed (${view.metrics.failed.length})`, { size: 11 });
+    layout.y += 4;
+    layout.table(['Pillar', 'Metric', 'Value', 'Threshold'], metricRows(view.metrics.failed), [3, 4, 2, 3], { accent: COLORS.poor });
+  }
+
+  if (view.peers.rows.length > 0) {
+    layout.heading(`Peer Comparison${view.peers.baseSymbol ? ` vs ${view.peers.baseSymbol}` : ''}`);
+    layout.table(
+      ['Peer', ...view.peers.columns],
+      view.peers.rows.map(row => [row.symbol, ...row.values]),
+      [2, ...view.peers.columns.map(() => 1.5)],
+      { size: 8 }
+    );
+  }
+
+  // Footers go on last, once the page count is known
+  doc.pages.forEach((_, i) => drawFooter(doc, title, i, doc.pages.length));
+
+  return doc.toBuffer();
+}
+
+/**
+ * Draw the footer rule, title and page number on a page
+ * @param {PdfDocument} doc - Document
+ * @param {string} title - Report title
+ * @param {number} index - Page index
+ * @param {number} count - Page count
+ */
+function drawFooter(doc, title, index, count) {
+  doc.setPage(index);
+  const y = doc.height - MARGIN + 10;
+  const label = `Page ${index + 1} of ${count}`;
+  doc.line(MARGIN, y - 12, doc.width - MARGIN, y - 12, { color: COLORS.rule });
+  doc.text(title, MARGIN, y, { size: 8, color: COLORS.muted });
+  doc.text(label, doc.width - MARGIN - doc.textWidth(label, 8), y, { size: 8, color: COLORS.muted });
+}
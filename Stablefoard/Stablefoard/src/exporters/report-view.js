@@ -0,0 +1,108 @@
+/**
+ * Exporter-neutral view of a report and its input: the header, score block,
+ * sections as bullet lists, metric tables and peer table that every export
+ * format lays out in its own way
+ */
+
+import { SECTION_LABELS } from '../utils/validators.js';
+import { parseBullets } from '../utils/format.js';
+
+const PILLARS = ['fundamentalResilience', 'asymmetricRiskReward', 'technicalConfirmation'];
+
+/**
+ * Turn a camelCase key into a title ("fundamentalResilience" -> "Fundamental Resilience")
+ * @param {string} key - camelCase key
+ * @returns {string} - Title-cased label
+ */
+function titleCase(key) {
+  return key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, char => char.toUpperCase());
+}
+
+/**
+ * Collect the quantitative metrics, split into passed and failed
+ * @param {Object} input - Stock input data
+ * @returns {Object} - { passed, failed } lists of { pillar, name, value, threshold }
+ */
+function collectMetrics(input) {
+  const passed = [];
+  const failed = [];
+
+  for (const pillar of PILLARS) {
+    for (const metric of input?.quantitative?.[pillar]?.metrics || []) {
+      const row = { pillar: titleCase(pillar), name: metric.name, value: metric.value, threshold: metric.threshold };
+      if (metric.pass === true) passed.push(row);
+      else if (metric.pass === false) failed.push(row);
+    }
+  }
+
+  return { passed, failed };
+}
+
+/**
+ * Build the peer comparison table
+ * @param {Object} input - Stock input data
+ * @returns {Object} - { baseSymbol, columns, rows } where rows are { symbol, name, values }
+ */
+function collectPeers(input) {
+  const peers = input?.peerComparison?.peers || [];
+  const columns = [];
+  for (const peer of peers) {
+    for (const key of Object.keys(peer.metrics || {})) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+
+  return {
+    baseSymbol: input?.peerComparison?.baseSymbol || null,
+    columns,
+    rows: peers.map(peer => ({
+      symbol: peer.symbol,
+      name: peer.name,
+      values: columns.map(column => peer.metrics?.[column] ?? null)
+    }))
+  };
+}
+
+/**
+ * Build the view rendered by the exporters
+ * @param {Object} report - Final report
+ * @param {Object} input - Stock input the report was generated from (optional)
+ * @returns {Object} - { symbol, name, asOf, overallScore, recommendation, scoring, sections, metrics, peers, generatedAt }
+ */
+export function buildReportView(report, input = null) {
+  const stock = input?.stock || {};
+
+  return {
+    symbol: stock.symbol || null,
+    name: stock.name || null,
+    asOf: stock.asOf || null,
+    overallScore: report.overallScore,
+    recommendation: report.recommendation,
+    scoring: report.scoring || null,
+    sections: Object.entries(SECTION_LABELS)
+      .filter(([key]) => report[key] !== undefined)
+      .map(([key, label]) => ({ key, label, bullets: parseBullets(report[key]) })),
+    metrics: collectMetrics(input),
+    peers: collectPeers(input),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Format a cell value for display
+ * @param {*} value - Cell value
+ * @returns {string} - Text, with a dash for missing values
+ */
+export function formatCell(value) {
+  return value === null || value === undefined || value === '' ? '–' : String(value);
+}
+
+/**
+ * Report title line: "AMD · Advanced Micro Devices (as of 2025-06-25)"
+ * @param {Object} view - Report view
+ * @returns {string} - Title
+ */
+export function reportTitle(view) {
+  const parts = [view.symbol, view.name].filter(Boolean);
+  return `${parts.length > 0 ? parts.join(' · ') : 'Stock Analysis Report'}${view.asOf ? ` (as of ${view.asOf})` : ''}`;
+}
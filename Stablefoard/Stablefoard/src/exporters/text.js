@@ -0,0 +1,27 @@
+/**
+ * Plain-text report exporter
+ */
+
+import { SECTION_LABELS } from '../utils/validators.js';
+import { parseBullets } from '../utils/format.js';
+
+/**
+ * Render a report as plain text: headline figures, then each section
+ * @param {Object} report - Final report
+ * @returns {string} - Text report
+ */
+export function renderText(report) {
+  const lines = [
+    `Overall Score: ${report.overallScore}/100`,
+    `Recommendation: ${report.recommendation}`
+  ];
+
+  for (const [section, label] of Object.entries(SECTION_LABELS)) {
+    if (report[section] === undefined) continue;
+    // Bullet text and bullet arrays (SECTION_FORMAT=array) print the same way
+    const content = parseBullets(report[section]).map(bullet => `• ${bullet}`).join('\n');
+    lines.push('', label, '-'.repeat(label.length), content);
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,47 @@
+/**
+ * Analysis history store registry
+ *
+ * A history store is any object with `name`, `async append(record)`,
+ * `async query(filter) => records`, `async get(id) => record | null` and
+ * `async close()`. Query filters are { symbol, from, to, recommendation,
+ * limit } and results come back newest first.
+ */
+
+import { CONFIG } from '../config/settings.js';
+import { JsonlHistoryStore } from './jsonl-store.js';
+import { SqliteHistoryStore } from './sqlite-store.js';
+import { MemoryHistoryStore } from './memory-store.js';
+
+export const HISTORY_STORES = {
+  jsonl: JsonlHistoryStore,
+  sqlite: SqliteHistoryStore,
+  memory: MemoryHistoryStore
+};
+
+const DEFAULT_PATHS = {
+  jsonl: 'history/analyses.jsonl',
+  sqlite: 'history/analyses.db'
+};
+
+/**
+ * Create a history store
+ * @param {string} name - Store name (default: CONFIG.history.store); 'none' disables history
+ * @param {Object} options - Store options (path defaults to CONFIG.history.path)
+ * @returns {Object|null} - Store instance, or null when history is disabled
+ */
+export function createHistoryStore(name = CONFIG.history.store, options = {}) {
+  if (name === 'none') return null;
+
+  const Store = HISTORY_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown history store "${name}". Available stores: ${Object.keys(HISTORY_STORES).join(', ')}, none`);
+  }
+
+  return new Store({
+    ...options,
+    path: options.path || CONFIG.history.path || DEFAULT_PATHS[name]
+  });
+}
+
+export { JsonlHistoryStore, SqliteHistoryStore, MemoryHistoryStore };
+export { createHistoryRecord, saveToHistory, summarizeHistory } from './records.js';
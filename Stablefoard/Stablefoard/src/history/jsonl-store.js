@@ -0,0 +1,86 @@
+/**
+ * JSON-lines history store
+ *
+ * Appends one record per line, so concurrent runs never rewrite each other's
+ * entries. Queries scan the whole file, which is fine for the few thousand
+ * analyses a desk produces; use the SQLite store beyond that.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ensureDirectory } from '../utils/file-handler.js';
+import { normalizeFilter, matchesFilter, newestFirst } from './records.js';
+
+export class JsonlHistoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - JSON-lines file path
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('JsonlHistoryStore requires a file path');
+    }
+    this.name = 'jsonl';
+    this.path = path.resolve(options.path);
+  }
+
+  /**
+   * Append a record
+   * @param {Object} record - History record
+   */
+  async append(record) {
+    await ensureDirectory(path.dirname(this.path));
+    await fs.appendFile(this.path, JSON.stringify(record) + '\n', 'utf-8');
+  }
+
+  /**
+   * Query records, newest first
+   * @param {Object} filter - { symbol, from, to, recommendation, limit }
+   * @returns {Promise<Array<Object>>} - Matching records
+   */
+  async query(filter = {}) {
+    const normalized = normalizeFilter(filter);
+    const records = await this.readAll();
+    return newestFirst(records.filter(record => matchesFilter(record, normalized)), normalized.limit);
+  }
+
+  /**
+   * Look up one record
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} - Record, or null if unknown
+   */
+  async get(id) {
+    const records = await this.readAll();
+    return records.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Read every record in file order
+   * @returns {Promise<Array<Object>>} - Records
+   */
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.path, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    const lines = content.split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A crash mid-append leaves a partial last line; skip it rather than losing the file
+        console.warn(`⚠️  Skipping unreadable history line ${index + 1} in ${this.path}`);
+      }
+    });
+
+    return records;
+  }
+
+  async close() {}
+}
@@ -0,0 +1,44 @@
+/**
+ * In-memory history store
+ *
+ * Keeps records for the lifetime of the process. Used when persistence is
+ * not wanted (HISTORY_STORE=memory) and in tests.
+ */
+
+import { normalizeFilter, matchesFilter, newestFirst } from './records.js';
+
+export class MemoryHistoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.records = [];
+  }
+
+  /**
+   * Append a record
+   * @param {Object} record - History record
+   */
+  async append(record) {
+    this.records.push(record);
+  }
+
+  /**
+   * Query records, newest first
+   * @param {Object} filter - { symbol, from, to, recommendation, limit }
+   * @returns {Promise<Array<Object>>} - Matching records
+   */
+  async query(filter = {}) {
+    const normalized = normalizeFilter(filter);
+    return newestFirst(this.records.filter(record => matchesFilter(record, normalized)), normalized.limit);
+  }
+
+  /**
+   * Look up one record
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} - Record, or null if unknown
+   */
+  async get(id) {
+    return this.records.find(record => record.id === id) || null;
+  }
+
+  async close() {}
+}
@@ -0,0 +1,143 @@
+/**
+ * Analysis history records
+ *
+ * Shared by every history store: building a record from a finished analysis,
+ * matching records against query filters, and summarizing a set of records.
+ */
+
+import crypto from 'crypto';
+import { PROMPT_VERSION } from '../config/prompts.js';
+
+/**
+ * Build a history record for a finished analysis
+ * @param {Object} details - Analysis details
+ * @param {Object} details.input - Stock input data
+ * @param {Object} details.report - Final report
+ * @param {string} details.mode - 'simple' or 'workflow'
+ * @param {Object} details.provider - Provider that generated the report
+ * @param {number} details.durationMs - Wall-clock duration of the analysis
+ * @returns {Object} - History record
+ */
+export function createHistoryRecord({ input, report, mode, provider, durationMs }) {
+  return {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    symbol: input?.stock?.symbol || 'Unknown',
+    name: input?.stock?.name || null,
+    recommendation: report?.recommendation || null,
+    score: typeof report?.overallScore === 'number' ? report.overallScore : null,
+    mode,
+    provider: provider?.name || null,
+    model: provider?.model || null,
+    promptVersion: PROMPT_VERSION,
+    durationMs,
+    input,
+    report
+  };
+}
+
+/**
+ * Persist an analysis to a history store. Persistence failures are logged
+ * rather than thrown so they never fail the analysis itself.
+ * @param {Object|null} store - History store (skipped when null)
+ * @param {Object} details - See createHistoryRecord
+ * @returns {Promise<Object|null>} - Saved record, or null if not saved
+ */
+export async function saveToHistory(store, details) {
+  if (!store) return null;
+
+  try {
+    const record = createHistoryRecord(details);
+    await store.append(record);
+    return record;
+  } catch (error) {
+    console.warn(`⚠️  Failed to save analysis history: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Normalize query filters. `from`/`to` accept Dates or ISO strings; a bare
+ * date ("2025-01-31") for `to` covers the whole day.
+ * @param {Object} filter - { symbol, from, to, recommendation, limit }
+ * @returns {Object} - Normalized filter
+ */
+export function normalizeFilter(filter = {}) {
+  const toIso = (value, endOfDay) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (endOfDay && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return `${value}T23:59:59.999Z`;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date in history filter: ${value}`);
+    }
+    return date.toISOString();
+  };
+
+  const limit = filter.limit === undefined || filter.limit === null ? null : parseInt(filter.limit, 10);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error(`Invalid history limit: ${filter.limit}`);
+  }
+
+  return {
+    symbol: filter.symbol ? String(filter.symbol).toUpperCase() : null,
+    from: toIso(filter.from, false),
+    to: toIso(filter.to, true),
+    recommendation: filter.recommendation ? String(filter.recommendation).toLowerCase() : null,
+    limit
+  };
+}
+
+/**
+ * Check a record against a normalized filter
+ * @param {Object} record - History record
+ * @param {Object} filter - Result of normalizeFilter
+ * @returns {boolean} - Whether the record matches
+ */
+export function matchesFilter(record, filter) {
+  if (filter.symbol && String(record.symbol).toUpperCase() !== filter.symbol) return false;
+  if (filter.from && record.timestamp < filter.from) return false;
+  if (filter.to && record.timestamp > filter.to) return false;
+  if (filter.recommendation && String(record.recommendation).toLowerCase() !== filter.recommendation) return false;
+  return true;
+}
+
+/**
+ * Sort records newest first and apply the limit
+ * @param {Array<Object>} records - Matching records in insertion order
+ * @param {number|null} limit - Maximum number of records
+ * @returns {Array<Object>} - Sorted records
+ */
+export function newestFirst(records, limit) {
+  const sorted = [...records].reverse().sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  return limit ? sorted.slice(0, limit) : sorted;
+}
+
+/**
+ * Summarize a set of history records
+ * @param {Array<Object>} records - Records with recommendation, score and timestamp
+ * @returns {Object} - Summary statistics
+ */
+export function summarizeHistory(records) {
+  if (records.length === 0) {
+    return { message: 'No analyses performed yet' };
+  }
+
+  const recommendations = records.reduce((acc, item) => {
+    acc[item.recommendation] = (acc[item.recommendation] || 0) + 1;
+    return acc;
+  }, {});
+
+  const scores = records.map(item => item.score).filter(score => typeof score === 'number');
+  const avgScore = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+
+  const latestAnalysis = records.reduce((latest, item) => (item.timestamp >= latest.timestamp ? item : latest));
+
+  return {
+    totalAnalyses: records.length,
+    averageScore: avgScore.toFixed(2),
+    recommendations,
+    latestAnalysis
+  };
+}
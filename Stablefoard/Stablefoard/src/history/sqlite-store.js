@@ -0,0 +1,174 @@
+/**
+ * SQLite history store
+ *
+ * Uses the built-in node:sqlite module (Node.js 22.13+), so no native
+ * dependency is needed. Summary columns are indexed for queries; the full
+ * input and report are kept as JSON text.
+ */
+
+import path from 'path';
+import { ensureDirectory } from '../utils/file-handler.js';
+import { normalizeFilter } from './records.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS analyses (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    name TEXT,
+    recommendation TEXT,
+    score REAL,
+    mode TEXT,
+    provider TEXT,
+    model TEXT,
+    prompt_version TEXT,
+    duration_ms INTEGER,
+    input TEXT NOT NULL,
+    report TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS analyses_symbol ON analyses (symbol, timestamp);
+  CREATE INDEX IF NOT EXISTS analyses_timestamp ON analyses (timestamp);
+`;
+
+/**
+ * Convert a database row back into a history record
+ * @param {Object} row - Row from the analyses table
+ * @returns {Object} - History record
+ */
+function rowToRecord(row) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    symbol: row.symbol,
+    name: row.name,
+    recommendation: row.recommendation,
+    score: row.score,
+    mode: row.mode,
+    provider: row.provider,
+    model: row.model,
+    promptVersion: row.prompt_version,
+    durationMs: row.duration_ms,
+    input: JSON.parse(row.input),
+    report: JSON.parse(row.report)
+  };
+}
+
+export class SqliteHistoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Database file path (':memory:' for a temporary database)
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('SqliteHistoryStore requires a database path');
+    }
+    this.name = 'sqlite';
+    this.path = options.path === ':memory:' ? options.path : path.resolve(options.path);
+    this.db = null;
+  }
+
+  /**
+   * Open the database on first use
+   * @returns {Promise<Object>} - DatabaseSync handle
+   */
+  async connect() {
+    if (this.db) return this.db;
+
+    let sqlite;
+    try {
+      sqlite = await import('node:sqlite');
+    } catch {
+      throw new Error(`SQLite history store requires Node.js 22.13 or later (running ${process.version}). Use HISTORY_STORE=jsonl instead.`);
+    }
+
+    if (this.path !== ':memory:') {
+      await ensureDirectory(path.dirname(this.path));
+    }
+    this.db = new sqlite.DatabaseSync(this.path);
+    this.db.exec(SCHEMA);
+    return this.db;
+  }
+
+  /**
+   * Append a record
+   * @param {Object} record - History record
+   */
+  async append(record) {
+    const db = await this.connect();
+    db.prepare(`
+      INSERT INTO analyses (id, timestamp, symbol, name, recommendation, score, mode, provider, model, prompt_version, duration_ms, input, report)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      record.id,
+      record.timestamp,
+      record.symbol,
+      record.name,
+      record.recommendation,
+      record.score,
+      record.mode,
+      record.provider,
+      record.model,
+      record.promptVersion,
+      record.durationMs,
+      JSON.stringify(record.input),
+      JSON.stringify(record.report)
+    );
+  }
+
+  /**
+   * Query records, newest first
+   * @param {Object} filter - { symbol, from, to, recommendation, limit }
+   * @returns {Promise<Array<Object>>} - Matching records
+   */
+  async query(filter = {}) {
+    const db = await this.connect();
+    const normalized = normalizeFilter(filter);
+
+    const clauses = [];
+    const params = [];
+    if (normalized.symbol) {
+      clauses.push('UPPER(symbol) = ?');
+      params.push(normalized.symbol);
+    }
+    if (normalized.from) {
+      clauses.push('timestamp >= ?');
+      params.push(normalized.from);
+    }
+    if (normalized.to) {
+      clauses.push('timestamp <= ?');
+      params.push(normalized.to);
+    }
+    if (normalized.recommendation) {
+      clauses.push('LOWER(recommendation) = ?');
+      params.push(normalized.recommendation);
+    }
+
+    let sql = 'SELECT * FROM analyses';
+    if (clauses.length > 0) sql += ` WHERE ${clauses.join(' AND ')}`;
+    sql += ' ORDER BY timestamp DESC, rowid DESC';
+    if (normalized.limit) {
+      sql += ' LIMIT ?';
+      params.push(normalized.limit);
+    }
+
+    return db.prepare(sql).all(...params).map(rowToRecord);
+  }
+
+  /**
+   * Look up one record
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} - Record, or null if unknown
+   */
+  async get(id) {
+    const db = await this.connect();
+    const row = db.prepare('SELECT * FROM analyses WHERE id = ?').get(id);
+    return row ? rowToRecord(row) : null;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * CSV reading and writing (RFC 4180: quoted fields, "" escapes, line breaks
+ * inside quotes, CRLF or LF line endings)
+ */
+
+import { InputImportError } from './errors.js';
+
+/**
+ * Pick the delimiter from the header line. Spreadsheet programs in many
+ * locales save "CSV" with semicolons.
+ * @param {string} text - CSV text
+ * @returns {string} - "," or ";"
+ */
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return !header.includes(',') && header.includes(';') ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV text (a leading byte-order mark is ignored)
+ * @param {Object} options - { source: file name for error messages }
+ * @returns {Array<Object>} - { row: 1-based record number, cells: Array<string> }; blank lines are skipped
+ */
+export function parseCsv(text, { source = 'CSV' } = {}) {
+  const content = text.replace(/^﻿/, '');
+  const delimiter = detectDelimiter(content);
+  const rows = [];
+
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let row = 1;
+  let quoteStartRow = 0;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== '') {
+      rows.push({ row, cells });
+    }
+    cells = [];
+    cell = '';
+    row++;
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+      quoteStartRow = row;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new InputImportError(source, [{ row: quoteStartRow, message: 'Quoted field is never closed' }]);
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote, line break or edge whitespace
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} - Field text
+ */
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV
+ * @param {Array<Object>} rows - Row objects
+ * @param {Array<string>} columns - Column keys, also used as the header
+ * @returns {string} - CSV text with a header line and CRLF line endings
+ */
+export function formatCsv(rows, columns) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+  return lines.map(values => values.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,53 @@
+/**
+ * Errors raised while importing spreadsheet inputs
+ */
+
+/**
+ * Convert a 0-based column index to spreadsheet letters
+ * @param {number} index - Column index
+ * @returns {string} - A, B, ..., Z, AA, ...
+ */
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Describe where a problem is, e.g. `sheet "sis", row 5, column "points" (J5)`
+ * @param {Object} problem - { sheet, row, column, columnIndex }
+ * @returns {string} - Location text (empty when the problem has no location)
+ */
+export function formatLocation({ sheet, row, column, columnIndex }) {
+  const parts = [];
+  if (sheet) parts.push(`sheet "${sheet}"`);
+  if (row) parts.push(`row ${row}`);
+  if (column) {
+    const cell = row && columnIndex !== undefined ? ` (${columnLetter(columnIndex)}${row})` : '';
+    parts.push(`column "${column}"${cell}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Raised when a spreadsheet cannot be turned into stock input. Collects
+ * every problem found rather than stopping at the first.
+ */
+export class InputImportError extends Error {
+  /**
+   * @param {string} source - File name
+   * @param {Array<Object>} problems - { message, sheet, row, column, columnIndex }
+   */
+  constructor(source, problems) {
+    const lines = problems.map(problem => {
+      const location = formatLocation(problem);
+      return location ? `${location}: ${problem.message}` : problem.message;
+    });
+    super(`Could not import ${source}:\n  ${lines.join('\n  ')}`);
+    this.name = 'InputImportError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
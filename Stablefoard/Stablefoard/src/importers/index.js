@@ -0,0 +1,123 @@
+/**
+ * Spreadsheet importers: build stock input objects from CSV files or XLSX
+ * workbooks laid out as described in layout.js. The result is a plain input
+ * object; pass it to validateInput like any JSON input.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCsv, formatCsv } from './csv.js';
+import { readXlsx } from './xlsx.js';
+import { readRecords, buildInput, inputToRows, findBlock, assertNoProblems, COLUMNS } from './layout.js';
+import { readJsonFile } from '../utils/file-handler.js';
+
+export { InputImportError, formatLocation } from './errors.js';
+export { parseCsv, formatCsv } from './csv.js';
+export { readXlsx } from './xlsx.js';
+export { BLOCKS, COLUMNS } from './layout.js';
+
+export const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Build a stock input from CSV text in the flat layout
+ * @param {string} text - CSV text
+ * @param {Object} options - { source: file name for error messages }
+ * @returns {Object} - Stock input
+ * @throws {InputImportError} - With the row and column of every problem found
+ */
+export function importCsv(text, { source = 'CSV' } = {}) {
+  const problems = [];
+  const records = readRecords(parseCsv(text, { source }), {}, problems);
+  const input = buildInput(records, problems);
+  assertNoProblems(source, problems);
+  return input;
+}
+
+/**
+ * Build a stock input from an XLSX workbook. Sheets named after a block
+ * (stock, sis, peerComparison, ...) hold that block's rows; any other sheet
+ * with a `block` column is read in the flat CSV layout. Other sheets are ignored.
+ * @param {Buffer} buffer - Workbook file contents
+ * @param {Object} options - { source: file name for error messages }
+ * @returns {Object} - Stock input
+ * @throws {InputImportError} - With the sheet, row and column of every problem found
+ */
+export function importXlsx(buffer, { source = 'XLSX workbook' } = {}) {
+  const problems = [];
+  const records = [];
+
+  for (const sheet of readXlsx(buffer, { source })) {
+    const block = findBlock(sheet.name);
+    const flat = !block && sheet.rows[0]?.cells.some(cell => cell.trim().toLowerCase() === 'block');
+    if (block || flat) {
+      records.push(...readRecords(sheet.rows, { sheet: sheet.name, block }, problems));
+    }
+  }
+
+  const input = buildInput(records, problems);
+  assertNoProblems(source, problems);
+  return input;
+}
+
+/**
+ * Write a stock input in the flat CSV layout (the inverse of importCsv)
+ * @param {Object} input - Stock input
+ * @returns {string} - CSV text
+ */
+export function inputToCsv(input) {
+  return formatCsv(inputToRows(input), COLUMNS);
+}
+
+/**
+ * Check whether a file is a spreadsheet input
+ * @param {string} filePath - File path
+ * @returns {boolean} - True for .csv and .xlsx
+ */
+export function isSpreadsheet(filePath) {
+  return SPREADSHEET_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Read a stock input from JSON, CSV or XLSX, chosen by file extension
+ * @param {string} filePath - Input file
+ * @returns {Promise<Object>} - Stock input
+ */
+export async function readInputFile(filePath) {
+  if (!isSpreadsheet(filePath)) {
+    return readJsonFile(filePath);
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    throw error;
+  }
+
+  return path.extname(filePath).toLowerCase() === '.xlsx'
+    ? importXlsx(content, { source: filePath })
+    : importCsv(content.toString('utf-8'), { source: filePath });
+}
+
+/**
+ * Read several stock inputs (JSON, CSV or XLSX)
+ * @param {Array<string>} filePaths - Input files
+ * @returns {Promise<Array<Object>>} - { success, data | error, filePath } per file, like readJsonFiles
+ */
+export async function readInputFiles(filePaths) {
+  const results = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const data = await readInputFile(filePath);
+      results.push({ success: true, data, filePath });
+    } catch (error) {
+      results.push({ success: false, error: error.message, filePath });
+    }
+  }
+
+  return results;
+}
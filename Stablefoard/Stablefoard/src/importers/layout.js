@@ -0,0 +1,439 @@
+/**
+ * Flat spreadsheet layout for stock inputs
+ *
+ * One row per item, with a `block` column naming the part of the input it
+ * belongs to. An XLSX workbook may instead use one sheet per block, named
+ * after the block, with the same columns minus `block`. See README
+ * ("Importing spreadsheets") for the full layout.
+ */
+
+import { InputImportError } from './errors.js';
+
+export const BLOCKS = [
+  'stock',
+  'fundamentalResilience',
+  'asymmetricRiskReward',
+  'technicalConfirmation',
+  'riskSensitivityAlignment',
+  'sis',
+  'ssis',
+  'qualitative',
+  'peerComparison'
+];
+
+export const COLUMNS = [
+  'block', 'symbol', 'name', 'asOf', 'overall', 'metric', 'value', 'threshold',
+  'pass', 'points', 'result', 'weightedScore', 'score', 'notes', 'baseSymbol'
+];
+
+const PILLARS = ['fundamentalResilience', 'asymmetricRiskReward', 'technicalConfirmation'];
+
+// Columns that only make sense on a row describing a metric
+const METRIC_COLUMNS = ['value', 'threshold', 'pass', 'points', 'result', 'weightedScore'];
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const TRUE_WORDS = ['true', 'yes', 'y', 'pass', '1'];
+const FALSE_WORDS = ['false', 'no', 'n', 'fail', '0'];
+
+/**
+ * Normalise a header or block name for matching: case, spaces, _ and - are ignored
+ * @param {string} text - Name as written in the spreadsheet
+ * @returns {string} - Lookup key
+ */
+function normalizeName(text) {
+  return String(text).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+const COLUMN_LOOKUP = Object.fromEntries(COLUMNS.map(column => [normalizeName(column), column]));
+const BLOCK_LOOKUP = Object.fromEntries(BLOCKS.map(block => [normalizeName(block), block]));
+
+/**
+ * Find the block a name refers to
+ * @param {string} name - Block or sheet name
+ * @returns {string|undefined} - Entry of BLOCKS
+ */
+export function findBlock(name) {
+  return BLOCK_LOOKUP[normalizeName(name)];
+}
+
+/**
+ * Turn a sheet's rows into records keyed by column. The first row is the header.
+ * @param {Array<Object>} rows - { row, cells } from parseCsv or readXlsx
+ * @param {Object} options - { sheet: sheet name, block: block for every row (per-block sheets) }
+ * @param {Array<Object>} problems - Problems found are pushed here
+ * @returns {Array<Object>} - { block, row, sheet, values, columns: column -> index }
+ */
+export function readRecords(rows, { sheet, block } = {}, problems) {
+  if (rows.length === 0) return [];
+
+  const [header, ...body] = rows;
+  const columns = {};
+  header.cells.forEach((text, index) => {
+    if (text.trim() === '') return;
+    const column = COLUMN_LOOKUP[normalizeName(text)];
+    if (!column) {
+      problems.push({ sheet, row: header.row, column: text.trim(), columnIndex: index, message: 'Unknown column' });
+    } else if (columns[column] !== undefined) {
+      problems.push({ sheet, row: header.row, column, columnIndex: index, message: 'Column appears more than once' });
+    } else {
+      columns[column] = index;
+    }
+  });
+
+  if (!block && columns.block === undefined) {
+    problems.push({ sheet, row: header.row, message: 'Header has no "block" column' });
+    return [];
+  }
+
+  const records = [];
+  for (const { row, cells } of body) {
+    const values = {};
+    for (const [column, index] of Object.entries(columns)) {
+      values[column] = (cells[index] ?? '').trim();
+    }
+
+    let recordBlock = block;
+    if (!block) {
+      recordBlock = findBlock(values.block);
+      if (!recordBlock) {
+        problems.push({
+          sheet, row, column: 'block', columnIndex: columns.block,
+          message: values.block ? `Unknown block "${values.block}" (expected one of ${BLOCKS.join(', ')})` : 'Block is required'
+        });
+        continue;
+      }
+    }
+    records.push({ block: recordBlock, row, sheet, values, columns });
+  }
+  return records;
+}
+
+/**
+ * Typed access to one record's cells; problems are pushed with the record's location
+ * @param {Object} record - Record from readRecords
+ * @param {Array<Object>} problems - Problem list
+ * @returns {Object} - Readers: text, number, boolean, value, has, fail
+ */
+function cellReader(record, problems) {
+  const fail = (column, message) => {
+    problems.push({ sheet: record.sheet, row: record.row, column, columnIndex: record.columns[column], message });
+    return undefined;
+  };
+  const has = column => Boolean(record.values[column]);
+
+  return {
+    has,
+    fail,
+    text(column, { required = false } = {}) {
+      if (has(column)) return record.values[column];
+      return required ? fail(column, 'Value is required') : undefined;
+    },
+    number(column, { required = false } = {}) {
+      if (!has(column)) return required ? fail(column, 'Value is required') : undefined;
+      const text = record.values[column];
+      return NUMBER_PATTERN.test(text) ? Number(text) : fail(column, `Expected a number, got "${text}"`);
+    },
+    boolean(column, { required = false } = {}) {
+      if (!has(column)) return required ? fail(column, 'Value is required') : undefined;
+      const word = record.values[column].toLowerCase();
+      if (TRUE_WORDS.includes(word)) return true;
+      if (FALSE_WORDS.includes(word)) return false;
+      return fail(column, `Expected true/false (or yes/no, pass/fail), got "${record.values[column]}"`);
+    },
+    // Metric values: numbers when they look like one, otherwise the text ("Above", "37%")
+    value(column, { required = false } = {}) {
+      if (!has(column)) return required ? fail(column, 'Value is required') : undefined;
+      const text = record.values[column];
+      return NUMBER_PATTERN.test(text) ? Number(text) : text;
+    }
+  };
+}
+
+/**
+ * Read a value that may be repeated on several rows of a group (a block's
+ * `overall`, a peer's name); every non-empty copy must agree.
+ * @param {Array<Object>} records - Records of the group
+ * @param {string} column - Column to read
+ * @param {Array<Object>} problems - Problem list
+ * @param {Object} options - { required, type: 'text' | 'number', label for the missing-value message }
+ * @returns {*} - The value, or undefined
+ */
+function sharedValue(records, column, problems, { required = true, type = 'text', label } = {}) {
+  let value;
+  let source;
+  for (const record of records) {
+    if (!record.values[column]) continue;
+    const reader = cellReader(record, problems);
+    const next = reader[type](column);
+    if (next === undefined) continue;
+    if (source === undefined) {
+      value = next;
+      source = record;
+    } else if (next !== value) {
+      reader.fail(column, `"${record.values[column]}" conflicts with "${source.values[column]}" on row ${source.row}`);
+    }
+  }
+
+  if (source === undefined && required && records.length > 0) {
+    const [first] = records;
+    problems.push({
+      sheet: first.sheet,
+      row: first.row,
+      column,
+      columnIndex: first.columns[column],
+      message: `${label || `"${column}" of block ${first.block}`} is required on at least one of its rows`
+    });
+  }
+  return value;
+}
+
+/**
+ * Group records by a column, keeping first-seen order
+ * @param {Array<Object>} records - Records
+ * @param {string} column - Grouping column
+ * @returns {Map<string, Array<Object>>} - Value -> records
+ */
+function groupBy(records, column) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = record.values[column];
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return groups;
+}
+
+/**
+ * Split a block's records into metric rows and summary rows (no `metric`).
+ * Summary rows may not carry metric fields.
+ * @param {Array<Object>} records - Records of one block or group
+ * @param {Array<Object>} problems - Problem list
+ * @returns {Array<Object>} - Records that describe a metric
+ */
+function metricRecords(records, problems) {
+  return records.filter(record => {
+    if (record.values.metric) return true;
+    const stray = METRIC_COLUMNS.find(column => record.values[column]);
+    if (stray) {
+      cellReader(record, problems).fail('metric', `Metric name is required when "${stray}" is set`);
+    }
+    return false;
+  });
+}
+
+/**
+ * Build a metric object from a record
+ * @param {Object} record - Metric record
+ * @param {Array<Object>} problems - Problem list
+ * @param {Object} keys - { value: 'value' | 'actual', threshold: 'threshold' | 'thresholdRange' }
+ * @returns {Object} - Metric
+ */
+function buildMetric(record, problems, keys) {
+  const cells = cellReader(record, problems);
+  const metric = { name: cells.text('metric'), [keys.value]: cells.value('value', { required: true }) };
+
+  const optional = {
+    [keys.threshold]: cells.text('threshold'),
+    pass: cells.boolean('pass'),
+    points: cells.number('points'),
+    result: cells.text('result'),
+    weightedScore: cells.number('weightedScore')
+  };
+  for (const [key, value] of Object.entries(optional)) {
+    if (value !== undefined) metric[key] = value;
+  }
+  return metric;
+}
+
+/**
+ * Build the stock block
+ * @param {Array<Object>} records - stock records
+ * @param {Array<Object>} problems - Problem list
+ * @returns {Object} - input.stock
+ */
+function buildStock(records, problems) {
+  records.slice(1).forEach(record => cellReader(record, problems).fail('block', 'Block stock must have exactly one row'));
+  const cells = cellReader(records[0], problems);
+  return {
+    symbol: cells.text('symbol', { required: true }),
+    name: cells.text('name', { required: true }),
+    asOf: excelDate(cells.text('asOf', { required: true })),
+    overallResult: cells.text('overall', { required: true })
+  };
+}
+
+/**
+ * XLSX date cells arrive as day serial numbers; turn one into YYYY-MM-DD
+ * @param {string} text - asOf cell text
+ * @returns {string} - ISO date, or the text unchanged
+ */
+function excelDate(text) {
+  if (!/^\d{5}$/.test(text || '')) return text;
+  return new Date(Date.UTC(1899, 11, 30) + Number(text) * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Build sis.stocks or ssis.peers from records grouped by symbol
+ * @param {Array<Object>} records - sis or ssis records with a symbol
+ * @param {Array<Object>} problems - Problem list
+ * @param {Object} keys - { score: 'sisScore' | 'overallScore', threshold: 'threshold' | 'thresholdRange' }
+ * @returns {Array<Object>} - Stocks with their metrics
+ */
+function buildScoredStocks(records, problems, keys) {
+  return [...groupBy(records, 'symbol')].map(([symbol, group]) => ({
+    symbol,
+    name: sharedValue(group, 'name', problems, { label: `"name" of ${symbol}` }),
+    [keys.score]: sharedValue(group, 'score', problems, { type: 'number', label: `"score" of ${symbol}` }),
+    metrics: metricRecords(group, problems).map(record => buildMetric(record, problems, { value: 'actual', threshold: keys.threshold }))
+  }));
+}
+
+/**
+ * Build the input object from records
+ * @param {Array<Object>} records - Records from readRecords
+ * @param {Array<Object>} problems - Problem list
+ * @returns {Object} - Stock input (check `problems` before using it)
+ */
+export function buildInput(records, problems) {
+  const byBlock = Object.fromEntries(BLOCKS.map(block => [block, records.filter(record => record.block === block)]));
+  const missing = BLOCKS.filter(block => byBlock[block].length === 0);
+  missing.forEach(block => problems.push({ message: `Block ${block} has no rows` }));
+  if (missing.length > 0) return null;
+
+  const stock = buildStock(byBlock.stock, problems);
+
+  const quantitative = {};
+  for (const pillar of PILLARS) {
+    quantitative[pillar] = {
+      overall: sharedValue(byBlock[pillar], 'overall', problems),
+      metrics: metricRecords(byBlock[pillar], problems).map(record => buildMetric(record, problems, { value: 'value', threshold: 'threshold' }))
+    };
+  }
+  const signals = byBlock.riskSensitivityAlignment;
+  quantitative.riskSensitivityAlignment = {
+    overall: sharedValue(signals, 'overall', problems),
+    signals: metricRecords(signals, problems).map(record => ({
+      name: record.values.metric,
+      pass: cellReader(record, problems).boolean('pass', { required: true })
+    }))
+  };
+
+  const scored = block => byBlock[block].filter(record => {
+    if (record.values.symbol) return true;
+    if (record.values.metric) cellReader(record, problems).fail('symbol', 'Symbol is required on metric rows');
+    return false;
+  });
+
+  const qualitative = byBlock.qualitative;
+  const peers = byBlock.peerComparison.filter(record => {
+    if (record.values.symbol) return true;
+    if (record.values.metric) cellReader(record, problems).fail('symbol', 'Symbol is required on peer rows');
+    return false;
+  });
+
+  return {
+    stock,
+    quantitative,
+    sis: {
+      overall: sharedValue(byBlock.sis, 'overall', problems, { type: 'number' }),
+      stocks: buildScoredStocks(scored('sis'), problems, { score: 'sisScore', threshold: 'threshold' })
+    },
+    ssis: {
+      overall: sharedValue(byBlock.ssis, 'overall', problems, { type: 'number' }),
+      peers: buildScoredStocks(scored('ssis'), problems, { score: 'overallScore', threshold: 'thresholdRange' })
+    },
+    qualitative: {
+      overallRating: sharedValue(qualitative, 'overall', problems, { type: 'number' }),
+      criteria: qualitative.filter(record => record.values.metric).map(record => {
+        const cells = cellReader(record, problems);
+        return { name: record.values.metric, score: cells.number('score', { required: true }), notes: cells.text('notes') ?? null };
+      })
+    },
+    peerComparison: {
+      baseSymbol: sharedValue(byBlock.peerComparison, 'baseSymbol', problems, { required: false }) ?? stock.symbol,
+      peers: [...groupBy(peers, 'symbol')].map(([symbol, group]) => {
+        const metrics = {};
+        for (const record of group.filter(item => item.values.metric)) {
+          const cells = cellReader(record, problems);
+          if (record.values.metric in metrics) {
+            cells.fail('metric', `Duplicate metric "${record.values.metric}" for ${symbol}`);
+          }
+          metrics[record.values.metric] = cells.text('value', { required: true });
+        }
+        return { name: sharedValue(group, 'name', problems, { label: `"name" of ${symbol}` }), symbol, metrics };
+      })
+    }
+  };
+}
+
+/**
+ * Flatten a stock input into layout rows (the inverse of buildInput)
+ * @param {Object} input - Stock input
+ * @returns {Array<Object>} - Row objects keyed by COLUMNS
+ */
+export function inputToRows(input) {
+  const rows = [];
+  const { stock, quantitative, sis, ssis, qualitative, peerComparison } = input;
+
+  rows.push({ block: 'stock', symbol: stock.symbol, name: stock.name, asOf: stock.asOf, overall: stock.overallResult });
+
+  const metricRow = (metric, thresholdKey) => ({
+    metric: metric.name,
+    value: metric.value ?? metric.actual,
+    threshold: metric[thresholdKey],
+    pass: metric.pass,
+    points: metric.points,
+    result: metric.result,
+    weightedScore: metric.weightedScore
+  });
+
+  for (const pillar of PILLARS) {
+    const { overall, metrics } = quantitative[pillar];
+    if (metrics.length === 0) rows.push({ block: pillar, overall });
+    metrics.forEach((metric, i) => rows.push({ block: pillar, overall: i === 0 ? overall : undefined, ...metricRow(metric, 'threshold') }));
+  }
+
+  const { overall: riskOverall, signals } = quantitative.riskSensitivityAlignment;
+  if (signals.length === 0) rows.push({ block: 'riskSensitivityAlignment', overall: riskOverall });
+  signals.forEach((signal, i) => rows.push({
+    block: 'riskSensitivityAlignment', overall: i === 0 ? riskOverall : undefined, metric: signal.name, pass: signal.pass
+  }));
+
+  for (const [block, section, list, scoreKey, thresholdKey] of [
+    ['sis', sis, sis.stocks, 'sisScore', 'threshold'],
+    ['ssis', ssis, ssis.peers, 'overallScore', 'thresholdRange']
+  ]) {
+    rows.push({ block, overall: section.overall });
+    for (const item of list) {
+      const base = { block, symbol: item.symbol, name: item.name, score: item[scoreKey] };
+      if (item.metrics.length === 0) rows.push(base);
+      item.metrics.forEach(metric => rows.push({ ...base, ...metricRow(metric, thresholdKey) }));
+    }
+  }
+
+  rows.push({ block: 'qualitative', overall: qualitative.overallRating });
+  qualitative.criteria.forEach(criterion => rows.push({
+    block: 'qualitative', metric: criterion.name, score: criterion.score, notes: criterion.notes
+  }));
+
+  rows.push({ block: 'peerComparison', baseSymbol: peerComparison.baseSymbol });
+  for (const peer of peerComparison.peers) {
+    const base = { block: 'peerComparison', symbol: peer.symbol, name: peer.name };
+    const entries = Object.entries(peer.metrics);
+    if (entries.length === 0) rows.push(base);
+    entries.forEach(([metric, value]) => rows.push({ ...base, metric, value }));
+  }
+
+  return rows;
+}
+
+/**
+ * Throw when problems were found
+ * @param {string} source - File name
+ * @param {Array<Object>} problems - Problem list
+ */
+export function assertNoProblems(source, problems) {
+  if (problems.length > 0) {
+    throw new InputImportError(source, problems);
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Minimal XLSX reader in plain JavaScript
+ *
+ * Unzips the workbook with zlib and reads the cell text of each worksheet:
+ * shared and inline strings, numbers and booleans. Formulas contribute their
+ * cached value; styles, dates and merged cells are not interpreted.
+ */
+
+import zlib from 'zlib';
+import { InputImportError } from './errors.js';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Read the entries of a zip archive
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Map<string, Buffer>} - Entry name -> uncompressed data
+ */
+function unzip(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip entry ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, zlib.inflateRawSync(data));
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Decode XML character entities
+ * @param {string} text - XML text
+ * @returns {string} - Decoded text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (_, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+    }
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity];
+  });
+}
+
+/**
+ * Read the attributes of an XML start tag
+ * @param {string} tag - Start tag text
+ * @returns {Object} - Attribute name -> decoded value
+ */
+function attributes(tag) {
+  const result = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    result[name] = decodeXml(value);
+  }
+  return result;
+}
+
+/**
+ * Concatenate the <t> text runs inside an element (plain or rich text)
+ * @param {string} xml - Element body
+ * @returns {string} - Text
+ */
+function textRuns(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(([, text]) => decodeXml(text)).join('');
+}
+
+/**
+ * Convert a cell reference's letters to a 0-based column index
+ * @param {string} ref - Cell reference such as "C12"
+ * @returns {number} - Column index
+ */
+function columnIndex(ref) {
+  let index = 0;
+  for (const char of ref.replace(/\d+$/, '').toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Read one worksheet
+ * @param {string} xml - Worksheet XML
+ * @param {Array<string>} sharedStrings - Shared string table
+ * @returns {Array<Object>} - { row: 1-based row number, cells: Array<string> }; empty rows are skipped
+ */
+function readSheet(xml, sharedStrings) {
+  const rows = [];
+
+  for (const [, rowTag, rowBody = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = Number(attributes(rowTag).r) || (rows.length > 0 ? rows[rows.length - 1].row + 1 : 1);
+    const cells = [];
+
+    for (const [, cellTag, cellBody = ''] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const { r, t } = attributes(cellTag);
+      const raw = cellBody.match(/<v>([^<]*)<\/v>/)?.[1];
+      let value = raw === undefined ? '' : decodeXml(raw);
+
+      if (t === 's') value = sharedStrings[Number(value)] ?? '';
+      else if (t === 'inlineStr') value = textRuns(cellBody);
+      else if (t === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+
+      cells[r ? columnIndex(r) : cells.length] = value;
+    }
+
+    const filled = Array.from(cells, cell => cell ?? '');
+    if (filled.some(cell => cell.trim() !== '')) {
+      rows.push({ row, cells: filled });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Resolve a relationship target against the xl/ folder
+ * @param {string} target - Target from workbook.xml.rels
+ * @returns {string} - Zip entry name
+ */
+function resolveTarget(target) {
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Read the worksheets of an XLSX workbook
+ * @param {Buffer} buffer - Workbook file contents
+ * @param {Object} options - { source: file name for error messages }
+ * @returns {Array<Object>} - { name, rows } per worksheet, in workbook order
+ */
+export function readXlsx(buffer, { source = 'XLSX workbook' } = {}) {
+  let entries;
+  try {
+    entries = unzip(buffer);
+  } catch (error) {
+    throw new InputImportError(source, [{ message: `Not a readable XLSX workbook (${error.message})` }]);
+  }
+
+  const read = name => entries.get(name)?.toString('utf-8');
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) {
+    throw new InputImportError(source, [{ message: 'Not an XLSX workbook (xl/workbook.xml is missing)' }]);
+  }
+
+  const targets = {};
+  for (const [tag] of (read('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    const { Id, Target } = attributes(tag);
+    targets[Id] = resolveTarget(Target);
+  }
+
+  const sharedStrings = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(([, body]) => textRuns(body));
+
+  return [...workbook.matchAll(/<sheet\b[^>]*>/g)].map(([tag]) => {
+    const sheet = attributes(tag);
+    const xml = read(targets[sheet['r:id']]);
+    if (xml === undefined) {
+      throw new InputImportError(source, [{ sheet: sheet.name, message: 'Worksheet data is missing from the workbook' }]);
+    }
+    return { name: sheet.name, rows: readSheet(xml, sharedStrings) };
+  });
+}
@@ -3,17 +3,35 @@
  *
  * - Serves a minimal HTML page at http://localhost:3000
  * - Accepts JSON stock data and runs either the simple analyzer or workflow mode
- * - Displays the raw JSON response (pretty-printed), matching the schema:
+ * - Returns the report JSON matching the schema:
  *   overallScore, recommendation, financialHealth, valuation, futureGrowth,
  *   competitiveAdvantage, managementQuality, riskFactors, technicalTrend,
  *   portfolioFit, timeHorizon, aiSummary, finalVerdict
+ * - POST /analyze/stream streams workflow progress as NDJSON so the page can
+ *   show node transitions and sections as they finish
+ * - GET /history?symbol=&from=&to=&recommendation=&limit= queries the
+ *   persisted analysis history (newest first)
+ * - POST /metrics returns the pass/fail metrics and deterministic score for an
+ *   input without calling the model
+ * - POST /export?format=markdown|html|pdf|text|json renders { report, input }
+ *   as a file download
+ * - GET /history/<id>/export?format=pdf downloads a stored analysis (PDF by
+ *   default, or any other export format)
+ * - The page renders the report (score gauge, recommendation badge, section
+ *   cards, metrics and peer table) and keeps the raw JSON behind a toggle
  */
 
 import 'dotenv/config';
 import http from 'http';
-import url from 'url';
-import { StockAnalyzer, StockAnalysisWorkflow } from './index.js';
+import path from 'path';
+import url, { fileURLToPath } from 'url';
+import { StockAnalyzer, StockAnalysisWorkflow, createHistoryStore } from './index.js';
 import { validateConfig } from './config/settings.js';
+import { SECTION_LABELS, validateInput, extractKeyMetrics } from './utils/validators.js';
+import { computeDeterministicScore } from './utils/scoring.js';
+import { EXPORTERS } from './exporters/index.js';
+import { SECTION_GROUPS } from './agent/section-groups.js';
+import { parseSection, parseBullets, isBulletList } from './utils/format.js';
 
 const PORT = process.env.PORT || 3000;
 
@@ -182,6 +200,222 @@ function renderHtml() {
       color: #6b7280;
       margin-top: 4px;
     }
+    .progress {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 14px;
+      list-style: none;
+      padding: 0;
+    }
+    .progress li {
+      border-radius: 999px;
+      padding: 3px 10px;
+      font-size: 12px;
+      border: 1px solid rgba(148,163,184,0.4);
+      color: #9ca3af;
+    }
+    .progress li.running {
+      border-color: #38bdf8;
+      color: #e0f2fe;
+    }
+    .progress li.done {
+      border-color: #22c55e;
+      color: #bbf7d0;
+    }
+    .progress li.failed {
+      border-color: #f87171;
+      color: #fecaca;
+    }
+    .report {
+      margin-top: 16px;
+    }
+    .report-header {
+      display: flex;
+      align-items: center;
+      gap: 18px;
+      flex-wrap: wrap;
+    }
+    .gauge {
+      width: 180px;
+      height: 108px;
+    }
+    .gauge-track,
+    .gauge-arc {
+      fill: none;
+      stroke-width: 14;
+      stroke-linecap: round;
+    }
+    .gauge-track {
+      stroke: #1e293b;
+    }
+    .gauge-arc {
+      stroke: #64748b;
+      stroke-dasharray: 0 252;
+      transition: stroke-dasharray 0.6s ease;
+    }
+    .gauge-arc.good {
+      stroke: #22c55e;
+    }
+    .gauge-arc.fair {
+      stroke: #f59e0b;
+    }
+    .gauge-arc.poor {
+      stroke: #ef4444;
+    }
+    .gauge-value {
+      fill: #f9fafb;
+      font-size: 34px;
+      font-weight: 700;
+      text-anchor: middle;
+    }
+    .gauge-label {
+      fill: #9ca3af;
+      font-size: 12px;
+      text-anchor: middle;
+    }
+    .report-meta {
+      display: flex;
+      flex-direction: column;
+      align-items: flex-start;
+      gap: 8px;
+    }
+    .stock-title {
+      font-size: 16px;
+      font-weight: 600;
+    }
+    .rec-badge {
+      border-radius: 999px;
+      padding: 4px 14px;
+      font-size: 13px;
+      font-weight: 600;
+      letter-spacing: 0.04em;
+      text-transform: uppercase;
+      border: 1px solid rgba(148,163,184,0.5);
+      color: #9ca3af;
+    }
+    .rec-badge.buy {
+      background: rgba(34,197,94,0.15);
+      border-color: #22c55e;
+      color: #bbf7d0;
+    }
+    .rec-badge.watchlist {
+      background: rgba(245,158,11,0.15);
+      border-color: #f59e0b;
+      color: #fde68a;
+    }
+    .rec-badge.avoid {
+      background: rgba(239,68,68,0.15);
+      border-color: #ef4444;
+      color: #fecaca;
+    }
+    .score-note {
+      font-size: 12px;
+      color: #9ca3af;
+    }
+    .downloads {
+      display: flex;
+      gap: 8px;
+    }
+    .downloads button {
+      padding: 4px 12px;
+      font-size: 12px;
+      box-shadow: none;
+    }
+    .sections {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+      gap: 10px;
+      margin-top: 14px;
+    }
+    .section {
+      border-radius: 10px;
+      border: 1px solid rgba(148,163,184,0.3);
+      padding: 10px 12px;
+      font-size: 13px;
+      line-height: 1.45;
+    }
+    .section-title {
+      font-weight: 600;
+      color: #e0f2fe;
+      cursor: pointer;
+    }
+    .section-body {
+      margin-top: 6px;
+      color: #d1d5db;
+    }
+    .section-body p {
+      margin: 0;
+      white-space: pre-wrap;
+    }
+    .section-body ul {
+      margin: 0;
+      padding-left: 18px;
+    }
+    .section-body li + li {
+      margin-top: 4px;
+    }
+    .panels {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+      gap: 10px;
+      margin-top: 14px;
+    }
+    .panel:empty {
+      display: none;
+    }
+    .panel {
+      border-radius: 10px;
+      border: 1px solid rgba(148,163,184,0.3);
+      padding: 10px 12px;
+      font-size: 13px;
+    }
+    .panel h3 {
+      margin: 0 0 6px;
+      font-size: 14px;
+      color: #e0f2fe;
+    }
+    .panel-note {
+      font-size: 12px;
+      color: #9ca3af;
+      margin-bottom: 6px;
+    }
+    .metric-list {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+    .metric-list li {
+      padding: 2px 0;
+    }
+    .metric-list li.pass {
+      color: #bbf7d0;
+    }
+    .metric-list li.fail {
+      color: #fecaca;
+    }
+    .table-scroll {
+      overflow-x: auto;
+    }
+    .peer-table {
+      border-collapse: collapse;
+      width: 100%;
+      font-size: 12px;
+    }
+    .peer-table th,
+    .peer-table td {
+      text-align: left;
+      padding: 4px 8px;
+      border-bottom: 1px solid rgba(148,163,184,0.2);
+      white-space: nowrap;
+    }
+    .peer-table th {
+      color: #9ca3af;
+      font-weight: 500;
+    }
+    .raw summary {
+      cursor: pointer;
+    }
     @media (max-width: 768px) {
       .container {
         margin: 12px;
@@ -197,7 +431,7 @@ function renderHtml() {
   <div class="container">
     <h1>Stock Analysis Agent UI</h1>
     <div class="subtitle">
-      Paste stock JSON and run the AI analysis. The result below will be raw JSON with fields like <code>overallScore</code>, <code>recommendation</code>, and detailed paragraph sections, similar to your example.
+      Paste stock JSON and run the AI analysis. The result is rendered as a report with the score, recommendation, section cards, metrics and peers; the raw JSON stays available below.
     </div>
 
     <label for="inputJson">Input JSON</label>
@@ -222,12 +456,42 @@ function renderHtml() {
       </div>
     </div>
 
-    <div class="result-wrapper">
-      <div class="result-header">
-        <div>Result JSON</div>
-        <div class="badge" id="modeBadge">Mode: Simple Analyzer</div>
+    <ul class="progress" id="progress"></ul>
+
+    <div class="report" id="report" hidden>
+      <div class="report-header">
+        <svg class="gauge" viewBox="0 0 200 120" role="img" aria-label="Overall score">
+          <path class="gauge-track" d="M 20 100 A 80 80 0 0 1 180 100" />
+          <path class="gauge-arc" id="gaugeArc" d="M 20 100 A 80 80 0 0 1 180 100" />
+          <text x="100" y="90" class="gauge-value" id="gaugeValue">–</text>
+          <text x="100" y="112" class="gauge-label">/ 100</text>
+        </svg>
+        <div class="report-meta">
+          <div class="stock-title" id="stockTitle"></div>
+          <span class="rec-badge pending" id="recBadge">Pending</span>
+          <div class="score-note" id="scoreNote"></div>
+          <div class="downloads" id="downloads" hidden>
+            <button type="button" data-format="markdown">⬇ Markdown</button>
+            <button type="button" data-format="html">⬇ HTML</button>
+            <button type="button" data-format="pdf">⬇ PDF</button>
+          </div>
+        </div>
+      </div>
+      <div class="sections" id="sections"></div>
+      <div class="panels">
+        <div class="panel" id="metricsPanel"></div>
+        <div class="panel" id="peersPanel"></div>
       </div>
-      <pre id="output"><code>// Result will appear here as pretty-printed JSON, with fields like overallScore, recommendation, financialHealth, valuation, futureGrowth, competitiveAdvantage, managementQuality, riskFactors, technicalTrend, portfolioFit, timeHorizon, aiSummary, and finalVerdict.</code></pre>
+    </div>
+
+    <div class="result-wrapper">
+      <details class="raw">
+        <summary class="result-header">
+          <span>Raw JSON</span>
+          <span class="badge" id="modeBadge">Mode: Simple Analyzer</span>
+        </summary>
+        <pre id="output"><code>// Result will appear here as pretty-printed JSON, with fields like overallScore, recommendation, financialHealth, valuation, futureGrowth, competitiveAdvantage, managementQuality, riskFactors, technicalTrend, portfolioFit, timeHorizon, aiSummary, and finalVerdict.</code></pre>
+      </details>
     </div>
   </div>
 
@@ -238,6 +502,320 @@ function renderHtml() {
     const outputEl = document.getElementById('output');
     const workflowEl = document.getElementById('useWorkflow');
     const modeBadge = document.getElementById('modeBadge');
+    const progressEl = document.getElementById('progress');
+    const reportEl = document.getElementById('report');
+    const sectionsEl = document.getElementById('sections');
+    const gaugeArc = document.getElementById('gaugeArc');
+    const gaugeValue = document.getElementById('gaugeValue');
+    const recBadge = document.getElementById('recBadge');
+    const stockTitle = document.getElementById('stockTitle');
+    const scoreNote = document.getElementById('scoreNote');
+    const metricsPanel = document.getElementById('metricsPanel');
+    const peersPanel = document.getElementById('peersPanel');
+    const downloadsEl = document.getElementById('downloads');
+    // Input and report of the last completed analysis, for downloads
+    let lastInput = null;
+    let lastReport = null;
+
+    const SECTION_LABELS = ${JSON.stringify(SECTION_LABELS)};
+    const SECTION_ORDER = Object.keys(SECTION_LABELS);
+    // The workflow's section nodes, which run in parallel after parallel_processing
+    const SECTION_NODE_LABELS = ${JSON.stringify(Object.fromEntries(SECTION_GROUPS.map(group => [`section_${group.name}`, group.label])))};
+    const NODE_LABELS = {
+      validate_input: 'Validate input',
+      parallel_processing: 'Metrics',
+      ...SECTION_NODE_LABELS,
+      merge_sections: 'Merge sections',
+      retry_sections: 'Retry sections',
+      format_report: 'Format check',
+      review_report: 'Review',
+      repair_report: 'Repair sections',
+      enrich_report: 'Finalize',
+      error: 'Error'
+    };
+    // Length of the gauge's half-circle path (radius 80)
+    const GAUGE_LENGTH = Math.PI * 80;
+
+    function el(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text !== undefined) node.textContent = text;
+      return node;
+    }
+
+    // The server's bullet helpers (utils/format.js), so the page splits sections the same way
+    ${parseSection}
+    ${parseBullets}
+    ${isBulletList}
+
+    function scoreClass(score) {
+      if (score >= 70) return 'good';
+      if (score >= 50) return 'fair';
+      return 'poor';
+    }
+
+    function resetReport() {
+      progressEl.innerHTML = '';
+      sectionsEl.innerHTML = '';
+      metricsPanel.innerHTML = '';
+      peersPanel.innerHTML = '';
+      scoreNote.textContent = '';
+      downloadsEl.hidden = true;
+      lastReport = null;
+      renderScore(null);
+      renderRecommendation(null);
+    }
+
+    function showReport(input) {
+      lastInput = input;
+      const stock = input.stock || {};
+      stockTitle.textContent = (stock.symbol || '?') + ' · ' + (stock.name || '') + (stock.asOf ? ' (as of ' + stock.asOf + ')' : '');
+      renderPeers(input);
+      reportEl.hidden = false;
+    }
+
+    function markNode(node, state) {
+      const items = progressEl.querySelectorAll('[data-node="' + node + '"]');
+      let item = items[items.length - 1];
+      if (!item || (item.className === 'done' && state === 'running')) {
+        item = el('li', '', NODE_LABELS[node] || node);
+        item.dataset.node = node;
+        progressEl.appendChild(item);
+      }
+      item.className = state;
+    }
+
+    function renderScore(score) {
+      if (score === null || score === undefined) {
+        gaugeArc.style.strokeDasharray = '0 ' + GAUGE_LENGTH;
+        gaugeValue.textContent = '–';
+        return;
+      }
+      const value = Math.max(0, Math.min(100, Number(score) || 0));
+      gaugeArc.style.strokeDasharray = (GAUGE_LENGTH * value / 100) + ' ' + GAUGE_LENGTH;
+      gaugeArc.setAttribute('class', 'gauge-arc ' + scoreClass(value));
+      gaugeValue.textContent = String(Math.round(value));
+    }
+
+    function renderRecommendation(recommendation) {
+      recBadge.textContent = recommendation || 'Pending';
+      recBadge.className = 'rec-badge ' + String(recommendation || 'pending').toLowerCase();
+    }
+
+    function renderSection(section, content) {
+      let card = sectionsEl.querySelector('[data-section="' + section + '"]');
+      if (!card) {
+        card = el('details', 'section');
+        card.open = true;
+        card.dataset.section = section;
+        card.appendChild(el('summary', 'section-title', SECTION_LABELS[section] || section));
+        card.appendChild(el('div', 'section-body'));
+        // Keep cards in report order even when sections arrive out of order
+        const next = Array.from(sectionsEl.children)
+          .find(other => SECTION_ORDER.indexOf(other.dataset.section) > SECTION_ORDER.indexOf(section));
+        sectionsEl.insertBefore(card, next || null);
+      }
+
+      const body = card.querySelector('.section-body');
+      body.innerHTML = '';
+      if (isBulletList(content)) {
+        const list = el('ul');
+        parseBullets(content).forEach(bullet => list.appendChild(el('li', '', bullet)));
+        body.appendChild(list);
+      } else {
+        body.appendChild(el('p', '', String(content)));
+      }
+    }
+
+    function renderMetrics(keyMetrics) {
+      metricsPanel.innerHTML = '';
+      if (!keyMetrics) return;
+
+      metricsPanel.appendChild(el('h3', '', 'Metrics · ' + keyMetrics.passedCount + '/' + keyMetrics.totalMetrics + ' passed (' + keyMetrics.passRate + '%)'));
+      metricsPanel.appendChild(el('div', 'panel-note',
+        'SIS ' + keyMetrics.sisScore + ' · SSIS ' + keyMetrics.ssisScore + ' · Qualitative ' + keyMetrics.qualitativeRating + '/5'));
+
+      const list = el('ul', 'metric-list');
+      keyMetrics.passedMetrics.forEach(name => list.appendChild(el('li', 'pass', '✓ ' + name)));
+      keyMetrics.failedMetrics.forEach(name => list.appendChild(el('li', 'fail', '✗ ' + name)));
+      metricsPanel.appendChild(list);
+    }
+
+    function renderPeers(input) {
+      peersPanel.innerHTML = '';
+      const peers = (input.peerComparison && input.peerComparison.peers) || [];
+      if (peers.length === 0) return;
+
+      const columns = [];
+      peers.forEach(peer => Object.keys(peer.metrics || {}).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+      }));
+
+      const table = el('table', 'peer-table');
+      const headRow = el('tr');
+      headRow.appendChild(el('th', '', 'Peer'));
+      columns.forEach(column => headRow.appendChild(el('th', '', column)));
+      const thead = el('thead');
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+
+      const tbody = el('tbody');
+      peers.forEach(peer => {
+        const row = el('tr');
+        const symbol = el('td', '', peer.symbol);
+        symbol.title = peer.name;
+        row.appendChild(symbol);
+        columns.forEach(column => row.appendChild(el('td', '', (peer.metrics || {})[column] ?? '—')));
+        tbody.appendChild(row);
+      });
+      table.appendChild(tbody);
+
+      peersPanel.appendChild(el('h3', '', 'Peer Comparison vs ' + (input.peerComparison.baseSymbol || '')));
+      const scroller = el('div', 'table-scroll');
+      scroller.appendChild(table);
+      peersPanel.appendChild(scroller);
+    }
+
+    function renderReport(report) {
+      outputEl.textContent = JSON.stringify(report, null, 2);
+
+      if (!report || report.error) {
+        setStatus('Analysis failed: ' + ((report && report.errors) || []).join('; '), 'error');
+        return;
+      }
+
+      renderScore(report.overallScore);
+      renderRecommendation(report.recommendation);
+      SECTION_ORDER.forEach(section => {
+        if (report[section] !== undefined) renderSection(section, report[section]);
+      });
+
+      const notes = [];
+      if (report.scoring) {
+        notes.push('Deterministic ' + report.scoring.deterministicScore + ' · Model ' + (report.scoring.llmScore ?? '—'));
+      }
+      if (report.review && report.review.confidence !== null && report.review.confidence !== undefined) {
+        notes.push('Review confidence ' + report.review.confidence + '%');
+      }
+      scoreNote.textContent = notes.join(' · ');
+      lastReport = report;
+      downloadsEl.hidden = false;
+      setStatus('Analysis completed successfully.', 'success');
+    }
+
+    async function downloadReport(format) {
+      const res = await fetch('/export?format=' + encodeURIComponent(format), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ input: lastInput, report: lastReport })
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        setStatus((data && data.error) || ('Download failed with status ' + res.status), 'error');
+        return;
+      }
+
+      const disposition = res.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = match ? match[1] : 'report';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(link.href);
+    }
+
+    downloadsEl.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-format]');
+      if (button && lastReport) {
+        downloadReport(button.dataset.format).catch(err => setStatus('Download failed: ' + err.message, 'error'));
+      }
+    });
+
+    function handleEvent(event) {
+      if (event.type === 'node') {
+        markNode(event.node, event.node === 'error' ? 'failed' : 'done');
+        if (event.next === 'generate_sections') {
+          Object.keys(SECTION_NODE_LABELS).forEach(node => markNode(node, 'running'));
+        } else if (event.next && NODE_LABELS[event.next]) {
+          markNode(event.next, 'running');
+        }
+      } else if (event.type === 'metrics') {
+        renderMetrics(event.keyMetrics);
+      } else if (event.type === 'section') {
+        renderSection(event.section, event.content);
+      } else if (event.type === 'result') {
+        renderReport(event.report);
+      } else if (event.type === 'error') {
+        setStatus(event.error, 'error');
+        outputEl.textContent = JSON.stringify({ error: event.error }, null, 2);
+      }
+    }
+
+    async function runStream(parsed) {
+      const res = await fetch('/analyze/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ input: parsed })
+      });
+
+      if (!res.ok || !res.body) {
+        const data = await res.json().catch(() => null);
+        const msg = (data && data.error) || ('Request failed with status ' + res.status);
+        setStatus(msg, 'error');
+        outputEl.textContent = JSON.stringify(data || { error: msg }, null, 2);
+        return;
+      }
+
+      markNode('validate_input', 'running');
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (line) handleEvent(JSON.parse(line));
+        }
+      }
+    }
+
+    async function runSimple(parsed) {
+      const res = await fetch('/analyze', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          input: parsed,
+          mode: workflowEl.checked ? 'workflow' : 'simple'
+        })
+      });
+
+      const data = await res.json().catch(() => null);
+
+      if (!res.ok) {
+        const msg = (data && data.error) || ('Request failed with status ' + res.status);
+        setStatus(msg, 'error');
+        outputEl.textContent = JSON.stringify(data || { error: msg }, null, 2);
+        return;
+      }
+
+      renderReport(data);
+
+      const metricsRes = await fetch('/metrics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ input: parsed })
+      });
+      if (metricsRes.ok) {
+        renderMetrics((await metricsRes.json()).keyMetrics);
+      }
+    }
 
     function setStatus(text, type) {
       statusEl.textContent = text || '';
@@ -270,28 +848,15 @@ function renderHtml() {
       runBtn.disabled = true;
       setStatus('Running analysis…', '');
       outputEl.textContent = '// Running…';
+      resetReport();
+      showReport(parsed);
 
       try {
-        const res = await fetch('/analyze', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            input: parsed,
-            mode: workflowEl.checked ? 'workflow' : 'simple'
-          })
-        });
-
-        const data = await res.json().catch(() => null);
-
-        if (!res.ok) {
-          const msg = (data && data.error) || ('Request failed with status ' + res.status);
-          setStatus(msg, 'error');
-          outputEl.textContent = JSON.stringify(data || { error: msg }, null, 2);
-          return;
+        if (workflowEl.checked) {
+          await runStream(parsed);
+        } else {
+          await runSimple(parsed);
         }
-
-        setStatus('Analysis completed successfully.', 'success');
-        outputEl.textContent = JSON.stringify(data, null, 2);
       } catch (err) {
         console.error(err);
         setStatus('Network or server error: ' + err.message, 'error');
@@ -305,45 +870,65 @@ function renderHtml() {
 </html>`;
 }
 
-async function handleAnalyze(req, res) {
+/**
+ * Read and check an analysis request body. Responds with an error and
+ * returns null when the body is unusable.
+ * @param {Object} options - { requireConfig: also check model configuration (default true) }
+ */
+async function readAnalyzeRequest(req, res, { requireConfig = true } = {}) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk.toString();
+  }
+
+  let parsed;
   try {
-    let body = '';
-    for await (const chunk of req) {
-      body += chunk.toString();
-    }
+    parsed = JSON.parse(body || '{}');
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+    return null;
+  }
 
-    let parsed;
-    try {
-      parsed = JSON.parse(body || '{}');
-    } catch {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid JSON body' }));
-      return;
-    }
+  const { input } = parsed;
+  if (!input || typeof input !== 'object') {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Missing or invalid \"input\" object in request body' }));
+    return null;
+  }
 
-    const { input, mode } = parsed;
-    if (!input || typeof input !== 'object') {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Missing or invalid \"input\" object in request body' }));
-      return;
-    }
+  if (!requireConfig) return parsed;
 
-    try {
-      validateConfig();
-    } catch (err) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Configuration error: ' + err.message }));
-      return;
-    }
+  try {
+    validateConfig();
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Configuration error: ' + err.message }));
+    return null;
+  }
+
+  return parsed;
+}
+
+/**
+ * Run an analysis and respond with the whole report
+ * @param {Object} history - History store (null when disabled)
+ */
+async function handleAnalyze(req, res, history) {
+  try {
+    const parsed = await readAnalyzeRequest(req, res);
+    if (!parsed) return;
+
+    const { input, mode } = parsed;
 
     const useWorkflow = mode === 'workflow' || true; // FORCE PARALLEL WORKFLOW FOR SPEED
     let result;
 
     if (useWorkflow) {
-      const workflow = new StockAnalysisWorkflow();
+      const workflow = new StockAnalysisWorkflow({ history });
       result = await workflow.execute(input);
     } else {
-      const analyzer = new StockAnalyzer();
+      const analyzer = new StockAnalyzer({ history });
       result = await analyzer.analyze(input);
     }
 
@@ -357,28 +942,275 @@ async function handleAnalyze(req, res) {
   }
 }
 
-const server = http.createServer(async (req, res) => {
-  const parsedUrl = url.parse(req.url, true);
+/**
+ * Run the workflow and stream its progress events as NDJSON
+ * @param {Object} history - History store (null when disabled)
+ */
+async function handleAnalyzeStream(req, res, history) {
+  let closed = false;
+  res.on('close', () => { closed = true; });
 
-  if (req.method === 'GET' && parsedUrl.pathname === '/') {
-    const html = renderHtml();
-    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-    res.end(html);
+  try {
+    const parsed = await readAnalyzeRequest(req, res);
+    if (!parsed) return;
+
+    // One JSON event per line (NDJSON), flushed as each workflow node finishes
+    res.writeHead(200, {
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const workflow = new StockAnalysisWorkflow({ history });
+    for await (const event of workflow.stream(parsed.input)) {
+      if (closed) break;
+      res.write(JSON.stringify(event) + '\n');
+    }
+    res.end();
+  } catch (err) {
+    console.error('Error handling /analyze/stream:', err);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Internal server error: ' + err.message }));
+      return;
+    }
+    res.end(JSON.stringify({ type: 'error', error: 'Internal server error: ' + err.message }) + '\n');
+  }
+}
+
+async function handleMetrics(req, res) {
+  try {
+    const parsed = await readAnalyzeRequest(req, res, { requireConfig: false });
+    if (!parsed) return;
+
+    const validation = validateInput(parsed.input);
+    if (!validation.success) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Input validation failed', errors: validation.errors }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      keyMetrics: extractKeyMetrics(parsed.input),
+      scoring: computeDeterministicScore(parsed.input),
+      warnings: validation.warnings
+    }));
+  } catch (err) {
+    console.error('Error handling /metrics:', err);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error: ' + err.message }));
+  }
+}
+
+/**
+ * Look up an exporter, responding with 400 when the format is unknown
+ * @param {string} format - Format name
+ * @returns {Object|null} - Exporter, or null after responding
+ */
+function findExporter(res, format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown format "${format}". Available formats: ${Object.keys(EXPORTERS).join(', ')}` }));
+    return null;
+  }
+  return exporter;
+}
+
+/**
+ * Render a report and send it as an attachment named after the symbol
+ * @param {Object} exporter - Entry from EXPORTERS
+ * @param {Object} report - Final report
+ * @param {Object} input - Stock input data
+ */
+function sendExport(res, exporter, report, input) {
+  const symbol = String(input?.stock?.symbol || 'report').replace(/[^A-Za-z0-9._-]/g, '_');
+  const content = exporter.render(report, input);
+  res.writeHead(200, {
+    'Content-Type': exporter.contentType,
+    'Content-Disposition': `attachment; filename="${symbol}.${exporter.extension}"`,
+    'Content-Length': Buffer.byteLength(content)
+  });
+  res.end(content);
+}
+
+/**
+ * Render a posted report in an export format and send it as a download
+ * @param {Object} query - Query string ({ format }, default html)
+ */
+async function handleExport(req, res, query) {
+  try {
+    const parsed = await readAnalyzeRequest(req, res, { requireConfig: false });
+    if (!parsed) return;
+
+    const exporter = findExporter(res, query.format || 'html');
+    if (!exporter) return;
+
+    const { report, input } = parsed;
+    if (!report || typeof report !== 'object' || report.error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing or invalid \"report\" object in request body' }));
+      return;
+    }
+
+    sendExport(res, exporter, report, input);
+  } catch (err) {
+    console.error('Error handling /export:', err);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error: ' + err.message }));
+  }
+}
+
+/**
+ * Download a stored analysis from the history store
+ * @param {string} id - History record id (URL-encoded)
+ * @param {Object} query - Query string ({ format }, default pdf)
+ * @param {Object} history - History store (null when disabled)
+ */
+async function handleHistoryExport(req, res, id, query, history) {
+  if (!history) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Analysis history is disabled (HISTORY_STORE=none)' }));
+    return;
+  }
+
+  let recordId;
+  try {
+    recordId = decodeURIComponent(id);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Malformed analysis id "${id}"` }));
+    return;
+  }
+
+  try {
+    const exporter = findExporter(res, query.format || 'pdf');
+    if (!exporter) return;
+
+    const record = await history.get(recordId);
+    if (!record) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `No analysis with id "${recordId}"` }));
+      return;
+    }
+
+    sendExport(res, exporter, record.report, record.input);
+  } catch (err) {
+    console.error('Error handling history export:', err);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error: ' + err.message }));
+  }
+}
+
+/**
+ * Query the analysis history
+ * @param {Object} query - Query string ({ symbol, from, to, recommendation, limit })
+ * @param {Object} history - History store (null when disabled)
+ */
+async function handleHistory(req, res, query, history) {
+  if (!history) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Analysis history is disabled (HISTORY_STORE=none)' }));
     return;
   }
 
-  if (req.method === 'POST' && parsedUrl.pathname === '/analyze') {
-    await handleAnalyze(req, res);
+  let records;
+  try {
+    records = await history.query({
+      symbol: query.symbol,
+      from: query.from,
+      to: query.to,
+      recommendation: query.recommendation,
+      limit: query.limit || 50
+    });
+  } catch (err) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
     return;
   }
 
-  res.writeHead(404, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ error: 'Not found' }));
-});
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ store: history.name, count: records.length, records }));
+}
 
-server.listen(PORT, () => {
-  console.log(`🌐 UI server running at http://localhost:${PORT}`);
-});
+/**
+ * Create the UI HTTP server (not yet listening)
+ * @param {Object} options - Server options
+ * @param {Object} options.history - History store (default: createHistoryStore(); null disables history)
+ * @returns {http.Server} - Server instance
+ */
+export function createServer(options = {}) {
+  const history = options.history !== undefined ? options.history : createHistoryStore();
+
+  return http.createServer(async (req, res) => {
+    const parsedUrl = url.parse(req.url, true);
+
+    if (req.method === 'GET' && parsedUrl.pathname === '/') {
+      const html = renderHtml();
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
 
+    if (req.method === 'POST' && parsedUrl.pathname === '/analyze') {
+      await handleAnalyze(req, res, history);
+      return;
+    }
 
+    if (req.method === 'POST' && parsedUrl.pathname === '/analyze/stream') {
+      await handleAnalyzeStream(req, res, history);
+      return;
+    }
 
+    if (req.method === 'GET' && parsedUrl.pathname === '/history') {
+      await handleHistory(req, res, parsedUrl.query, history);
+      return;
+    }
+
+    const historyExport = req.method === 'GET' && parsedUrl.pathname.match(/^\/history\/([^/]+)\/export$/);
+    if (historyExport) {
+      await handleHistoryExport(req, res, historyExport[1], parsedUrl.query, history);
+      return;
+    }
+
+    if (req.method === 'POST' && parsedUrl.pathname === '/metrics') {
+      await handleMetrics(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && parsedUrl.pathname === '/export') {
+      await handleExport(req, res, parsedUrl.query);
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+  });
+}
+
+/**
+ * Start the UI server
+ * @param {number} port - Port to listen on (default: PORT or 3000)
+ * @param {Object} options - Server options (see createServer)
+ * @returns {Promise<http.Server>} - Listening server
+ */
+export function startServer(port = PORT, options = {}) {
+  const server = createServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.off('error', reject);
+      console.log(`🌐 UI server running at http://localhost:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+// Start when run directly (npm run ui)
+if (fileURLToPath(import.meta.url) === path.resolve(process.argv[1] || '')) {
+  startServer().catch((err) => {
+    console.error('❌ Failed to start UI server:', err.message);
+    process.exit(1);
+  });
+}
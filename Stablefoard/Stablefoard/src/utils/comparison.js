@@ -0,0 +1,193 @@
+/**
+ * Multi-stock comparison
+ *
+ * Ranks several stocks by deterministic score and by model score, and
+ * breaks the gap between neighbours in the ranking down by pillar. Works
+ * from stock inputs, finished reports, or both; no model is called.
+ */
+
+import { CONFIG } from '../config/settings.js';
+import { computeDeterministicScore, PILLAR_LABELS } from './scoring.js';
+import { extractKeyMetrics } from './validators.js';
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Check whether an object looks like a finished report
+ * @param {Object} data - Candidate object
+ * @returns {boolean} - True if it has a score and a recommendation
+ */
+export function isReport(data) {
+  return Boolean(data) && !data.stock && typeof data.overallScore === 'number' && typeof data.recommendation === 'string';
+}
+
+/**
+ * Normalise one item to compare
+ * @param {Object} item - A stock input, a report with a `symbol`, or { input, report, symbol, error } (e.g. a history record)
+ * @param {number} index - Position, for error messages
+ * @returns {Object} - { symbol, input, report, error }
+ */
+export function toComparisonEntry(item, index = 0) {
+  let entry;
+  if (item?.stock) {
+    entry = { input: item, report: null, symbol: item.stock.symbol, error: null };
+  } else if (item?.input || item?.report) {
+    entry = { input: item.input || null, report: item.report || null, symbol: item.symbol, error: item.error || null };
+  } else if (isReport(item)) {
+    entry = { input: null, report: item, symbol: item.symbol, error: null };
+  } else {
+    throw new Error(`Comparison item ${index + 1} is neither a stock input nor a report`);
+  }
+
+  entry.symbol = entry.input?.stock?.symbol || entry.symbol;
+  if (!entry.symbol) {
+    throw new Error(`Comparison item ${index + 1} has no symbol; pass { symbol, report }`);
+  }
+  return entry;
+}
+
+/**
+ * Summarise one stock for the comparison
+ * @param {Object} entry - Comparison entry
+ * @param {Object} weights - Pillar weights
+ * @returns {Object} - Stock summary
+ */
+function summarizeStock(entry, weights) {
+  const { input, report } = entry;
+  const scoring = input ? computeDeterministicScore(input, weights) : report?.scoring || null;
+
+  let llmScore = null;
+  if (report) {
+    llmScore = report.scoring ? report.scoring.llmScore ?? null : report.overallScore;
+  }
+
+  return {
+    symbol: entry.symbol,
+    name: input?.stock?.name || null,
+    asOf: input?.stock?.asOf || null,
+    deterministicScore: input ? scoring.score : scoring?.deterministicScore ?? null,
+    llmScore,
+    overallScore: report?.overallScore ?? null,
+    recommendation: report?.recommendation || null,
+    passRate: input ? Number(extractKeyMetrics(input).passRate) : null,
+    pillars: scoring?.pillars || null,
+    error: entry.error
+  };
+}
+
+/**
+ * Rank stocks by a score, highest first. Equal scores share a rank
+ * (1, 1, 3); stocks without the score are left out.
+ * @param {Array<Object>} stocks - Stock summaries
+ * @param {string} key - Score field
+ * @returns {Array<Object>} - { rank, symbol, score }
+ */
+export function rankBy(stocks, key) {
+  const ranked = stocks
+    .filter(stock => typeof stock[key] === 'number')
+    .sort((a, b) => b[key] - a[key]);
+
+  return ranked.map((stock, i) => ({
+    rank: ranked.findIndex(other => other[key] === stock[key]) + 1,
+    symbol: stock.symbol,
+    score: stock[key]
+  }));
+}
+
+/**
+ * Compare every pillar across stocks
+ * @param {Array<Object>} stocks - Stock summaries
+ * @param {Object} weights - Pillar weights
+ * @returns {Array<Object>} - { pillar, label, weight, leader, values, deltasToLeader } per pillar
+ */
+function comparePillars(stocks, weights) {
+  const scored = stocks.filter(stock => stock.pillars);
+  if (scored.length === 0) return [];
+
+  return Object.keys(PILLAR_LABELS).map(pillar => {
+    const values = Object.fromEntries(scored.map(stock => [stock.symbol, stock.pillars[pillar]]));
+    const best = Math.max(...Object.values(values));
+    return {
+      pillar,
+      label: PILLAR_LABELS[pillar],
+      weight: weights[pillar] ?? 0,
+      leader: scored.find(stock => stock.pillars[pillar] === best).symbol,
+      values,
+      deltasToLeader: Object.fromEntries(Object.entries(values).map(([symbol, value]) => [symbol, round1(value - best)]))
+    };
+  });
+}
+
+/**
+ * Explain each step of the deterministic ranking: the score gap between
+ * neighbours and how much each pillar contributed to it
+ * @param {Array<Object>} ranking - Deterministic ranking
+ * @param {Array<Object>} stocks - Stock summaries
+ * @param {Object} weights - Pillar weights
+ * @returns {Array<Object>} - { winner, loser, scoreGap, pillarDeltas, contributions, decisivePillar }
+ */
+function headToHead(ranking, stocks, weights) {
+  const bySymbol = Object.fromEntries(stocks.map(stock => [stock.symbol, stock]));
+  const totalWeight = Object.keys(PILLAR_LABELS).reduce((sum, pillar) => sum + (weights[pillar] ?? 0), 0);
+  const pairs = [];
+
+  for (let i = 0; i < ranking.length - 1; i++) {
+    const winner = bySymbol[ranking[i].symbol];
+    const loser = bySymbol[ranking[i + 1].symbol];
+    const pair = { winner: winner.symbol, loser: loser.symbol, scoreGap: winner.deterministicScore - loser.deterministicScore };
+
+    if (winner.pillars && loser.pillars && totalWeight > 0) {
+      pair.pillarDeltas = {};
+      pair.contributions = {};
+      for (const pillar of Object.keys(PILLAR_LABELS)) {
+        const delta = winner.pillars[pillar] - loser.pillars[pillar];
+        pair.pillarDeltas[pillar] = round1(delta);
+        pair.contributions[pillar] = round1(delta * (weights[pillar] ?? 0) / totalWeight);
+      }
+      pair.decisivePillar = Object.entries(pair.contributions).sort((a, b) => b[1] - a[1])[0][0];
+    }
+    pairs.push(pair);
+  }
+
+  return pairs;
+}
+
+/**
+ * Compare several stocks
+ * @param {Array<Object>} items - Stock inputs, reports with a `symbol`, or { input, report } pairs (see toComparisonEntry)
+ * @param {Object} options - { weights: pillar weights (default: CONFIG.weights) }
+ * @returns {Object} - { generatedAt, stocks, rankings: { deterministic, llm }, pillars, headToHead }
+ */
+export function buildComparison(items, options = {}) {
+  const weights = options.weights || CONFIG.weights;
+  const entries = items.map((item, i) => toComparisonEntry(item, i));
+
+  const seen = new Set();
+  for (const entry of entries) {
+    if (seen.has(entry.symbol)) {
+      throw new Error(`${entry.symbol} appears more than once in the comparison`);
+    }
+    seen.add(entry.symbol);
+  }
+
+  const stocks = entries.map(entry => summarizeStock(entry, weights));
+  const deterministic = rankBy(stocks, 'deterministicScore');
+
+  return {
+    generatedAt: new Date().toISOString(),
+    stocks,
+    rankings: {
+      deterministic,
+      llm: rankBy(stocks, 'llmScore')
+    },
+    pillars: comparePillars(stocks, weights),
+    headToHead: headToHead(deterministic, stocks, weights)
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Concurrency helpers for batch processing
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight. Results keep the
+ * input order regardless of completion order.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Reject if work does not settle within `ms`. Given a function, the work
+ * receives an AbortSignal that is aborted (with the timeout error) when
+ * time runs out, so it can stop calling the model; a bare promise is not
+ * cancelled and its result is simply ignored.
+ * @param {Promise|Function} work - Promise, or (signal) => Promise
+ * @param {number} ms - Timeout in ms (0 or less disables the timeout)
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} - The work's result
+ */
+export async function withTimeout(work, ms, message = `Timed out after ${ms}ms`) {
+  const controller = new AbortController();
+  const promise = typeof work === 'function' ? work(controller.signal) : work;
+  if (!ms || ms <= 0) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.code = 'TIMEOUT';
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Analysis diffing
+ *
+ * Relates two analyses of the same stock: metrics that flipped pass/fail,
+ * SIS/SSIS/qualitative movement, and score and recommendation changes.
+ * Works from stock inputs, finished reports, or both; no model is called.
+ */
+
+import { CONFIG } from '../config/settings.js';
+import { computeDeterministicScore, PILLAR_LABELS } from './scoring.js';
+import { extractKeyMetrics } from './validators.js';
+import { toComparisonEntry } from './comparison.js';
+
+// Quantitative pillars whose metrics are compared, with display names
+export const METRIC_PILLARS = {
+  fundamentalResilience: 'Fundamental Resilience',
+  asymmetricRiskReward: 'Asymmetric Risk/Reward',
+  technicalConfirmation: 'Technical Confirmation'
+};
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Describe how a number moved
+ * @param {number|null} from - Earlier value
+ * @param {number|null} to - Later value
+ * @returns {Object} - { from, to, delta }; delta is null unless both are numbers
+ */
+function change(from, to) {
+  const numeric = typeof from === 'number' && typeof to === 'number';
+  return { from: from ?? null, to: to ?? null, delta: numeric ? round1(to - from) : null };
+}
+
+/**
+ * Index the quantitative metrics of an input by pillar and name
+ * @param {Object} input - Stock input
+ * @returns {Map<string, Object>} - "pillar/name" -> { pillar, name, value, threshold, pass }
+ */
+function indexMetrics(input) {
+  const metrics = new Map();
+  for (const pillar of Object.keys(METRIC_PILLARS)) {
+    for (const metric of input.quantitative[pillar].metrics) {
+      metrics.set(`${pillar}/${metric.name}`, { pillar, name: metric.name, value: metric.value, threshold: metric.threshold, pass: metric.pass });
+    }
+  }
+  return metrics;
+}
+
+/**
+ * Compare the quantitative metrics of two inputs
+ * @param {Object} from - Earlier input
+ * @param {Object} to - Later input
+ * @returns {Object} - { flipped, added, removed }
+ */
+function diffMetrics(from, to) {
+  const before = indexMetrics(from);
+  const after = indexMetrics(to);
+  const flipped = [];
+  const added = [];
+  const removed = [];
+
+  for (const [key, metric] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push(metric);
+    } else if (typeof previous.pass === 'boolean' && typeof metric.pass === 'boolean' && previous.pass !== metric.pass) {
+      flipped.push({
+        pillar: metric.pillar,
+        name: metric.name,
+        threshold: metric.threshold,
+        from: { value: previous.value, pass: previous.pass },
+        to: { value: metric.value, pass: metric.pass },
+        direction: metric.pass ? 'improved' : 'deteriorated'
+      });
+    }
+  }
+  for (const [key, metric] of before) {
+    if (!after.has(key)) removed.push(metric);
+  }
+
+  return { flipped, added, removed };
+}
+
+/**
+ * Compare the qualitative criteria of two inputs
+ * @param {Object} from - Earlier input
+ * @param {Object} to - Later input
+ * @returns {Array<Object>} - { name, from, to, delta } for every criterion whose score changed or that appeared or disappeared
+ */
+function diffCriteria(from, to) {
+  const before = new Map(from.qualitative.criteria.map(criterion => [criterion.name, criterion.score]));
+  const after = new Map(to.qualitative.criteria.map(criterion => [criterion.name, criterion.score]));
+  const names = [...new Set([...before.keys(), ...after.keys()])];
+
+  return names
+    .map(name => ({ name, ...change(before.get(name), after.get(name)) }))
+    .filter(criterion => criterion.delta !== 0);
+}
+
+/**
+ * Describe one side of the diff
+ * @param {Object} entry - Comparison entry
+ * @param {Object} weights - Pillar weights
+ * @returns {Object} - { asOf, overallScore, recommendation, deterministic, keyMetrics }
+ */
+function describe(entry, weights) {
+  const { input, report } = entry;
+  return {
+    asOf: input?.stock?.asOf || null,
+    overallScore: report?.overallScore ?? null,
+    recommendation: report?.recommendation || null,
+    deterministic: input ? computeDeterministicScore(input, weights) : null,
+    keyMetrics: input ? extractKeyMetrics(input) : null
+  };
+}
+
+/**
+ * Put two comparison entries in date order: the one with the earlier
+ * `asOf` first. Entries without a date keep their order.
+ * @param {Object} a - First entry
+ * @param {Object} b - Second entry
+ * @returns {Array<Object>} - [earlier, later]
+ */
+export function orderByAsOf(a, b) {
+  const [first, second] = [a.input?.stock?.asOf, b.input?.stock?.asOf];
+  return first && second && first > second ? [b, a] : [a, b];
+}
+
+/**
+ * Diff two analyses of the same stock. When both sides have an `asOf` date
+ * the earlier one becomes `from`, whatever the argument order.
+ * @param {Object} before - Stock input, report with a `symbol`, or { input, report } (e.g. a history record)
+ * @param {Object} after - The other analysis, in the same forms
+ * @param {Object} options - { weights: pillar weights (default: CONFIG.weights) }
+ * @returns {Object} - { symbol, name, from, to, changed, score, recommendation, deterministicScore, pillars, scores, metrics, criteria }
+ */
+export function diffAnalyses(before, after, options = {}) {
+  const weights = options.weights || CONFIG.weights;
+  const [from, to] = orderByAsOf(toComparisonEntry(before, 0), toComparisonEntry(after, 1));
+
+  if (from.symbol !== to.symbol) {
+    throw new Error(`Cannot diff ${from.symbol} against ${to.symbol}; both analyses must be of the same stock`);
+  }
+
+  const a = describe(from, weights);
+  const b = describe(to, weights);
+  const both = Boolean(from.input && to.input);
+
+  const diff = {
+    symbol: to.symbol,
+    name: to.input?.stock?.name || from.input?.stock?.name || null,
+    from: { asOf: a.asOf },
+    to: { asOf: b.asOf },
+    score: change(a.overallScore, b.overallScore),
+    recommendation: {
+      from: a.recommendation,
+      to: b.recommendation,
+      changed: Boolean(a.recommendation && b.recommendation && a.recommendation !== b.recommendation)
+    },
+    deterministicScore: change(a.deterministic?.score, b.deterministic?.score),
+    pillars: both
+      ? Object.fromEntries(Object.keys(PILLAR_LABELS).map(pillar => [pillar, change(a.deterministic.pillars[pillar], b.deterministic.pillars[pillar])]))
+      : null,
+    scores: both
+      ? {
+        sis: change(a.keyMetrics.sisScore, b.keyMetrics.sisScore),
+        ssis: change(a.keyMetrics.ssisScore, b.keyMetrics.ssisScore),
+        qualitative: change(a.keyMetrics.qualitativeRating, b.keyMetrics.qualitativeRating),
+        passRate: change(Number(a.keyMetrics.passRate), Number(b.keyMetrics.passRate))
+      }
+      : null,
+    metrics: both ? diffMetrics(from.input, to.input) : null,
+    criteria: both ? diffCriteria(from.input, to.input) : null
+  };
+
+  diff.changed = diff.recommendation.changed
+    || [diff.score, diff.deterministicScore, ...Object.values(diff.scores || {})].some(moved => moved.delta)
+    || Boolean(diff.metrics && (diff.metrics.flipped.length || diff.metrics.added.length || diff.metrics.removed.length))
+    || Boolean(diff.criteria?.length);
+
+  return diff;
+}
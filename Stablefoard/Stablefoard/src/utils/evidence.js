@@ -0,0 +1,159 @@
+/**
+ * Evidence citations
+ *
+ * Each narrative section of a report may come with `citations`: for the
+ * section's i-th bullet, the input paths it relies on, such as
+ * "quantitative.fundamentalResilience.metrics[1]" or
+ * "peerComparison.peers[0].metrics.P/E". checkEvidence resolves those paths
+ * against the input and checks that every figure quoted in a cited bullet
+ * appears in the cited data. Figures it cannot find are reported as
+ * hallucinations.
+ */
+
+import { parseMetricValue } from './peer-analytics.js';
+import { parseBullets } from './format.js';
+import { REPORT_SECTIONS } from './validators.js';
+
+// A number in running text, optionally signed, with a currency prefix and a
+// unit or magnitude suffix. Numbers glued to letters ("Q3", "5Y") are labels.
+const FIGURE_PATTERN = /(?<![\w.])[+\-−]?[$€£]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?(?:\s?%|x|[kmbt])?(?![\w%])/gi;
+
+/**
+ * Pull the figures out of a piece of text
+ * @param {string} text - Text to scan
+ * @returns {Array<Object>} - [{ text, value, unit, decimals }]
+ */
+export function extractFigures(text) {
+  const figures = [];
+  for (const match of String(text ?? '').matchAll(FIGURE_PATTERN)) {
+    const parsed = parseMetricValue(match[0]);
+    if (!parsed) continue;
+    const decimals = /\.(\d+)/.exec(match[0])?.[1].length || 0;
+    figures.push({ text: match[0].trim(), value: parsed.value, unit: parsed.unit, decimals });
+  }
+  return figures;
+}
+
+/**
+ * Every number found in a piece of input: numeric values, figures inside
+ * strings (values, thresholds, metric names) and figures inside object keys
+ * @param {*} value - Input value
+ * @returns {Array<number>} - Numbers
+ */
+export function collectNumbers(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? [value] : [];
+  if (typeof value === 'string') return extractFigures(value).map(figure => figure.value);
+  if (Array.isArray(value)) return value.flatMap(collectNumbers);
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => [...collectNumbers(key), ...collectNumbers(item)]);
+  }
+  return [];
+}
+
+/**
+ * Resolve a dot/bracket path such as "peerComparison.peers[0].metrics.P/E"
+ * against the input. Object keys may themselves contain dots; the longest
+ * key that fits is taken.
+ * @param {Object} input - Stock input
+ * @param {string} path - Path into the input
+ * @returns {Object} - { found, value }
+ */
+export function resolvePath(input, path) {
+  let node = input;
+  let rest = String(path ?? '').trim();
+  if (!rest) return { found: false, value: undefined };
+
+  while (rest) {
+    const index = /^\[(\d+)\]/.exec(rest);
+    const quoted = /^\[["']([^"']+)["']\]/.exec(rest);
+
+    if (index) {
+      if (!Array.isArray(node) || Number(index[1]) >= node.length) return { found: false, value: undefined };
+      node = node[Number(index[1])];
+      rest = rest.slice(index[0].length);
+    } else if (quoted) {
+      if (!node || typeof node !== 'object' || !(quoted[1] in node)) return { found: false, value: undefined };
+      node = node[quoted[1]];
+      rest = rest.slice(quoted[0].length);
+    } else {
+      if (!node || typeof node !== 'object' || Array.isArray(node)) return { found: false, value: undefined };
+      const key = Object.keys(node)
+        .filter(candidate => rest === candidate || rest.startsWith(`${candidate}.`) || rest.startsWith(`${candidate}[`))
+        .sort((a, b) => b.length - a.length)[0];
+      if (key === undefined) return { found: false, value: undefined };
+      node = node[key];
+      rest = rest.slice(key.length);
+    }
+
+    if (rest.startsWith('.')) rest = rest.slice(1);
+  }
+
+  return { found: true, value: node };
+}
+
+/**
+ * Whether a quoted figure matches one of the numbers in the evidence. The
+ * figure may be rounded to the precision it is written with, and signs are
+ * ignored ("a 29.5% drawdown" quotes "-29.5%").
+ * @param {Object} figure - extractFigures item
+ * @param {Array<number>} numbers - Numbers from the cited input
+ * @returns {boolean} - True if supported
+ */
+export function figureMatches(figure, numbers) {
+  const target = Math.abs(figure.value);
+  const factor = 10 ** figure.decimals;
+  return numbers.some(number => {
+    const candidate = Math.abs(number);
+    return Math.abs(candidate - target) < 1e-9 || Math.abs(Math.round(candidate * factor) / factor - target) < 1e-9;
+  });
+}
+
+/**
+ * Check a report's citations against its input. Figures in uncited bullets
+ * are not checked here; those bullets are listed under `uncited`.
+ * @param {Object} report - Report with optional `citations` ({ section: [[path, ...], ...] })
+ * @param {Object} input - Stock input the report was generated from
+ * @returns {Object} - { bullets, citedBullets, coverage, uncited, invalidPaths, hallucinations }
+ */
+export function checkEvidence(report, input) {
+  const citations = report?.citations && typeof report.citations === 'object' ? report.citations : {};
+  // The headline score is the report's own figure, not an input value
+  const ownFigures = [report?.overallScore, report?.scoring?.llmScore].filter(value => typeof value === 'number');
+
+  const result = { bullets: 0, citedBullets: 0, coverage: 0, uncited: [], invalidPaths: [], hallucinations: [] };
+
+  for (const section of REPORT_SECTIONS) {
+    const bullets = parseBullets(report?.[section]);
+    const sectionCitations = Array.isArray(citations[section]) ? citations[section] : [];
+
+    bullets.forEach((text, bullet) => {
+      result.bullets++;
+      const paths = (Array.isArray(sectionCitations[bullet]) ? sectionCitations[bullet] : [])
+        .filter(path => typeof path === 'string' && path.trim());
+      if (paths.length === 0) {
+        result.uncited.push({ section, bullet, text });
+        return;
+      }
+      result.citedBullets++;
+
+      const numbers = [...ownFigures];
+      for (const path of paths) {
+        const resolved = resolvePath(input, path);
+        if (resolved.found) {
+          numbers.push(...collectNumbers(resolved.value));
+        } else {
+          result.invalidPaths.push({ section, bullet, text, path });
+        }
+      }
+
+      for (const figure of extractFigures(text)) {
+        if (!figureMatches(figure, numbers)) {
+          result.hallucinations.push({ section, bullet, text, figure: figure.text, paths });
+        }
+      }
+    });
+  }
+
+  result.coverage = result.bullets === 0 ? 0 : Math.round(result.citedBullets / result.bullets * 1000) / 10;
+  return result;
+}
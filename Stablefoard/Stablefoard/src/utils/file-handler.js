@@ -94,3 +94,173 @@ export async function ensureDirectory(dirPath) {
   }
 }
 
+
+// Stock input file types picked up from a directory (CSV and XLSX go through src/importers)
+const INPUT_EXTENSIONS = ['.json', '.csv', '.xlsx'];
+
+/**
+ * Check whether a path contains glob wildcards (* or ?)
+ * @param {string} spec - Path or pattern
+ * @returns {boolean} - Whether the spec is a glob
+ */
+export function isGlobPattern(spec) {
+  return /[*?]/.test(spec);
+}
+
+/**
+ * Convert a glob pattern to a regular expression. Supports `*`, `?` and
+ * `**` (any number of directories).
+ * @param {string} pattern - Glob relative to its base directory, with / separators
+ * @returns {RegExp} - Matching expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List files under a directory, relative to it, with / separators.
+ * node_modules and dot-directories are skipped.
+ * @param {string} dir - Directory to walk
+ * @param {boolean} recursive - Whether to descend into subdirectories
+ * @returns {Promise<Array<string>>} - Relative file paths
+ */
+async function listFiles(dir, recursive, prefix = '') {
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (recursive && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        files.push(...await listFiles(dir, recursive, relative));
+      }
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Expand a glob pattern such as `stocks/*.json` or `data/**\/*.json`
+ * @param {string} pattern - Glob pattern
+ * @returns {Promise<Array<string>>} - Matching file paths, sorted
+ */
+export async function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstWildcard = segments.findIndex(segment => isGlobPattern(segment));
+  const baseDir = segments.slice(0, firstWildcard).join('/') || '.';
+  const rest = segments.slice(firstWildcard).join('/');
+
+  let files;
+  try {
+    files = await listFiles(baseDir, rest.includes('/') || rest.includes('**'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const matcher = globToRegExp(rest);
+  return files
+    .filter(file => matcher.test(file))
+    .map(file => path.join(baseDir, file))
+    .sort();
+}
+
+/**
+ * Read a manifest listing input files. Accepts a text file with one path per
+ * line (# comments allowed), a JSON array of paths, or `{ "files": [...] }`.
+ * Relative paths are resolved against the manifest's directory.
+ * @param {string} manifestPath - Manifest file
+ * @returns {Promise<Array<string>>} - Listed file paths
+ */
+export async function readManifest(manifestPath) {
+  const content = await fs.readFile(path.resolve(manifestPath), 'utf-8');
+
+  let entries;
+  if (path.extname(manifestPath).toLowerCase() === '.json') {
+    const parsed = JSON.parse(content);
+    entries = Array.isArray(parsed) ? parsed : parsed.files;
+    if (!Array.isArray(entries) || !entries.every(entry => typeof entry === 'string')) {
+      throw new Error(`Manifest ${manifestPath} must be an array of paths or { "files": [...] }`);
+    }
+  } else {
+    entries = content
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+
+  const baseDir = path.dirname(manifestPath);
+  return entries.map(entry => (path.isAbsolute(entry) ? entry : path.join(baseDir, entry)));
+}
+
+/**
+ * Check whether a JSON file is a manifest rather than a stock input
+ * @param {string} filePath - JSON file
+ * @returns {Promise<boolean>} - True for an array of paths or { files: [...] }
+ */
+async function isJsonManifest(filePath) {
+  try {
+    const parsed = await readJsonFile(filePath);
+    return Array.isArray(parsed) || (Array.isArray(parsed?.files) && !parsed.stock);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a CLI input spec into stock input files
+ * @param {string} spec - An input file, a directory (its *.json, *.csv and *.xlsx files), a glob, or a manifest (.txt/.list, or a JSON list of paths)
+ * @returns {Promise<Object>} - { batch: whether the spec names several inputs, files }
+ */
+export async function resolveInputFiles(spec) {
+  if (isGlobPattern(spec)) {
+    return { batch: true, files: await expandGlob(spec) };
+  }
+
+  let stats;
+  try {
+    stats = await fs.stat(spec);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`File not found: ${spec}`);
+    }
+    throw error;
+  }
+
+  if (stats.isDirectory()) {
+    const files = [];
+    for (const extension of INPUT_EXTENSIONS) {
+      files.push(...await expandGlob(path.join(spec, `*${extension}`)));
+    }
+    return { batch: true, files: files.sort() };
+  }
+
+  const extension = path.extname(spec).toLowerCase();
+  if (extension === '.txt' || extension === '.list' || (extension === '.json' && await isJsonManifest(spec))) {
+    return { batch: true, files: await readManifest(spec) };
+  }
+
+  return { batch: false, files: [spec] };
+}
@@ -0,0 +1,113 @@
+/**
+ * Bullet-format contract
+ *
+ * ANALYSIS_PROMPT asks for every text section as "•" bullets, at most 3 per
+ * section and at most 12 words per line. checkFormat parses the sections
+ * into bullets and reports where a report breaks those rules.
+ */
+
+import { REPORT_SECTIONS } from './validators.js';
+
+// The limits stated in ANALYSIS_PROMPT, SECTION_PROMPT and REPAIR_PROMPT
+export const FORMAT_RULES = {
+  maxBullets: 3,
+  maxWords: 12
+};
+
+/**
+ * Parse a section into lines, noting which start with a "•" marker. Arrays
+ * (sections returned as string[]) are bullets by definition.
+ * @param {string|Array<string>} content - Section text or bullet array
+ * @returns {Array<Object>} - [{ text, marked }] with markers stripped
+ */
+export function parseSection(content) {
+  const lines = Array.isArray(content)
+    ? content.map(item => ({ line: String(item), marked: true }))
+    : String(content ?? '').split('\n').map(line => ({ line, marked: /^\s*•/.test(line) }));
+
+  return lines
+    .map(({ line, marked }) => ({ text: line.replace(/^\s*(?:[•*-]\s*)+/, '').trim(), marked }))
+    .filter(item => item.text);
+}
+
+/**
+ * Split a section into its bullets
+ * @param {string|Array<string>} content - Section text ("• Point 1\n• Point 2") or bullet array
+ * @returns {Array<string>} - Bullet texts without their markers
+ */
+export function parseBullets(content) {
+  return parseSection(content).map(item => item.text);
+}
+
+/**
+ * Whether a section should be shown as a list: bullet arrays always are,
+ * text when any line starts with a bullet marker
+ * @param {string|Array<string>} content - Section text or bullet array
+ * @returns {boolean} - True for a bullet list, false for a paragraph
+ */
+export function isBulletList(content) {
+  return Array.isArray(content) || /^\s*[•*-]/m.test(String(content ?? ''));
+}
+
+/**
+ * Count the words in a bullet
+ * @param {string} text - Bullet text
+ * @returns {number} - Word count
+ */
+export function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Check the report's text sections against the bullet-format contract
+ * @param {Object} report - Report
+ * @param {Object} rules - { maxBullets, maxWords } (default: FORMAT_RULES)
+ * @returns {Object} - { valid, violations: [{ section, rule, bullet, message }], failingSections }
+ */
+export function checkFormat(report, rules = FORMAT_RULES) {
+  const violations = [];
+
+  for (const section of REPORT_SECTIONS) {
+    if (report[section] === undefined) continue;
+    const lines = parseSection(report[section]);
+
+    if (lines.length === 0) {
+      violations.push({ section, rule: 'empty', bullet: null, message: 'has no bullets' });
+      continue;
+    }
+    const unmarked = lines.filter(line => !line.marked).length;
+    if (unmarked > 0) {
+      violations.push({ section, rule: 'unbulleted', bullet: null, message: `${unmarked} ${unmarked === 1 ? 'line does' : 'lines do'} not start with "•"` });
+    }
+    if (lines.length > rules.maxBullets) {
+      violations.push({ section, rule: 'too_many_bullets', bullet: null, message: `${lines.length} bullets (max ${rules.maxBullets})` });
+    }
+    lines.forEach((line, bullet) => {
+      const words = countWords(line.text);
+      if (words > rules.maxWords) {
+        violations.push({ section, rule: 'too_many_words', bullet, message: `bullet ${bullet + 1} has ${words} words (max ${rules.maxWords})` });
+      }
+    });
+  }
+
+  return {
+    valid: violations.length === 0,
+    violations,
+    failingSections: [...new Set(violations.map(violation => violation.section))]
+  };
+}
+
+/**
+ * Return a copy of the report with every text section as a string[] of bullets
+ * @param {Object} report - Report with newline-joined sections
+ * @returns {Object} - Report with bullet arrays
+ */
+export function toBulletArrays(report) {
+  const converted = { ...report };
+  for (const section of REPORT_SECTIONS) {
+    if (report[section] !== undefined) {
+      converted[section] = parseBullets(report[section]);
+    }
+  }
+  return converted;
+}
@@ -0,0 +1,83 @@
+/**
+ * Numeric grounding check
+ *
+ * Pulls every figure out of a report's sections and looks for it among the
+ * numbers the model was given: every number in the input (metric values,
+ * thresholds, SIS/SSIS scores, peer metrics), the peer analytics computed
+ * from it, the key-metric counts and pass rate, and the scores. Figures
+ * found nowhere are unmatched; the grounding score is the share that match.
+ * Unlike checkEvidence this needs no citations.
+ */
+
+import { CONFIG } from '../config/settings.js';
+import { extractFigures, collectNumbers, figureMatches } from './evidence.js';
+import { computePeerAnalytics } from './peer-analytics.js';
+import { parseBullets } from './format.js';
+import { extractKeyMetrics, REPORT_SECTIONS } from './validators.js';
+
+/**
+ * Every number a report about this input may legitimately quote
+ * @param {Object} input - Stock input
+ * @param {Object} report - Report (its own scores count as known figures)
+ * @returns {Array<number>} - Known numbers
+ */
+export function knownFigures(input, report = {}) {
+  const analytics = computePeerAnalytics(input.peerComparison);
+  const peerStats = analytics.metrics.map(({ median, mean, stdev, min, max, peers, base }) => ({ median, mean, stdev, min, max, peers, base }));
+  const { totalMetrics, passedCount, failedCount, passRate } = extractKeyMetrics(input);
+
+  return [
+    ...collectNumbers(input),
+    ...collectNumbers(peerStats),
+    ...collectNumbers({ totalMetrics, passedCount, failedCount, passRate }),
+    ...collectNumbers([report.overallScore, report.scoring?.llmScore, report.scoring?.deterministicScore])
+  ];
+}
+
+/**
+ * Check every figure in a report's sections against the input
+ * @param {Object} report - Report
+ * @param {Object} input - Stock input the report was generated from
+ * @returns {Object} - { score, figures, matched, unmatched: [{ section, figure, text }], sections: { [section]: { figures, matched } } }
+ */
+export function checkGrounding(report, input) {
+  const known = knownFigures(input, report);
+  const result = { score: 100, figures: 0, matched: 0, unmatched: [], sections: {} };
+
+  for (const section of REPORT_SECTIONS) {
+    if (report[section] === undefined) continue;
+    const counts = { figures: 0, matched: 0 };
+
+    for (const text of parseBullets(report[section])) {
+      for (const figure of extractFigures(text)) {
+        counts.figures++;
+        if (figureMatches(figure, known)) {
+          counts.matched++;
+        } else {
+          result.unmatched.push({ section, figure: figure.text, text });
+        }
+      }
+    }
+
+    result.sections[section] = counts;
+    result.figures += counts.figures;
+    result.matched += counts.matched;
+  }
+
+  if (result.figures > 0) {
+    result.score = Math.round(result.matched / result.figures * 1000) / 10;
+  }
+  return result;
+}
+
+/**
+ * Throw when strict grounding is on and a report scores below the minimum
+ * @param {Object} grounding - checkGrounding result
+ * @param {Object} options - { strict, minScore } (default: CONFIG.grounding)
+ */
+export function enforceGrounding(grounding, options = CONFIG.grounding) {
+  if (!options.strict || grounding.score >= options.minScore) return;
+
+  const figures = grounding.unmatched.map(item => `${item.section} "${item.figure}"`).join(', ');
+  throw new Error(`Grounding check failed: score ${grounding.score} is below ${options.minScore} (unmatched figures: ${figures})`);
+}
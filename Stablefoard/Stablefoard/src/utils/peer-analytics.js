@@ -0,0 +1,231 @@
+/**
+ * Peer analytics
+ *
+ * Parses the free-text values in peerComparison.peers[].metrics ("31.1",
+ * "26.7%", "-29.5%", "2.5x", "$1.2B") into numbers with units and computes
+ * per-metric peer statistics: median, mean, spread, and each peer's
+ * percentile and z-score within the group.
+ */
+
+// Magnitude suffixes accepted after a number
+const MAGNITUDES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+
+const VALUE_PATTERN = /^([+-])?([$€£])?([+-])?(\d[\d,]*(?:\.\d+)?|\.\d+)(%|x|[kmbt])?$/i;
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a peer metric value
+ * @param {string|number} raw - Value as given in the input
+ * @returns {Object|null} - { value, unit } with unit 'percent', 'multiple', 'currency' or 'number'; null if not numeric
+ */
+export function parseMetricValue(raw) {
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? { value: raw, unit: 'number' } : null;
+  }
+
+  const text = String(raw ?? '').replace(/\s+/g, '').replace(/−/g, '-');
+  const match = VALUE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, sign, currency, innerSign, digits, suffix] = match;
+  if (sign && innerSign) return null;
+
+  let value = Number(digits.replace(/,/g, ''));
+  if ((sign || innerSign) === '-') value = -value;
+
+  const lower = suffix?.toLowerCase();
+  if (lower in MAGNITUDES) value *= MAGNITUDES[lower];
+
+  let unit = 'number';
+  if (lower === '%') unit = 'percent';
+  else if (lower === 'x') unit = 'multiple';
+  else if (currency) unit = 'currency';
+
+  return { value, unit };
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (not empty)
+ * @returns {number} - Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Percentile rank of a value among others. Equal values count as half a
+ * win, as in the deterministic peer pillar; with nothing to compare against
+ * the rank is neutral (50).
+ * @param {number} value - Value to rank
+ * @param {Array<number>} others - Values it is ranked against
+ * @returns {number} - Percentile (0-100)
+ */
+function percentileRank(value, others) {
+  if (others.length === 0) return 50;
+  const wins = others.reduce((acc, other) => acc + (value > other ? 1 : value === other ? 0.5 : 0), 0);
+  return Math.round(wins / others.length * 1000) / 10;
+}
+
+/**
+ * Statistics for one metric across the peer group
+ * @param {string} name - Metric name
+ * @param {Array<Object>} peers - Peer rows (the base stock excluded)
+ * @param {Object|null} base - The base stock's row, if it is in the peer table
+ * @returns {Object} - { name, unit, count, median, mean, stdev, min, max, peers, base, unparsed }
+ */
+function metricStatistics(name, peers, base) {
+  const parsed = [];
+  const unparsed = [];
+  for (const peer of peers) {
+    if (!(name in peer.metrics)) continue;
+    const value = parseMetricValue(peer.metrics[name]);
+    if (value) parsed.push({ symbol: peer.symbol, raw: peer.metrics[name], ...value });
+    else unparsed.push({ symbol: peer.symbol, raw: peer.metrics[name] });
+  }
+
+  const units = [...new Set(parsed.map(item => item.unit))];
+  const stats = {
+    name,
+    unit: units.length === 1 ? units[0] : units.length === 0 ? null : 'mixed',
+    count: parsed.length,
+    median: null,
+    mean: null,
+    stdev: null,
+    min: null,
+    max: null,
+    peers: [],
+    base: null,
+    unparsed
+  };
+  if (parsed.length === 0) return stats;
+
+  const values = parsed.map(item => item.value);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const stdev = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+  const zScore = value => (stdev > 0 ? round2((value - mean) / stdev) : 0);
+
+  Object.assign(stats, {
+    median: round2(median(values)),
+    mean: round2(mean),
+    stdev: round2(stdev),
+    min: Math.min(...values),
+    max: Math.max(...values)
+  });
+
+  stats.peers = parsed.map((item, i) => ({
+    symbol: item.symbol,
+    raw: item.raw,
+    value: item.value,
+    percentile: percentileRank(item.value, values.filter((_, j) => j !== i)),
+    zScore: zScore(item.value)
+  }));
+
+  const own = base && name in base.metrics ? parseMetricValue(base.metrics[name]) : null;
+  if (own) {
+    stats.base = {
+      symbol: base.symbol,
+      raw: base.metrics[name],
+      value: own.value,
+      percentile: percentileRank(own.value, values),
+      zScore: zScore(own.value),
+      deltaToMedian: round2(own.value - median(values))
+    };
+  }
+
+  return stats;
+}
+
+/**
+ * Compute peer analytics for an input's peerComparison block. When the
+ * base stock appears in the peer table it is ranked against the other
+ * peers instead of being counted as one of them.
+ * @param {Object} peerComparison - { baseSymbol, peers: [{ symbol, name, metrics }] }
+ * @returns {Object} - { baseSymbol, baseInPeers, peers: [{ symbol, name }], metrics: [metricStatistics] }
+ */
+export function computePeerAnalytics(peerComparison) {
+  const baseSymbol = peerComparison?.baseSymbol || null;
+  const rows = peerComparison?.peers || [];
+  const base = rows.find(peer => baseSymbol && peer.symbol === baseSymbol) || null;
+  const peers = rows.filter(peer => peer !== base);
+
+  // Metric names in first-seen order
+  const names = [...new Set(rows.flatMap(peer => Object.keys(peer.metrics || {})))];
+
+  return {
+    baseSymbol,
+    baseInPeers: Boolean(base),
+    peers: peers.map(peer => ({ symbol: peer.symbol, name: peer.name })),
+    metrics: names.map(name => metricStatistics(name, peers, base))
+  };
+}
+
+/**
+ * Format a value in its unit
+ * @param {number} value - Value
+ * @param {string} unit - Metric unit
+ * @returns {string} - Display text
+ */
+function formatValue(value, unit) {
+  const rounded = round2(value);
+  if (unit === 'percent') return `${rounded}%`;
+  if (unit === 'multiple') return `${rounded}x`;
+  return String(rounded);
+}
+
+/**
+ * Signed number text ("+1.2", "-0.4", "0")
+ * @param {number} value - Value
+ * @returns {string} - Display text
+ */
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Render peer analytics as the plain-text block given to the model
+ * @param {Object} analytics - computePeerAnalytics result
+ * @returns {string} - Peer summary, one line per metric
+ */
+export function formatPeerSummary(analytics) {
+  if (analytics.peers.length === 0) {
+    return 'No peers in the input; make no peer comparisons.';
+  }
+
+  const lines = [
+    `Peers (${analytics.peers.length}): ${analytics.peers.map(peer => `${peer.symbol} (${peer.name})`).join(', ')}`,
+    analytics.baseInPeers
+      ? `${analytics.baseSymbol} is ranked against these peers (p = percentile among them, z = z-score).`
+      : `${analytics.baseSymbol || 'The stock'} has no row in the peer table; the figures describe the peer group (p = percentile within the group, z = z-score).`,
+    ''
+  ];
+
+  for (const metric of analytics.metrics) {
+    if (metric.count === 0) {
+      lines.push(`${metric.name}: no numeric values`);
+      continue;
+    }
+    const unit = metric.unit === 'mixed' ? 'number' : metric.unit;
+    const show = value => formatValue(value, unit);
+    let line = `${metric.name}: median ${show(metric.median)}, mean ${show(metric.mean)}, range ${show(metric.min)} to ${show(metric.max)}`;
+    if (metric.base) {
+      line += ` | ${metric.base.symbol} ${metric.base.raw} (p${metric.base.percentile}, z ${signed(metric.base.zScore)}, ${signed(round2(metric.base.deltaToMedian))} vs median)`;
+    }
+    line += ` | ${metric.peers.map(peer => `${peer.symbol} ${peer.raw} (p${peer.percentile}, z ${signed(peer.zScore)})`).join('; ')}`;
+    if (metric.unit === 'mixed') line += ' | units differ between peers';
+    if (metric.unparsed.length > 0) line += ` | not numeric: ${metric.unparsed.map(item => `${item.symbol} "${item.raw}"`).join(', ')}`;
+    lines.push(line);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,118 @@
+/**
+ * Sliding-window rate limiter for model calls
+ *
+ * Enforces a requests-per-minute and/or tokens-per-minute budget across
+ * every caller sharing the limiter, and can be paused when a provider
+ * reports that its quota is exhausted.
+ */
+
+/**
+ * Estimate the token count of a text (~4 characters per token)
+ * @param {string} text - Prompt or response text
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerMinute - Request budget per window (0 = unlimited)
+   * @param {number} options.tokensPerMinute - Token budget per window (0 = unlimited)
+   * @param {number} options.windowMs - Window length (default: 60000)
+   * @param {Function} options.now - Clock, for tests (default: Date.now)
+   * @param {Function} options.sleep - Delay function, for tests
+   */
+  constructor(options = {}) {
+    this.requestsPerMinute = options.requestsPerMinute || 0;
+    this.tokensPerMinute = options.tokensPerMinute || 0;
+    this.windowMs = options.windowMs || 60000;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.events = [];
+    this.pausedUntil = 0;
+    // Acquisitions are chained so waiting callers are served in arrival order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Whether any budget is configured
+   * @returns {boolean} - True if the limiter can delay calls
+   */
+  get enabled() {
+    return this.requestsPerMinute > 0 || this.tokensPerMinute > 0;
+  }
+
+  /**
+   * Wait until a request costing `tokens` fits the budget, then record it
+   * @param {number} tokens - Estimated tokens for the request
+   * @returns {Promise<void>}
+   */
+  acquire(tokens = 0) {
+    const turn = this.queue.then(() => this.waitForCapacity(tokens));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Count extra tokens (e.g. the response) against the budget without waiting
+   * @param {number} tokens - Tokens used
+   */
+  consume(tokens) {
+    if (tokens > 0) {
+      this.events.push({ time: this.now(), tokens, request: false });
+    }
+  }
+
+  /**
+   * Hold every caller for `ms`, e.g. after a quota error
+   * @param {number} ms - Pause length
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, this.now() + ms);
+  }
+
+  /**
+   * How long a request costing `tokens` must wait right now
+   * @param {number} tokens - Estimated tokens for the request
+   * @returns {number} - Wait in ms (0 if it can go now)
+   */
+  delayFor(tokens) {
+    const now = this.now();
+    this.events = this.events.filter(event => event.time > now - this.windowMs);
+
+    let wait = Math.max(0, this.pausedUntil - now);
+
+    const requests = this.events.filter(event => event.request);
+    if (this.requestsPerMinute > 0 && requests.length >= this.requestsPerMinute) {
+      const oldest = requests[requests.length - this.requestsPerMinute];
+      wait = Math.max(wait, oldest.time + this.windowMs - now);
+    }
+
+    if (this.tokensPerMinute > 0 && this.events.length > 0) {
+      // Wait until enough old events expire for this request to fit
+      let used = this.events.reduce((sum, event) => sum + event.tokens, 0);
+      for (const event of this.events) {
+        if (used + tokens <= this.tokensPerMinute) break;
+        used -= event.tokens;
+        wait = Math.max(wait, event.time + this.windowMs - now);
+      }
+    }
+
+    return wait;
+  }
+
+  /**
+   * Sleep until the request fits, then record it
+   * @param {number} tokens - Estimated tokens for the request
+   */
+  async waitForCapacity(tokens) {
+    let wait = this.delayFor(tokens);
+    while (wait > 0) {
+      await this.sleep(wait);
+      wait = this.delayFor(tokens);
+    }
+    this.events.push({ time: this.now(), tokens, request: true });
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Recommendation consistency rules
+ *
+ * Keeps the recommendation in line with the reported score and the input:
+ * each score band allows some recommendations, hard overrides force one
+ * when their conditions hold (e.g. Avoid when Net Debt/EBITDA fails and
+ * risk sensitivity alignment is fail), and finalVerdict/aiSummary are
+ * checked for wording that states a different recommendation.
+ */
+
+import { CONFIG } from '../config/settings.js';
+import { extractKeyMetrics } from './validators.js';
+import { parseBullets } from './format.js';
+
+// Phrases that state each recommendation in the report's prose
+export const RECOMMENDATION_TERMS = {
+  Buy: ['buy', 'strong buy', 'accumulate', 'outperform'],
+  Watchlist: ['watchlist', 'watch list', 'hold', 'monitor'],
+  Avoid: ['avoid', 'sell', 'underperform']
+};
+
+// Sections whose wording must agree with the recommendation
+export const VERDICT_SECTIONS = ['finalVerdict', 'aiSummary'];
+
+// A term preceded by one of these within three words is negated ("not Buy", "rather than an outright Buy")
+const NEGATION_PATTERN = /\b(?:not|no|never|than|instead of|against)\b/i;
+
+/**
+ * Find the score band a score falls in
+ * @param {number} score - Overall score (0-100)
+ * @param {Array<Object>} bands - [{ min, allowed }]
+ * @returns {Object|null} - Matching band, or null when none matches
+ */
+export function findBand(score, bands) {
+  const sorted = [...bands].sort((a, b) => b.min - a.min);
+  return sorted.find(band => score >= band.min) || null;
+}
+
+/**
+ * Whether a hard override's conditions all hold for an input
+ * @param {Object} override - { failing: [metric name], overall: { [quantitative pillar]: result } }
+ * @param {Object} input - Stock input
+ * @returns {boolean} - True if the override applies
+ */
+export function overrideMatches(override, input) {
+  const { failedMetrics } = extractKeyMetrics(input);
+  const failing = override.failing || [];
+  const overall = Object.entries(override.overall || {});
+  if (failing.length === 0 && overall.length === 0) return false;
+
+  return failing.every(name => failedMetrics.includes(name))
+    && overall.every(([pillar, result]) => input.quantitative?.[pillar]?.overall === result);
+}
+
+/**
+ * Recommendations a piece of prose states, ignoring negated mentions
+ * @param {string} text - Bullet or sentence
+ * @returns {Array<string>} - Recommendation labels stated
+ */
+export function statedRecommendations(text) {
+  const stated = [];
+  for (const [label, terms] of Object.entries(RECOMMENDATION_TERMS)) {
+    const pattern = new RegExp(`\\b(?:${terms.map(term => term.replace(/ /g, '\\s+')).join('|')})\\b`, 'gi');
+    for (const match of text.matchAll(pattern)) {
+      const before = text.slice(0, match.index).split(/\s+/).filter(Boolean).slice(-3).join(' ');
+      if (!NEGATION_PATTERN.test(before)) {
+        stated.push(label);
+        break;
+      }
+    }
+  }
+  return stated;
+}
+
+/**
+ * Check finalVerdict and aiSummary for wording that states another recommendation
+ * @param {Object} report - Report
+ * @param {string} recommendation - Recommendation the wording must agree with
+ * @returns {Array<Object>} - [{ section, stated, message }]
+ */
+export function checkWording(report, recommendation) {
+  const issues = [];
+  for (const section of VERDICT_SECTIONS) {
+    if (report[section] === undefined) continue;
+    const stated = [...new Set(parseBullets(report[section]).flatMap(statedRecommendations))];
+    const conflicting = stated.filter(label => label !== recommendation);
+    if (conflicting.length > 0) {
+      issues.push({ section, stated, message: `${section} reads as ${conflicting.join('/')} but the recommendation is ${recommendation}` });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Apply the recommendation rules to a report with its final score. The
+ * score band is checked first: a recommendation it does not allow becomes
+ * the band's first allowed one. Then the first matching hard override
+ * forces its recommendation. In 'report' mode both are recorded but not
+ * applied; 'off' returns the report unchanged.
+ * @param {Object} report - Report with a reconciled overallScore
+ * @param {Object} input - Stock input
+ * @param {Object} rules - { mode, bands, overrides } (default: CONFIG.recommendationRules)
+ * @returns {Object} - Report with its recommendation and a consistency block
+ */
+export function applyRecommendationRules(report, input, rules = CONFIG.recommendationRules) {
+  if (rules.mode === 'off') return report;
+
+  const modelRecommendation = report.recommendation;
+  const overrides = [];
+  let recommendation = modelRecommendation;
+
+  const band = findBand(report.overallScore, rules.bands);
+  if (band && !band.allowed.includes(recommendation)) {
+    overrides.push({
+      rule: 'score_band',
+      from: recommendation,
+      to: band.allowed[0],
+      reason: `Score ${report.overallScore} allows ${band.allowed.join(' or ')}, not ${recommendation}`
+    });
+    recommendation = band.allowed[0];
+  }
+
+  const override = rules.overrides.find(candidate => overrideMatches(candidate, input));
+  if (override && override.recommendation !== recommendation) {
+    overrides.push({ rule: 'hard_override', from: recommendation, to: override.recommendation, reason: override.reason });
+    recommendation = override.recommendation;
+  }
+
+  const applied = rules.mode === 'enforce';
+  const final = applied ? recommendation : modelRecommendation;
+  const wording = checkWording(report, final);
+
+  return {
+    ...report,
+    recommendation: final,
+    consistency: {
+      valid: overrides.length === 0 && wording.length === 0,
+      modelRecommendation,
+      band: band ? { min: band.min, allowed: [...band.allowed] } : null,
+      overrides: overrides.map(item => ({ ...item, applied })),
+      wording
+    }
+  };
+}
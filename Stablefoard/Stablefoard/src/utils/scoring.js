@@ -0,0 +1,137 @@
+/**
+ * Deterministic scoring engine
+ *
+ * Computes a reproducible 0-100 score from validated input data using
+ * CONFIG.weights, so the headline score no longer depends on the model.
+ */
+
+import { CONFIG } from '../config/settings.js';
+
+// Native scales of the raw pillar inputs
+const SIS_SCALE = 5;
+const SSIS_SCALE = 5;
+const QUALITATIVE_SCALE = 5;
+
+// Display names of the score pillars
+export const PILLAR_LABELS = {
+  quantitative: 'Quantitative',
+  sis: 'SIS',
+  ssis: 'SSIS',
+  qualitative: 'Qualitative',
+  peerComparison: 'Peer comparison'
+};
+
+/**
+ * Clamp a value into the 0-100 range
+ * @param {number} value - Value to clamp
+ * @returns {number} - Clamped value
+ */
+function clampPercent(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(100, Math.max(0, value));
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Quantitative pillar: share of quantitative metrics that pass
+ * @param {Object} data - Input data
+ * @returns {number} - Pillar score (0-100)
+ */
+function scoreQuantitative(data) {
+  const metrics = [
+    ...data.quantitative.fundamentalResilience.metrics,
+    ...data.quantitative.asymmetricRiskReward.metrics,
+    ...data.quantitative.technicalConfirmation.metrics
+  ];
+
+  if (metrics.length === 0) return 0;
+
+  const passed = metrics.filter(metric => metric.pass === true).length;
+  return clampPercent(passed / metrics.length * 100);
+}
+
+/**
+ * Peer pillar: percentile rank of the stock's SSIS score among its SSIS peers.
+ * Peers with an equal score count as half a win. Without peers the pillar is
+ * neutral (50).
+ * @param {Object} data - Input data
+ * @returns {number} - Pillar score (0-100)
+ */
+function scorePeerComparison(data) {
+  const peers = data.ssis.peers || [];
+  if (peers.length === 0) return 50;
+
+  const own = data.ssis.overall;
+  const wins = peers.reduce((acc, peer) => {
+    if (own > peer.overallScore) return acc + 1;
+    if (own === peer.overallScore) return acc + 0.5;
+    return acc;
+  }, 0);
+
+  return clampPercent(wins / peers.length * 100);
+}
+
+/**
+ * Compute the deterministic score for validated input data
+ * @param {Object} data - Input data (must already pass validateInput)
+ * @param {Object} weights - Pillar weights (default: CONFIG.weights)
+ * @returns {Object} - { score, pillars, weights }
+ */
+export function computeDeterministicScore(data, weights = CONFIG.weights) {
+  const pillars = {
+    quantitative: round1(scoreQuantitative(data)),
+    sis: round1(clampPercent(data.sis.overall / SIS_SCALE * 100)),
+    ssis: round1(clampPercent(data.ssis.overall / SSIS_SCALE * 100)),
+    qualitative: round1(clampPercent(data.qualitative.overallRating / QUALITATIVE_SCALE * 100)),
+    peerComparison: round1(scorePeerComparison(data))
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const [pillar, weight] of Object.entries(weights)) {
+    if (pillars[pillar] === undefined) continue;
+    weighted += pillars[pillar] * weight;
+    totalWeight += weight;
+  }
+
+  const score = totalWeight > 0 ? Math.round(weighted / totalWeight) : 0;
+
+  return { score, pillars, weights: { ...weights } };
+}
+
+/**
+ * Reconcile the model's score with the deterministic score.
+ * The deterministic score becomes overallScore unless CONFIG.scoring.source
+ * is 'llm'; the model's score is kept alongside for comparison.
+ * @param {Object} report - Parsed model report
+ * @param {Object} scoring - Result of computeDeterministicScore
+ * @returns {Object} - Report with overallScore reconciled and a scoring block
+ */
+export function reconcileScore(report, scoring) {
+  const llmScore = typeof report.overallScore === 'number' ? report.overallScore : null;
+  const divergence = llmScore === null ? null : Math.abs(llmScore - scoring.score);
+  const useLlm = CONFIG.scoring.source === 'llm' && llmScore !== null;
+
+  return {
+    ...report,
+    overallScore: useLlm ? llmScore : scoring.score,
+    scoring: {
+      source: useLlm ? 'llm' : 'deterministic',
+      deterministicScore: scoring.score,
+      llmScore,
+      divergence,
+      divergent: divergence !== null && divergence > CONFIG.scoring.divergenceThreshold,
+      pillars: scoring.pillars,
+      weights: scoring.weights
+    }
+  };
+}
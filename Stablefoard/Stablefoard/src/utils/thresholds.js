@@ -0,0 +1,158 @@
+/**
+ * Threshold expression parsing and evaluation
+ *
+ * Metric thresholds arrive as free text ("> 2%", "< 2.5x", "30-60",
+ * "Below Sector Median", "Neutral to Positive"). These helpers turn them
+ * into structured expressions that can be evaluated against a metric value.
+ */
+
+// Ordered vocabularies used by categorical ranges such as "Neutral to Positive"
+const ORDINAL_SCALES = [
+  ['negative', 'neutral', 'positive'],
+  ['contracting', 'stable', 'expanding'],
+  ['decreasing', 'stable', 'increasing'],
+  ['below', 'inline', 'above'],
+  ['low', 'medium', 'high'],
+  ['no', 'yes']
+];
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+const UNIT = '\\s*(%|x)?';
+const COMPARISON_PATTERN = new RegExp(`^(>=|<=|≥|≤|>|<|=)\\s*${NUMBER}${UNIT}$`, 'i');
+const RANGE_PATTERN = new RegExp(`^${NUMBER}${UNIT}\\s*(?:-|–|to)\\s*${NUMBER}${UNIT}$`, 'i');
+const OPERATORS = { '≥': '>=', '≤': '<=' };
+
+/**
+ * Normalize a categorical term for comparison
+ * @param {string} text - Raw term
+ * @returns {string} - Lower-cased, whitespace-collapsed term
+ */
+function normalizeTerm(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Expand an ordinal range ("neutral to positive") into its accepted terms
+ * @param {string} from - Lower bound term
+ * @param {string} to - Upper bound term
+ * @returns {Array<string>|null} - Accepted terms, or null if no scale matches
+ */
+function expandOrdinalRange(from, to) {
+  for (const scale of ORDINAL_SCALES) {
+    const start = scale.indexOf(from);
+    const end = scale.indexOf(to);
+    if (start !== -1 && end !== -1) {
+      return scale.slice(Math.min(start, end), Math.max(start, end) + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a numeric metric value such as 3, "37%" or "-0.9%"
+ * @param {number|string} value - Raw metric value
+ * @returns {Object|null} - { value, unit } or null if not numeric
+ */
+export function parseNumericValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value, unit: null } : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(new RegExp(`^${NUMBER}${UNIT}$`, 'i'));
+  if (!match) return null;
+
+  return { value: parseFloat(match[1]), unit: match[2] ? match[2].toLowerCase() : null };
+}
+
+/**
+ * Parse a threshold string into a structured expression
+ * @param {string} threshold - Threshold text
+ * @returns {Object|null} - Expression ({ type: 'comparison' | 'range' | 'categorical', ... }) or null if empty
+ */
+export function parseThreshold(threshold) {
+  if (typeof threshold !== 'string' || threshold.trim() === '') return null;
+
+  const text = threshold.trim();
+
+  const comparison = text.match(COMPARISON_PATTERN);
+  if (comparison) {
+    return {
+      type: 'comparison',
+      operator: OPERATORS[comparison[1]] || comparison[1],
+      value: parseFloat(comparison[2]),
+      unit: comparison[3] ? comparison[3].toLowerCase() : null
+    };
+  }
+
+  const range = text.match(RANGE_PATTERN);
+  if (range) {
+    const a = parseFloat(range[1]);
+    const b = parseFloat(range[3]);
+    return {
+      type: 'range',
+      min: Math.min(a, b),
+      max: Math.max(a, b),
+      unit: (range[2] || range[4] || '').toLowerCase() || null
+    };
+  }
+
+  // Categorical: alternatives ("Significant or Increasing") and
+  // ordinal ranges ("Neutral to Positive")
+  const accepted = [];
+  for (const alternative of text.split(/\s+or\s+|,/i)) {
+    const term = normalizeTerm(alternative);
+    if (!term) continue;
+
+    const ordinal = term.match(/^(\S+) to (\S+)$/);
+    const expanded = ordinal ? expandOrdinalRange(ordinal[1], ordinal[2]) : null;
+    accepted.push(...(expanded || [term]));
+  }
+
+  return { type: 'categorical', accepted };
+}
+
+/**
+ * Evaluate a threshold against a metric value
+ * @param {string|Object} threshold - Threshold text or parsed expression
+ * @param {number|string} value - Metric value
+ * @returns {boolean|null} - Whether the value meets the threshold, or null if it cannot be evaluated
+ */
+export function evaluateThreshold(threshold, value) {
+  const expression = typeof threshold === 'string' ? parseThreshold(threshold) : threshold;
+  if (!expression || value === undefined || value === null) return null;
+
+  if (expression.type === 'categorical') {
+    if (typeof value !== 'string') return null;
+    const term = normalizeTerm(value);
+    // "Above" is judged against "Below Sector Median" by its leading word
+    return expression.accepted.some(accepted => accepted === term || accepted.startsWith(`${term} `));
+  }
+
+  const numeric = parseNumericValue(value);
+  if (!numeric) return null;
+
+  if (expression.type === 'range') {
+    return numeric.value >= expression.min && numeric.value <= expression.max;
+  }
+
+  switch (expression.operator) {
+    case '>': return numeric.value > expression.value;
+    case '>=': return numeric.value >= expression.value;
+    case '<': return numeric.value < expression.value;
+    case '<=': return numeric.value <= expression.value;
+    case '=': return numeric.value === expression.value;
+    default: return null;
+  }
+}
+
+/**
+ * Evaluate a metric entry from the input schema
+ * @param {Object} metric - Metric with value/actual and threshold/thresholdRange
+ * @returns {boolean|null} - Computed pass flag, or null if it cannot be evaluated
+ */
+export function evaluateMetric(metric) {
+  const threshold = metric.threshold ?? metric.thresholdRange;
+  const value = metric.value ?? metric.actual;
+  return evaluateThreshold(threshold, value);
+}
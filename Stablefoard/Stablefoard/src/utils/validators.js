@@ -3,6 +3,8 @@
  */
 
 import { z } from 'zod';
+import { evaluateMetric } from './thresholds.js';
+import { parseMetricValue } from './peer-analytics.js';
 
 // Define the schema for input validation
 const MetricSchema = z.object({
@@ -100,26 +102,209 @@ const StockAnalysisOutputSchema = z.object({
   finalVerdict: z.string().min(50)
 });
 
+// Self-critique result returned by VALIDATION_PROMPT
+const ReviewResultSchema = z.object({
+  isValid: z.boolean(),
+  issues: z.array(z.string()),
+  failingSections: z.array(z.string()),
+  confidence: z.number().min(0).max(100)
+});
+
+// Comparative narrative returned by COMPARISON_PROMPT
+const ComparisonNarrativeSchema = z.object({
+  summary: z.string().min(1),
+  matchups: z.array(z.object({
+    winner: z.string(),
+    loser: z.string(),
+    explanation: z.string().min(1)
+  }))
+});
+
+// Model summary of what changed between two analyses of a stock
+const DiffSummarySchema = z.object({
+  whatChanged: z.string().min(1),
+  whyItMatters: z.string().min(1)
+});
+
+// Field names of the generated report, in output order
+export const REPORT_FIELDS = Object.keys(StockAnalysisOutputSchema.shape);
+
+// The 11 narrative sections of the report (every field except score and label)
+export const REPORT_SECTIONS = REPORT_FIELDS.filter(field => !['overallScore', 'recommendation'].includes(field));
+
+// Evidence the model returns with the report: for each narrative section,
+// one list of input paths per bullet (see utils/evidence.js)
+const CitationsSchema = z.object(Object.fromEntries(REPORT_SECTIONS.map(section => [section, z.array(z.array(z.string()))])));
+
+// Human-readable section titles
+export const SECTION_LABELS = {
+  financialHealth: 'Financial Health',
+  valuation: 'Valuation',
+  futureGrowth: 'Future Growth',
+  competitiveAdvantage: 'Competitive Advantage',
+  managementQuality: 'Management Quality',
+  riskFactors: 'Risk Factors',
+  technicalTrend: 'Technical Trend',
+  portfolioFit: 'Portfolio Fit',
+  timeHorizon: 'Time Horizon',
+  aiSummary: 'AI Summary',
+  finalVerdict: 'Final Verdict'
+};
+
+/**
+ * Convert a Zod schema into a plain JSON schema for structured model output.
+ * Supports the subset used by the report schemas (objects, strings, numbers,
+ * booleans, enums, arrays, optional/nullable wrappers and refinements).
+ * @param {z.ZodTypeAny} schema - Zod schema
+ * @returns {Object} - JSON schema
+ */
+export function toJsonSchema(schema) {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(schema.shape)) {
+        properties[key] = toJsonSchema(value);
+        if (!value.isOptional()) required.push(key);
+      }
+      return { type: 'object', properties, required, additionalProperties: false };
+    }
+    case 'ZodString':
+      return { type: 'string' };
+    case 'ZodNumber': {
+      const json = { type: 'number' };
+      for (const check of def.checks) {
+        if (check.kind === 'min') json.minimum = check.value;
+        if (check.kind === 'max') json.maximum = check.value;
+      }
+      return json;
+    }
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+    case 'ZodArray':
+      return { type: 'array', items: toJsonSchema(def.type) };
+    case 'ZodOptional':
+    case 'ZodNullable':
+      return toJsonSchema(def.innerType);
+    case 'ZodEffects':
+      return toJsonSchema(def.schema);
+    default:
+      throw new Error(`Unsupported schema type for JSON schema conversion: ${def.typeName}`);
+  }
+}
+
+// JSON schemas sent to providers that support structured output
+export const REPORT_RESPONSE_SCHEMA = toJsonSchema(StockAnalysisOutputSchema.extend({ citations: CitationsSchema }));
+export const REVIEW_RESPONSE_SCHEMA = toJsonSchema(ReviewResultSchema);
+export const COMPARISON_RESPONSE_SCHEMA = toJsonSchema(ComparisonNarrativeSchema);
+export const DIFF_RESPONSE_SCHEMA = toJsonSchema(DiffSummarySchema);
+
+/**
+ * JSON schema for a partial report containing only some sections, plus
+ * citations for the narrative ones
+ * @param {Array<string>} sections - Report field names
+ * @returns {Object} - JSON schema
+ */
+export function sectionsResponseSchema(sections) {
+  const schema = StockAnalysisOutputSchema.pick(Object.fromEntries(sections.map(s => [s, true])));
+  const cited = sections.filter(section => REPORT_SECTIONS.includes(section));
+  if (cited.length === 0) {
+    return toJsonSchema(schema);
+  }
+  return toJsonSchema(schema.extend({ citations: CitationsSchema.pick(Object.fromEntries(cited.map(s => [s, true]))) }));
+}
+
 /**
  * Validate input JSON data
  * @param {Object} data - Input data to validate
- * @returns {Object} - Validation result with success flag and errors
+ * @returns {Object} - Validation result with success flag, errors and threshold warnings
  */
 export function validateInput(data) {
   try {
     StockInputSchema.parse(data);
-    return { success: true, errors: [] };
+    const warnings = [
+      ...checkMetricThresholds(data).map(mismatch => mismatch.message),
+      ...checkPeerMetricValues(data)
+    ];
+    return { success: true, errors: [], warnings };
   } catch (error) {
     if (error instanceof z.ZodError) {
       return {
         success: false,
-        errors: error.errors.map(e => `${e.path.join('.')}: ${e.message}`)
+        errors: error.errors.map(e => `${e.path.join('.')}: ${e.message}`),
+        warnings: []
       };
     }
-    return { success: false, errors: [error.message] };
+    return { success: false, errors: [error.message], warnings: [] };
   }
 }
 
+/**
+ * Recompute metric outcomes from their thresholds and report data-integrity
+ * mismatches. Quantitative metrics are checked against their supplied `pass`
+ * flag; SIS/SSIS metrics are checked that `actual` falls inside the band their
+ * `result` was assigned for.
+ * @param {Object} data - Input data (must already pass schema validation)
+ * @returns {Array<Object>} - Mismatches with path, name, threshold, value, supplied, computed and message
+ */
+export function checkMetricThresholds(data) {
+  const mismatches = [];
+
+  const check = (metric, path, supplied) => {
+    const computed = evaluateMetric(metric);
+    if (computed === null || supplied === undefined) return;
+
+    const expected = typeof supplied === 'boolean' ? supplied : true;
+    if (computed === expected) return;
+
+    const threshold = metric.threshold ?? metric.thresholdRange;
+    const value = metric.value ?? metric.actual;
+    const message = typeof supplied === 'boolean'
+      ? `${path} (${metric.name}): pass is ${supplied} but ${JSON.stringify(value)} ${computed ? 'meets' : 'does not meet'} "${threshold}"`
+      : `${path} (${metric.name}): result "${supplied}" but ${JSON.stringify(value)} is outside its threshold "${threshold}"`;
+
+    mismatches.push({ path, name: metric.name, threshold, value, supplied, computed, message });
+  };
+
+  for (const block of ['fundamentalResilience', 'asymmetricRiskReward', 'technicalConfirmation']) {
+    data.quantitative[block].metrics.forEach((metric, i) => {
+      check(metric, `quantitative.${block}.metrics[${i}]`, metric.pass);
+    });
+  }
+
+  data.sis.stocks.forEach((stock, i) => {
+    stock.metrics.forEach((metric, j) => check(metric, `sis.stocks[${i}].metrics[${j}]`, metric.pass ?? metric.result));
+  });
+
+  data.ssis.peers.forEach((peer, i) => {
+    peer.metrics.forEach((metric, j) => check(metric, `ssis.peers[${i}].metrics[${j}]`, metric.pass ?? metric.result));
+  });
+
+  return mismatches;
+}
+
+/**
+ * Find peer metric values that are not numbers, so cannot be used in the
+ * peer analytics
+ * @param {Object} data - Input data (must already pass schema validation)
+ * @returns {Array<string>} - Warning messages
+ */
+export function checkPeerMetricValues(data) {
+  const warnings = [];
+  data.peerComparison.peers.forEach((peer, i) => {
+    for (const [name, value] of Object.entries(peer.metrics)) {
+      if (!parseMetricValue(value)) {
+        warnings.push(`peerComparison.peers[${i}].metrics (${name}): ${JSON.stringify(value)} is not a number and is left out of the peer analytics`);
+      }
+    }
+  });
+  return warnings;
+}
+
 /**
  * Validate output JSON data
  * @param {Object} data - Output data to validate
@@ -140,6 +325,91 @@ export function validateOutput(data) {
   }
 }
 
+/**
+ * Validate some of the report fields, as returned by a per-section prompt.
+ * Keys that were not asked for are ignored.
+ * @param {Object} data - Parsed model response
+ * @param {Array<string>} sections - Report field names expected in it
+ * @returns {Object} - Validation result with the names of the failing sections
+ */
+export function validateSections(data, sections) {
+  try {
+    StockAnalysisOutputSchema.pick(Object.fromEntries(sections.map(s => [s, true]))).parse(data);
+    return { success: true, errors: [], failingSections: [] };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return {
+        success: false,
+        errors: error.errors.map(e => `${e.path.join('.') || 'response'}: ${e.message}`),
+        failingSections: error.errors.some(e => e.path.length === 0)
+          ? [...sections]
+          : [...new Set(error.errors.map(e => e.path[0]))]
+      };
+    }
+    return { success: false, errors: [error.message], failingSections: [...sections] };
+  }
+}
+
+/**
+ * Validate a self-critique returned by the model for VALIDATION_PROMPT
+ * @param {Object} data - Parsed model response
+ * @returns {Object} - Validation result
+ */
+export function validateReviewResult(data) {
+  try {
+    ReviewResultSchema.parse(data);
+    return { success: true, errors: [] };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return {
+        success: false,
+        errors: error.errors.map(e => `${e.path.join('.') || 'response'}: ${e.message}`)
+      };
+    }
+    return { success: false, errors: [error.message] };
+  }
+}
+
+/**
+ * Validate a comparative narrative returned by the model
+ * @param {Object} data - Parsed model response
+ * @returns {Object} - Validation result
+ */
+export function validateComparisonNarrative(data) {
+  try {
+    ComparisonNarrativeSchema.parse(data);
+    return { success: true, errors: [] };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return {
+        success: false,
+        errors: error.errors.map(e => `${e.path.join('.')}: ${e.message}`)
+      };
+    }
+    return { success: false, errors: [error.message] };
+  }
+}
+
+/**
+ * Validate a "what changed" summary returned by the model
+ * @param {Object} data - Parsed model response
+ * @returns {Object} - Validation result
+ */
+export function validateDiffSummary(data) {
+  try {
+    DiffSummarySchema.parse(data);
+    return { success: true, errors: [] };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return {
+        success: false,
+        errors: error.errors.map(e => `${e.path.join('.')}: ${e.message}`)
+      };
+    }
+    return { success: false, errors: [error.message] };
+  }
+}
+
 /**
  * Extract key metrics for quick analysis
  * @param {Object} data - Input data
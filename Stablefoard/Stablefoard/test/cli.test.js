@@ -0,0 +1,281 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runCli } from '../src/cli/index.js';
+import { EXIT_CODES } from '../src/cli/errors.js';
+import { formatTable, oneLineError } from '../src/cli/utils.js';
+import { inputToCsv } from '../src/importers/index.js';
+import { CONFIG } from '../src/config/settings.js';
+import { loadExampleInput, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+let dir;
+let first;
+let second;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+  first = path.join(dir, 'first.json');
+  second = path.join(dir, 'second.json');
+
+  const input = loadExampleInput();
+  await fs.writeFile(first, JSON.stringify({ ...input, stock: { ...input.stock, symbol: 'FIRST' } }));
+  // Failing every metric gives the second stock a lower deterministic score
+  const weaker = loadExampleInput();
+  weaker.stock.symbol = 'SECOND';
+  for (const pillar of ['fundamentalResilience', 'asymmetricRiskReward', 'technicalConfirmation']) {
+    weaker.quantitative[pillar].metrics.forEach(metric => { metric.pass = false; });
+  }
+  await fs.writeFile(second, JSON.stringify(weaker));
+  await fs.writeFile(path.join(dir, 'invalid.json'), '{"stock":{}}');
+
+  CONFIG.history.store = 'none';
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI and capture what it writes to stdout
+ * @param {Array<string>} argv - CLI arguments
+ * @returns {Promise<Object>} - { code, stdout }
+ */
+async function runCaptured(argv) {
+  let stdout = '';
+  const original = process.stdout.write.bind(process.stdout);
+  // The test runner reports over stdout in binary chunks; pass those through
+  const write = mock.method(process.stdout, 'write', (chunk, ...rest) => {
+    if (typeof chunk !== 'string') return original(chunk, ...rest);
+    stdout += chunk;
+    return true;
+  });
+  try {
+    const code = await runCli(argv);
+    return { code, stdout };
+  } finally {
+    write.mock.restore();
+  }
+}
+
+test('runCli returns usage exit codes for missing, unknown and malformed commands', async () => {
+  assert.equal(await runCli([]), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['frobnicate']), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['validate', '--nope', first]), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['validate']), EXIT_CODES.USAGE);
+});
+
+test('runCli prints help with exit code 0', async () => {
+  assert.equal(await runCli(['--help']), EXIT_CODES.OK);
+  for (const command of ['analyze', 'validate', 'compare', 'diff', 'import', 'history', 'serve']) {
+    assert.equal(await runCli([command, '--help']), EXIT_CODES.OK, command);
+  }
+});
+
+test('validate reports valid and invalid inputs', async () => {
+  assert.equal(await runCli(['validate', first]), EXIT_CODES.OK);
+  assert.equal(await runCli(['validate', path.join(dir, 'invalid.json')]), EXIT_CODES.INVALID_INPUT);
+  assert.equal(await runCli(['validate', path.join(dir, 'missing.json')]), EXIT_CODES.INVALID_INPUT);
+
+  const { code, stdout } = await runCaptured(['validate', '--json', first, path.join(dir, 'invalid.json')]);
+  assert.equal(code, EXIT_CODES.INVALID_INPUT);
+  const results = JSON.parse(stdout);
+  assert.deepEqual(results.map(result => result.valid), [true, false]);
+  assert.equal(results[0].symbol, 'FIRST');
+  assert.equal(typeof results[0].scoring.score, 'number');
+});
+
+test('compare --deterministic ranks inputs without a model', async () => {
+  const { code, stdout } = await runCaptured(['compare', '--deterministic', '--json', second, first]);
+  assert.equal(code, EXIT_CODES.OK);
+
+  const { source, ranking } = JSON.parse(stdout);
+  assert.equal(source, 'deterministic');
+  assert.deepEqual(ranking.map(row => [row.rank, row.symbol]), [[1, 'FIRST'], [2, 'SECOND']]);
+  assert.ok(ranking[0].score > ranking[1].score);
+});
+
+test('compare explains the ranking by pillar and accepts report files', async () => {
+  const { stdout } = await runCaptured(['compare', '--deterministic', '--json', second, first]);
+  const { pillars, headToHead } = JSON.parse(stdout);
+  assert.equal(pillars.find(pillar => pillar.pillar === 'quantitative').leader, 'FIRST');
+  assert.equal(headToHead[0].decisivePillar, 'quantitative');
+
+  const report = path.join(dir, 'REPORTED.json');
+  await fs.writeFile(report, JSON.stringify({ overallScore: 90, recommendation: 'Buy', sections: {} }));
+  const mixed = await runCaptured(['compare', '--deterministic', '--json', first, report]);
+  assert.equal(mixed.code, EXIT_CODES.OK);
+  assert.deepEqual(JSON.parse(mixed.stdout).rankings.llm, [{ rank: 1, symbol: 'REPORTED', score: 90 }]);
+});
+
+test('compare gives equal scores a shared rank and prints them as level', async () => {
+  const twin = path.join(dir, 'twin.json');
+  const input = loadExampleInput();
+  await fs.writeFile(twin, JSON.stringify({ ...input, stock: { ...input.stock, symbol: 'TWIN' } }));
+
+  const { stdout } = await runCaptured(['compare', '--deterministic', '--json', second, first, twin]);
+  assert.deepEqual(JSON.parse(stdout).ranking.map(row => [row.rank, row.symbol]), [[1, 'FIRST'], [1, 'TWIN'], [3, 'SECOND']]);
+
+  console.log.mock.resetCalls();
+  assert.equal(await runCli(['compare', '--deterministic', first, twin]), EXIT_CODES.OK);
+  const lines = console.log.mock.calls.map(call => String(call.arguments[0]));
+  assert.ok(lines.includes('  FIRST = TWIN: level on every pillar'));
+  assert.ok(!lines.some(line => line.includes('>')));
+});
+
+test('compare writes a narrative with the mock provider', async () => {
+  const { code, stdout } = await runCaptured(['compare', '--provider', 'mock', '--json', second, first]);
+  assert.equal(code, EXIT_CODES.OK);
+
+  const { narrative, narrativeError } = JSON.parse(stdout);
+  assert.equal(narrativeError, null);
+  assert.match(narrative.summary, /^• /);
+  assert.deepEqual(narrative.matchups, []);
+});
+
+test('compare needs two valid inputs', async () => {
+  assert.equal(await runCli(['compare', '--deterministic', first]), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['compare', '--deterministic', first, path.join(dir, 'invalid.json')]), EXIT_CODES.INVALID_INPUT);
+});
+
+test('diff lists what changed between two inputs of a stock', async () => {
+  const earlier = loadExampleInput();
+  Object.assign(earlier.stock, { symbol: 'SECOND', asOf: '2025-06-01' });
+  const earlierFile = path.join(dir, 'second-earlier.json');
+  await fs.writeFile(earlierFile, JSON.stringify(earlier));
+
+  const { code, stdout } = await runCaptured(['diff', '--deterministic', '--json', second, earlierFile]);
+  assert.equal(code, EXIT_CODES.OK);
+  const diff = JSON.parse(stdout);
+  assert.equal(diff.from.asOf, '2025-06-01');
+  assert.ok(diff.metrics.flipped.length > 0);
+  assert.ok(diff.metrics.flipped.every(metric => metric.direction === 'deteriorated'));
+
+  const summarized = await runCaptured(['diff', '--provider', 'mock', '--json', second, earlierFile]);
+  assert.equal(summarized.code, EXIT_CODES.OK);
+  const { summary, summaryError } = JSON.parse(summarized.stdout);
+  assert.equal(summaryError, null);
+  assert.match(summary.whatChanged, /^• /);
+  assert.match(summary.whyItMatters, /^• /);
+
+  assert.equal(await runCli(['diff', '--deterministic', first, second]), EXIT_CODES.INVALID_INPUT);
+  assert.equal(await runCli(['diff', '--deterministic', first]), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['diff', '--symbol', 'FIRST']), EXIT_CODES.CONFIG);
+});
+
+test('import converts a CSV to input JSON and reports problems by row', async () => {
+  const csv = path.join(dir, 'first.csv');
+  await fs.writeFile(csv, inputToCsv(JSON.parse(await fs.readFile(first, 'utf-8'))));
+
+  const { code, stdout } = await runCaptured(['import', csv]);
+  assert.equal(code, EXIT_CODES.OK);
+  assert.deepEqual(JSON.parse(stdout), JSON.parse(await fs.readFile(first, 'utf-8')));
+
+  const bad = path.join(dir, 'bad.csv');
+  await fs.writeFile(bad, 'block,symbol\nstock,BAD\n');
+  assert.equal(await runCli(['import', bad]), EXIT_CODES.INVALID_INPUT);
+  assert.equal(await runCli(['import', first]), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['validate', csv]), EXIT_CODES.OK);
+});
+
+test('analyze writes a text report with the mock provider', async () => {
+  const output = path.join(dir, 'report.txt');
+  assert.equal(await runCli(['analyze', first, output, '--provider', 'mock', '--format', 'text']), EXIT_CODES.OK);
+
+  const text = await fs.readFile(output, 'utf-8');
+  assert.match(text, /Overall Score: \d+\/100/);
+  assert.match(text, /Financial Health/);
+});
+
+test('analyze batch summaries and index.json keep every error detail on one line', async () => {
+  const batch = path.join(dir, 'batch');
+  await fs.mkdir(batch);
+  await fs.copyFile(first, path.join(batch, 'first.json'));
+  await fs.writeFile(path.join(batch, 'invalid.json'), '{"stock":{}}');
+
+  console.log.mock.resetCalls();
+  await runCli(['analyze', batch, path.join(dir, 'batch-out'), '--provider', 'mock']);
+  const index = JSON.parse(await fs.readFile(path.join(dir, 'batch-out', 'index.json'), 'utf-8'));
+  const failed = index.stocks.find(stock => stock.status === 'failed');
+  assert.match(failed.error, /^Input validation failed: stock\.symbol: Required; /);
+  assert.ok(!failed.error.includes('\n'));
+
+  const lines = console.log.mock.calls.map(call => String(call.arguments[0]));
+  assert.ok(lines.some(line => line.endsWith(`FAILED: ${failed.error}`)));
+});
+
+test('analyze rejects bad flags and inputs before configuring a model', async () => {
+  assert.equal(await runCli(['analyze', first, '--format', 'pdfx']), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['analyze', first, '--temperature', '3']), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['analyze', path.join(dir, 'invalid.json')]), EXIT_CODES.INVALID_INPUT);
+});
+
+test('analyze --dry-run prints the prompt without an API key', async () => {
+  const { provider, googleApiKey } = CONFIG;
+  CONFIG.googleApiKey = '';
+  try {
+    assert.equal(await runCli(['analyze', first, '--provider', 'gemini']), EXIT_CODES.CONFIG);
+
+    const { code, stdout } = await runCaptured(['analyze', first, '--provider', 'gemini', '--dry-run']);
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(stdout, /"symbol": "FIRST"/);
+    assert.equal(await runCli(['analyze', dir, '--dry-run']), EXIT_CODES.USAGE);
+  } finally {
+    Object.assign(CONFIG, { provider, googleApiKey });
+  }
+});
+
+test('history exits with a configuration error when disabled and lists records when enabled', async () => {
+  assert.equal(await runCli(['history']), EXIT_CODES.CONFIG);
+
+  CONFIG.history.store = 'jsonl';
+  CONFIG.history.path = path.join(dir, 'history.jsonl');
+  try {
+    assert.equal(await runCli(['analyze', first, path.join(dir, 'out.json'), '--provider', 'mock']), EXIT_CODES.OK);
+
+    const { code, stdout } = await runCaptured(['history', '--json', '--symbol', 'FIRST']);
+    assert.equal(code, EXIT_CODES.OK);
+    const records = JSON.parse(stdout);
+    assert.equal(records.length, 1);
+    assert.equal(records[0].symbol, 'FIRST');
+    assert.equal(records[0].report, undefined);
+
+    assert.equal(await runCli(['history', '--from', 'yesterday']), EXIT_CODES.USAGE);
+
+    assert.equal(await runCli(['diff', '--symbol', 'FIRST', '--deterministic']), EXIT_CODES.INVALID_INPUT);
+    assert.equal(await runCli(['analyze', first, path.join(dir, 'out.json'), '--provider', 'mock']), EXIT_CODES.OK);
+    const latest = await runCaptured(['diff', '--symbol', 'FIRST', '--deterministic', '--json']);
+    assert.equal(latest.code, EXIT_CODES.OK);
+    assert.equal(JSON.parse(latest.stdout).changed, false);
+  } finally {
+    CONFIG.history.store = 'none';
+    CONFIG.history.path = '';
+  }
+});
+
+test('analyze does not print a history path for the memory store', async () => {
+  CONFIG.history.store = 'memory';
+  try {
+    console.log.mock.resetCalls();
+    assert.equal(await runCli(['analyze', first, path.join(dir, 'out.json'), '--provider', 'mock']), EXIT_CODES.OK);
+    const lines = console.log.mock.calls.map(call => String(call.arguments[0]));
+    assert.ok(lines.includes('🗂️  Analysis recorded in memory history'));
+    assert.ok(!lines.some(line => line.includes('undefined')));
+  } finally {
+    CONFIG.history.store = 'none';
+  }
+});
+
+test('oneLineError joins detail lines after the first with "; "', () => {
+  assert.equal(oneLineError('Input validation failed:\nstock.name: Required\n\nstock.symbol: Required'), 'Input validation failed: stock.name: Required; stock.symbol: Required');
+  assert.equal(oneLineError('Analysis failed\n  quota exhausted'), 'Analysis failed: quota exhausted');
+  assert.equal(oneLineError('Single line'), 'Single line');
+});
+
+test('formatTable aligns columns and shows missing values as a dash', () => {
+  const table = formatTable([{ a: 'x', b: 12 }, { a: 'long', b: null }], [['a', 'A'], ['b', 'B']]);
+  assert.equal(table, 'A     B\n----  --\nx     12\nlong  –');
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparison, toComparisonEntry, isReport } from '../src/utils/comparison.js';
+import { ComparativeAnalyzer } from '../src/agent/comparative-analyzer.js';
+import { loadExampleInput, buildReport, createStubProvider, promptKind, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+/**
+ * Example input under another symbol, with optional changes
+ * @param {string} symbol - Stock symbol
+ * @param {Function} change - (input) => void
+ * @returns {Object} - Stock input
+ */
+function stockInput(symbol, change = () => {}) {
+  const input = loadExampleInput();
+  input.stock.symbol = symbol;
+  change(input);
+  return input;
+}
+
+const STRONG = stockInput('STRONG');
+const WEAK = stockInput('WEAK', input => { input.qualitative.overallRating = 2; });
+
+test('toComparisonEntry accepts inputs, reports with a symbol and { input, report } pairs', () => {
+  assert.equal(toComparisonEntry(STRONG).symbol, 'STRONG');
+  assert.equal(toComparisonEntry({ ...buildReport(), symbol: 'R' }).report.recommendation, 'Watchlist');
+  assert.equal(toComparisonEntry({ input: WEAK, report: buildReport() }).symbol, 'WEAK');
+  assert.equal(isReport(buildReport()), true);
+  assert.equal(isReport(STRONG), false);
+
+  assert.throws(() => toComparisonEntry(buildReport(), 1), /item 2 has no symbol/);
+  assert.throws(() => toComparisonEntry({ foo: 1 }), /neither a stock input nor a report/);
+});
+
+test('buildComparison ranks by deterministic score and explains each gap by pillar', () => {
+  const comparison = buildComparison([WEAK, STRONG]);
+
+  assert.deepEqual(comparison.rankings.deterministic, [
+    { rank: 1, symbol: 'STRONG', score: 71 },
+    { rank: 2, symbol: 'WEAK', score: 61 }
+  ]);
+  assert.deepEqual(comparison.rankings.llm, []);
+
+  const qualitative = comparison.pillars.find(pillar => pillar.pillar === 'qualitative');
+  assert.equal(qualitative.leader, 'STRONG');
+  assert.deepEqual(qualitative.values, { WEAK: 40, STRONG: 90 });
+  assert.deepEqual(qualitative.deltasToLeader, { WEAK: -50, STRONG: 0 });
+
+  const [pair] = comparison.headToHead;
+  assert.equal(pair.winner, 'STRONG');
+  assert.equal(pair.scoreGap, 10);
+  assert.equal(pair.pillarDeltas.qualitative, 50);
+  assert.equal(pair.contributions.qualitative, 10);
+  assert.equal(pair.decisivePillar, 'qualitative');
+
+  assert.throws(() => buildComparison([STRONG, STRONG]), /STRONG appears more than once/);
+});
+
+test('buildComparison ranks reports by model score and shares ranks on ties', () => {
+  const comparison = buildComparison([
+    { input: STRONG, report: buildReport({ overallScore: 71, scoring: { llmScore: 60 } }) },
+    { input: WEAK, report: buildReport({ overallScore: 63, scoring: { llmScore: 80 } }) },
+    { symbol: 'ONLY', report: buildReport({ overallScore: 80 }) }
+  ]);
+
+  assert.deepEqual(comparison.rankings.llm.map(row => [row.rank, row.symbol]), [[1, 'WEAK'], [1, 'ONLY'], [3, 'STRONG']]);
+  assert.deepEqual(comparison.rankings.deterministic.map(row => row.symbol), ['STRONG', 'WEAK']);
+  assert.equal(comparison.stocks[2].pillars, null);
+});
+
+test('ComparativeAnalyzer analyzes inputs and keeps only grounded matchups', async () => {
+  const provider = createStubProvider(prompt => {
+    if (promptKind(prompt) !== 'comparison') return buildReport();
+    return {
+      summary: '• STRONG leads on qualitative rating 4.5 vs 2',
+      matchups: [
+        { winner: 'STRONG', loser: 'WEAK', explanation: '• Qualitative 90 vs 40 adds 10 points' },
+        { winner: 'WEAK', loser: 'STRONG', explanation: '• Reversed' },
+        { winner: 'STRONG', loser: 'NVDA', explanation: '• Not in the comparison' }
+      ]
+    };
+  });
+
+  const comparison = await new ComparativeAnalyzer({ provider }).compare([STRONG, WEAK]);
+
+  assert.equal(provider.calls.length, 3);
+  const narrativePrompt = provider.calls[2];
+  assert.match(narrativePrompt, /"decisivePillar": "qualitative"/);
+  assert.match(narrativePrompt, /"symbol": "WEAK"/);
+
+  assert.deepEqual(comparison.stocks.map(stock => stock.recommendation), ['Watchlist', 'Watchlist']);
+  assert.deepEqual(comparison.narrative.matchups.map(matchup => matchup.winner + '>' + matchup.loser), ['STRONG>WEAK']);
+  assert.equal(comparison.narrative.issues.length, 2);
+  assert.equal(comparison.narrativeError, null);
+});
+
+test('ComparativeAnalyzer still returns the ranking when the narrative fails', async () => {
+  const provider = createStubProvider(prompt => (promptKind(prompt) === 'comparison' ? { summary: '' } : buildReport()));
+  const comparison = await new ComparativeAnalyzer({ provider }).compare([
+    { input: STRONG, report: buildReport() },
+    { input: WEAK, report: buildReport() }
+  ]);
+
+  assert.equal(provider.calls.length, 1);
+  assert.equal(comparison.narrative, null);
+  assert.match(comparison.narrativeError, /Invalid comparative narrative/);
+  assert.equal(comparison.rankings.deterministic[0].symbol, 'STRONG');
+
+  await assert.rejects(new ComparativeAnalyzer({ provider }).compare([STRONG]), /at least two stocks/);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency, withTimeout } from '../src/utils/concurrency.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+test('mapWithConcurrency keeps input order and bounds in-flight calls', async () => {
+  let inFlight = 0;
+  let peak = 0;
+
+  const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, index) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await delay(ms);
+    inFlight--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test('mapWithConcurrency handles empty input', async () => {
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+});
+
+test('withTimeout rejects slow promises with a TIMEOUT code', async () => {
+  await assert.rejects(withTimeout(delay(200), 10, 'too slow'), { message: 'too slow', code: 'TIMEOUT' });
+  assert.equal(await withTimeout(delay(1, 'done'), 100), 'done');
+  assert.equal(await withTimeout(delay(1, 'done'), 0), 'done');
+});
+
+test('withTimeout aborts the signal it gives to work functions', async () => {
+  let signal;
+  await assert.rejects(withTimeout((s) => { signal = s; return delay(200); }, 10, 'too slow'), { code: 'TIMEOUT' });
+  assert.equal(signal.aborted, true);
+  assert.equal(signal.reason.message, 'too slow');
+
+  assert.equal(await withTimeout((s) => { signal = s; return delay(1, 'done'); }, 100), 'done');
+  assert.equal(signal.aborted, false);
+});
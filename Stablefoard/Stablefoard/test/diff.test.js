@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffAnalyses } from '../src/utils/diff.js';
+import { AnalysisDiffer } from '../src/agent/analysis-differ.js';
+import { loadExampleInput, buildReport, createStubProvider, promptKind, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+const LATER = loadExampleInput();
+
+// A week earlier: Net Debt/EBITDA still passed, SIS was lower and one criterion scored higher
+const EARLIER = loadExampleInput();
+EARLIER.stock.asOf = '2025-06-18';
+Object.assign(EARLIER.quantitative.fundamentalResilience.metrics[1], { value: 2, pass: true });
+EARLIER.sis.overall = 3.5;
+EARLIER.qualitative.criteria[2].score = 4;
+
+test('diffAnalyses lists flipped metrics and score movement, earliest first', () => {
+  const diff = diffAnalyses(LATER, EARLIER);
+
+  assert.equal(diff.symbol, 'TBD');
+  assert.deepEqual([diff.from.asOf, diff.to.asOf], ['2025-06-18', '2025-06-25']);
+  assert.equal(diff.changed, true);
+
+  assert.deepEqual(diff.metrics.flipped, [{
+    pillar: 'fundamentalResilience',
+    name: 'Net Debt/EBITDA',
+    threshold: '< 2.5x',
+    from: { value: 2, pass: true },
+    to: { value: 4, pass: false },
+    direction: 'deteriorated'
+  }]);
+  assert.deepEqual(diff.scores.sis, { from: 3.5, to: 3.8, delta: 0.3 });
+  assert.equal(diff.scores.ssis.delta, 0);
+  assert.deepEqual(diff.criteria, [{ name: 'Catalyst Recognition', from: 4, to: 3, delta: -1 }]);
+  assert.ok(diff.deterministicScore.delta < 0);
+  assert.equal(diff.score.delta, null);
+
+  assert.equal(diffAnalyses(LATER, LATER).changed, false);
+});
+
+test('diffAnalyses compares report scores and recommendations, and rejects different stocks', () => {
+  const diff = diffAnalyses(
+    { input: EARLIER, report: buildReport({ overallScore: 72, recommendation: 'Buy' }) },
+    { symbol: 'TBD', report: buildReport() }
+  );
+  assert.deepEqual(diff.score, { from: 72, to: 70, delta: -2 });
+  assert.deepEqual(diff.recommendation, { from: 'Buy', to: 'Watchlist', changed: true });
+  assert.equal(diff.metrics, null);
+
+  const other = loadExampleInput();
+  other.stock.symbol = 'OTHER';
+  assert.throws(() => diffAnalyses(LATER, other), /Cannot diff TBD against OTHER/);
+});
+
+test('AnalysisDiffer analyzes both inputs and asks for a grounded summary', async () => {
+  const provider = createStubProvider(prompt => {
+    if (promptKind(prompt) !== 'diff') return buildReport();
+    return { whatChanged: '• Net Debt/EBITDA now fails at 4', whyItMatters: '• Balance sheet risk is higher' };
+  });
+
+  const diff = await new AnalysisDiffer({ provider }).diff(EARLIER, LATER);
+
+  assert.equal(provider.calls.length, 3);
+  assert.match(provider.calls[2], /EARLIER DATA \(as of 2025-06-18\)/);
+  assert.match(provider.calls[2], /"direction": "deteriorated"/);
+  // The reports carry the deterministic score as their headline score
+  assert.deepEqual(diff.score, diff.deterministicScore);
+  assert.deepEqual(diff.recommendation, { from: 'Watchlist', to: 'Watchlist', changed: false });
+  assert.equal(diff.summary.whatChanged, '• Net Debt/EBITDA now fails at 4');
+  assert.equal(diff.summaryError, null);
+});
+
+test('AnalysisDiffer keeps the diff when the summary is invalid and fails when an analysis does', async () => {
+  const provider = createStubProvider(() => ({ whatChanged: '' }));
+  const diff = await new AnalysisDiffer({ provider }).diff(
+    { input: EARLIER, report: buildReport() },
+    { input: LATER, report: buildReport() }
+  );
+  assert.equal(provider.calls.length, 1);
+  assert.equal(diff.summary, null);
+  assert.match(diff.summaryError, /Invalid change summary/);
+
+  const failing = createStubProvider(() => { throw new Error('quota exceeded'); });
+  await assert.rejects(new AnalysisDiffer({ provider: failing }).diff(EARLIER, LATER, { summary: false }), /failed: .*quota exceeded/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFigures, resolvePath, checkEvidence } from '../src/utils/evidence.js';
+import { loadExampleInput, buildReport } from './helpers.js';
+
+const INPUT = loadExampleInput();
+
+test('extractFigures reads figures with units and skips labels glued to letters', () => {
+  const figures = extractFigures('5Y CAGR 3.5%, Net Debt/EBITDA 4x, −29.5% drawdown, $1.2B cash, 1,200 staff in Q3');
+  assert.deepEqual(figures.map(figure => [figure.text, figure.value]), [
+    ['3.5%', 3.5],
+    ['4x', 4],
+    ['−29.5%', -29.5],
+    ['$1.2B', 1.2e9],
+    ['1,200', 1200]
+  ]);
+});
+
+test('resolvePath follows dot and bracket paths, including keys with slashes', () => {
+  assert.deepEqual(resolvePath(INPUT, 'quantitative.fundamentalResilience.metrics[1]').value.name, 'Net Debt/EBITDA');
+  assert.deepEqual(resolvePath(INPUT, 'peerComparison.peers[0].metrics.P/E'), { found: true, value: '31.1' });
+  assert.deepEqual(resolvePath(INPUT, 'peerComparison.peers[0].metrics["EV/EBITDA"]'), { found: true, value: '27.1' });
+  assert.equal(resolvePath(INPUT, 'sis.stocks[9]').found, false);
+  assert.equal(resolvePath(INPUT, 'quantitative.valuation').found, false);
+  assert.equal(resolvePath(INPUT, '').found, false);
+});
+
+test('checkEvidence flags figures missing from the cited data, bad paths and uncited bullets', () => {
+  const report = buildReport({
+    valuation: '• AMD trades at 31.1 times earnings\n• P/E of 18 is below every peer',
+    citations: {
+      // Figures 3 and 2 come from metrics[0]; 4 and 2.5 are not in it
+      financialHealth: [['quantitative.fundamentalResilience.metrics[0]'], ['quantitative.fundamentalResilience.metrics[0]']],
+      valuation: [['peerComparison.peers[0].metrics.P/E'], ['peerComparison.peers[7].metrics.P/E']]
+    }
+  });
+  const evidence = checkEvidence(report, INPUT);
+
+  assert.equal(evidence.bullets, 23);
+  assert.equal(evidence.citedBullets, 4);
+  assert.equal(evidence.coverage, 17.4);
+  assert.equal(evidence.uncited.length, 19);
+  assert.deepEqual(evidence.invalidPaths.map(item => [item.section, item.bullet, item.path]), [['valuation', 1, 'peerComparison.peers[7].metrics.P/E']]);
+  assert.deepEqual(evidence.hallucinations.map(item => [item.section, item.bullet, item.figure]), [
+    ['financialHealth', 1, '4x'],
+    ['financialHealth', 1, '2.5x'],
+    ['valuation', 1, '18']
+  ]);
+});
+
+test('checkEvidence accepts rounded figures and the report\'s own score', () => {
+  const report = buildReport({
+    financialHealth: '• Net margin near 48% leads peers\n• Score 70 reflects mixed signals',
+    citations: { financialHealth: [['peerComparison.peers[0].metrics.Net Margin'], ['stock']] }
+  });
+  assert.deepEqual(checkEvidence(report, INPUT).hallucinations, []);
+  assert.equal(checkEvidence(buildReport(), INPUT).citedBullets, 0);
+});
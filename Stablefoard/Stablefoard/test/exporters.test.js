@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { EXPORTERS, getExporter, renderMarkdown, renderHtml, buildReportView } from '../src/exporters/index.js';
+import { renderPdf } from '../src/exporters/pdf.js';
+import { PdfDocument } from '../src/exporters/pdf-document.js';
+import { loadExampleInput, buildReport } from './helpers.js';
+
+test('buildReportView splits metrics and collects peer columns', () => {
+  const view = buildReportView(buildReport(), loadExampleInput());
+
+  assert.equal(view.asOf, '2025-06-25');
+  assert.equal(view.sections.length, 11);
+  assert.equal(view.metrics.passed.length, 5);
+  assert.equal(view.metrics.failed.length, 5);
+  assert.deepEqual(view.metrics.failed[0], {
+    pillar: 'Fundamental Resilience',
+    name: 'Net Debt/EBITDA',
+    value: 4,
+    threshold: '< 2.5x'
+  });
+  assert.deepEqual(view.peers.rows.map(row => row.symbol), ['AMD', 'INTC', 'AVGO']);
+  assert.equal(view.peers.columns[0], 'P/E');
+});
+
+test('renderMarkdown lays out header, score, sections, metrics and peers', () => {
+  const markdown = renderMarkdown(buildReport(), loadExampleInput());
+
+  assert.match(markdown, /^# TBD · TBD \(as of 2025-06-25\)\n/);
+  assert.match(markdown, /\*\*Overall Score:\*\* 70\/100/);
+  assert.match(markdown, /\*\*Recommendation:\*\* Watchlist/);
+  assert.match(markdown, /## Financial Health\n\n- Free Cash Flow Yield 3% beats the 2% threshold\n- Net Debt\/EBITDA 4x fails/);
+  assert.match(markdown, /### Failed \(5\)\n\n\| Pillar \| Metric \| Value \| Threshold \|/);
+  assert.match(markdown, /\| AMD \(Advanced Micro Device Inc\.\) \| 31\.1 \|/);
+});
+
+test('renderMarkdown escapes table cells and works without input', () => {
+  const input = loadExampleInput();
+  input.peerComparison.peers[0].metrics['P/E'] = 'a | b';
+  assert.match(renderMarkdown(buildReport(), input), /\| a \\\| b \|/);
+
+  const markdown = renderMarkdown(buildReport());
+  assert.match(markdown, /^# Stock Analysis Report\n/);
+  assert.doesNotMatch(markdown, /## Metrics|## Peer Comparison/);
+});
+
+test('renderHtml produces a standalone, escaped page', () => {
+  const html = renderHtml(buildReport({ recommendation: 'Buy', finalVerdict: '• <script>alert(1)</script>' }), loadExampleInput());
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<title>TBD · TBD \(as of 2025-06-25\)<\/title>/);
+  assert.match(html, /<span class="badge buy">Buy<\/span>/);
+  assert.match(html, /<li>&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/li>/);
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /<h2>Peer Comparison vs TBD<\/h2>/);
+});
+
+/**
+ * Check a PDF's cross-reference table and return its inflated page contents
+ * @param {Buffer} pdf - PDF file contents
+ * @returns {Array<string>} - Content stream of each page
+ */
+function readPdf(pdf) {
+  const text = pdf.toString('latin1');
+  assert.ok(text.startsWith('%PDF-1.4'));
+  assert.ok(text.endsWith('%%EOF\n'));
+
+  const xrefAt = Number(text.match(/startxref\n(\d+)/)[1]);
+  const [, countLine, , ...entries] = text.slice(xrefAt).split('\n');
+  const count = Number(countLine.split(' ')[1]);
+  for (let id = 1; id < count; id++) {
+    const offset = Number(entries[id - 1].slice(0, 10));
+    assert.ok(text.startsWith(`${id} 0 obj`, offset), `object ${id} offset`);
+  }
+
+  const streams = [];
+  const pattern = /<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index + match[0].length;
+    streams.push(zlib.inflateSync(pdf.subarray(start, start + Number(match[1]))).toString('latin1'));
+  }
+  return streams;
+}
+
+/**
+ * Hex string a PDF content stream uses for some text
+ * @param {string} value - ASCII text
+ * @returns {string} - <...>
+ */
+function pdfHex(value) {
+  return `<${Buffer.from(value, 'latin1').toString('hex')}>`;
+}
+
+test('PdfDocument wraps text to a width and splits long words', () => {
+  const doc = new PdfDocument();
+  assert.equal(doc.textWidth('AAA', 10), 20.01);
+  assert.deepEqual(doc.wrapText('one two three', doc.textWidth('one two', 10), 10), ['one two', 'three']);
+  assert.deepEqual(doc.wrapText('abcdef', doc.textWidth('abc', 10), 10), ['abc', 'def']);
+  assert.throws(() => new PdfDocument({ pageSize: 'a0' }), /Unknown page size/);
+});
+
+test('renderPdf writes a valid PDF with cover, sections, metrics and peers', () => {
+  const pdf = renderPdf(buildReport({ recommendation: 'Buy' }), loadExampleInput());
+  assert.ok(Buffer.isBuffer(pdf));
+
+  const pages = readPdf(pdf);
+  assert.ok(pages.length >= 3);
+  assert.match(pdf.toString('latin1'), new RegExp(`/Count ${pages.length} `));
+
+  const [cover, ...rest] = pages;
+  assert.ok(cover.includes(pdfHex('TBD')));
+  assert.ok(cover.includes(pdfHex('As of 2025-06-25')));
+  assert.ok(cover.includes(pdfHex('70')));
+  assert.ok(cover.includes(pdfHex('BUY')));
+
+  const body = rest.join('\n');
+  for (const text of ['Financial Health', 'Final Verdict', 'Passed (5)', 'Failed (5)', 'Net Debt/EBITDA', 'Peer Comparison vs TBD', 'AVGO']) {
+    assert.ok(body.includes(pdfHex(text)), text);
+  }
+  assert.ok(pages[pages.length - 1].includes(pdfHex(`Page ${pages.length} of ${pages.length}`)));
+});
+
+test('getExporter looks up formats by name', () => {
+  assert.equal(getExporter('markdown'), EXPORTERS.markdown);
+  assert.equal(getExporter('html').extension, 'html');
+  assert.equal(getExporter('pdf').contentType, 'application/pdf');
+  assert.throws(() => getExporter('docx'), /Unknown output format "docx"/);
+});
+
+test('renderText writes bullet-array sections as bullet lines', () => {
+  const text = EXPORTERS.text.render({ ...buildReport(), valuation: ['P/E above the sector median', 'Premium to peers'] });
+  assert.match(text, /Valuation\n-+\n• P\/E above the sector median\n• Premium to peers\n/);
+
+  // Stray markers and blank lines in text sections are normalised the same way
+  const messy = EXPORTERS.text.render({ ...buildReport(), valuation: '- P/E above the sector median\n\n• • Premium to peers' });
+  assert.match(messy, /Valuation\n-+\n• P\/E above the sector median\n• Premium to peers\n/);
+});
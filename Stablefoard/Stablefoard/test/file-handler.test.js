@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveInputFiles, expandGlob, readManifest, isGlobPattern } from '../src/utils/file-handler.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inputs-'));
+  await fs.mkdir(path.join(dir, 'stocks', 'semis'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'stocks', 'AAA.json'), '{"stock":{"symbol":"AAA"}}');
+  await fs.writeFile(path.join(dir, 'stocks', 'BBB.json'), '{"stock":{"symbol":"BBB"}}');
+  await fs.writeFile(path.join(dir, 'stocks', 'notes.txt'), 'not an input');
+  await fs.writeFile(path.join(dir, 'stocks', 'semis', 'CCC.json'), '{"stock":{"symbol":"CCC"}}');
+  await fs.writeFile(path.join(dir, 'watchlist.txt'), '# semis\nstocks/semis/CCC.json\n\nstocks/AAA.json\n');
+  await fs.writeFile(path.join(dir, 'watchlist.json'), '{"files":["stocks/BBB.json"]}');
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('isGlobPattern detects wildcards', () => {
+  assert.equal(isGlobPattern('stocks/*.json'), true);
+  assert.equal(isGlobPattern('stocks/AAA.json'), false);
+});
+
+test('expandGlob matches one level with * and any depth with **', async () => {
+  assert.deepEqual(await expandGlob(path.join(dir, 'stocks', '*.json')), [
+    path.join(dir, 'stocks', 'AAA.json'),
+    path.join(dir, 'stocks', 'BBB.json')
+  ]);
+  assert.deepEqual(await expandGlob(path.join(dir, 'stocks', '**', '*.json')), [
+    path.join(dir, 'stocks', 'AAA.json'),
+    path.join(dir, 'stocks', 'BBB.json'),
+    path.join(dir, 'stocks', 'semis', 'CCC.json')
+  ]);
+  assert.deepEqual(await expandGlob(path.join(dir, 'missing', '*.json')), []);
+});
+
+test('readManifest resolves paths against the manifest directory', async () => {
+  assert.deepEqual(await readManifest(path.join(dir, 'watchlist.txt')), [
+    path.join(dir, 'stocks', 'semis', 'CCC.json'),
+    path.join(dir, 'stocks', 'AAA.json')
+  ]);
+  assert.deepEqual(await readManifest(path.join(dir, 'watchlist.json')), [path.join(dir, 'stocks', 'BBB.json')]);
+});
+
+test('resolveInputFiles distinguishes single files from batch specs', async () => {
+  assert.deepEqual(await resolveInputFiles(path.join(dir, 'stocks', 'AAA.json')), {
+    batch: false,
+    files: [path.join(dir, 'stocks', 'AAA.json')]
+  });
+
+  const directory = await resolveInputFiles(path.join(dir, 'stocks'));
+  assert.equal(directory.batch, true);
+  assert.equal(directory.files.length, 2);
+
+  assert.equal((await resolveInputFiles(path.join(dir, 'watchlist.json'))).files.length, 1);
+  assert.equal((await resolveInputFiles(path.join(dir, 'stocks', '*.json'))).batch, true);
+  await assert.rejects(resolveInputFiles(path.join(dir, 'nope.json')), /File not found/);
+});
@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { hashPrompt, RecordingProvider, ReplayProvider } from '../src/agent/providers/fixture-provider.js';
+import { invokeWithRetry } from '../src/agent/gemini-client.js';
+import { StockAnalyzer } from '../src/agent/stock-analyzer.js';
+import { loadExampleInput, buildReport, createStubProvider, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fixtures-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('hashPrompt is a stable SHA-256 of the prompt', () => {
+  assert.equal(hashPrompt('prompt'), 'cf07194ee232eb531e15f690000d19846dea69cf05504782658afcfacb9228a2');
+  assert.notEqual(hashPrompt('prompt '), hashPrompt('prompt'));
+});
+
+test('RecordingProvider writes a fixture and returns the wrapped response', async () => {
+  const inner = createStubProvider(() => 'recorded response');
+  const provider = new RecordingProvider({ provider: inner, dir: path.join(dir, 'record') });
+
+  assert.equal(await provider.generate('prompt', { responseSchema: { type: 'object' } }), 'recorded response');
+  assert.equal(provider.name, 'record:stub');
+
+  const fixture = JSON.parse(await fs.readFile(path.join(dir, 'record', `${hashPrompt('prompt')}.json`), 'utf-8'));
+  assert.equal(fixture.hash, hashPrompt('prompt'));
+  assert.equal(fixture.provider, 'stub');
+  assert.equal(fixture.prompt, 'prompt');
+  assert.equal(fixture.response, 'recorded response');
+  assert.throws(() => new RecordingProvider({ dir }), /requires a provider/);
+});
+
+test('ReplayProvider serves recorded responses and fails loudly on a miss', async () => {
+  const recordDir = path.join(dir, 'replay');
+  await new RecordingProvider({ provider: createStubProvider(() => 'hit'), dir: recordDir }).generate('known prompt');
+  const replay = new ReplayProvider({ dir: recordDir });
+
+  assert.equal(await replay.generate('known prompt'), 'hit');
+
+  const miss = createStubProvider(() => replay.generate('unknown prompt'));
+  await assert.rejects(invokeWithRetry(miss, 'unknown prompt', 3), (error) => {
+    assert.equal(error.retryable, false);
+    assert.match(error.message, new RegExp(`No recorded fixture for prompt ${hashPrompt('unknown prompt')}`));
+    return true;
+  });
+  // Not retried
+  assert.equal(miss.calls.length, 1);
+});
+
+test('an analysis recorded once replays offline to the same report', async () => {
+  const recordDir = path.join(dir, 'analysis');
+  const live = createStubProvider(() => buildReport());
+  const recorded = await new StockAnalyzer({ provider: new RecordingProvider({ provider: live, dir: recordDir }) }).analyze(loadExampleInput());
+
+  const replayed = await new StockAnalyzer({ provider: new ReplayProvider({ dir: recordDir }) }).analyze(loadExampleInput());
+  assert.deepEqual(replayed, recorded);
+  assert.equal(live.calls.length, 1);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBullets, isBulletList, checkFormat, toBulletArrays } from '../src/utils/format.js';
+import { buildReport } from './helpers.js';
+
+test('parseBullets strips markers and accepts bullet arrays', () => {
+  assert.deepEqual(parseBullets('• First point\n\n  • • Second point\n- Third point'), ['First point', 'Second point', 'Third point']);
+  assert.deepEqual(parseBullets(['First point', ' Second point ']), ['First point', 'Second point']);
+  assert.deepEqual(parseBullets('• One\n\n- Two\n* • Three'), ['One', 'Two', 'Three']);
+  assert.deepEqual(parseBullets(['• One', ' Two ', '']), ['One', 'Two']);
+  assert.deepEqual(parseBullets(undefined), []);
+});
+
+test('isBulletList shows bullet arrays and marked text as lists', () => {
+  // SECTION_FORMAT=array sections carry no markers but are still lists
+  assert.equal(isBulletList(['P/E above the sector median', 'Premium to peers']), true);
+  assert.equal(isBulletList(['Single bullet']), true);
+  assert.equal(isBulletList('• First point\n• Second point'), true);
+  assert.equal(isBulletList('Intro line\n- Dashed point'), true);
+  assert.equal(isBulletList('A plain paragraph, with a comma'), false);
+  assert.equal(isBulletList(undefined), false);
+});
+
+test('checkFormat accepts a report that follows the bullet format', () => {
+  assert.deepEqual(checkFormat(buildReport()), { valid: true, violations: [], failingSections: [] });
+  assert.equal(checkFormat(toBulletArrays(buildReport())).valid, true);
+});
+
+test('checkFormat reports paragraphs, extra bullets and long bullets per section', () => {
+  const check = checkFormat(buildReport({
+    valuation: 'The stock trades above the sector median on forward earnings.',
+    riskFactors: '• One\n• Two\n• Three\n• Four',
+    aiSummary: '• Free Cash Flow Yield of 3% comfortably beats the 2% threshold, showing strong cash generation\n• Net Debt/EBITDA 4x fails',
+    finalVerdict: ''
+  }));
+
+  assert.equal(check.valid, false);
+  assert.deepEqual(check.failingSections, ['valuation', 'riskFactors', 'aiSummary', 'finalVerdict']);
+  assert.deepEqual(check.violations.map(violation => [violation.section, violation.rule, violation.bullet]), [
+    ['valuation', 'unbulleted', null],
+    ['riskFactors', 'too_many_bullets', null],
+    ['aiSummary', 'too_many_words', 0],
+    ['finalVerdict', 'empty', null]
+  ]);
+  assert.equal(check.violations[2].message, 'bullet 1 has 15 words (max 12)');
+  assert.equal(checkFormat(buildReport({ riskFactors: '• One\n• Two\n• Three\n• Four' }), { maxBullets: 4, maxWords: 12 }).valid, true);
+});
+
+test('toBulletArrays converts only the text sections', () => {
+  const report = toBulletArrays(buildReport({ citations: { valuation: [['stock']] } }));
+  assert.deepEqual(report.valuation, ['Free Cash Flow Yield 3% beats the 2% threshold', 'Net Debt/EBITDA 4x fails the 2.5x limit']);
+  assert.equal(report.aiSummary.length, 3);
+  assert.equal(report.overallScore, 70);
+  assert.equal(report.recommendation, 'Watchlist');
+  assert.deepEqual(report.citations, { valuation: [['stock']] });
+});
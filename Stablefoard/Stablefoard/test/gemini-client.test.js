@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseJsonResponse,
+  parseStructuredResponse,
+  generateJson,
+  formatPrompt,
+  invokeWithRetry,
+  buildAnalysisRequest
+} from '../src/agent/gemini-client.js';
+import { ModelResponseError, isQuotaError, quotaRetryDelay } from '../src/agent/errors.js';
+import { toGeminiSchema, GeminiProvider } from '../src/agent/providers/gemini-provider.js';
+import { CONFIG } from '../src/config/settings.js';
+import { REPORT_RESPONSE_SCHEMA } from '../src/utils/validators.js';
+import { createStubProvider, loadExampleInput, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+test('parseJsonResponse parses plain JSON', () => {
+  assert.deepEqual(parseJsonResponse('{"a": 1}'), { a: 1 });
+});
+
+test('parseJsonResponse strips markdown code fences', () => {
+  assert.deepEqual(parseJsonResponse('```json\n{"a": 1, "b": "x"}\n```'), { a: 1, b: 'x' });
+  assert.deepEqual(parseJsonResponse('```\n{"a": 2}\n```'), { a: 2 });
+});
+
+test('parseJsonResponse ignores leading and trailing prose', () => {
+  const response = 'Here is the report:\n{"overallScore": 70, "nested": {"ok": true}}\nLet me know if you need more.';
+  assert.deepEqual(parseJsonResponse(response), { overallScore: 70, nested: { ok: true } });
+});
+
+test('parseJsonResponse rejects truncated strings', () => {
+  assert.throws(
+    () => parseJsonResponse('{"overallScore": 70, "valuation": "• Trading above sec'),
+    (error) => error instanceof ModelResponseError && error.code === 'TRUNCATED' && /Invalid JSON response from model/.test(error.message)
+  );
+});
+
+test('parseJsonResponse rejects responses without JSON', () => {
+  assert.throws(
+    () => parseJsonResponse('I cannot help with that.'),
+    (error) => error instanceof ModelResponseError && error.code === 'INVALID_JSON' && error.raw === 'I cannot help with that.'
+  );
+});
+
+test('parseStructuredResponse classifies failures', () => {
+  assert.deepEqual(parseStructuredResponse('{"a": [1, 2]}'), { a: [1, 2] });
+  assert.throws(() => parseStructuredResponse(''), { code: 'EMPTY' });
+  assert.throws(() => parseStructuredResponse('{"a": [1, 2'), { code: 'TRUNCATED', retryable: false });
+  assert.throws(() => parseStructuredResponse('{"a": 1} trailing'), { code: 'INVALID_JSON' });
+});
+
+test('generateJson sends the schema only to structured-output providers', async () => {
+  const schema = { type: 'object', properties: { a: { type: 'number' } }, required: ['a'] };
+  const seen = [];
+  const provider = createStubProvider(() => '```json\n{"a": 1}\n```');
+  const generate = provider.generate;
+  provider.generate = (prompt, options) => {
+    seen.push(options);
+    return generate(prompt, options);
+  };
+
+  assert.deepEqual(await generateJson(provider, 'p', schema), { a: 1 });
+  assert.deepEqual(seen[0], {});
+
+  provider.supportsStructuredOutput = true;
+  await assert.rejects(generateJson(provider, 'p', schema), { code: 'INVALID_JSON' });
+  assert.deepEqual(seen[1], { responseSchema: schema });
+});
+
+test('toGeminiSchema adapts enums and drops unsupported keywords', () => {
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['score', 'label'],
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      label: { type: 'string', enum: ['Buy', 'Avoid'] }
+    }
+  };
+  assert.deepEqual(toGeminiSchema(schema), {
+    type: 'object',
+    required: ['score', 'label'],
+    properties: {
+      score: { type: 'number' },
+      label: { type: 'string', enum: ['Buy', 'Avoid'], format: 'enum' }
+    }
+  });
+});
+
+test('GeminiProvider needs an API key only when it generates', async () => {
+  const apiKey = CONFIG.googleApiKey;
+  CONFIG.googleApiKey = '';
+  try {
+    const provider = new GeminiProvider({ model: 'gemini-test' });
+    assert.equal(provider.model, 'gemini-test');
+    await assert.rejects(provider.generate('prompt'), /Google API key is not configured/);
+  } finally {
+    CONFIG.googleApiKey = apiKey;
+  }
+});
+
+test('buildAnalysisRequest embeds the input and asks structured providers for the report schema', () => {
+  const input = loadExampleInput();
+  const provider = createStubProvider(() => '');
+
+  const plain = buildAnalysisRequest(provider, input);
+  assert.ok(plain.prompt.includes(JSON.stringify(input, null, 2)));
+  assert.ok(!plain.prompt.includes('{input_data}'));
+  assert.match(plain.prompt, /Peers \(3\): AMD \(Advanced Micro Device Inc\.\), INTC/);
+  assert.match(plain.prompt, /P\/E: median 24\.4, mean 25\.3/);
+  assert.deepEqual(plain.options, {});
+
+  provider.supportsStructuredOutput = true;
+  assert.deepEqual(buildAnalysisRequest(provider, input).options, { responseSchema: REPORT_RESPONSE_SCHEMA });
+});
+
+test('formatPrompt replaces every placeholder occurrence', () => {
+  assert.equal(formatPrompt('{a} and {a} then {b}', { a: 'x', b: 'y' }), 'x and x then y');
+});
+
+test('formatPrompt JSON-encodes non-string values', () => {
+  assert.equal(formatPrompt('data: {input}', { input: { n: 1 } }), 'data: {\n  "n": 1\n}');
+});
+
+test('invokeWithRetry returns the provider response', async () => {
+  const provider = createStubProvider(() => 'ok');
+  assert.equal(await invokeWithRetry(provider, 'prompt'), 'ok');
+  assert.deepEqual(provider.calls, ['prompt']);
+});
+
+test('invokeWithRetry does not retry non-retryable errors', async () => {
+  const provider = createStubProvider(() => {
+    const error = new Error('fixture missing');
+    error.retryable = false;
+    throw error;
+  });
+  await assert.rejects(invokeWithRetry(provider, 'prompt', 3), /fixture missing/);
+  assert.equal(provider.calls.length, 1);
+});
+
+test('invokeWithRetry gives up after the allowed attempts', async () => {
+  const provider = createStubProvider(() => { throw new Error('boom'); });
+  await assert.rejects(invokeWithRetry(provider, 'prompt', 1), /Failed after 1 attempts: boom/);
+});
+
+test('invokeWithRetry keeps the typed error from the last attempt', async () => {
+  const empty = createStubProvider(() => { throw new ModelResponseError('Model returned no text', { code: 'EMPTY', raw: '' }); });
+  await assert.rejects(invokeWithRetry(empty, 'prompt', 1), (error) => {
+    assert.ok(error instanceof ModelResponseError);
+    assert.equal(error.code, 'EMPTY');
+    assert.equal(error.raw, '');
+    assert.equal(error.message, 'Failed after 1 attempts: Model returned no text');
+    return true;
+  });
+
+  const quota = createStubProvider(() => { throw Object.assign(new Error('Too Many Requests'), { status: 429, retryAfterMs: 5 }); });
+  await assert.rejects(invokeWithRetry(quota, 'prompt', 1), { status: 429, retryAfterMs: 5, message: 'Failed after 1 attempts: Too Many Requests' });
+});
+
+test('quota errors are detected and their retry delay is read', () => {
+  const gemini = Object.assign(new Error('[429 Too Many Requests] Resource has been exhausted'), {
+    status: 429,
+    errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '37s' }]
+  });
+  assert.equal(isQuotaError(gemini), true);
+  assert.equal(quotaRetryDelay(gemini), 37000);
+
+  const hinted = new Error('Quota exceeded for metric generate_content. Please retry in 12.5s.');
+  assert.equal(isQuotaError(hinted), true);
+  assert.equal(quotaRetryDelay(hinted), 12500);
+
+  assert.equal(quotaRetryDelay(Object.assign(new Error('429'), { retryAfterMs: 2000 })), 2000);
+  assert.equal(isQuotaError(new Error('Internal error')), false);
+  assert.equal(quotaRetryDelay(new Error('429')), 0);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkGrounding, enforceGrounding } from '../src/utils/grounding.js';
+import { REPORT_SECTIONS } from '../src/utils/validators.js';
+import { loadExampleInput, buildReport } from './helpers.js';
+
+const INPUT = loadExampleInput();
+
+test('checkGrounding matches figures against the input and what is derived from it', () => {
+  const report = buildReport({
+    // 24.4 is the peer P/E median and 50% the pass rate; 5 of 10 are metric counts
+    valuation: '• P/E median 24.4 across peers\n• 5 of 10 metrics pass, a 50% pass rate',
+    riskFactors: '• Beta of 2.4 doubles market swings\n• Drawdown near 37% breaches the 35% limit'
+  });
+  const grounding = checkGrounding(report, INPUT);
+
+  assert.deepEqual(grounding.unmatched, [{ section: 'riskFactors', figure: '2.4', text: 'Beta of 2.4 doubles market swings' }]);
+  assert.deepEqual(grounding.sections.riskFactors, { figures: 3, matched: 2 });
+  assert.equal(grounding.figures - grounding.matched, 1);
+  assert.equal(grounding.score, Math.round((grounding.figures - 1) / grounding.figures * 1000) / 10);
+});
+
+test('checkGrounding scores a report without figures as fully grounded', () => {
+  const plain = '• Balance sheet looks stretched\n• Growth is slowing';
+  const report = buildReport(Object.fromEntries(REPORT_SECTIONS.map(section => [section, plain])));
+  const grounding = checkGrounding(report, INPUT);
+  assert.equal(grounding.figures, 0);
+  assert.equal(grounding.score, 100);
+});
+
+test('enforceGrounding fails only in strict mode and below the minimum score', () => {
+  const grounding = { score: 90, unmatched: [{ section: 'valuation', figure: '18' }] };
+  assert.doesNotThrow(() => enforceGrounding(grounding, { strict: false, minScore: 100 }));
+  assert.doesNotThrow(() => enforceGrounding(grounding, { strict: true, minScore: 80 }));
+  assert.throws(() => enforceGrounding(grounding, { strict: true, minScore: 100 }), /score 90 is below 100 \(unmatched figures: valuation "18"\)/);
+});
@@ -0,0 +1,87 @@
+/**
+ * Shared test helpers
+ */
+
+import fs from 'fs';
+import { mock } from 'node:test';
+import { fileURLToPath } from 'url';
+
+const INPUT_FILE = fileURLToPath(new URL('../input-example.json', import.meta.url));
+
+/**
+ * Load a fresh copy of input-example.json
+ * @returns {Object} - Stock input data
+ */
+export function loadExampleInput() {
+  return JSON.parse(fs.readFileSync(INPUT_FILE, 'utf-8'));
+}
+
+/**
+ * Build a report that passes validateOutput
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Report object
+ */
+export function buildReport(overrides = {}) {
+  const section = '• Free Cash Flow Yield 3% beats the 2% threshold\n• Net Debt/EBITDA 4x fails the 2.5x limit';
+  return {
+    overallScore: 70,
+    recommendation: 'Watchlist',
+    financialHealth: section,
+    valuation: section,
+    futureGrowth: section,
+    competitiveAdvantage: section,
+    managementQuality: section,
+    riskFactors: section,
+    technicalTrend: section,
+    portfolioFit: section,
+    timeHorizon: section,
+    aiSummary: `${section}\n• Qualitative rating 4.5 supports management quality`,
+    finalVerdict: section,
+    ...overrides
+  };
+}
+
+/**
+ * Create a stub LLM provider
+ * @param {Function} handler - (prompt, callIndex) => string | Object; objects are JSON-encoded, thrown errors propagate
+ * @returns {Object} - Provider with a `calls` array of received prompts
+ */
+export function createStubProvider(handler) {
+  const provider = {
+    name: 'stub',
+    model: 'stub',
+    calls: [],
+    async generate(prompt) {
+      provider.calls.push(prompt);
+      const result = await handler(prompt, provider.calls.length - 1);
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    }
+  };
+  return provider;
+}
+
+/**
+ * Classify a prompt sent by the workflow
+ * @param {string} prompt - Prompt text
+ * @returns {string} - 'review', 'repair', 'format', 'section', 'comparison', 'diff' or 'analysis'
+ */
+export function promptKind(prompt) {
+  if (prompt.includes('SECTIONS TO COMPRESS:')) return 'format';
+  if (prompt.includes('SECTIONS TO REWRITE:')) return 'repair';
+  if (prompt.includes('SECTIONS TO WRITE:')) return 'section';
+  if (prompt.includes('Compare the following stocks')) return 'comparison';
+  if (prompt.includes('Explain what changed between two analyses')) return 'diff';
+  if (prompt.includes('GENERATED REPORT:')) return 'review';
+  return 'analysis';
+}
+
+/**
+ * Silence console output for the rest of the test file. The agents log every
+ * step, and that volume of child-process output can trip the node:test
+ * runner's stdout parsing ("Unable to deserialize cloned data").
+ */
+export function silenceConsole() {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+}
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createHistoryStore,
+  createHistoryRecord,
+  summarizeHistory,
+  JsonlHistoryStore,
+  SqliteHistoryStore,
+  MemoryHistoryStore
+} from '../src/history/index.js';
+import { PROMPT_VERSION } from '../src/config/prompts.js';
+import { StockAnalyzer } from '../src/agent/stock-analyzer.js';
+import { StockAnalysisWorkflow } from '../src/agent/langgraph-workflow.js';
+import { loadExampleInput, buildReport, createStubProvider, promptKind, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+/**
+ * Build a record with a fixed timestamp for query tests
+ */
+function record(symbol, recommendation, score, timestamp) {
+  return {
+    ...createHistoryRecord({
+      input: { stock: { symbol, name: `${symbol} Inc.` } },
+      report: { overallScore: score, recommendation },
+      mode: 'simple',
+      provider: { name: 'stub', model: 'stub-1' },
+      durationMs: 5
+    }),
+    timestamp
+  };
+}
+
+const RECORDS = [
+  record('AAA', 'Buy', 80, '2025-01-10T10:00:00.000Z'),
+  record('BBB', 'Avoid', 30, '2025-01-15T10:00:00.000Z'),
+  record('AAA', 'Watchlist', 60, '2025-01-31T18:00:00.000Z'),
+  record('CCC', 'Buy', 75, '2025-02-05T10:00:00.000Z')
+];
+
+/**
+ * Run the shared query contract against a store
+ */
+async function assertQueryContract(store) {
+  for (const entry of RECORDS) {
+    await store.append(entry);
+  }
+
+  const all = await store.query();
+  assert.deepEqual(all.map(r => r.timestamp), [...RECORDS].reverse().map(r => r.timestamp));
+  assert.deepEqual(all[0], RECORDS[3]);
+
+  assert.deepEqual((await store.query({ symbol: 'aaa' })).map(r => r.score), [60, 80]);
+  assert.deepEqual((await store.query({ recommendation: 'buy' })).map(r => r.symbol), ['CCC', 'AAA']);
+  assert.deepEqual((await store.query({ from: '2025-01-15', to: '2025-01-31' })).map(r => r.symbol), ['AAA', 'BBB']);
+  assert.deepEqual((await store.query({ limit: 1 })).map(r => r.symbol), ['CCC']);
+
+  await assert.rejects(store.query({ from: 'not a date' }), /Invalid date/);
+
+  assert.deepEqual(await store.get(RECORDS[1].id), RECORDS[1]);
+  assert.equal(await store.get('missing'), null);
+}
+
+test('createHistoryRecord captures report, provider and prompt version', () => {
+  const entry = createHistoryRecord({
+    input: loadExampleInput(),
+    report: buildReport(),
+    mode: 'workflow',
+    provider: { name: 'mock', model: 'mock' },
+    durationMs: 12
+  });
+
+  assert.equal(entry.symbol, 'TBD');
+  assert.equal(entry.recommendation, 'Watchlist');
+  assert.equal(entry.score, 70);
+  assert.equal(entry.provider, 'mock');
+  assert.equal(entry.promptVersion, PROMPT_VERSION);
+  assert.equal(entry.durationMs, 12);
+  assert.ok(entry.id);
+});
+
+test('summarizeHistory counts recommendations and finds the latest entry', () => {
+  const summary = summarizeHistory(RECORDS);
+  assert.equal(summary.totalAnalyses, 4);
+  assert.equal(summary.averageScore, '61.25');
+  assert.deepEqual(summary.recommendations, { Buy: 2, Avoid: 1, Watchlist: 1 });
+  assert.equal(summary.latestAnalysis.symbol, 'CCC');
+  assert.deepEqual(summarizeHistory([]), { message: 'No analyses performed yet' });
+});
+
+test('memory store honours the query contract', async () => {
+  await assertQueryContract(new MemoryHistoryStore());
+});
+
+test('jsonl store honours the query contract and survives a partial line', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+  try {
+    const file = path.join(dir, 'nested', 'analyses.jsonl');
+    const store = new JsonlHistoryStore({ path: file });
+    assert.deepEqual(await store.query(), []);
+
+    await assertQueryContract(store);
+
+    await fs.appendFile(file, '{"id": "trunc');
+    assert.equal((await new JsonlHistoryStore({ path: file }).query()).length, RECORDS.length);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('sqlite store honours the query contract', { skip: !hasSqlite && 'node:sqlite is not available' }, async () => {
+  const store = new SqliteHistoryStore({ path: ':memory:' });
+  try {
+    await assertQueryContract(store);
+  } finally {
+    await store.close();
+  }
+});
+
+test('createHistoryStore resolves stores by name', () => {
+  assert.equal(createHistoryStore('none'), null);
+  assert.ok(createHistoryStore('jsonl') instanceof JsonlHistoryStore);
+  assert.ok(createHistoryStore('sqlite', { path: ':memory:' }) instanceof SqliteHistoryStore);
+  assert.throws(() => createHistoryStore('redis'), /Unknown history store "redis"/);
+});
+
+test('analyzer and workflow persist completed analyses', async () => {
+  const history = new MemoryHistoryStore();
+  const provider = createStubProvider((prompt) => (
+    promptKind(prompt) === 'review' ? { isValid: true, issues: [], failingSections: [], confidence: 90 } : buildReport()
+  ));
+
+  await new StockAnalyzer({ provider, history }).analyze(loadExampleInput());
+  await new StockAnalysisWorkflow({ provider, history }).execute(loadExampleInput());
+  await new StockAnalysisWorkflow({ provider, history }).execute({});
+
+  const records = await history.query();
+  assert.deepEqual(records.map(r => r.mode).sort(), ['simple', 'workflow']);
+  assert.ok(records.every(r => r.symbol === 'TBD' && r.score === 71 && r.report.scoring));
+});
@@ -0,0 +1,247 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  parseCsv, formatCsv, importCsv, importXlsx, inputToCsv, readXlsx, readInputFiles, InputImportError
+} from '../src/importers/index.js';
+import { columnLetter } from '../src/importers/errors.js';
+import { resolveInputFiles } from '../src/utils/file-handler.js';
+import { validateInput } from '../src/utils/validators.js';
+import { loadExampleInput } from './helpers.js';
+
+/**
+ * Build a zip archive (deflated entries)
+ * @param {Object} files - Entry name -> text
+ * @returns {Buffer} - Archive contents
+ */
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, text] of Object.entries(files)) {
+    const data = Buffer.from(text, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name, 'utf-8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(zlib.crc32(data), 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Build an XLSX workbook; numbers become numeric cells, "=TRUE"/"=FALSE"
+ * boolean cells, text alternates between shared and inline strings
+ * @param {Object} sheets - Sheet name -> rows (arrays of cell values)
+ * @returns {Buffer} - Workbook file contents
+ */
+function buildXlsx(sheets) {
+  const shared = [];
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const files = {};
+  const names = Object.keys(sheets);
+
+  names.forEach((name, i) => {
+    const rows = sheets[name].map((cells, r) => {
+      const xml = cells.map((value, c) => {
+        const ref = `${columnLetter(c)}${r + 1}`;
+        if (value === '' || value === null || value === undefined) return '';
+        if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+        if (value === '=TRUE' || value === '=FALSE') return `<c r="${ref}" t="b"><v>${value === '=TRUE' ? 1 : 0}</v></c>`;
+        if ((r + c) % 2 === 0) return `<c r="${ref}" t="inlineStr"><is><t>${escape(value)}</t></is></c>`;
+        shared.push(value);
+        return `<c r="${ref}" t="s"><v>${shared.length - 1}</v></c>`;
+      }).join('');
+      return `<row r="${r + 1}">${xml}</row>`;
+    }).join('');
+    files[`xl/worksheets/sheet${i + 1}.xml`] = `<?xml version="1.0" encoding="UTF-8"?><worksheet><sheetData>${rows}</sheetData></worksheet>`;
+  });
+
+  files['xl/workbook.xml'] = `<?xml version="1.0" encoding="UTF-8"?><workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${
+    names.map((name, i) => `<sheet name="${escape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+  }</sheets></workbook>`;
+  files['xl/_rels/workbook.xml.rels'] = `<?xml version="1.0" encoding="UTF-8"?><Relationships>${
+    names.map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+  }</Relationships>`;
+  files['xl/sharedStrings.xml'] = `<?xml version="1.0" encoding="UTF-8"?><sst>${shared.map(text => `<si><t>${escape(text)}</t></si>`).join('')}</sst>`;
+  return zip(files);
+}
+
+/**
+ * Split flat CSV-layout rows into one sheet per block, dropping the block column
+ * @param {string} csv - CSV in the flat layout
+ * @returns {Object} - Sheet name -> rows, numbers as numeric cells
+ */
+function sheetsFromCsv(csv) {
+  const [header, ...rows] = parseCsv(csv).map(row => row.cells);
+  const sheets = {};
+  for (const [block, ...cells] of rows) {
+    sheets[block] ??= [header.slice(1)];
+    sheets[block].push(cells.map(cell => (cell !== '' && !Number.isNaN(Number(cell)) ? Number(cell) : cell)));
+  }
+  return sheets;
+}
+
+/**
+ * Capture the problems an import throws
+ * @param {Function} fn - Import call
+ * @returns {Array<Object>} - InputImportError problems
+ */
+function problemsOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof InputImportError, error.message);
+    return error.problems;
+  }
+  assert.fail('import did not throw');
+}
+
+test('parseCsv handles quotes, escaped quotes, embedded line breaks and semicolons', () => {
+  const rows = parseCsv('﻿a,b,c\r\n"x, y","say ""hi""","line 1\nline 2"\n\n1,,3\n');
+  assert.deepEqual(rows, [
+    { row: 1, cells: ['a', 'b', 'c'] },
+    { row: 2, cells: ['x, y', 'say "hi"', 'line 1\nline 2'] },
+    { row: 4, cells: ['1', '', '3'] }
+  ]);
+  assert.deepEqual(parseCsv('a;b\n1,5;2').map(row => row.cells), [['a', 'b'], ['1,5', '2']]);
+  assert.throws(() => parseCsv('a,b\n"open,1\n'), /row 2: Quoted field is never closed/);
+});
+
+test('formatCsv quotes fields that need it and round-trips through parseCsv', () => {
+  const csv = formatCsv([{ a: 'x, y', b: 'say "hi"' }, { a: null, b: 3 }], ['a', 'b']);
+  assert.equal(csv, 'a,b\r\n"x, y","say ""hi"""\r\n,3\r\n');
+  assert.deepEqual(parseCsv(csv).map(row => row.cells), [['a', 'b'], ['x, y', 'say "hi"'], ['', '3']]);
+});
+
+test('inputToCsv and importCsv round-trip the example input', () => {
+  const input = loadExampleInput();
+  const imported = importCsv(inputToCsv(input));
+
+  assert.deepEqual(imported, input);
+  assert.equal(validateInput(imported).success, true);
+});
+
+test('importCsv accepts loose headers, yes/no flags and a repeated overall', () => {
+  const csv = inputToCsv(loadExampleInput())
+    .replace(/^block,.*?,weightedScore,/, 'Block,Symbol,Name,as_of,Overall,Metric,Value,Threshold,Pass,Points,Result,Weighted Score,')
+    .replace('Net Debt/EBITDA,4,< 2.5x,false', 'Net Debt/EBITDA,4,< 2.5x,No')
+    .replace('fundamentalResilience,,,,,Return', 'fundamentalResilience,,,,pass,Return');
+
+  const input = importCsv(csv);
+  assert.equal(input.quantitative.fundamentalResilience.metrics[1].pass, false);
+  assert.equal(input.quantitative.fundamentalResilience.overall, 'pass');
+});
+
+test('importCsv reports every problem with its row and column', () => {
+  const lines = inputToCsv(loadExampleInput()).split('\r\n');
+  lines[2] = lines[2].replace(',true,', ',maybe,');
+  lines[4] = lines[4].replace('fundamentalResilience,,,,,', 'fundamentalResilience,,,,fail,');
+  lines[23] = lines[23].replace(',2,Neutral,', ',two,Neutral,');
+  lines.splice(60, 0, 'earnings,,,,,EPS,1');
+
+  const problems = problemsOf(() => importCsv(lines.join('\r\n'), { source: 'stocks.csv' }));
+  assert.deepEqual(problems.map(({ row, column, columnIndex }) => [row, column, columnLetter(columnIndex)]), [
+    [61, 'block', 'A'],
+    [5, 'overall', 'E'],
+    [3, 'pass', 'I'],
+    [24, 'points', 'J']
+  ]);
+  assert.match(problems[1].message, /"fail" conflicts with "pass" on row 3/);
+});
+
+test('importCsv names missing blocks and unknown columns', () => {
+  let problems = problemsOf(() => importCsv('block,symbol,treshold\nstock,TBD,x\n'));
+  assert.deepEqual(problems[0], { sheet: undefined, row: 1, column: 'treshold', columnIndex: 2, message: 'Unknown column' });
+  assert.ok(problems.some(problem => problem.message === 'Block sis has no rows'));
+
+  problems = problemsOf(() => importCsv('symbol,name\nTBD,TBD\n'));
+  assert.equal(problems[0].message, 'Header has no "block" column');
+});
+
+test('importXlsx reads one sheet per block and matches the CSV import', () => {
+  const input = loadExampleInput();
+  const sheets = sheetsFromCsv(inputToCsv(input));
+  sheets['Read me'] = [['Anything goes here']];
+  sheets.riskSensitivityAlignment = sheets.riskSensitivityAlignment.map((row, i) => (
+    i === 0 ? row : row.map(cell => (cell === 'true' ? '=TRUE' : cell === 'false' ? '=FALSE' : cell))
+  ));
+
+  assert.deepEqual(importXlsx(buildXlsx(sheets)), input);
+});
+
+test('importXlsx also reads a flat sheet with a block column, and locates problems by sheet', () => {
+  const csv = inputToCsv(loadExampleInput());
+  const rows = parseCsv(csv).map(row => row.cells);
+  assert.deepEqual(importXlsx(buildXlsx({ Data: rows })), importCsv(csv));
+
+  const sheets = sheetsFromCsv(csv);
+  sheets.qualitative[2][11] = 'high';
+  const [problem] = problemsOf(() => importXlsx(buildXlsx(sheets), { source: 'stock.xlsx' }));
+  assert.deepEqual(problem, {
+    sheet: 'qualitative', row: 3, column: 'score', columnIndex: 11, message: 'Expected a number, got "high"'
+  });
+
+  const error = new InputImportError('stock.xlsx', [problem]);
+  assert.match(error.message, /sheet "qualitative", row 3, column "score" \(L3\): Expected a number/);
+});
+
+test('readXlsx rejects files that are not workbooks', () => {
+  assert.throws(() => readXlsx(Buffer.from('plain text'), { source: 'fake.xlsx' }), /fake\.xlsx:\n {2}Not a readable XLSX workbook/);
+  assert.throws(() => readXlsx(zip({ 'hello.txt': 'hi' })), /xl\/workbook\.xml is missing/);
+});
+
+test('spreadsheets are picked up from directories and read alongside JSON', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'import-'));
+  try {
+    const input = loadExampleInput();
+    await fs.writeFile(path.join(dir, 'a.json'), JSON.stringify(input));
+    await fs.writeFile(path.join(dir, 'b.csv'), inputToCsv(input));
+    await fs.writeFile(path.join(dir, 'c.xlsx'), buildXlsx(sheetsFromCsv(inputToCsv(input))));
+    await fs.writeFile(path.join(dir, 'd.csv'), 'block\nstock\n');
+
+    const { files } = await resolveInputFiles(dir);
+    assert.deepEqual(files.map(file => path.basename(file)), ['a.json', 'b.csv', 'c.xlsx', 'd.csv']);
+
+    const results = await readInputFiles(files);
+    assert.deepEqual(results.map(result => result.success), [true, true, true, false]);
+    assert.deepEqual(results[1].data, input);
+    assert.deepEqual(results[2].data, input);
+    assert.match(results[3].error, /Could not import .*d\.csv/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,421 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StockAnalysisWorkflow } from '../src/agent/langgraph-workflow.js';
+import { SECTION_GROUPS } from '../src/agent/section-groups.js';
+import { CONFIG } from '../src/config/settings.js';
+import { REPORT_SECTIONS } from '../src/utils/validators.js';
+import { MemoryHistoryStore } from '../src/history/memory-store.js';
+import { MockProvider } from '../src/agent/providers/mock-provider.js';
+import { loadExampleInput, buildReport, createStubProvider, promptKind, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+const VALID_REVIEW = { isValid: true, issues: [], failingSections: [], confidence: 92 };
+
+// One prompt per section node
+const SECTION_CALLS = SECTION_GROUPS.map(() => 'section');
+
+/**
+ * Whether a section prompt asks for a report field
+ * @param {string} prompt - Prompt text
+ * @param {string} section - Report field name
+ * @returns {boolean} - True if the field is among the sections to write
+ */
+function asksFor(prompt, section) {
+  return promptKind(prompt) === 'section' && prompt.includes(`\n- ${section}: `);
+}
+
+/**
+ * Run the workflow against a stub provider
+ * @param {Function} handler - Stub handler (prompt, callIndex)
+ * @param {Object} input - Input data (default: example input)
+ * @returns {Promise<Object>} - { report, provider }
+ */
+async function run(handler, input = loadExampleInput()) {
+  const provider = createStubProvider(handler);
+  const workflow = new StockAnalysisWorkflow({ provider });
+  const report = await workflow.execute(input);
+  return { report, provider };
+}
+
+test('invalid input routes validate_input to the error node', async () => {
+  const { report, provider } = await run(() => buildReport(), { stock: { symbol: 'BAD' } });
+  assert.equal(report.error, true);
+  assert.equal(report.message, 'Analysis failed');
+  assert.ok(report.errors.includes('stock.name: Required'));
+  assert.equal(provider.calls.length, 0);
+});
+
+test('provider failure fails every section and routes merge_sections to the error node', async () => {
+  const { report, provider } = await run(() => {
+    const error = new Error('quota exhausted');
+    error.retryable = false;
+    throw error;
+  });
+  assert.equal(report.error, true);
+  assert.deepEqual(report.errors, ['quota exhausted']);
+  // Every section node, then one retry round for all of them
+  assert.equal(provider.calls.length, SECTION_GROUPS.length * (CONFIG.sectionRetries + 1));
+});
+
+test('unparseable output is retried once per section, then routed to the error node', async () => {
+  const { report, provider } = await run(() => 'not json at all');
+  assert.equal(report.error, true);
+  assert.equal(report.errors.length, 1);
+  assert.match(report.errors[0], /^Parse error \(INVALID_JSON\): Invalid JSON response from model/);
+  assert.equal(provider.calls.length, SECTION_GROUPS.length * (CONFIG.sectionRetries + 1));
+});
+
+test('structured-output providers receive the response schemas', async () => {
+  const provider = createStubProvider((prompt) => promptKind(prompt) === 'review' ? VALID_REVIEW : buildReport());
+  provider.supportsStructuredOutput = true;
+  const options = [];
+  const generate = provider.generate;
+  provider.generate = (prompt, opts) => {
+    options.push(opts);
+    return generate(prompt, opts);
+  };
+
+  const report = await new StockAnalysisWorkflow({ provider }).execute(loadExampleInput());
+  assert.equal(report.recommendation, 'Watchlist');
+  const sectionOptions = options.slice(0, SECTION_GROUPS.length);
+  assert.ok(sectionOptions.some(opts => opts.responseSchema.properties.recommendation?.enum.join() === 'Buy,Watchlist,Avoid'));
+  assert.ok(sectionOptions.some(opts => opts.responseSchema.required.join() === 'technicalTrend,citations'));
+  assert.deepEqual(options[SECTION_GROUPS.length].responseSchema.required, ['isValid', 'issues', 'failingSections', 'confidence']);
+});
+
+test('truncated structured output is a typed parse error', async () => {
+  const provider = createStubProvider(() => '{"overallScore": 70, "valuation": "• cut');
+  provider.supportsStructuredOutput = true;
+
+  const report = await new StockAnalysisWorkflow({ provider }).execute(loadExampleInput());
+  assert.equal(report.error, true);
+  assert.match(report.errors[0], /^Parse error \(TRUNCATED\)/);
+});
+
+test('an accepted review goes straight to enrich_report', async () => {
+  const { report, provider } = await run((prompt) => promptKind(prompt) === 'review' ? VALID_REVIEW : buildReport());
+  assert.equal(report.error, undefined);
+  assert.equal(report.recommendation, 'Watchlist');
+  assert.equal(report.overallScore, 71);
+  assert.equal(report.scoring.llmScore, 70);
+  assert.deepEqual(report.review, { isValid: true, confidence: 92, unresolvedIssues: [], rounds: 0 });
+  assert.deepEqual(provider.calls.map(promptKind), [...SECTION_CALLS, 'review']);
+});
+
+test('a rejected review repairs only the failing sections', async () => {
+  let reviews = 0;
+  const { report, provider } = await run((prompt) => {
+    switch (promptKind(prompt)) {
+      case 'review':
+        reviews++;
+        return reviews === 1
+          ? { isValid: false, issues: ['Valuation cites a P/E not in the input'], failingSections: ['valuation', 'unknownField'], confidence: 40 }
+          : VALID_REVIEW;
+      case 'repair':
+        return { valuation: '• Forward P/E sits above the sector median', riskFactors: 'should be ignored' };
+      default:
+        return buildReport();
+    }
+  });
+
+  assert.equal(report.valuation, '• Forward P/E sits above the sector median');
+  assert.equal(report.riskFactors, buildReport().riskFactors);
+  assert.deepEqual(report.review, { isValid: true, confidence: 92, unresolvedIssues: [], rounds: 1 });
+  assert.deepEqual(provider.calls.map(promptKind), [...SECTION_CALLS, 'review', 'repair', 'review']);
+  assert.match(provider.calls[SECTION_GROUPS.length + 1], /SECTIONS TO REWRITE:\nvaluation\n/);
+});
+
+test('repair stops after CONFIG.maxReviewRounds and keeps unresolved issues', async (t) => {
+  const original = CONFIG.maxReviewRounds;
+  CONFIG.maxReviewRounds = 1;
+  t.after(() => { CONFIG.maxReviewRounds = original; });
+
+  const rejected = { isValid: false, issues: ['Still wrong'], failingSections: ['valuation'], confidence: 30 };
+  const { report, provider } = await run((prompt) => {
+    const kind = promptKind(prompt);
+    if (kind === 'review') return rejected;
+    if (kind === 'repair') return { valuation: '• Rewritten valuation' };
+    return buildReport();
+  });
+
+  assert.deepEqual(report.review, { isValid: false, confidence: 30, unresolvedIssues: ['Still wrong'], rounds: 1 });
+  assert.deepEqual(provider.calls.map(promptKind), [...SECTION_CALLS, 'review', 'repair', 'review']);
+});
+
+test('a rejected review without failing sections is reported, not repaired', async () => {
+  const { report, provider } = await run((prompt) => promptKind(prompt) === 'review'
+    ? { isValid: false, issues: ['General concern'], failingSections: [], confidence: 55 }
+    : buildReport());
+
+  assert.deepEqual(report.review.unresolvedIssues, ['General concern']);
+  assert.deepEqual(provider.calls.map(promptKind), [...SECTION_CALLS, 'review']);
+});
+
+test('each section node sees only its slice of the input', async () => {
+  const { provider } = await run((prompt) => promptKind(prompt) === 'review' ? VALID_REVIEW : buildReport());
+  const technical = provider.calls.find(prompt => asksFor(prompt, 'technicalTrend'));
+  const management = provider.calls.find(prompt => asksFor(prompt, 'managementQuality'));
+  const synthesis = provider.calls.find(prompt => asksFor(prompt, 'finalVerdict'));
+
+  assert.match(technical, /"technicalConfirmation"/);
+  assert.doesNotMatch(technical, /"fundamentalResilience"|"qualitative"|- valuation: /);
+  assert.match(management, /"qualitative"/);
+  assert.match(synthesis, /"fundamentalResilience"[\s\S]*"qualitative"/);
+});
+
+test('an invalid section is retried on its own and merged with the others', async () => {
+  const moat = '• ROIC of 18% against a 10% threshold signals a durable edge';
+  let moatCalls = 0;
+  const { report, provider } = await run((prompt) => {
+    if (promptKind(prompt) === 'review') return VALID_REVIEW;
+    if (asksFor(prompt, 'competitiveAdvantage')) {
+      moatCalls++;
+      return moatCalls === 1 ? buildReport({ competitiveAdvantage: 'too short' }) : { competitiveAdvantage: moat };
+    }
+    return buildReport();
+  });
+
+  assert.equal(report.error, undefined);
+  assert.equal(report.competitiveAdvantage, moat);
+  assert.equal(report.futureGrowth, buildReport().futureGrowth);
+  assert.deepEqual(provider.calls.map(promptKind), [...SECTION_CALLS, 'section', 'review']);
+
+  // The growth node wrote futureGrowth the first time; the retry asks for the moat alone
+  const retry = provider.calls[SECTION_GROUPS.length];
+  assert.ok(asksFor(retry, 'competitiveAdvantage'));
+  assert.ok(!asksFor(retry, 'futureGrowth'));
+});
+
+test('citations from the section nodes and repairs reach the evidence check', async () => {
+  let reviews = 0;
+  const { report } = await run((prompt) => {
+    switch (promptKind(prompt)) {
+      case 'review':
+        reviews++;
+        return reviews === 1
+          ? { isValid: false, issues: ['Valuation figure is unsupported'], failingSections: ['valuation'], confidence: 40 }
+          : VALID_REVIEW;
+      case 'repair':
+        return {
+          valuation: '• Forward P/E sits above the sector median, AMD at 31.1',
+          citations: { valuation: [['quantitative.asymmetricRiskReward.metrics[0]', 'peerComparison.peers[0].metrics.P/E']] }
+        };
+      default:
+        // Every section node cites the first bullet only, and cites it wrongly
+        return buildReport({ citations: Object.fromEntries(REPORT_SECTIONS.map(section => [section, [['stock']]])) });
+    }
+  });
+
+  assert.deepEqual(report.citations.valuation, [['quantitative.asymmetricRiskReward.metrics[0]', 'peerComparison.peers[0].metrics.P/E']]);
+  assert.deepEqual(report.citations.riskFactors, [['stock']]);
+  assert.equal(report.evidence.citedBullets, REPORT_SECTIONS.length);
+  // 3% and 2% in the first bullet of every section but the repaired one
+  assert.equal(report.evidence.hallucinations.length, (REPORT_SECTIONS.length - 1) * 2);
+  assert.ok(report.evidence.hallucinations.every(item => item.section !== 'valuation'));
+});
+
+test('strict grounding routes enrich_report to the error node', async (t) => {
+  const original = { ...CONFIG.grounding };
+  t.after(() => { CONFIG.grounding = original; });
+  CONFIG.grounding = { strict: true, minScore: 100 };
+
+  const handler = (prompt) => promptKind(prompt) === 'review'
+    ? VALID_REVIEW
+    : buildReport({ technicalTrend: '• RSI of 81 signals an overbought stock\n• Price holds above its 200-day average' });
+  const { report } = await run(handler);
+  assert.equal(report.error, true);
+  assert.match(report.errors[0], /^Grounding check failed: .*technicalTrend "81"/);
+
+  CONFIG.grounding = { strict: true, minScore: 90 };
+  const { report: lenient } = await run(handler);
+  assert.equal(lenient.error, undefined);
+  assert.deepEqual(lenient.grounding.unmatched.map(item => item.figure), ['81']);
+});
+
+test('format_report compresses only the sections that break the bullet format', async () => {
+  const long = '• Free Cash Flow Yield of 3% comfortably beats the 2% threshold, showing strong and consistent cash generation';
+  const compressed = '• FCF yield of 3% beats the 2% threshold\n• Net Debt/EBITDA of 4x breaches 2.5x';
+  const { report, provider } = await run((prompt) => {
+    switch (promptKind(prompt)) {
+      case 'review':
+        return VALID_REVIEW;
+      case 'format':
+        return { financialHealth: compressed, citations: { financialHealth: [['quantitative.fundamentalResilience.metrics[0]'], ['quantitative.fundamentalResilience.metrics[1]']] } };
+      default:
+        return buildReport({ financialHealth: long });
+    }
+  });
+
+  assert.deepEqual(provider.calls.map(promptKind), [...SECTION_CALLS, 'format', 'review']);
+  const formatPrompt = provider.calls[SECTION_GROUPS.length];
+  assert.match(formatPrompt, /- financialHealth: bullet 1 has 17 words \(max 12\)/);
+  assert.ok(!formatPrompt.includes(JSON.stringify(buildReport().valuation)));
+
+  assert.equal(report.financialHealth, compressed);
+  assert.equal(report.valuation, buildReport().valuation);
+  assert.equal(report.evidence.citedBullets, 2);
+  assert.deepEqual(report.formatting, { valid: true, violations: [], repaired: ['financialHealth'], error: null });
+});
+
+test('sections that stay too long are reported, and SECTION_FORMAT=array returns bullet arrays', async (t) => {
+  const original = { ...CONFIG.format };
+  t.after(() => { CONFIG.format = original; });
+  CONFIG.format = { repair: false, sections: 'array' };
+
+  const valuation = '• P/E above the sector median\n• Forward P/E trails AMD\n• Premium to peers\n• Overvalued versus history';
+  const { report, provider } = await run((prompt) => promptKind(prompt) === 'review' ? VALID_REVIEW : buildReport({ valuation }));
+
+  assert.ok(!provider.calls.some(prompt => promptKind(prompt) === 'format'));
+  assert.equal(report.formatting.valid, false);
+  assert.deepEqual(report.formatting.violations.map(violation => [violation.section, violation.rule]), [['valuation', 'too_many_bullets']]);
+  assert.deepEqual(report.valuation, ['P/E above the sector median', 'Forward P/E trails AMD', 'Premium to peers', 'Overvalued versus history']);
+  assert.deepEqual(report.riskFactors, ['Free Cash Flow Yield 3% beats the 2% threshold', 'Net Debt/EBITDA 4x fails the 2.5x limit']);
+});
+
+test('enrich_report moves a recommendation outside the score band and flags the verdict', async () => {
+  const { report } = await run((prompt) => promptKind(prompt) === 'review'
+    ? VALID_REVIEW
+    : buildReport({ recommendation: 'Avoid', finalVerdict: '• Leverage and slow growth make this an Avoid\n• Revisit once debt falls' }));
+
+  // The deterministic score of 71 allows Buy or Watchlist
+  assert.equal(report.overallScore, 71);
+  assert.equal(report.recommendation, 'Buy');
+  assert.deepEqual(report.consistency.overrides, [
+    { rule: 'score_band', from: 'Avoid', to: 'Buy', reason: 'Score 71 allows Buy or Watchlist, not Avoid', applied: true }
+  ]);
+  assert.deepEqual(report.consistency.wording.map(issue => issue.message), ['finalVerdict reads as Avoid but the recommendation is Buy']);
+});
+
+test('a failed review keeps the report and records the failure', async () => {
+  const { report } = await run((prompt) => promptKind(prompt) === 'review' ? 'garbage' : buildReport());
+  assert.equal(report.recommendation, 'Watchlist');
+  assert.equal(report.review.isValid, false);
+  assert.match(report.review.unresolvedIssues[0], /^Review failed:/);
+});
+
+test('a run through every review round emits no Node warnings', async () => {
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(`${warning.name}: ${warning.message}`);
+  process.on('warning', onWarning);
+  try {
+    const rejected = { isValid: false, issues: ['Still wrong'], failingSections: ['valuation'], confidence: 30 };
+    const { report } = await run((prompt) => promptKind(prompt) === 'review' ? rejected : buildReport());
+    assert.equal(report.review.rounds, CONFIG.maxReviewRounds);
+    // Warnings are emitted on a later tick
+    await new Promise(resolve => setImmediate(resolve));
+  } finally {
+    process.off('warning', onWarning);
+  }
+  assert.deepEqual(warnings, []);
+});
+
+test('a review that does not match the review schema is a failed review, not a pass', async () => {
+  const { report, provider } = await run((prompt) => promptKind(prompt) === 'review'
+    ? { verdict: 'looks fine' }
+    : buildReport());
+
+  assert.equal(report.review.isValid, false);
+  assert.match(report.review.unresolvedIssues[0], /^Review failed: Invalid review response: isValid: Required/);
+  assert.deepEqual(provider.calls.map(promptKind), [...SECTION_CALLS, 'review']);
+});
+
+test('the mock provider runs the workflow offline with an accepted review', async () => {
+  const report = await new StockAnalysisWorkflow({ provider: new MockProvider() }).execute(loadExampleInput());
+  assert.equal(report.error, undefined);
+  assert.deepEqual(report.review, { isValid: true, confidence: 90, unresolvedIssues: [], rounds: 0 });
+});
+
+test('a failed repair keeps the report and records the failure', async () => {
+  const { report } = await run((prompt) => {
+    const kind = promptKind(prompt);
+    if (kind === 'review') return { isValid: false, issues: ['Bad valuation'], failingSections: ['valuation'], confidence: 20 };
+    if (kind === 'repair') return 'garbage';
+    return buildReport();
+  });
+  assert.equal(report.valuation, buildReport().valuation);
+  assert.equal(report.review.rounds, 1);
+  assert.deepEqual(report.review.unresolvedIssues.slice(0, 1), ['Bad valuation']);
+  assert.match(report.review.unresolvedIssues[1], /^Repair failed:/);
+});
+
+test('stream yields node transitions, sections and the final report', async () => {
+  let reviews = 0;
+  const provider = createStubProvider((prompt) => {
+    switch (promptKind(prompt)) {
+      case 'review':
+        reviews++;
+        return reviews === 1
+          ? { isValid: false, issues: ['Bad valuation'], failingSections: ['valuation'], confidence: 40 }
+          : VALID_REVIEW;
+      case 'repair':
+        return { valuation: '• Rewritten valuation' };
+      default:
+        return buildReport();
+    }
+  });
+
+  const events = [];
+  for await (const event of new StockAnalysisWorkflow({ provider }).stream(loadExampleInput())) {
+    events.push(event);
+  }
+
+  const nodes = events.filter(e => e.type === 'node').map(e => e.node);
+  const sectionNodes = SECTION_GROUPS.map(group => `section_${group.name}`);
+  assert.deepEqual(nodes.slice(0, 2), ['validate_input', 'parallel_processing']);
+  assert.deepEqual(nodes.slice(2, 2 + sectionNodes.length).sort(), [...sectionNodes].sort());
+  assert.deepEqual(nodes.slice(2 + sectionNodes.length), ['merge_sections', 'format_report', 'review_report', 'repair_report', 'review_report', 'enrich_report']);
+
+  const metrics = events.filter(e => e.type === 'metrics');
+  assert.equal(metrics.length, 1);
+  assert.equal(metrics[0].keyMetrics.totalMetrics, 10);
+  assert.equal(metrics[0].scoring.score, 71);
+
+  const sections = events.filter(e => e.type === 'section');
+  assert.equal(sections.length, 12);
+  assert.equal(new Set(sections.slice(0, 11).map(e => e.section)).size, 11);
+  assert.deepEqual(sections[sections.length - 1], { type: 'section', section: 'valuation', content: '• Rewritten valuation' });
+
+  const result = events[events.length - 1];
+  assert.equal(result.type, 'result');
+  assert.equal(result.report.valuation, '• Rewritten valuation');
+  assert.equal(result.report.review.rounds, 1);
+});
+
+test('stream reports the error node for invalid input', async () => {
+  const events = [];
+  for await (const event of new StockAnalysisWorkflow({ provider: createStubProvider(() => buildReport()) }).stream({})) {
+    events.push(event);
+  }
+  assert.deepEqual(events.filter(e => e.type === 'node').map(e => e.node), ['validate_input', 'error']);
+  assert.equal(events[events.length - 1].report.error, true);
+});
+
+test('batchExecute reports error reports as failures in input order', async () => {
+  const provider = createStubProvider((prompt) => (promptKind(prompt) === 'review' ? VALID_REVIEW : buildReport()));
+  const results = await new StockAnalysisWorkflow({ provider }).batchExecute([{ stock: { symbol: 'BAD' } }, loadExampleInput()]);
+
+  assert.equal(results[0].success, false);
+  assert.equal(results[0].symbol, 'BAD');
+  assert.match(results[0].error, /stock.name: Required/);
+  assert.equal(results[1].success, true);
+  assert.equal(results[1].data.overallScore, 71);
+});
+
+test('a timed-out stock stops the workflow and leaves no history record', async () => {
+  const provider = createStubProvider(async (prompt) => {
+    if (promptKind(prompt) === 'section') {
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+    return promptKind(prompt) === 'review' ? VALID_REVIEW : buildReport();
+  });
+  const history = new MemoryHistoryStore();
+
+  const [result] = await new StockAnalysisWorkflow({ provider, history }).batchExecute([loadExampleInput()], { timeoutMs: 100 });
+  assert.equal(result.success, false);
+  assert.match(result.error, /timed out after 100ms/);
+
+  await new Promise(resolve => setTimeout(resolve, 400));
+  assert.deepEqual(provider.calls.map(promptKind), SECTION_CALLS);
+  assert.equal(history.records.length, 0);
+});
@@ -0,0 +1,118 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAICompatibleProvider } from '../src/agent/providers/openai-provider.js';
+import { ModelResponseError } from '../src/agent/errors.js';
+import { CONFIG } from '../src/config/settings.js';
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+/**
+ * Replace global fetch with a stub that records its calls
+ * @param {Object} reply - { status, body, headers } of the response to return
+ * @returns {Object} - The fetch mock (calls in `.mock.calls`)
+ */
+function stubFetch({ status = 200, body = {}, headers = {} } = {}) {
+  return mock.method(globalThis, 'fetch', async () => new Response(
+    typeof body === 'string' ? body : JSON.stringify(body),
+    { status, headers }
+  ));
+}
+
+/**
+ * Chat completions body with one choice
+ * @param {string} content - Message content
+ * @param {string} finishReason - Finish reason (default: stop)
+ * @returns {Object} - Response body
+ */
+function completion(content, finishReason = 'stop') {
+  return { choices: [{ message: { role: 'assistant', content }, finish_reason: finishReason }] };
+}
+
+test('generate posts the prompt, parameters and schema to /chat/completions', async () => {
+  const fetch = stubFetch({ body: completion('{"ok": true}') });
+  const provider = new OpenAICompatibleProvider({ baseUrl: 'https://api.openai.com/v1/', apiKey: 'sk-test', model: 'gpt-test' });
+  const schema = { type: 'object', properties: { ok: { type: 'boolean' } } };
+
+  assert.equal(await provider.generate('prompt', { responseSchema: schema }), '{"ok": true}');
+
+  const [url, init] = fetch.mock.calls[0].arguments;
+  assert.equal(url, 'https://api.openai.com/v1/chat/completions');
+  assert.equal(init.method, 'POST');
+  assert.equal(init.headers.Authorization, 'Bearer sk-test');
+  assert.deepEqual(JSON.parse(init.body), {
+    model: 'gpt-test',
+    messages: [{ role: 'user', content: 'prompt' }],
+    temperature: CONFIG.temperature,
+    max_tokens: CONFIG.maxOutputTokens,
+    top_p: CONFIG.topP,
+    response_format: { type: 'json_schema', json_schema: { name: 'response', schema, strict: true } }
+  });
+});
+
+test('generate sends no Authorization header without an API key', async () => {
+  const fetch = stubFetch({ body: completion('text') });
+  await new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', apiKey: '' }).generate('prompt');
+
+  const [, init] = fetch.mock.calls[0].arguments;
+  assert.equal(init.headers.Authorization, undefined);
+  assert.equal(JSON.parse(init.body).response_format, undefined);
+});
+
+test('structured output defaults on for api.openai.com only', () => {
+  const original = CONFIG.openai.structuredOutput;
+  try {
+    CONFIG.openai.structuredOutput = null;
+    assert.equal(new OpenAICompatibleProvider({ baseUrl: 'https://api.openai.com/v1' }).supportsStructuredOutput, true);
+    assert.equal(new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1' }).supportsStructuredOutput, false);
+
+    CONFIG.openai.structuredOutput = true;
+    assert.equal(new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1' }).supportsStructuredOutput, true);
+    CONFIG.openai.structuredOutput = false;
+    assert.equal(new OpenAICompatibleProvider({ baseUrl: 'https://api.openai.com/v1' }).supportsStructuredOutput, false);
+    assert.equal(new OpenAICompatibleProvider({ baseUrl: 'https://api.openai.com/v1', structuredOutput: true }).supportsStructuredOutput, true);
+  } finally {
+    CONFIG.openai.structuredOutput = original;
+  }
+});
+
+test('a non-2xx response throws with its status and retry-after delay', async () => {
+  stubFetch({ status: 429, body: 'Rate limit reached', headers: { 'retry-after': '2.5' } });
+  const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1' });
+
+  await assert.rejects(provider.generate('prompt'), (error) => {
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfterMs, 2500);
+    assert.match(error.message, /status 429: Rate limit reached/);
+    return true;
+  });
+
+  stubFetch({ status: 500, body: 'boom' });
+  await assert.rejects(provider.generate('prompt'), (error) => {
+    assert.equal(error.status, 500);
+    assert.equal(error.retryAfterMs, undefined);
+    return true;
+  });
+});
+
+test('a response without a message is an EMPTY error', async () => {
+  stubFetch({ body: { choices: [] } });
+  await assert.rejects(new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1' }).generate('prompt'), (error) => {
+    assert.ok(error instanceof ModelResponseError);
+    assert.equal(error.code, 'EMPTY');
+    return true;
+  });
+});
+
+test('finish_reason "length" is a TRUNCATED error carrying the partial text', async () => {
+  stubFetch({ body: completion('{"overallScore": 7', 'length') });
+  await assert.rejects(new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1' }).generate('prompt'), (error) => {
+    assert.ok(error instanceof ModelResponseError);
+    assert.equal(error.code, 'TRUNCATED');
+    assert.equal(error.raw, '{"overallScore": 7');
+    assert.equal(error.finishReason, 'length');
+    assert.equal(error.retryable, false);
+    return true;
+  });
+});
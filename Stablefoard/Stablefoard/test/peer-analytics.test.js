@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMetricValue, computePeerAnalytics, formatPeerSummary } from '../src/utils/peer-analytics.js';
+import { loadExampleInput } from './helpers.js';
+
+test('parseMetricValue reads numbers with units, signs and magnitudes', () => {
+  assert.deepEqual(parseMetricValue('31.1'), { value: 31.1, unit: 'number' });
+  assert.deepEqual(parseMetricValue('-29.5%'), { value: -29.5, unit: 'percent' });
+  assert.deepEqual(parseMetricValue('2.5x'), { value: 2.5, unit: 'multiple' });
+  assert.deepEqual(parseMetricValue('-$1.2B'), { value: -1.2e9, unit: 'currency' });
+  assert.deepEqual(parseMetricValue('1,234'), { value: 1234, unit: 'number' });
+  assert.deepEqual(parseMetricValue(4), { value: 4, unit: 'number' });
+  assert.equal(parseMetricValue('N/A'), null);
+  assert.equal(parseMetricValue(''), null);
+});
+
+test('computePeerAnalytics computes medians, percentiles and z-scores per metric', () => {
+  const analytics = computePeerAnalytics(loadExampleInput().peerComparison);
+  assert.equal(analytics.baseInPeers, false);
+  assert.deepEqual(analytics.peers.map(peer => peer.symbol), ['AMD', 'INTC', 'AVGO']);
+
+  const pe = analytics.metrics.find(metric => metric.name === 'P/E');
+  assert.deepEqual(
+    { unit: pe.unit, median: pe.median, mean: pe.mean, min: pe.min, max: pe.max },
+    { unit: 'number', median: 24.4, mean: 25.3, min: 20.4, max: 31.1 }
+  );
+  assert.deepEqual(pe.peers.map(peer => [peer.symbol, peer.percentile, peer.zScore]), [['AMD', 100, 1.31], ['INTC', 50, -0.2], ['AVGO', 0, -1.11]]);
+
+  const drawdown = analytics.metrics.find(metric => metric.name === 'Max Drawdown');
+  assert.equal(drawdown.unit, 'percent');
+  assert.equal(drawdown.median, -29.5);
+});
+
+test('computePeerAnalytics ranks a base stock in the peer table against the others', () => {
+  const analytics = computePeerAnalytics({
+    baseSymbol: 'AAA',
+    peers: [
+      { symbol: 'AAA', name: 'Base', metrics: { ROE: '20%' } },
+      { symbol: 'BBB', name: 'B', metrics: { ROE: '10%' } },
+      { symbol: 'CCC', name: 'C', metrics: { ROE: '30%', RSI: 'n/a' } }
+    ]
+  });
+
+  assert.equal(analytics.baseInPeers, true);
+  const [roe, rsi] = analytics.metrics;
+  assert.equal(roe.count, 2);
+  assert.deepEqual(roe.base, { symbol: 'AAA', raw: '20%', value: 20, percentile: 50, zScore: 0, deltaToMedian: 0 });
+  assert.equal(rsi.count, 0);
+  assert.deepEqual(rsi.unparsed, [{ symbol: 'CCC', raw: 'n/a' }]);
+
+  const summary = formatPeerSummary(analytics);
+  assert.match(summary, /^Peers \(2\): BBB \(B\), CCC \(C\)/);
+  assert.match(summary, /ROE: median 20%, .* \| AAA 20% \(p50, z 0, 0 vs median\)/);
+  assert.match(summary, /RSI: no numeric values/);
+});
+
+test('formatPeerSummary says when there are no peers', () => {
+  assert.match(formatPeerSummary(computePeerAnalytics({ baseSymbol: 'X', peers: [] })), /No peers/);
+});
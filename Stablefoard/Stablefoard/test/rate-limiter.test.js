@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, estimateTokens } from '../src/utils/rate-limiter.js';
+import { RateLimitedProvider } from '../src/agent/providers/rate-limited-provider.js';
+import { createStubProvider } from './helpers.js';
+
+/**
+ * Limiter on a fake clock: sleeping advances time instantly
+ */
+function fakeLimiter(options) {
+  const clock = { time: 0, sleeps: [] };
+  const limiter = new RateLimiter({
+    ...options,
+    now: () => clock.time,
+    sleep: async (ms) => {
+      clock.sleeps.push(ms);
+      clock.time += ms;
+    }
+  });
+  return { limiter, clock };
+}
+
+test('estimateTokens counts about four characters per token', () => {
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens(''), 0);
+});
+
+test('requests beyond the per-minute budget wait for the window', async () => {
+  const { limiter, clock } = fakeLimiter({ requestsPerMinute: 2 });
+
+  await limiter.acquire();
+  clock.time = 1000;
+  await limiter.acquire();
+  await limiter.acquire();
+
+  assert.deepEqual(clock.sleeps, [59000]);
+  assert.equal(clock.time, 60000);
+});
+
+test('token budget waits until enough earlier usage expires', async () => {
+  const { limiter, clock } = fakeLimiter({ tokensPerMinute: 100 });
+
+  await limiter.acquire(60);
+  clock.time = 10000;
+  limiter.consume(30);
+  await limiter.acquire(50);
+
+  // 60 + 30 + 50 > 100 until the first request leaves the window
+  assert.deepEqual(clock.sleeps, [50000]);
+});
+
+test('a single request larger than the token budget still goes through', async () => {
+  const { limiter, clock } = fakeLimiter({ tokensPerMinute: 10 });
+  await limiter.acquire(500);
+  assert.deepEqual(clock.sleeps, []);
+});
+
+test('pause holds every caller', async () => {
+  const { limiter, clock } = fakeLimiter({ requestsPerMinute: 100 });
+  limiter.pause(5000);
+  await Promise.all([limiter.acquire(), limiter.acquire()]);
+  assert.equal(clock.time, 5000);
+});
+
+test('an unconfigured limiter is disabled', () => {
+  assert.equal(new RateLimiter().enabled, false);
+  assert.equal(new RateLimiter({ requestsPerMinute: 5 }).enabled, true);
+});
+
+test('RateLimitedProvider pauses the limiter on quota errors', async () => {
+  const { limiter, clock } = fakeLimiter({ requestsPerMinute: 100 });
+  const quota = Object.assign(new Error('[429 Too Many Requests] Resource has been exhausted'), {
+    status: 429,
+    errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '7s' }]
+  });
+  let calls = 0;
+  const provider = new RateLimitedProvider({
+    provider: createStubProvider(() => {
+      calls++;
+      if (calls === 1) throw quota;
+      return 'ok';
+    }),
+    limiter
+  });
+
+  await assert.rejects(provider.generate('prompt'), /429/);
+  assert.equal(await provider.generate('prompt'), 'ok');
+  assert.deepEqual(clock.sleeps, [7000]);
+});
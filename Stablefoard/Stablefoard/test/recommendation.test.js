@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBand, overrideMatches, statedRecommendations, checkWording, applyRecommendationRules } from '../src/utils/recommendation.js';
+import { CONFIG } from '../src/config/settings.js';
+import { loadExampleInput, buildReport } from './helpers.js';
+
+const INPUT = loadExampleInput();
+const RULES = { ...CONFIG.recommendationRules, mode: 'enforce' };
+
+/**
+ * Example input with risk sensitivity alignment failing overall
+ * @returns {Object} - Stock input
+ */
+function failingRiskInput() {
+  const input = loadExampleInput();
+  input.quantitative.riskSensitivityAlignment.overall = 'fail';
+  return input;
+}
+
+test('findBand picks the highest band the score reaches', () => {
+  assert.deepEqual(findBand(85, RULES.bands).allowed, ['Buy', 'Watchlist']);
+  assert.deepEqual(findBand(70, RULES.bands).allowed, ['Buy', 'Watchlist']);
+  assert.deepEqual(findBand(69, RULES.bands).allowed, ['Watchlist']);
+  assert.deepEqual(findBand(12, RULES.bands).allowed, ['Avoid', 'Watchlist']);
+  assert.equal(findBand(12, [{ min: 50, allowed: ['Buy'] }]), null);
+});
+
+test('overrideMatches requires every failing metric and pillar result', () => {
+  const [override] = RULES.overrides;
+  // Net Debt/EBITDA fails in the example, but risk sensitivity alignment is mixed
+  assert.equal(overrideMatches(override, INPUT), false);
+  assert.equal(overrideMatches(override, failingRiskInput()), true);
+  assert.equal(overrideMatches({ ...override, failing: ['Return on Invested Capital'] }, failingRiskInput()), false);
+  assert.equal(overrideMatches({ recommendation: 'Avoid' }, INPUT), false);
+});
+
+test('statedRecommendations ignores negated mentions', () => {
+  assert.deepEqual(statedRecommendations('Solid fundamentals: Watchlist, not Buy'), ['Watchlist']);
+  assert.deepEqual(statedRecommendations('Merits Watchlist status rather than an outright Buy'), ['Watchlist']);
+  assert.deepEqual(statedRecommendations('A clear buy; accumulate on dips'), ['Buy']);
+  assert.deepEqual(statedRecommendations('Insider buying and holdings look healthy'), []);
+});
+
+test('checkWording flags verdicts that state another recommendation', () => {
+  const report = buildReport({
+    finalVerdict: '• Strong cash flow makes this a Buy today\n• Leverage needs monitoring',
+    aiSummary: '• Keep on the watch list until debt falls\n• Not a Buy yet'
+  });
+  assert.deepEqual(checkWording(report, 'Watchlist'), [
+    { section: 'finalVerdict', stated: ['Buy'], message: 'finalVerdict reads as Buy but the recommendation is Watchlist' }
+  ]);
+  assert.equal(checkWording(report, 'Buy').length, 1);
+});
+
+test('applyRecommendationRules moves a label outside its score band and records why', () => {
+  const report = applyRecommendationRules(buildReport({ overallScore: 85, recommendation: 'Avoid' }), INPUT, RULES);
+  assert.equal(report.recommendation, 'Buy');
+  assert.deepEqual(report.consistency.overrides, [
+    { rule: 'score_band', from: 'Avoid', to: 'Buy', reason: 'Score 85 allows Buy or Watchlist, not Avoid', applied: true }
+  ]);
+  assert.equal(report.consistency.modelRecommendation, 'Avoid');
+  assert.equal(report.consistency.valid, false);
+
+  const consistent = applyRecommendationRules(buildReport(), INPUT, RULES);
+  assert.equal(consistent.recommendation, 'Watchlist');
+  assert.deepEqual(consistent.consistency, {
+    valid: true,
+    modelRecommendation: 'Watchlist',
+    band: { min: 70, allowed: ['Buy', 'Watchlist'] },
+    overrides: [],
+    wording: []
+  });
+});
+
+test('hard overrides win over the score band and wording is checked against the result', () => {
+  const report = applyRecommendationRules(
+    buildReport({ overallScore: 72, recommendation: 'Buy', finalVerdict: '• Cash generation makes this a Buy\n• Leverage is the main risk' }),
+    failingRiskInput(),
+    RULES
+  );
+  assert.equal(report.recommendation, 'Avoid');
+  assert.deepEqual(report.consistency.overrides, [
+    { rule: 'hard_override', from: 'Buy', to: 'Avoid', reason: 'Net Debt/EBITDA fails and risk sensitivity alignment is fail', applied: true }
+  ]);
+  assert.deepEqual(report.consistency.wording.map(issue => issue.section), ['finalVerdict']);
+});
+
+test('report mode records overrides without applying them, and off skips the rules', () => {
+  const report = buildReport({ overallScore: 30, recommendation: 'Buy' });
+  const recorded = applyRecommendationRules(report, INPUT, { ...RULES, mode: 'report' });
+  assert.equal(recorded.recommendation, 'Buy');
+  assert.deepEqual(recorded.consistency.overrides.map(item => [item.to, item.applied]), [['Avoid', false]]);
+
+  assert.equal(applyRecommendationRules(report, INPUT, { ...RULES, mode: 'off' }), report);
+});
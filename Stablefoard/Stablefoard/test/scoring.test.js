@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDeterministicScore, reconcileScore } from '../src/utils/scoring.js';
+import { CONFIG } from '../src/config/settings.js';
+import { loadExampleInput, buildReport } from './helpers.js';
+
+test('computeDeterministicScore weights each pillar', () => {
+  const scoring = computeDeterministicScore(loadExampleInput());
+  assert.deepEqual(scoring.pillars, { quantitative: 50, sis: 76, ssis: 76, qualitative: 90, peerComparison: 100 });
+  assert.equal(scoring.score, 71);
+});
+
+test('computeDeterministicScore is reproducible and honours custom weights', () => {
+  const data = loadExampleInput();
+  assert.deepEqual(computeDeterministicScore(data), computeDeterministicScore(data));
+  assert.equal(computeDeterministicScore(data, { qualitative: 1 }).score, 90);
+});
+
+test('computeDeterministicScore treats missing peers as neutral', () => {
+  const data = loadExampleInput();
+  data.ssis.peers = [];
+  assert.equal(computeDeterministicScore(data).pillars.peerComparison, 50);
+});
+
+test('reconcileScore reports the deterministic score and keeps the model score', () => {
+  const scoring = computeDeterministicScore(loadExampleInput());
+  const report = reconcileScore(buildReport({ overallScore: 40 }), scoring);
+  assert.equal(report.overallScore, 71);
+  assert.equal(report.scoring.llmScore, 40);
+  assert.equal(report.scoring.divergence, 31);
+  assert.equal(report.scoring.divergent, true);
+});
+
+test('reconcileScore can keep the model score', (t) => {
+  const original = CONFIG.scoring.source;
+  CONFIG.scoring.source = 'llm';
+  t.after(() => { CONFIG.scoring.source = original; });
+
+  const scoring = computeDeterministicScore(loadExampleInput());
+  const report = reconcileScore(buildReport({ overallScore: 65 }), scoring);
+  assert.equal(report.overallScore, 65);
+  assert.equal(report.scoring.source, 'llm');
+  assert.equal(report.scoring.divergent, false);
+});
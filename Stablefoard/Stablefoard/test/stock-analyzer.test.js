@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StockAnalyzer } from '../src/agent/stock-analyzer.js';
+import { CONFIG } from '../src/config/settings.js';
+import { MemoryHistoryStore } from '../src/history/memory-store.js';
+import { loadExampleInput, buildReport, createStubProvider, promptKind, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+test('analyze returns the reconciled report and records history', async () => {
+  const analyzer = new StockAnalyzer({ provider: createStubProvider(() => buildReport()) });
+  const report = await analyzer.analyze(loadExampleInput());
+
+  assert.equal(report.overallScore, 71);
+  assert.equal(report.scoring.llmScore, 70);
+  assert.equal(analyzer.getHistory().length, 1);
+  assert.equal(analyzer.getHistory()[0].symbol, 'TBD');
+});
+
+test('analyze checks the report\'s citations against the input', async () => {
+  const citations = { valuation: [['quantitative.fundamentalResilience.metrics[0]'], ['quantitative.fundamentalResilience.metrics[1]']] };
+  const analyzer = new StockAnalyzer({ provider: createStubProvider(() => buildReport({ citations })) });
+  const report = await analyzer.analyze(loadExampleInput());
+
+  assert.deepEqual(report.citations, citations);
+  assert.equal(report.evidence.citedBullets, 2);
+  assert.deepEqual(report.evidence.hallucinations, []);
+  assert.equal(report.evidence.uncited.length, report.evidence.bullets - 2);
+});
+
+test('analyze reports grounding and fails in strict mode on unmatched figures', async (t) => {
+  const original = { ...CONFIG.grounding };
+  t.after(() => { CONFIG.grounding = original; });
+  const provider = createStubProvider(() => buildReport({ valuation: '• P/E of 12.7 sits below every peer\n• Forward P/E is above the sector median' }));
+
+  const report = await new StockAnalyzer({ provider }).analyze(loadExampleInput());
+  assert.deepEqual(report.grounding.unmatched.map(item => [item.section, item.figure]), [['valuation', '12.7']]);
+  assert.ok(report.grounding.score < 100);
+
+  CONFIG.grounding = { strict: true, minScore: 100 };
+  await assert.rejects(new StockAnalyzer({ provider }).analyze(loadExampleInput()), /Grounding check failed: .*valuation "12.7"/);
+});
+
+test('analyze compresses sections that break the bullet format and can return bullet arrays', async (t) => {
+  const original = { ...CONFIG.format };
+  t.after(() => { CONFIG.format = original; });
+  const paragraph = 'The stock trades above the sector median on forward earnings, so it looks expensive.';
+  const compressed = '• Forward P/E sits above the sector median\n• Looks expensive versus peers';
+  const provider = createStubProvider((prompt) => promptKind(prompt) === 'format'
+    ? { valuation: compressed, citations: { valuation: [['quantitative.asymmetricRiskReward.metrics[0]'], ['peerComparison']] } }
+    : buildReport({ valuation: paragraph }));
+
+  const report = await new StockAnalyzer({ provider }).analyze(loadExampleInput());
+  assert.deepEqual(provider.calls.map(promptKind), ['analysis', 'format']);
+  assert.equal(report.valuation, compressed);
+  assert.deepEqual(report.formatting, { valid: true, violations: [], repaired: ['valuation'], error: null });
+
+  CONFIG.format = { repair: false, sections: 'array' };
+  const unrepaired = await new StockAnalyzer({ provider }).analyze(loadExampleInput());
+  assert.deepEqual(unrepaired.valuation, [paragraph]);
+  assert.deepEqual(unrepaired.formatting.violations.map(violation => violation.rule), ['unbulleted', 'too_many_words']);
+  assert.deepEqual(unrepaired.formatting.repaired, []);
+});
+
+test('analyze applies the recommendation rules after reconciling the score', async () => {
+  const input = loadExampleInput();
+  input.quantitative.riskSensitivityAlignment.overall = 'fail';
+  const provider = createStubProvider(() => buildReport({ recommendation: 'Buy' }));
+
+  const analyzer = new StockAnalyzer({ provider });
+  const report = await analyzer.analyze(input);
+  assert.equal(report.recommendation, 'Avoid');
+  assert.equal(report.consistency.modelRecommendation, 'Buy');
+  assert.deepEqual(report.consistency.overrides.map(item => [item.rule, item.reason]), [
+    ['hard_override', 'Net Debt/EBITDA fails and risk sensitivity alignment is fail']
+  ]);
+  assert.equal(analyzer.getHistory()[0].recommendation, 'Avoid');
+});
+
+test('analyze rejects invalid input before calling the model', async () => {
+  const provider = createStubProvider(() => buildReport());
+  const analyzer = new StockAnalyzer({ provider });
+  await assert.rejects(analyzer.analyze({ stock: { symbol: 'BAD' } }), /Input validation failed/);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('preview builds the analysis prompt without calling the model', () => {
+  const provider = createStubProvider(() => buildReport());
+  const analyzer = new StockAnalyzer({ provider });
+  const preview = analyzer.preview(loadExampleInput());
+
+  assert.match(preview.prompt, /"symbol": "TBD"/);
+  assert.equal(preview.provider, 'stub');
+  assert.equal(preview.scoring.score, 71);
+  assert.equal(provider.calls.length, 0);
+  assert.throws(() => analyzer.preview({ stock: { symbol: 'BAD' } }), /Input validation failed/);
+});
+
+test('batchAnalyze keeps going after a failure', async () => {
+  const analyzer = new StockAnalyzer({ provider: createStubProvider(() => buildReport()) });
+  const results = await analyzer.batchAnalyze([loadExampleInput(), { stock: { symbol: 'BAD' } }]);
+
+  assert.equal(results[0].success, true);
+  assert.equal(results[1].success, false);
+  assert.equal(results[1].symbol, 'BAD');
+  assert.equal(analyzer.getSummaryStats().totalAnalyses, 1);
+});
+
+test('batchAnalyze runs concurrently and returns results in input order', async () => {
+  const delays = { SLOW: 40, MID: 20, FAST: 1 };
+  let inFlight = 0;
+  let peak = 0;
+  const provider = createStubProvider(async (prompt) => {
+    const symbol = Object.keys(delays).find(key => prompt.includes(`"symbol": "${key}"`));
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise(resolve => setTimeout(resolve, delays[symbol]));
+    inFlight--;
+    return buildReport();
+  });
+
+  const inputs = ['SLOW', 'MID', 'FAST'].map(symbol => {
+    const input = loadExampleInput();
+    input.stock.symbol = symbol;
+    return input;
+  });
+  const results = await new StockAnalyzer({ provider }).batchAnalyze(inputs, { concurrency: 3 });
+
+  assert.deepEqual(results.map(r => r.symbol), ['SLOW', 'MID', 'FAST']);
+  assert.ok(results.every(r => r.success && r.data.overallScore === 71));
+  assert.equal(peak, 3);
+});
+
+test('a timed-out stock makes no further model calls and leaves no history record', async () => {
+  // The slow first response breaks the bullet format, so the analysis would go on to a format repair call
+  const provider = createStubProvider(async () => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    return buildReport({ valuation: 'The stock trades above the sector median on forward earnings.' });
+  });
+  const history = new MemoryHistoryStore();
+  const analyzer = new StockAnalyzer({ provider, history });
+
+  const [result] = await analyzer.batchAnalyze([loadExampleInput()], { timeoutMs: 100 });
+  assert.equal(result.success, false);
+
+  await new Promise(resolve => setTimeout(resolve, 400));
+  assert.equal(provider.calls.length, 1);
+  assert.equal(history.records.length, 0);
+  assert.equal(analyzer.getHistory().length, 0);
+});
+
+test('batchAnalyze times out slow stocks without failing the batch', async () => {
+  const provider = createStubProvider(async (prompt) => {
+    if (prompt.includes('"symbol": "HANG"')) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return buildReport();
+  });
+  const hang = loadExampleInput();
+  hang.stock.symbol = 'HANG';
+
+  const results = await new StockAnalyzer({ provider }).batchAnalyze([hang, loadExampleInput()], { timeoutMs: 20 });
+
+  assert.deepEqual(results[0], { success: false, error: 'Analysis of HANG timed out after 20ms', symbol: 'HANG' });
+  assert.equal(results[1].success, true);
+});
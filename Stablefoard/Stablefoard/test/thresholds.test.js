@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseThreshold, evaluateThreshold, evaluateMetric, parseNumericValue } from '../src/utils/thresholds.js';
+
+test('parseThreshold parses comparisons with units', () => {
+  assert.deepEqual(parseThreshold('> 2%'), { type: 'comparison', operator: '>', value: 2, unit: '%' });
+  assert.deepEqual(parseThreshold('<2.5x'), { type: 'comparison', operator: '<', value: 2.5, unit: 'x' });
+  assert.deepEqual(parseThreshold('≥ 10'), { type: 'comparison', operator: '>=', value: 10, unit: null });
+});
+
+test('parseThreshold parses numeric ranges', () => {
+  assert.deepEqual(parseThreshold('30-60'), { type: 'range', min: 30, max: 60, unit: null });
+  assert.deepEqual(parseThreshold('5% to 10%'), { type: 'range', min: 5, max: 10, unit: '%' });
+});
+
+test('parseThreshold expands categorical alternatives and ordinal ranges', () => {
+  assert.deepEqual(parseThreshold('Significant or Increasing').accepted, ['significant', 'increasing']);
+  assert.deepEqual(parseThreshold('Neutral to Positive').accepted, ['neutral', 'positive']);
+  assert.equal(parseThreshold(''), null);
+});
+
+test('evaluateThreshold handles numeric thresholds', () => {
+  assert.equal(evaluateThreshold('> 2%', 3), true);
+  assert.equal(evaluateThreshold('< 2.5x', 4), false);
+  assert.equal(evaluateThreshold('30-60', 60), true);
+  assert.equal(evaluateThreshold('>35%', '37%'), true);
+  assert.equal(evaluateThreshold('<10', 10), false);
+});
+
+test('evaluateThreshold handles categorical thresholds', () => {
+  assert.equal(evaluateThreshold('Below Sector Median', 'Above'), false);
+  assert.equal(evaluateThreshold('Below Sector Median', 'Below'), true);
+  assert.equal(evaluateThreshold('Neutral to Positive', 'Positive'), true);
+  assert.equal(evaluateThreshold('Expanding', 'Negative'), false);
+  assert.equal(evaluateThreshold('Yes', 'yes'), true);
+});
+
+test('evaluateThreshold returns null when it cannot evaluate', () => {
+  assert.equal(evaluateThreshold('> 2%', 'High'), null);
+  assert.equal(evaluateThreshold(undefined, 3), null);
+  assert.equal(evaluateThreshold('Positive', 1), null);
+});
+
+test('evaluateMetric reads value/actual and threshold/thresholdRange', () => {
+  assert.equal(evaluateMetric({ name: 'A', value: 3, threshold: '> 2%' }), true);
+  assert.equal(evaluateMetric({ name: 'B', actual: '5%', thresholdRange: '<10%' }), true);
+});
+
+test('parseNumericValue parses numbers with units', () => {
+  assert.deepEqual(parseNumericValue('-0.9%'), { value: -0.9, unit: '%' });
+  assert.deepEqual(parseNumericValue(4), { value: 4, unit: null });
+  assert.equal(parseNumericValue('Above'), null);
+});
@@ -0,0 +1,125 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { createServer } from '../src/ui-server.js';
+import { MemoryHistoryStore } from '../src/history/memory-store.js';
+import { CONFIG } from '../src/config/settings.js';
+import { loadExampleInput, buildReport, silenceConsole } from './helpers.js';
+
+silenceConsole();
+
+let server;
+let baseUrl;
+let history;
+let provider;
+
+before(async () => {
+  provider = CONFIG.provider;
+  CONFIG.provider = 'mock';
+  history = new MemoryHistoryStore();
+  server = createServer({ history });
+  server.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  CONFIG.provider = provider;
+  server.close();
+  await once(server, 'close');
+});
+
+/**
+ * POST a JSON body to the server
+ * @param {string} path - Request path and query
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} - Fetch response
+ */
+function post(path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('GET / serves the page with the shared bullet helpers', async () => {
+  const response = await fetch(`${baseUrl}/`);
+  assert.equal(response.status, 200);
+  const html = await response.text();
+  const script = html.match(/<script>([\s\S]*)<\/script>/)[1];
+  assert.match(script, /function isBulletList\(content\)/);
+  // The injected helpers must leave the page script parseable
+  assert.doesNotThrow(() => new Function(script));
+});
+
+test('POST /analyze/stream streams NDJSON events and records the analysis', async () => {
+  const response = await post('/analyze/stream', { input: loadExampleInput() });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^application\/x-ndjson/);
+
+  const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+  const types = new Set(events.map(event => event.type));
+  for (const type of ['node', 'metrics', 'section', 'result']) {
+    assert.ok(types.has(type), `missing ${type} event`);
+  }
+  assert.equal(events.at(-1).type, 'result');
+  assert.equal(events.at(-1).report.recommendation, 'Watchlist');
+  assert.equal(events.find(event => event.type === 'metrics').scoring.score, 71);
+  assert.equal(history.records.length, 1);
+});
+
+test('POST /analyze/stream rejects a body without an input', async () => {
+  const response = await post('/analyze/stream', {});
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /"input"/);
+});
+
+test('GET /history filters the stored analyses', async () => {
+  const response = await fetch(`${baseUrl}/history?symbol=TBD`);
+  assert.equal(response.status, 200);
+  const { store, count, records } = await response.json();
+  assert.equal(store, 'memory');
+  assert.equal(count, 1);
+  assert.equal(records[0].symbol, 'TBD');
+
+  const none = await (await fetch(`${baseUrl}/history?symbol=NONE`)).json();
+  assert.equal(none.count, 0);
+  assert.equal((await fetch(`${baseUrl}/history?from=not-a-date`)).status, 400);
+});
+
+test('POST /metrics returns metrics and score, or 400 for invalid input', async () => {
+  const response = await post('/metrics', { input: loadExampleInput() });
+  assert.equal(response.status, 200);
+  const { keyMetrics, scoring, warnings } = await response.json();
+  assert.equal(keyMetrics.failedMetrics.length, 5);
+  assert.equal(scoring.score, 71);
+  assert.ok(Array.isArray(warnings));
+
+  const invalid = await post('/metrics', { input: { stock: {} } });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error, 'Input validation failed');
+});
+
+test('POST /export renders a download, or 400 for an unknown format or missing report', async () => {
+  const response = await post('/export?format=markdown', { report: buildReport(), input: loadExampleInput() });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="TBD.md"');
+  assert.match(await response.text(), /^# TBD/);
+
+  assert.equal((await post('/export?format=docx', { report: buildReport(), input: loadExampleInput() })).status, 400);
+  assert.equal((await post('/export', { input: loadExampleInput() })).status, 400);
+});
+
+test('GET /history/<id>/export downloads a stored analysis, 404s an unknown id and 400s a malformed one', async () => {
+  const [record] = history.records;
+  const response = await fetch(`${baseUrl}/history/${encodeURIComponent(record.id)}/export?format=json`);
+  assert.equal(response.status, 200);
+  assert.equal(JSON.parse(await response.text()).recommendation, 'Watchlist');
+
+  assert.equal((await fetch(`${baseUrl}/history/unknown/export`)).status, 404);
+
+  const malformed = await fetch(`${baseUrl}/history/%E0%A4%A/export`);
+  assert.equal(malformed.status, 400);
+  assert.match((await malformed.json()).error, /^Malformed analysis id/);
+});
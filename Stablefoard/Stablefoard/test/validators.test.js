@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateInput,
+  validateOutput,
+  validateSections,
+  extractKeyMetrics,
+  checkMetricThresholds,
+  sectionsResponseSchema,
+  REPORT_FIELDS,
+  REPORT_RESPONSE_SCHEMA
+} from '../src/utils/validators.js';
+import { loadExampleInput, buildReport } from './helpers.js';
+
+test('validateInput accepts the bundled example', () => {
+  const result = validateInput(loadExampleInput());
+  assert.equal(result.success, true);
+  assert.deepEqual(result.errors, []);
+});
+
+test('validateInput reports missing fields by path', () => {
+  const data = loadExampleInput();
+  delete data.stock.symbol;
+  delete data.sis;
+
+  const result = validateInput(data);
+  assert.equal(result.success, false);
+  assert.ok(result.errors.includes('stock.symbol: Required'));
+  assert.ok(result.errors.includes('sis: Required'));
+});
+
+test('validateInput requires value or actual on every metric', () => {
+  const data = loadExampleInput();
+  delete data.quantitative.fundamentalResilience.metrics[0].value;
+
+  const result = validateInput(data);
+  assert.equal(result.success, false);
+  assert.match(result.errors[0], /quantitative\.fundamentalResilience\.metrics\.0: Either 'value' or 'actual'/);
+});
+
+test('validateInput surfaces threshold mismatches as warnings', () => {
+  const data = loadExampleInput();
+  data.quantitative.fundamentalResilience.metrics[1].pass = true;
+
+  const result = validateInput(data);
+  assert.equal(result.success, true);
+  assert.ok(result.warnings.some(w => w.startsWith('quantitative.fundamentalResilience.metrics[1] (Net Debt/EBITDA)')));
+});
+
+test('validateInput warns about peer metric values that are not numbers', () => {
+  const data = loadExampleInput();
+  data.peerComparison.peers[1].metrics.Beta = 'N/A';
+
+  const { success, warnings } = validateInput(data);
+  assert.equal(success, true);
+  assert.ok(warnings.includes('peerComparison.peers[1].metrics (Beta): "N/A" is not a number and is left out of the peer analytics'));
+});
+
+test('checkMetricThresholds flags values outside their SIS/SSIS band', () => {
+  const mismatches = checkMetricThresholds(loadExampleInput());
+  assert.deepEqual(mismatches.map(m => m.path), ['sis.stocks[1].metrics[2]', 'ssis.peers[1].metrics[2]']);
+  assert.equal(mismatches[0].computed, false);
+});
+
+test('validateOutput accepts a complete report', () => {
+  assert.deepEqual(validateOutput(buildReport()), { success: true, errors: [] });
+});
+
+test('validateOutput rejects bad scores, labels and short sections', () => {
+  const result = validateOutput(buildReport({ overallScore: 120, recommendation: 'Hold', valuation: 'short' }));
+  assert.equal(result.success, false);
+  assert.equal(result.errors.length, 3);
+  assert.ok(result.errors.some(e => e.startsWith('overallScore:')));
+  assert.ok(result.errors.some(e => e.startsWith('recommendation:')));
+  assert.ok(result.errors.some(e => e.startsWith('valuation:')));
+});
+
+test('REPORT_FIELDS lists the report fields in order', () => {
+  assert.equal(REPORT_FIELDS.length, 13);
+  assert.equal(REPORT_FIELDS[0], 'overallScore');
+  assert.equal(REPORT_FIELDS[REPORT_FIELDS.length - 1], 'finalVerdict');
+});
+
+test('REPORT_RESPONSE_SCHEMA mirrors the output schema', () => {
+  assert.equal(REPORT_RESPONSE_SCHEMA.type, 'object');
+  assert.deepEqual(REPORT_RESPONSE_SCHEMA.required, [...REPORT_FIELDS, 'citations']);
+  assert.deepEqual(REPORT_RESPONSE_SCHEMA.properties.overallScore, { type: 'number', minimum: 0, maximum: 100 });
+  assert.deepEqual(REPORT_RESPONSE_SCHEMA.properties.citations.properties.valuation, { type: 'array', items: { type: 'array', items: { type: 'string' } } });
+  assert.deepEqual(sectionsResponseSchema(['valuation']).required, ['valuation', 'citations']);
+  assert.deepEqual(sectionsResponseSchema(['valuation']).properties.citations.required, ['valuation']);
+  assert.deepEqual(sectionsResponseSchema(['overallScore', 'recommendation']).required, ['overallScore', 'recommendation']);
+});
+
+test('validateSections checks only the requested fields and names the failing ones', () => {
+  const report = buildReport({ valuation: 'too short', recommendation: 'Hold' });
+  assert.equal(validateSections(report, ['financialHealth', 'futureGrowth']).success, true);
+
+  const result = validateSections(report, ['valuation', 'recommendation', 'riskFactors']);
+  assert.equal(result.success, false);
+  assert.deepEqual(result.failingSections.sort(), ['recommendation', 'valuation']);
+  assert.ok(result.errors.every(error => /^(valuation|recommendation):/.test(error)));
+
+  assert.deepEqual(validateSections('not an object', ['valuation', 'riskFactors']).failingSections, ['valuation', 'riskFactors']);
+});
+
+test('extractKeyMetrics summarises quantitative pass/fail', () => {
+  const metrics = extractKeyMetrics(loadExampleInput());
+  assert.equal(metrics.totalMetrics, 10);
+  assert.equal(metrics.passedCount, 5);
+  assert.equal(metrics.failedCount, 5);
+  assert.equal(metrics.passRate, '50.0');
+  assert.equal(metrics.sisScore, 3.8);
+  assert.equal(metrics.ssisScore, 3.8);
+  assert.equal(metrics.qualitativeRating, 4.5);
+  assert.ok(metrics.failedMetrics.includes('Net Debt/EBITDA'));
+  assert.ok(metrics.passedMetrics.includes('Free Cash Flow Yield'));
+});